@@ -0,0 +1,205 @@
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MongoClient } from 'mongodb';
+import { RagService } from '../services/RagService.js';
+import { MemoryRagService } from '../services/MemoryRagService.js';
+import { RetrievalEvalService } from '../services/RetrievalEvalService.js';
+import { AnswerEvalService } from '../services/AnswerEvalService.js';
+import { VoyageAIService } from '../services/VoyageAIService.js';
+import { JinaRerankService } from '../services/JinaRerankService.js';
+import { StoreService } from '../services/StoreService.js';
+import { BATCH_HTTP_OPTIONS, createEmbeddingServiceFromEnv } from '../services/EmbeddingRegistry.js';
+import { createLLMService } from '../services/LLMRegistry.js';
+import { films } from '../data/films.js';
+import { logger } from '../utils/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const dataPath = path.join(__dirname, '..', 'data');
+
+// Retrieval evaluation (EVAL_TYPE=retrieval): runs a golden question set through text, hybrid and image retrieval, with
+// and without rerank, and reports recall@k, MRR and nDCG@k per mode as a table (stdout) and JSON.
+// Answer evaluation (EVAL_TYPE=answers): answers each golden question with the configured LLM (LLM_PROVIDER, ...) and
+// scores groundedness against the context chunks (judge model EVAL_JUDGE_*), refusals and answer language.
+// EVAL_RETRIEVER=memory searches the bundled films in memory (no MongoDB); with EMBEDDING_PROVIDER=hash it needs no
+// network either, which is how CI runs it.
+const {
+    MONGODB_URI,
+    MONGODB_DB = 'rag',
+    MONGODB_COLLECTION = 'films',
+    SEARCH_INDEX_NAME,
+    EMBEDDING_FIELD,
+    CHUNK_STRATEGY,                                         // When set, the 'parent' mode searches MONGODB_CHUNK_COLLECTION
+    MONGODB_CHUNK_COLLECTION = 'chunks',
+    VOYAGE_API_URL,
+    VOYAGE_API_KEY,
+    VOYAGE_MODEL,
+    VOYAGE_MODEL_RERANK,
+    JINA_API_KEY,
+    JINA_API_URL,
+    JINA_RERANK_MODEL,
+    STORE_BUCKET,
+    LLM_PROVIDER = 'ollama',
+    LLM_MODEL,
+    LLM_URL,
+    LLM_API_KEY,
+    EVAL_TYPE = 'retrieval',                                // 'retrieval' | 'answers'
+    EVAL_RETRIEVER = 'atlas',                               // 'atlas' (MongoDB, as the server) | 'memory' (bundled films, in memory)
+    EVAL_GOLDEN = path.join(dataPath, 'eval', EVAL_TYPE === 'answers' ? 'answers.jsonl' : 'retrieval.jsonl'),
+    EVAL_K = '5',
+    EVAL_MODES = 'text,hybrid,image',                       // also 'parent' (parent-document retrieval over chunks)
+    EVAL_RERANK = 'both',                                   // 'both' | 'on' | 'off'
+    EVAL_OUTPUT,                                            // JSON report path (default: printed after the table)
+    EVAL_MIN_RECALL,                                        // Exit with code 1 if any evaluated run has a lower recall@k
+    EVAL_JUDGE_PROVIDER = LLM_PROVIDER,                     // Judge for groundedness; 'none' for the lexical check only
+    EVAL_JUDGE_MODEL = LLM_MODEL,
+    EVAL_JUDGE_URL = LLM_URL,
+    EVAL_JUDGE_API_KEY = LLM_API_KEY,
+    EVAL_MIN_GROUNDEDNESS,                                  // Exit with code 1 below this mean groundedness
+    EVAL_MIN_REFUSAL,                                       // Exit with code 1 below this refusal accuracy
+} = process.env;
+
+const COMPONENT = 'eval';
+
+/** Load a golden item image: URL, absolute path, or path relative to src/agent/data (like the seed covers). */
+async function loadImage(image) {
+    try {
+        if (/^https?:\/\//i.test(image)) {
+            const response = await fetch(image);
+            return response.ok ? Buffer.from(await response.arrayBuffer()) : null;
+        }
+        return await fs.readFile(path.isAbsolute(image) ? image : path.join(dataPath, image));
+    } catch (err) {
+        logger.warn(COMPONENT, 'Image load failed', { image, error: err.message });
+        return null;
+    }
+}
+
+const http = BATCH_HTTP_OPTIONS;
+const srvEmbedding = createEmbeddingServiceFromEnv(process.env, { http });
+const srvVoyage = srvEmbedding instanceof VoyageAIService
+    ? srvEmbedding
+    : VOYAGE_API_URL && VOYAGE_API_KEY
+        ? new VoyageAIService({ apiUrl: VOYAGE_API_URL, apiKey: VOYAGE_API_KEY, model: VOYAGE_MODEL, rerankModel: VOYAGE_MODEL_RERANK, http })
+        : null;
+const srvJinaRerank = JINA_API_KEY
+    ? new JinaRerankService({ apiUrl: JINA_API_URL, apiKey: JINA_API_KEY, model: JINA_RERANK_MODEL, http })
+    : null;
+
+/** Answering model (answers evaluation only); calls are always enabled. */
+function createAnswerLLM() {
+    if (!LLM_MODEL && LLM_PROVIDER !== 'echo') throw new Error('Missing LLM model configuration');
+    return createLLMService(LLM_PROVIDER, { model: LLM_MODEL, call: true, baseUrl: LLM_URL, apiKey: LLM_API_KEY });
+}
+
+/** Judge model for groundedness, or null (EVAL_JUDGE_PROVIDER=none) for the lexical check. */
+function createJudge() {
+    if (EVAL_JUDGE_PROVIDER === 'none') return null;
+    if (!EVAL_JUDGE_MODEL && EVAL_JUDGE_PROVIDER !== 'echo') throw new Error('Missing EVAL_JUDGE_MODEL (or use EVAL_JUDGE_PROVIDER=none)');
+    return createLLMService(EVAL_JUDGE_PROVIDER, { model: EVAL_JUDGE_MODEL, call: true, baseUrl: EVAL_JUDGE_URL, apiKey: EVAL_JUDGE_API_KEY });
+}
+
+/** Write the JSON report to EVAL_OUTPUT, or print it. */
+async function writeReport(report) {
+    const json = JSON.stringify(report, null, 2);
+    if (EVAL_OUTPUT) {
+        await fs.writeFile(EVAL_OUTPUT, json);
+        logger.info(COMPONENT, 'Report written', { file: EVAL_OUTPUT });
+    } else {
+        console.log(json);
+    }
+}
+
+/** Retrieval metrics per mode/rerank combination; fails below EVAL_MIN_RECALL. */
+async function evaluateRetrieval(retriever) {
+    const items = RetrievalEvalService.parseGolden(await fs.readFile(EVAL_GOLDEN, 'utf8'));
+    logger.info(COMPONENT, 'Golden set loaded', { file: EVAL_GOLDEN, questions: items.length, retriever: EVAL_RETRIEVER });
+
+    const srvEval = new RetrievalEvalService({
+        retriever,
+        k: parseInt(EVAL_K, 10) || 5,
+        modes: EVAL_MODES.split(',').map((mode) => mode.trim()).filter(Boolean),
+        rerank: EVAL_RERANK === 'on' ? [true] : EVAL_RERANK === 'off' ? [false] : [false, true],
+        loadImage,
+    });
+    const report = await srvEval.run(items);
+    report.retriever = EVAL_RETRIEVER;
+    report.embedding = srvEmbedding.modelId;
+
+    console.log(`\n${RetrievalEvalService.formatTable(report)}\n`);
+    await writeReport(report);
+
+    if (EVAL_MIN_RECALL) {
+        const min = Number(EVAL_MIN_RECALL);
+        const failing = report.runs.filter((run) => run.questions && run.recall < min);
+        if (failing.length) {
+            logger.error(COMPONENT, 'Recall below threshold', { min, runs: failing.map((run) => `${run.mode}/${run.rerank ? 'rerank' : 'plain'}=${run.recall.toFixed(3)}`).join(', ') });
+            process.exitCode = 1;
+        }
+    }
+}
+
+/** Answer quality per question and aggregated; fails below EVAL_MIN_GROUNDEDNESS / EVAL_MIN_REFUSAL. */
+async function evaluateAnswers(ragService) {
+    const items = AnswerEvalService.parseGolden(await fs.readFile(EVAL_GOLDEN, 'utf8'));
+    logger.info(COMPONENT, 'Golden set loaded', { file: EVAL_GOLDEN, questions: items.length, retriever: EVAL_RETRIEVER });
+
+    const srvEval = new AnswerEvalService({ ragService, judge: createJudge(), k: parseInt(EVAL_K, 10) || 5 });
+    const report = await srvEval.run(items);
+    report.retriever = EVAL_RETRIEVER;
+    report.embedding = srvEmbedding.modelId;
+    report.llm = `${ragService.srvLLM.provider}:${ragService.srvLLM.model}`;
+
+    console.log(`\n${AnswerEvalService.formatReport(report)}\n`);
+    await writeReport(report);
+
+    const { aggregate } = report;
+    const below = [
+        EVAL_MIN_GROUNDEDNESS && aggregate.groundedness !== null && aggregate.groundedness < Number(EVAL_MIN_GROUNDEDNESS) && `groundedness=${aggregate.groundedness.toFixed(3)}`,
+        EVAL_MIN_REFUSAL && aggregate.refusalAccuracy !== null && aggregate.refusalAccuracy < Number(EVAL_MIN_REFUSAL) && `refusalAccuracy=${aggregate.refusalAccuracy.toFixed(3)}`,
+    ].filter(Boolean);
+    if (below.length) {
+        logger.error(COMPONENT, 'Answer quality below threshold', { scores: below.join(', ') });
+        process.exitCode = 1;
+    }
+}
+
+let client = null;
+try {
+    if (EVAL_TYPE !== 'retrieval' && EVAL_TYPE !== 'answers') throw new Error(`Unknown EVAL_TYPE "${EVAL_TYPE}" (retrieval | answers)`);
+    const srvLLM = EVAL_TYPE === 'answers' ? createAnswerLLM() : undefined;
+
+    let retriever;
+    if (EVAL_RETRIEVER === 'memory') {
+        retriever = new MemoryRagService({ srvEmbedding, srvVoyage, srvJinaRerank, srvLLM, loadImage });
+        await retriever.index(films);
+    } else {
+        if (!MONGODB_URI) throw new Error('Missing MONGODB_URI (or use EVAL_RETRIEVER=memory)');
+        client = new MongoClient(MONGODB_URI);
+        await client.connect();
+        retriever = new RagService({
+            db: client.db(MONGODB_DB),
+            collectionName: MONGODB_COLLECTION,
+            srvEmbedding,
+            srvVoyage,
+            srvJinaRerank,
+            srvLLM,
+            srvStore: STORE_BUCKET ? new StoreService() : null,
+            searchIndexName: SEARCH_INDEX_NAME || undefined,
+            embeddingField: EMBEDDING_FIELD,
+            chunkCollectionName: CHUNK_STRATEGY ? MONGODB_CHUNK_COLLECTION : undefined,
+        });
+    }
+
+    if (EVAL_TYPE === 'answers') {
+        await evaluateAnswers(retriever);
+    } else {
+        await evaluateRetrieval(retriever);
+    }
+} catch (err) {
+    logger.error(COMPONENT, 'Evaluation failed', { error: err.message });
+    process.exitCode = 1;
+} finally {
+    if (client) await client.close();
+}
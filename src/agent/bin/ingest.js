@@ -1,56 +1,110 @@
 import 'dotenv/config';
+import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { MongoClient } from 'mongodb';
-import { VoyageAIService } from '../services/VoyageAIService.js';
+import { BATCH_HTTP_OPTIONS, createEmbeddingServiceFromEnv } from '../services/EmbeddingRegistry.js';
 import { StoreService } from '../services/StoreService.js';
 import { FilmService } from '../services/FilmService.js';
 import { SeedService } from '../services/SeedService.js';
+import { LoaderService } from '../services/LoaderService.js';
+import { createChunkingServiceFromEnv } from '../services/ChunkingService.js';
 import { films as seedDocuments } from '../data/films.js';
 import { logger } from '../utils/logger.js';
+import { formatProgress } from '../utils/progress.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Sources: file paths, directories or globs as arguments (`npm run agent:seed -- "catalog/*.csv"`) or INGEST_SOURCE;
+// without any, the bundled films in src/agent/data/films.js are seeded.
 const {
     MONGODB_URI,
     MONGODB_DB = 'rag',
     MONGODB_COLLECTION = 'films',
-    VOYAGE_API_URL,
-    VOYAGE_API_KEY,
-    VOYAGE_MODEL,
     STORE_BUCKET,
-    VOYAGE_IMAGE_EMBED_DELAY_MS,
-    RAG_EMBEDDINGS_ON = 'false'
+    SEED_BATCH_SIZE = '32', // documents per batch: one bulk upsert, embeddings batched up to the provider limits
+    SEED_UPLOAD_CONCURRENCY = '4', // cover uploads in flight (STORE_BUCKET)
+    SEED_CHECKPOINT = 'tmp/seed-checkpoint.json', // next batch of an interrupted seed; removed after a complete run
+    SEED_RESUME = 'true', // 'false' to ignore the checkpoint and start over (unchanged films are still skipped)
+    INGEST_SOURCE, // comma-separated paths, directories or globs (CSV, TSV, JSONL, JSON, Markdown, PDF)
+    INGEST_MAPPING, // field mapping: JSON file path or inline JSON, e.g. {"title":"Name","metadata":["Director"]}
+    INGEST_IMAGES_DIR, // base for relative cover images (default: the first source's directory)
+    // Chunking of descriptions into MONGODB_CHUNK_COLLECTION (default 'chunks'), read by createChunkingServiceFromEnv:
+    // CHUNK_STRATEGY ('fixed' | 'sentence' | 'semantic'; unset = no chunks), CHUNK_SIZE (characters, default 800),
+    // CHUNK_OVERLAP (characters, default 100), CHUNK_PERCENTILE (semantic breakpoint, default 90).
+    CHUNK_STRATEGY,
+    RAG_EMBEDDINGS_ON = 'false',
+    EMBEDDING_FIELD,
 } = process.env;
 
-/** Delay (ms) between image embedding API calls. Voyage free tier ≈ 3 RPM → min 20_000 ms (60s ÷ 3). Default 21s for margin. */
-const embedImageDelayMs = VOYAGE_IMAGE_EMBED_DELAY_MS ? parseInt(VOYAGE_IMAGE_EMBED_DELAY_MS, 10) : 21_000;
-
 if (!MONGODB_URI || !MONGODB_DB || !MONGODB_COLLECTION) {
     throw new Error('Missing MONGODB_URI, MONGODB_DB, or MONGODB_COLLECTION');
 }
-if (!VOYAGE_API_URL || !VOYAGE_API_KEY || !VOYAGE_MODEL) {
-    throw new Error('Missing VoyageAI configuration');
-}
-
 const client = new MongoClient(MONGODB_URI);
-const srvVoyage = new VoyageAIService({
-    apiUrl: VOYAGE_API_URL,
-    apiKey: VOYAGE_API_KEY,
-    model: VOYAGE_MODEL,
-});
+const srvEmbedding = createEmbeddingServiceFromEnv(process.env, { http: BATCH_HTTP_OPTIONS });
 const srvStore = STORE_BUCKET ? new StoreService() : null;
 
 const COMPONENT = 'ingest';
+const sources = process.argv.length > 2
+    ? process.argv.slice(2)
+    : (INGEST_SOURCE ?? '').split(',').map((s) => s.trim()).filter(Boolean);
+
+/** Progress bar on stderr, redrawn in place on a terminal (one line per batch otherwise). */
+function renderProgress(progress) {
+    if (process.stderr.isTTY) {
+        process.stderr.write(`\r${formatProgress(progress)}`);
+        if (progress.done === progress.total) process.stderr.write('\n');
+    } else {
+        process.stderr.write(`${formatProgress(progress)}\n`);
+    }
+}
+
+/** INGEST_MAPPING as inline JSON or a JSON file. */
+async function readMapping() {
+    if (!INGEST_MAPPING) return undefined;
+    const json = INGEST_MAPPING.trim().startsWith('{') ? INGEST_MAPPING : await fs.readFile(INGEST_MAPPING, 'utf8');
+    try {
+        return JSON.parse(json);
+    } catch (err) {
+        throw new Error(`INGEST_MAPPING: invalid JSON (${err.message})`);
+    }
+}
+
+/** Documents and cover image base: from the sources when given, else the bundled films. */
+async function loadDocuments() {
+    if (!sources.length) {
+        return { documents: seedDocuments, imagesBasePath: path.join(__dirname, '..', 'data') };
+    }
+    const loader = new LoaderService({ mapping: await readMapping() });
+    const documents = await loader.load(sources);
+    logger.info(COMPONENT, 'Sources loaded', { sources: sources.join(', '), documents: documents.length });
+    return { documents, imagesBasePath: path.resolve(INGEST_IMAGES_DIR ?? LoaderService.baseDir(sources[0])) };
+}
+
 async function main() {
+    const { documents, imagesBasePath } = await loadDocuments();
     try {
         logger.info(COMPONENT, 'Connecting to MongoDB', { db: MONGODB_DB, collection: MONGODB_COLLECTION });
         await client.connect();
-        const collection = client.db(MONGODB_DB).collection(MONGODB_COLLECTION);
-        const filmService = new FilmService({ collection, srvVoyage, srvStore, embeddingsOn: RAG_EMBEDDINGS_ON });
-        const imagesBasePath = path.join(__dirname, '..', 'data');
-        const seedService = new SeedService(filmService, { imagesBasePath, embedImageDelayMs });
-        await seedService.run(seedDocuments);
+        const db = client.db(MONGODB_DB);
+        const collection = db.collection(MONGODB_COLLECTION);
+        const srvChunking = createChunkingServiceFromEnv(process.env, { db, srvEmbedding });
+        if (srvChunking) {
+            await srvChunking.ensureIndexes();
+            logger.info(COMPONENT, 'Chunking descriptions', { strategy: CHUNK_STRATEGY, chunking: srvChunking.signature });
+        }
+        const filmService = new FilmService({ collection, srvEmbedding, srvStore, embeddingsOn: RAG_EMBEDDINGS_ON, embeddingField: EMBEDDING_FIELD, srvChunking });
+        const seedService = new SeedService(filmService, {
+            imagesBasePath,
+            batchSize: parseInt(SEED_BATCH_SIZE, 10),
+            uploadConcurrency: parseInt(SEED_UPLOAD_CONCURRENCY, 10),
+            checkpointPath: SEED_RESUME === 'false' ? undefined : SEED_CHECKPOINT,
+            onProgress: renderProgress,
+        });
+        const summary = await seedService.run(documents);
+        console.log(`Seed summary: ${summary.inserted} inserted, ${summary.updated} updated, ${summary.skipped} skipped, ${summary.failed} failed`
+            + (summary.resumedFrom ? ` (resumed at document ${summary.resumedFrom + 1})` : ''));
+        if (summary.failed) process.exitCode = 1;
     } finally {
         await client.close();
         logger.info(COMPONENT, 'MongoDB connection closed');
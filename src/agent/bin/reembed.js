@@ -0,0 +1,73 @@
+import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MongoClient } from 'mongodb';
+import { BATCH_HTTP_OPTIONS, createEmbeddingServiceFromEnv } from '../services/EmbeddingRegistry.js';
+import { ReembedService } from '../services/ReembedService.js';
+import { StoreService } from '../services/StoreService.js';
+import { DEFAULT_EMBEDDING_FIELD } from '../utils/embedding.js';
+import { logger } from '../utils/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Re-embed the catalog with the configured embedding provider (EMBEDDING_PROVIDER, VOYAGE_MODEL, ...) into REEMBED_FIELD.
+// Zero-downtime model switch: build the parallel indexes (agent:setup with EMBEDDING_FIELD=<new field>), run this,
+// then restart the server with EMBEDDING_FIELD=<new field> and the new model, and run this again to catch late writes.
+// Required: MONGODB_URI, REEMBED_FIELD (or EMBEDDING_FIELD)
+const {
+    MONGODB_URI,
+    MONGODB_DB = 'rag',
+    MONGODB_COLLECTION = 'films',
+    STORE_BUCKET,
+    EMBEDDING_FIELD = DEFAULT_EMBEDDING_FIELD,   // Field the server currently searches
+    REEMBED_FIELD = EMBEDDING_FIELD,             // Field to backfill, e.g. 'embedding_v2'
+    REEMBED_BATCH_SIZE = '50',                   // Documents per batch (one text embedding request per batch)
+    REEMBED_TYPES = 'text,image',                // Vector types to backfill
+    REEMBED_DELAY_MS = '0',                      // Pause between embedding API calls (rate-limited tiers)
+    REEMBED_RESTART = 'false',                   // 'true' to ignore the checkpoint and scan from the start
+    REEMBED_STATUS = 'false',                    // 'true' to only report progress
+    REEMBED_CHECKPOINTS_COLLECTION = 'reembed_checkpoints',
+    CHUNK_STRATEGY,                              // When set, also backfill the chunk vectors of MONGODB_CHUNK_COLLECTION
+    MONGODB_CHUNK_COLLECTION = 'chunks',
+} = process.env;
+
+const COMPONENT = 'reembed';
+if (!MONGODB_URI) {
+    throw new Error('Missing MONGODB_URI');
+}
+
+const client = new MongoClient(MONGODB_URI);
+
+try {
+    logger.info(COMPONENT, 'Connecting to MongoDB', { db: MONGODB_DB, collection: MONGODB_COLLECTION });
+    await client.connect();
+    const db = client.db(MONGODB_DB);
+    const srvReembed = new ReembedService({
+        collection: db.collection(MONGODB_COLLECTION),
+        checkpoints: db.collection(REEMBED_CHECKPOINTS_COLLECTION),
+        chunks: CHUNK_STRATEGY ? db.collection(MONGODB_CHUNK_COLLECTION) : null,
+        srvEmbedding: createEmbeddingServiceFromEnv(process.env, { http: BATCH_HTTP_OPTIONS }),
+        srvStore: STORE_BUCKET ? new StoreService() : null,
+        imagesBasePath: path.join(__dirname, '..', 'data'),
+        field: REEMBED_FIELD,
+        batchSize: parseInt(REEMBED_BATCH_SIZE, 10),
+        types: REEMBED_TYPES.split(',').map((type) => type.trim()).filter(Boolean),
+        delayMs: parseInt(REEMBED_DELAY_MS, 10),
+    });
+
+    if (REEMBED_STATUS === 'true') {
+        logger.info(COMPONENT, 'Status', { status: JSON.stringify(await srvReembed.status(), null, 2) });
+    } else {
+        if (srvReembed.field === EMBEDDING_FIELD) {
+            logger.warn(COMPONENT, 'Re-embedding the live field in place: queries may mix models until the run completes', { field: srvReembed.field });
+        }
+        const { status, ...totals } = await srvReembed.run({ restart: REEMBED_RESTART === 'true' });
+        logger.info(COMPONENT, status.ready ? `Done; switch with EMBEDDING_FIELD=${srvReembed.field}` : 'Done with stale documents remaining', { ...totals, status: JSON.stringify(status, null, 2) });
+    }
+} catch (err) {
+    logger.error(COMPONENT, 'Re-embed failed', { error: err.message });
+    process.exitCode = 1;
+} finally {
+    await client.close();
+    logger.info(COMPONENT, 'MongoDB connection closed');
+}
@@ -1,16 +1,28 @@
 import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import express from 'express';
 import { MongoClient } from 'mongodb';
-import { RagService } from '../services/RagService.js';
-import { OllamaService } from '../services/OllamaService.js';
+import { RagService, expansionFromMode } from '../services/RagService.js';
+import { AgentService } from '../services/AgentService.js';
+import { createLLMService } from '../services/LLMRegistry.js';
 import { VoyageAIService } from '../services/VoyageAIService.js';
+import { createEmbeddingServiceFromEnv } from '../services/EmbeddingRegistry.js';
 import { RagController } from '../controllers/RagController.js';
 import { FilmController } from '../controllers/FilmController.js';
+import { ConversationController } from '../controllers/ConversationController.js';
+import { AdminController } from '../controllers/AdminController.js';
+import { ConversationService } from '../services/ConversationService.js';
 import { FilmService } from '../services/FilmService.js';
 import { StoreService } from '../services/StoreService.js';
 import { JinaRerankService } from '../services/JinaRerankService.js';
+import { CacheService } from '../services/CacheService.js';
+import { createChunkingServiceFromEnv } from '../services/ChunkingService.js';
+import { PromptService } from '../services/PromptService.js';
 import { logger } from '../utils/logger.js';
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
 const {
     MONGODB_URI,
     MONGODB_DB,
@@ -19,9 +31,18 @@ const {
     VOYAGE_API_KEY,
     VOYAGE_MODEL,
     VOYAGE_MODEL_RERANK,
+    LLM_PROVIDER = 'ollama',
     LLM_MODEL,
     LLM_CALL,
     LLM_URL,
+    LLM_API_KEY,
+    LLM_HISTORY_TOKENS,
+    LLM_CONTEXT_WINDOW,                 // Model context window in tokens (default: the model's profile; Ollama: 4096 unless set, then sent as num_ctx)
+    LLM_CONTEXT_TOKENS,                 // Max estimated tokens of retrieved context per answer (default: what the window leaves)
+    LLM_CHARS_PER_TOKEN,                // Characters per token of the estimates (default: the model's profile, ~4)
+    LLM_ANSWER_TOKENS = '512',          // Tokens of the window kept for the answer
+    LLM_CONTEXT_OVERFLOW = 'truncate',  // Chunks beyond the context budget: truncate | summarize | drop
+    CONVERSATIONS_COLLECTION = 'conversations',
     PORT = 3000,
     AWS_REGION,
     STORE_BUCKET = 'films',
@@ -31,9 +52,27 @@ const {
     RAG_RERANK_TEXT_ON = 'false',
     RAG_RERANK_IMAGE_ON = 'false',
     RAG_EMBEDDINGS_ON = 'false',
+    RAG_NATIVE_FUSION = 'true',         // Hybrid search as one $rankFusion / $scoreFusion aggregation when the server supports it
+    RAG_QUERY_EXPANSION = 'off',        // Default query expansion before text/hybrid retrieval: off | multi | hyde | both
+    RAG_QUERY_PARAPHRASES = '3',        // Paraphrases generated by 'multi' and 'both' (1..5)
+    RAG_TOOL_ROUNDS = '5',              // Model ↔ tool round trips of /ask/tools (the last one must answer)
+    AGENT_MAX_STEPS = '12',             // Step budget of /ask/agent runs (route, retrieve, grade, rewrite, generate, check), 3..30
+    EMBEDDING_FIELD,
     JINA_API_KEY,
     JINA_API_URL,
     JINA_RERANK_MODEL,
+    CACHE_ON = 'true',                  // Cache query embeddings, rerank results and answers
+    CACHE_MAX_ENTRIES = '500',          // In-memory LRU size
+    CACHE_TTL_SECONDS = '3600',
+    CACHE_COLLECTION,                   // Optional MongoDB collection shared by replicas (TTL index), e.g. 'rag_cache'
+    CACHE_INDEX_VERSION = '',           // Bump after re-seeding so cached answers from the old catalog are not served
+    ADMIN_TOKEN,                        // /api/admin requires Authorization: Bearer <token>; unset, the admin routes are refused
+    PROMPTS_DIR = path.join(__dirname, '..', 'prompts'), // Prompt template files (*.json), see "Prompt templates"
+    PROMPTS_COLLECTION,                 // Optional MongoDB collection of prompt templates, e.g. 'prompts'
+    PROMPT_DEFAULT = 'default',         // Answer prompt template, <name> (latest version) or <name>@<version>
+    PROMPT_ROUTES = '',                 // Template per ask route, e.g. 'image=critic,hybrid=concise@2'
+    // CHUNK_STRATEGY, CHUNK_SIZE, CHUNK_OVERLAP, CHUNK_PERCENTILE, MONGODB_CHUNK_COLLECTION: same as the seed, so films
+    // created or edited through the API get their chunks rebuilt and /ask/parent searches the chunks (see createChunkingServiceFromEnv).
 } = process.env;
 
 const COMPONENT = 'server';
@@ -43,24 +82,29 @@ try {
     if (!MONGODB_DB) throw new Error('Missing MONGODB_DB');
     if (!MONGODB_COLLECTION) throw new Error('Missing MONGODB_COLLECTION');
 
-    if (!VOYAGE_API_URL || !VOYAGE_API_KEY || !VOYAGE_MODEL) {
-        throw new Error('Missing VoyageAI configuration');
-    }
+    // Embedding provider (EMBEDDING_PROVIDER); throws if its configuration is missing.
+    const srvEmbedding = createEmbeddingServiceFromEnv(process.env);
 
-    if (!LLM_MODEL) {
-        throw new Error('Missing Ollama model configuration');
+    if (!LLM_MODEL && LLM_PROVIDER !== 'echo') {
+        throw new Error('Missing LLM model configuration');
     }
 
     const mongoClient = new MongoClient(MONGODB_URI);
     await mongoClient.connect();
     logger.info(COMPONENT, 'MongoDB connected', { db: MONGODB_DB });
+    logger.info(COMPONENT, 'Embedding provider', { model: srvEmbedding.modelId, dimensions: srvEmbedding.dimensions, images: srvEmbedding.supportsImages });
 
-    const srvVoyage = new VoyageAIService({
-        apiUrl: VOYAGE_API_URL,
-        apiKey: VOYAGE_API_KEY,
-        model: VOYAGE_MODEL,
-        rerankModel: VOYAGE_MODEL_RERANK,
-    });
+    // Voyage is also the text reranker: reuse the embedding instance when it is Voyage, otherwise create one if configured.
+    const srvVoyage = srvEmbedding instanceof VoyageAIService
+        ? srvEmbedding
+        : VOYAGE_API_URL && VOYAGE_API_KEY
+            ? new VoyageAIService({
+                apiUrl: VOYAGE_API_URL,
+                apiKey: VOYAGE_API_KEY,
+                model: VOYAGE_MODEL,
+                rerankModel: VOYAGE_MODEL_RERANK,
+            })
+            : null;
 
     const db = mongoClient.db(MONGODB_DB);
     const collection = db.collection(MONGODB_COLLECTION);
@@ -78,30 +122,75 @@ try {
         ? new JinaRerankService({ apiUrl: JINA_API_URL, apiKey: JINA_API_KEY, model: JINA_RERANK_MODEL })
         : null;
 
+    const cache = CACHE_ON === 'true' || CACHE_ON === '1'
+        ? new CacheService({
+            maxEntries: parseInt(CACHE_MAX_ENTRIES, 10) || undefined,
+            ttlSeconds: parseInt(CACHE_TTL_SECONDS, 10) || undefined,
+            collection: CACHE_COLLECTION ? db.collection(CACHE_COLLECTION) : null,
+        })
+        : null;
+    if (cache) {
+        await cache.ensureIndexes();
+        logger.info(COMPONENT, 'Cache enabled', { maxEntries: cache.maxEntries, ttlSeconds: cache.ttlSeconds, store: CACHE_COLLECTION ?? 'memory' });
+    }
+
+    const srvPrompt = new PromptService({
+        dir: PROMPTS_DIR,
+        collection: PROMPTS_COLLECTION ? db.collection(PROMPTS_COLLECTION) : null,
+        defaultPrompt: PROMPT_DEFAULT,
+        routes: PromptService.parseRoutes(PROMPT_ROUTES),
+    });
+    await srvPrompt.load();
+
+    const srvChunking = createChunkingServiceFromEnv(process.env, { db, srvEmbedding });
+    const filmService = new FilmService({ collection, srvEmbedding, srvStore, embeddingsOn: RAG_EMBEDDINGS_ON, embeddingField: EMBEDDING_FIELD, cache, srvChunking });
     const ragService = new RagService({
         db,
         srvVoyage,
+        srvEmbedding,
         collectionName: MONGODB_COLLECTION,
-        srvLLM: new OllamaService({
+        srvLLM: createLLMService(LLM_PROVIDER, {
             model: LLM_MODEL,
             call: LLM_CALL === 'true',
             baseUrl: LLM_URL,
+            apiKey: LLM_API_KEY,
+            historyTokens: LLM_HISTORY_TOKENS ? parseInt(LLM_HISTORY_TOKENS, 10) : undefined,
+            contextWindow: parseInt(LLM_CONTEXT_WINDOW, 10) || undefined,
+            contextTokens: parseInt(LLM_CONTEXT_TOKENS, 10) || undefined,
+            charsPerToken: parseFloat(LLM_CHARS_PER_TOKEN) || undefined,
+            answerTokens: parseInt(LLM_ANSWER_TOKENS, 10) || undefined,
+            contextOverflow: LLM_CONTEXT_OVERFLOW,
         }),
         searchIndexName: SEARCH_INDEX_NAME || undefined,
         useRerank: RAG_RERANK_TEXT_ON === 'true' || RAG_RERANK_TEXT_ON === '1',
         useRerankImage: RAG_RERANK_IMAGE_ON === 'true' || RAG_RERANK_IMAGE_ON === '1',
+        nativeFusion: RAG_NATIVE_FUSION !== 'false' && RAG_NATIVE_FUSION !== '0',
+        expansion: expansionFromMode(RAG_QUERY_EXPANSION, parseInt(RAG_QUERY_PARAPHRASES, 10)),
         srvJinaRerank,
         srvStore,
+        embeddingField: EMBEDDING_FIELD,
+        cache,
+        indexVersion: CACHE_INDEX_VERSION,
+        chunkCollectionName: srvChunking?.collection.collectionName,
+        srvFilm: filmService,
+        toolRounds: parseInt(RAG_TOOL_ROUNDS, 10) || undefined,
+        srvPrompt,
     });
-    const filmService = new FilmService({ collection, srvStore, embeddingsOn: RAG_EMBEDDINGS_ON });
-    const ragController = new RagController(ragService);
+    ragService.checkEmbeddingModel().catch((err) => logger.warn(COMPONENT, 'Embedding model check failed', { error: err.message }));
+    const conversationService = new ConversationService({ collection: db.collection(CONVERSATIONS_COLLECTION) });
+    const agentService = new AgentService({ ragService, maxSteps: parseInt(AGENT_MAX_STEPS, 10) });
+    const ragController = new RagController(ragService, agentService);
     const filmController = new FilmController(filmService);
+    const conversationController = new ConversationController(conversationService, ragService);
+    const adminController = new AdminController(cache, { token: ADMIN_TOKEN, srvPrompt });
 
     const app = express();
     app.use(express.json({ limit: '10mb' }));
 
     app.use('/api/films', ragController.router);
     app.use('/api/films', filmController.router);
+    app.use('/api/conversations', conversationController.router);
+    app.use('/api/admin', adminController.router);
 
     app.get('/api/health', (_req, res) => res.json({ status: 'ok' }));
 
@@ -113,7 +202,12 @@ try {
             askText: '/api/films/ask/text',
             askImage: '/api/films/ask/image',
             askHybrid: '/api/films/ask/hybrid',
+            askAgent: '/api/films/ask/agent',
+            askTools: '/api/films/ask/tools',
             films: '/api/films',
+            conversations: '/api/conversations',
+            admin: '/api/admin/cache',
+            prompts: '/api/admin/prompts',
         });
     });
 } catch (err) {
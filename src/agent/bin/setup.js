@@ -1,23 +1,28 @@
 import 'dotenv/config';
 import { MongoClient } from 'mongodb';
 import { SetupService } from '../services/SetupService.js';
+import { createEmbeddingServiceFromEnv } from '../services/EmbeddingRegistry.js';
 import { logger } from '../utils/logger.js';
 
 // Environment variables (defaults for local/dev; override in .env)
 // Required: MONGODB_URI
-// Optional: MONGODB_DB, MONGODB_COLLECTION, VECTOR_INDEX_NAME, VECTOR_DIMENSIONS, VECTOR_DIMENSIONS_TEXT, VECTOR_DIMENSIONS_IMAGE, VECTOR_SIMILARITY, ENABLE_VECTOR_VALIDATION
+// Optional: MONGODB_DB, MONGODB_COLLECTION, VECTOR_INDEX_NAME, VECTOR_DIMENSIONS, VECTOR_DIMENSIONS_TEXT, VECTOR_DIMENSIONS_IMAGE, VECTOR_SIMILARITY, ENABLE_VECTOR_VALIDATION, EMBEDDING_PROVIDER, EMBEDDING_FIELD, CHUNK_STRATEGY, MONGODB_CHUNK_COLLECTION
 const {
     MONGODB_URI,                                 // MongoDB connection string
     MONGODB_DB = 'rag',                          // Database name
     MONGODB_COLLECTION = 'films',                // Collection to store documents with embeddings
     MONGODB_VECTOR_VALIDATION = 'true',          // 'true' to enforce schema (title, description, coverImage, embedding.text, embedding.image)
     VECTOR_INDEX_NAME = 'rag_vector',            // Base name for vector indexes; actual index names will be `${VECTOR_INDEX_NAME}_text_index` and `${VECTOR_INDEX_NAME}_image_index`
-    VECTOR_DIMENSIONS = '1024',                  // Used for both if VECTOR_DIMENSIONS_TEXT/IMAGE not set
-    VECTOR_DIMENSIONS_TEXT,                      // Text embedding size (e.g. Voyage 1024)
-    VECTOR_DIMENSIONS_IMAGE,                     // Image embedding size (e.g. CLIP 512)
+    VECTOR_DIMENSIONS,                           // Both index sizes when the embedding provider is unavailable (default 1024); must match the provider's sizes otherwise
+    VECTOR_DIMENSIONS_TEXT,                      // Text index size, same rule
+    VECTOR_DIMENSIONS_IMAGE,                     // Image index size, same rule
     VECTOR_SIMILARITY = 'cosine',                // 'cosine' | 'euclidean' | 'dotProduct'
     VECTOR_INDEX_TYPE = 'both',                  // 'image' | 'text' | 'composed' | 'both'
     VECTOR_INDEX_CLEAN = 'false',                // 'image' | 'text' | 'composed' | 'both'
+    EMBEDDING_PROVIDER = 'voyage',               // Index sizes follow the provider ('voyage' | 'ollama' | 'hash')
+    EMBEDDING_FIELD = 'embedding',               // Vector field to index; another name (e.g. 'embedding_v2') builds parallel indexes for reembed
+    CHUNK_STRATEGY,                              // When set ('fixed' | 'sentence' | 'semantic'), also set up the chunks collection and its vector index
+    MONGODB_CHUNK_COLLECTION = 'chunks',         // Chunks collection (parent film id, position, offsets, text vector)
 } = process.env;
 
 const COMPONENT = 'setup';
@@ -27,23 +32,38 @@ if (!MONGODB_URI) {
 
 const client = new MongoClient(MONGODB_URI);
 
+/**
+ * Embedding provider whose vector sizes the indexes get, or undefined (with a warning) when its configuration is
+ * missing, e.g. no Voyage key on the machine running setup.
+ */
+function embeddingProviderOrUndefined() {
+    try {
+        return createEmbeddingServiceFromEnv({ ...process.env, EMBEDDING_PROVIDER });
+    } catch (err) {
+        logger.warn(COMPONENT, 'Embedding provider unavailable, index sizes from VECTOR_DIMENSIONS or 1024', { provider: EMBEDDING_PROVIDER, error: err.message });
+        return undefined;
+    }
+}
+
 try {
     logger.info(COMPONENT, 'Connecting to MongoDB', { db: MONGODB_DB, collection: MONGODB_COLLECTION });
     await client.connect();
     const db = client.db(MONGODB_DB);
-    const dim = Number(VECTOR_DIMENSIONS);
     const setupService = new SetupService(db, {
         collectionName: MONGODB_COLLECTION,
         vectorIndexName: VECTOR_INDEX_NAME,
-        dimensions: dim,
+        dimensions: VECTOR_DIMENSIONS != null ? Number(VECTOR_DIMENSIONS) : undefined,
         dimensionsText: VECTOR_DIMENSIONS_TEXT != null ? Number(VECTOR_DIMENSIONS_TEXT) : undefined,
         dimensionsImage: VECTOR_DIMENSIONS_IMAGE != null ? Number(VECTOR_DIMENSIONS_IMAGE) : undefined,
+        srvEmbedding: embeddingProviderOrUndefined(),
+        embeddingField: EMBEDDING_FIELD,
         similarity: VECTOR_SIMILARITY,
         enableValidation: MONGODB_VECTOR_VALIDATION.toLowerCase() === 'true',
         indexType: VECTOR_INDEX_TYPE,
-        clean: VECTOR_INDEX_CLEAN !== 'false'
+        clean: VECTOR_INDEX_CLEAN !== 'false',
+        chunkCollectionName: CHUNK_STRATEGY ? MONGODB_CHUNK_COLLECTION : undefined,
     });
-    logger.info(COMPONENT, 'Running setup', { vectorIndexName: VECTOR_INDEX_NAME, dimensionsText: setupService.dimensionsText, dimensionsImage: setupService.dimensionsImage });
+    logger.info(COMPONENT, 'Running setup', { vectorIndexName: VECTOR_INDEX_NAME, embeddingField: setupService.embeddingField, dimensionsText: setupService.dimensionsText, dimensionsImage: setupService.dimensionsImage });
     await setupService.run();
     logger.info(COMPONENT, 'Setup complete');
 } catch (err) {
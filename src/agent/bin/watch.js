@@ -1,24 +1,18 @@
 import 'dotenv/config';
 import { StoreService } from '../services/StoreService.js';
-import { VoyageAIService } from '../services/VoyageAIService.js';
+import { BATCH_HTTP_OPTIONS, createEmbeddingServiceFromEnv } from '../services/EmbeddingRegistry.js';
 import { mimeFromUrl } from '../utils/utl.js';
+import { toEmbeddingField, vectorMeta } from '../utils/embedding.js';
 
 const {
-    VOYAGE_API_URL,
-    VOYAGE_API_KEY,
-    VOYAGE_MODEL,
-    VOYAGE_MULTIMODAL_MODEL,
     STORE_BUCKET,
     STORE_ENDPOINT,
     AWS_REGION,
+    EMBEDDING_FIELD,
 } = process.env;
 
-const srvVoyage = new VoyageAIService({
-    apiUrl: VOYAGE_API_URL,
-    apiKey: VOYAGE_API_KEY,
-    model: VOYAGE_MODEL,
-    multimodalModel: VOYAGE_MULTIMODAL_MODEL,
-});
+const srvEmbedding = createEmbeddingServiceFromEnv(process.env, { http: BATCH_HTTP_OPTIONS });
+const embeddingField = toEmbeddingField(EMBEDDING_FIELD);
 
 const storeService = STORE_BUCKET
     ? new StoreService({
@@ -36,13 +30,15 @@ const storeService = STORE_BUCKET
 export async function insert(change, tools) {
     const { assistant, dbName, collectionName, collection } = tools;
     // Initialize an object to hold the new fields to be added to the document
-    const updatedDoc = { embedding: {} };
+    const updatedDoc = { [embeddingField]: {} };
+    const embedding = updatedDoc[embeddingField];
+    const current = change?.fullDocument?.[embeddingField];
     const textContent = change?.fullDocument?.description || '';
 
     try {
-        if (!change?.fullDocument?.embedding?.text?.length) {
+        if (!current?.text?.length) {
             // Generate text embedding if description field exists in the inserted document
-            const textEmbedding = textContent && await srvVoyage.getEmbedding(textContent);
+            const textEmbedding = textContent && await srvEmbedding.getEmbedding(textContent);
 
             // Log a warning if no text embedding was generated for a document that has a description field
             if (!textEmbedding?.length) {
@@ -57,7 +53,7 @@ export async function insert(change, tools) {
                     },
                 });
             } else {
-                updatedDoc.embedding.text = textEmbedding;
+                embedding.text = textEmbedding;
             }
         } else {
             assistant?.logger?.warn({
@@ -66,14 +62,14 @@ export async function insert(change, tools) {
             });
         }
 
-        if (!change?.fullDocument?.embedding?.image?.length) {
+        if (!current?.image?.length) {
             // If document has coverImage and we have store + multimodal, load image from store and get image embedding
             const coverImageUrl = change?.fullDocument?.coverImage;
             if (coverImageUrl && storeService) {
                 const imageBuffer = await storeService.readFromUrl(coverImageUrl);
                 if (imageBuffer?.length) {
                     const mimeType = mimeFromUrl(coverImageUrl);
-                    const imageEmbedding = await srvVoyage.getImageEmbedding(imageBuffer, mimeType);
+                    const imageEmbedding = await srvEmbedding.getImageEmbedding(imageBuffer, mimeType);
                     if (!imageEmbedding?.length) {
                         assistant?.logger?.warn({
                             flow: tools.flow,
@@ -86,7 +82,7 @@ export async function insert(change, tools) {
                             },
                         });
                     }
-                    updatedDoc.embedding.image = imageEmbedding;
+                    embedding.image = imageEmbedding;
                 } else {
                     assistant?.logger?.warn({
                         flow: tools.flow,
@@ -108,7 +104,7 @@ export async function insert(change, tools) {
         }
 
         // Skip update if no embeddings were generated
-        if (!updatedDoc.embedding.text?.length && !updatedDoc.embedding.image?.length) {
+        if (!embedding.text?.length && !embedding.image?.length) {
             assistant?.logger?.warn({
                 flow: tools.flow,
                 message: "No actions taken on document due to missing embeddings",
@@ -122,6 +118,12 @@ export async function insert(change, tools) {
             return;
         }
 
+        // Record which model produced each vector
+        embedding.meta = {
+            text: vectorMeta(srvEmbedding.modelId, embedding.text),
+            image: vectorMeta(srvEmbedding.imageModelId, embedding.image),
+        };
+
         // Update the document with the new embeddings
         const res = await collection.updateOne(change.documentKey, { $set: updatedDoc });
 
@@ -134,8 +136,8 @@ export async function insert(change, tools) {
                 collection: collectionName,
                 document: change.fullDocument,
                 embedding: {
-                    text: updatedDoc.embedding.text?.length,
-                    image: updatedDoc.embedding.image?.length,
+                    text: embedding.text?.length,
+                    image: embedding.image?.length,
                 },
                 updateResult: res
             },
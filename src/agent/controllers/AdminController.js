@@ -0,0 +1,102 @@
+import { Router } from 'express';
+import { CacheService } from '../services/CacheService.js';
+import { logger } from '../utils/logger.js';
+
+const COMPONENT = 'controller:admin';
+
+/** Cache namespaces that can be flushed individually. */
+const CACHE_NAMESPACES = ['embedding', 'rerank', 'answer'];
+
+export class AdminController {
+
+    /**
+     * @param {CacheService | null} cache - RAG cache (null when CACHE_ON=false)
+     * @param {{ token?: string, srvPrompt?: import('../services/PromptService.js').PromptService }} [options] - token: ADMIN_TOKEN; requests need `Authorization: Bearer <token>`, and without a token every route is refused; srvPrompt: prompt templates listed and reloaded under /prompts
+     */
+    constructor(cache, options = {}) {
+        this.cache = cache;
+        this.token = options.token || null;
+        this.srvPrompt = options.srvPrompt ?? null;
+        if (!this.token) logger.warn(COMPONENT, 'Admin API disabled, set ADMIN_TOKEN to enable it');
+        this.router = Router();
+        this.registerRoutes();
+    }
+
+    registerRoutes() {
+        this.router.use(this.authorize.bind(this));
+        this.router.get('/cache', this.cacheStats.bind(this));
+        this.router.delete('/cache', this.flushCache.bind(this));
+        this.router.get('/prompts', this.listPrompts.bind(this));
+        this.router.post('/prompts/reload', this.reloadPrompts.bind(this));
+    }
+
+    authorize(req, res, next) {
+        if (!this.token) {
+            logger.warn(COMPONENT, 'Admin API disabled', { path: req.path });
+            return res.status(403).json({ error: 'Admin API is disabled: set ADMIN_TOKEN' });
+        }
+        if (req.get('authorization') !== `Bearer ${this.token}`) {
+            logger.warn(COMPONENT, 'Unauthorized', { path: req.path });
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        return next();
+    }
+
+    async cacheStats(_req, res) {
+        if (!this.cache) return res.status(404).json({ error: 'Cache is disabled' });
+        return res.status(200).json(this.cache.stats());
+    }
+
+    /**
+     * Flush the cache: all namespaces, or one with ?namespace=embedding|rerank|answer.
+     */
+    async flushCache(req, res) {
+        try {
+            if (!this.cache) return res.status(404).json({ error: 'Cache is disabled' });
+            const { namespace } = req.query;
+            if (namespace !== undefined && !CACHE_NAMESPACES.includes(namespace)) {
+                logger.warn(COMPONENT, 'Invalid request', { reason: 'Unknown cache namespace' });
+                return res.status(400).json({ error: `"namespace" must be one of: ${CACHE_NAMESPACES.join(', ')}` });
+            }
+            const removed = await this.cache.flush(namespace);
+            return res.status(200).json({ namespace: namespace ?? 'all', removed });
+        } catch (err) {
+            logger.error(COMPONENT, 'Cache flush failed', { error: err.message });
+            return res.status(500).json({
+                error: 'Internal server error',
+                details: process.env.NODE_ENV === 'development' ? err.message : undefined,
+            });
+        }
+    }
+
+    /**
+     * Prompt templates: name, versions and description, plus the default and per-route selections.
+     */
+    async listPrompts(_req, res) {
+        if (!this.srvPrompt) return res.status(404).json({ error: 'Prompt templates are not configured' });
+        const ref = ({ name, version }) => (version ? `${name}@${version}` : name);
+        return res.status(200).json({
+            templates: this.srvPrompt.list(),
+            default: ref(this.srvPrompt.defaultPrompt),
+            routes: Object.fromEntries(Object.entries(this.srvPrompt.routes).map(([route, selected]) => [route, ref(selected)])),
+        });
+    }
+
+    /**
+     * Reload the prompt templates from their directory and collection (after adding or editing a version). When the
+     * reload fails (e.g. a configured template is gone) the templates loaded before stay in use.
+     */
+    async reloadPrompts(_req, res) {
+        try {
+            if (!this.srvPrompt) return res.status(404).json({ error: 'Prompt templates are not configured' });
+            const counts = await this.srvPrompt.load();
+            return res.status(200).json({ ...counts, templates: this.srvPrompt.list() });
+        } catch (err) {
+            logger.error(COMPONENT, 'Prompt reload failed, previous templates kept', { error: err.message });
+            return res.status(500).json({
+                error: 'Internal server error',
+                details: process.env.NODE_ENV === 'development' ? err.message : undefined,
+            });
+        }
+    }
+}
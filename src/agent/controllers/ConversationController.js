@@ -0,0 +1,123 @@
+import { Router } from 'express';
+import { ConversationService } from '../services/ConversationService.js';
+import { RagService } from '../services/RagService.js';
+import { logger } from '../utils/logger.js';
+import { parseFilter } from '../utils/filter.js';
+import { wantsEventStream, streamAnswer } from '../utils/sse.js';
+
+const COMPONENT = 'controller:conversation';
+
+/** Ask modes available for conversation turns. */
+const TURN_MODES = ['text', 'hybrid'];
+
+export class ConversationController {
+
+    /**
+     * @param {ConversationService} conversationService
+     * @param {RagService} ragService
+     */
+    constructor(conversationService, ragService) {
+        this.conversationService = conversationService;
+        this.ragService = ragService;
+        this.router = Router();
+        this.registerRoutes();
+    }
+
+    registerRoutes() {
+        this.router.post('/', this.create.bind(this));
+        this.router.get('/:id', this.getOne.bind(this));
+        this.router.post('/:id/turns', this.handleTurn.bind(this));
+    }
+
+    applyCallFlag(req) {
+        if (req.query?.call !== undefined) {
+            this.ragService.srvLLM.call = req.query.call === 'true';
+        }
+    }
+
+    async create(req, res) {
+        try {
+            const title = typeof req.body?.title === 'string' ? req.body.title.trim() : undefined;
+            const conversation = await this.conversationService.create({ title });
+            return res.status(201).json(conversation);
+        } catch (err) {
+            logger.error(COMPONENT, 'Create failed', { error: err.message });
+            return res.status(500).json({
+                error: 'Internal server error',
+                details: process.env.NODE_ENV === 'development' ? err.message : undefined,
+            });
+        }
+    }
+
+    async getOne(req, res) {
+        try {
+            const conversation = await this.conversationService.findById(req.params.id);
+            if (!conversation) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+            return res.status(200).json(conversation);
+        } catch (err) {
+            logger.error(COMPONENT, 'Get one failed', { error: err.message });
+            return res.status(500).json({
+                error: 'Internal server error',
+                details: process.env.NODE_ENV === 'development' ? err.message : undefined,
+            });
+        }
+    }
+
+    /**
+     * Post a turn: load prior turns, run RAG with them as history (follow-ups are rewritten into standalone queries),
+     * store the turn and return the answer. Supports the same k/filter/call/stream options as the ask routes.
+     */
+    async handleTurn(req, res) {
+        try {
+            const { id } = req.params;
+            const { question, mode = 'text' } = req.body ?? {};
+            if (!question || typeof question !== 'string' || !question.trim()) {
+                logger.warn(COMPONENT, 'Invalid request', { reason: 'Missing or invalid question' });
+                return res.status(400).json({ error: 'Missing or invalid "question" field' });
+            }
+            if (!TURN_MODES.includes(mode)) {
+                logger.warn(COMPONENT, 'Invalid request', { reason: 'Invalid mode', mode });
+                return res.status(400).json({ error: `Invalid "mode" field, expected one of: ${TURN_MODES.join(', ')}` });
+            }
+            let filter;
+            try {
+                filter = parseFilter(req.body?.filter);
+            } catch (err) {
+                logger.warn(COMPONENT, 'Invalid request', { reason: err.message });
+                return res.status(400).json({ error: err.message });
+            }
+
+            const history = await this.conversationService.getHistory(id);
+            if (!history) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+
+            this.applyCallFlag(req);
+            const k = Math.min(20, Math.max(1, parseInt(req.query.k, 10) || 5));
+            const options = { k, filter, history };
+            logger.info(COMPONENT, 'Turn', { id, mode, turns: history.length, questionLength: question.length });
+
+            const run = async (stream) => {
+                const ask = mode === 'hybrid' ? this.ragService.askHybrid : this.ragService.askText;
+                const result = await ask.call(this.ragService, question.trim(), { ...options, stream });
+                await this.conversationService.addTurn(id, { ...result, question: question.trim(), mode });
+                return { conversationId: id, ...result };
+            };
+
+            if (wantsEventStream(req)) {
+                return streamAnswer(res, run, { component: COMPONENT, label: 'Turn' });
+            }
+            const result = await run();
+            logger.info(COMPONENT, 'Turn done', { id, contextChunks: result.contextChunks?.length ?? 0 });
+            return res.status(200).json(result);
+        } catch (err) {
+            logger.error(COMPONENT, 'Turn failed', { error: err.message });
+            return res.status(500).json({
+                error: 'Internal server error',
+                details: process.env.NODE_ENV === 'development' ? err.message : undefined,
+            });
+        }
+    }
+}
@@ -2,6 +2,7 @@ import { Router } from 'express';
 import { FilmService } from '../services/FilmService.js';
 import { logger } from '../utils/logger.js';
 import { multipart } from '../utils/utl.js';
+import { parseFilter } from '../utils/filter.js';
 
 const COMPONENT = 'controller:film';
 const files = multipart({ component: COMPONENT });
@@ -61,8 +62,15 @@ export class FilmController {
                 ? FilmService.defaultPageSize
                 : Math.min(FilmService.maxPageSize, limitParam);
             const includeTotal = req.query.includeTotal === 'true';
+            let filter;
+            try {
+                filter = parseFilter(req.query.filter);
+            } catch (err) {
+                logger.warn(COMPONENT, 'List rejected', { reason: err.message });
+                return res.status(400).json({ error: err.message });
+            }
 
-            const result = await this.filmService.findAll({ page, limit, includeTotal });
+            const result = await this.filmService.findAll({ page, limit, includeTotal, filter });
             return res.status(200).json(result);
         } catch (err) {
             logger.error(COMPONENT, 'List failed', { error: err.message });
@@ -1,15 +1,27 @@
 import { Router } from 'express';
-import { RagService } from '../services/RagService.js';
+import { RagService, PARENT_CONTEXTS, PARENT_SCORINGS, HYBRID_LISTS, MULTIMODAL_LISTS, EXPANSION_MODES, MAX_PARAPHRASES, expansionFromMode } from '../services/RagService.js';
 import { logger } from '../utils/logger.js';
 import { multipart, getImageFromRequest } from '../utils/utl.js';
+import { parseFilter } from '../utils/filter.js';
+import { parseOutputSchema } from '../utils/schema.js';
+import { FUSION_NORMALIZATIONS, FUSION_STRATEGIES } from '../utils/fusion.js';
+import { AgentService } from '../services/AgentService.js';
+import { wantsEventStream, streamAnswer } from '../utils/sse.js';
 
 const COMPONENT = 'controller:rag';
+/** Query parameters of the retrieval, fusion and expansion options (readAskOptions), rejected on routes without them. */
+const RETRIEVAL_PARAMS = Object.freeze(['retrieval', 'scoring', 'context', 'fusion', 'weights', 'normalization', 'rankConstant', 'explain', 'expand', 'paraphrases']);
 const files = multipart({ component: COMPONENT });
 
 export class RagController {
-    constructor(ragService) {
+    /**
+     * @param {RagService} ragService
+     * @param {AgentService} [agentService] - runs /ask/agent (default: an AgentService over ragService)
+     */
+    constructor(ragService, agentService) {
         /** @type {RagService} */
         this.ragService = ragService;
+        this.agentService = agentService ?? new AgentService({ ragService });
         this.router = Router();
         this.registerRoutes();
     }
@@ -19,6 +31,10 @@ export class RagController {
         this.router.post('/ask/text', this.handleAskText.bind(this));
         this.router.post('/ask/image', files, this.handleAskImage.bind(this));
         this.router.post('/ask/hybrid', this.handleAskHybrid.bind(this));
+        this.router.post('/ask/parent', this.handleAskParent.bind(this));
+        this.router.post('/ask/multimodal', files, this.handleAskMultimodal.bind(this));
+        this.router.post('/ask/agent', files, this.handleAskAgent.bind(this));
+        this.router.post('/ask/tools', this.handleAskTools.bind(this));
     }
 
     applyCallFlag(req) {
@@ -27,6 +43,131 @@ export class RagController {
         }
     }
 
+    /**
+     * Read the hybrid fusion options from the query: `fusion` (rrf | score), `weights` (`vector:2,fullText:1`),
+     * `normalization` (sigmoid | minMaxScaler | zScore | none, score fusion only), `rankConstant` (RRF k, default 60)
+     * and `explain` (true adds each result's per-list ranks and contributions). Undefined when none is given.
+     * @param {Record<string, string>} query
+     * @param {readonly string[]} [lists] - list names accepted in `weights` (default HYBRID_LISTS)
+     * @returns {{ fusion?: import('../services/RagService.js').RagFusionOptions, error?: string }}
+     */
+    readFusionOptions(query, lists = HYBRID_LISTS) {
+        const { fusion: strategy, weights, normalization, rankConstant, explain } = query ?? {};
+        if ([strategy, weights, normalization, rankConstant, explain].every((value) => value === undefined)) return {};
+        if (strategy !== undefined && !FUSION_STRATEGIES.includes(strategy)) {
+            return { error: `Invalid "fusion": use ${FUSION_STRATEGIES.join(' or ')}` };
+        }
+        if (normalization !== undefined && !FUSION_NORMALIZATIONS.includes(normalization)) {
+            return { error: `Invalid "normalization": use ${FUSION_NORMALIZATIONS.join(', ')}` };
+        }
+        const fusion = { strategy: strategy ?? 'rrf' };
+        if (normalization !== undefined) fusion.normalization = normalization;
+        if (rankConstant !== undefined) {
+            const value = Number(rankConstant);
+            if (!Number.isFinite(value) || value < 0) return { error: 'Invalid "rankConstant": must be a non-negative number' };
+            fusion.rankConstant = value;
+        }
+        if (explain === 'true' || explain === '1') fusion.explain = true;
+        if (weights !== undefined) {
+            fusion.weights = {};
+            for (const pair of String(weights).split(',')) {
+                const [name, value] = pair.split(':').map((part) => part.trim());
+                const weight = Number(value);
+                if (!lists.includes(name) || !value || !Number.isFinite(weight) || weight < 0) {
+                    return { error: `Invalid "weights": use ${lists.map((list) => `${list}:<number>`).join(',')} with non-negative numbers` };
+                }
+                fusion.weights[name] = weight;
+            }
+        }
+        return { fusion };
+    }
+
+    /**
+     * Read the query expansion options from the query: `expand` (off | multi | hyde | both) and `paraphrases`
+     * (1..MAX_PARAPHRASES, default 3; alone it means `expand=multi`). Undefined when neither is given (server default).
+     * @param {Record<string, string>} query
+     * @returns {{ expansion?: import('../services/RagService.js').RagExpansionOptions | null, error?: string }}
+     */
+    readExpansionOptions(query) {
+        const { expand, paraphrases } = query ?? {};
+        if (expand === undefined && paraphrases === undefined) return {};
+        if (expand !== undefined && !EXPANSION_MODES.includes(expand)) {
+            return { error: `Invalid "expand": use ${EXPANSION_MODES.join(', ')}` };
+        }
+        const count = paraphrases === undefined ? 3 : Number(paraphrases);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_PARAPHRASES) {
+            return { error: `Invalid "paraphrases": must be an integer from 1 to ${MAX_PARAPHRASES}` };
+        }
+        return { expansion: expansionFromMode(expand ?? 'multi', count) };
+    }
+
+    /**
+     * Read the answer prompt template: `prompt` (query, `name` or `name@version`; default: the route's template, see
+     * PromptService) and `promptVariables` (body, object or JSON string for form-data, e.g. `{ "persona": "a film critic" }`).
+     * @param {express.Request} req
+     * @param {string} [route] - ask route name (PROMPT_ROUTE_NAMES); none: the route does not use answer templates
+     * @returns {{ prompt?: import('../services/RagService.js').RagPrompt, error?: string }}
+     */
+    readPromptOptions(req, route) {
+        const ref = req.query?.prompt;
+        let variables = req.body?.promptVariables;
+        if (!route) return ref !== undefined || variables !== undefined ? { error: '"prompt" is not supported on this route' } : {};
+        if (typeof variables === 'string') {
+            try {
+                variables = JSON.parse(variables);
+            } catch {
+                return { error: 'Invalid "promptVariables": not valid JSON' };
+            }
+        }
+        if (variables !== undefined && (!variables || typeof variables !== 'object' || Array.isArray(variables))) {
+            return { error: 'Invalid "promptVariables": must be an object' };
+        }
+        try {
+            return { prompt: this.ragService.prompts.resolve({ ref, route, variables }) };
+        } catch (err) {
+            return { error: err.message };
+        }
+    }
+
+    /**
+     * Read retrieval options shared by all ask routes: k (query, 1..20) and filter (body, object or JSON string for form-data).
+     * Parent-document retrieval is on with `retrieval=parent` (text and hybrid routes) or forceParent (`/ask/parent`);
+     * `scoring` (max | sum) and `context` (parent | windows) tune it. Hybrid fusion options: see readFusionOptions;
+     * query expansion (text, hybrid and parent routes): see readExpansionOptions.
+     * A body `schema` (built-in name or JSON Schema object, see utils/schema.js) asks for a structured JSON answer; it
+     * cannot be streamed and is rejected on routes without structured output. Prompt template: see readPromptOptions.
+     * @param {express.Request} req
+     * @param {{ forceParent?: boolean, lists?: readonly string[], structured?: boolean, retrieval?: boolean, route?: string }} [options] - lists: fused list names (readFusionOptions); structured: the route accepts `schema` (default true); retrieval: the route accepts the retrieval, fusion and expansion options (default true); route: ask route name for the prompt template
+     * @returns {{ options?: { k: number, filter: import('../utils/filter.js').RagFilter | null, parent?: import('../services/RagService.js').RagParentOptions, fusion?: import('../services/RagService.js').RagFusionOptions, expansion?: import('../services/RagService.js').RagExpansionOptions | null, output?: import('../services/RagService.js').RagOutputSchema, prompt?: import('../services/RagService.js').RagPrompt }, error?: string }}
+     */
+    readAskOptions(req, { forceParent = false, lists = HYBRID_LISTS, structured = true, retrieval: tunable = true, route } = {}) {
+        const k = Math.min(20, Math.max(1, parseInt(req.query.k, 10) || 5));
+        const unsupported = tunable ? undefined : RETRIEVAL_PARAMS.find((name) => req.query?.[name] !== undefined);
+        if (unsupported) return { error: `"${unsupported}" is not supported on this route` };
+        const { retrieval, scoring = 'max', context = 'parent' } = req.query ?? {};
+        if (retrieval !== undefined && retrieval !== 'parent' && retrieval !== 'document') {
+            return { error: 'Invalid "retrieval": use parent or document' };
+        }
+        if (!PARENT_SCORINGS.includes(scoring)) return { error: `Invalid "scoring": use ${PARENT_SCORINGS.join(' or ')}` };
+        if (!PARENT_CONTEXTS.includes(context)) return { error: `Invalid "context": use ${PARENT_CONTEXTS.join(' or ')}` };
+        const { fusion, error } = this.readFusionOptions(req.query, lists);
+        if (error) return { error };
+        const { expansion, error: expansionError } = this.readExpansionOptions(req.query);
+        if (expansionError) return { error: expansionError };
+        const { prompt, error: promptError } = this.readPromptOptions(req, route);
+        if (promptError) return { error: promptError };
+        try {
+            const filter = parseFilter(req.body?.filter);
+            const output = parseOutputSchema(req.body?.schema);
+            if (output && !structured) return { error: '"schema" is not supported on this route' };
+            if (output && wantsEventStream(req)) return { error: 'Structured answers ("schema") cannot be streamed' };
+            const parent = forceParent || retrieval === 'parent' ? { scoring, context } : undefined;
+            return { options: { k, filter, ...(parent ? { parent } : {}), ...(fusion ? { fusion } : {}), ...(expansion !== undefined ? { expansion } : {}), ...(output ? { output } : {}), ...(prompt ? { prompt } : {}) } };
+        } catch (err) {
+            return { error: err.message };
+        }
+    }
+
     async handleAskText(req, res) {
         try {
             const { question } = req.body ?? {};
@@ -34,10 +175,17 @@ export class RagController {
                 logger.warn(COMPONENT, 'Invalid request', { reason: 'Missing or invalid question' });
                 return res.status(400).json({ error: 'Missing or invalid "question" field' });
             }
+            const { options, error } = this.readAskOptions(req, { route: 'text' });
+            if (error) {
+                logger.warn(COMPONENT, 'Invalid request', { reason: error });
+                return res.status(400).json({ error });
+            }
             this.applyCallFlag(req);
-            const k = Math.min(20, Math.max(1, parseInt(req.query.k, 10) || 5));
-            logger.info(COMPONENT, 'Ask text', { questionLength: question.length });
-            const result = await this.ragService.askText(question.trim(), { k });
+            logger.info(COMPONENT, 'Ask text', { questionLength: question.length, filtered: !!options.filter });
+            if (wantsEventStream(req)) {
+                return streamAnswer(res, (stream) => this.ragService.askText(question.trim(), { ...options, stream }), { component: COMPONENT, label: 'Ask text' });
+            }
+            const result = await this.ragService.askText(question.trim(), options);
             logger.info(COMPONENT, 'Ask text done', { contextChunks: result.contextChunks?.length ?? 0 });
             return res.status(200).json(result);
         } catch (err) {
@@ -58,12 +206,19 @@ export class RagController {
                     error: 'Send an image via form-data (field "image", "file", or "coverImage") or JSON body: { "image": "data:image/jpeg;base64,...", "question": "optional" }',
                 });
             }
+            const { options, error } = this.readAskOptions(req, { route: 'image' });
+            if (error) {
+                logger.warn(COMPONENT, 'Invalid request', { reason: error });
+                return res.status(400).json({ error });
+            }
             this.applyCallFlag(req);
             const body = req.body ?? {};
-            const k = Math.min(20, Math.max(1, parseInt(req.query.k, 10) || 5));
             const question = typeof body.question === 'string' ? body.question.trim() : undefined;
-            logger.info(COMPONENT, 'Ask image', { size: parsed.buffer.length, mimeType: parsed.mimeType });
-            const result = await this.ragService.askImage(parsed.buffer, parsed.mimeType, { question, k });
+            logger.info(COMPONENT, 'Ask image', { size: parsed.buffer.length, mimeType: parsed.mimeType, filtered: !!options.filter });
+            if (wantsEventStream(req)) {
+                return streamAnswer(res, (stream) => this.ragService.askImage(parsed.buffer, parsed.mimeType, { ...options, question, stream }), { component: COMPONENT, label: 'Ask image' });
+            }
+            const result = await this.ragService.askImage(parsed.buffer, parsed.mimeType, { ...options, question });
             logger.info(COMPONENT, 'Ask image done', { contextChunks: result.contextChunks?.length ?? 0 });
             return res.status(200).json(result);
         } catch (err) {
@@ -82,10 +237,17 @@ export class RagController {
                 logger.warn(COMPONENT, 'Invalid request', { reason: 'Missing or invalid question' });
                 return res.status(400).json({ error: 'Missing or invalid "question" field' });
             }
+            const { options, error } = this.readAskOptions(req, { route: 'hybrid' });
+            if (error) {
+                logger.warn(COMPONENT, 'Invalid request', { reason: error });
+                return res.status(400).json({ error });
+            }
             this.applyCallFlag(req);
-            const k = Math.min(20, Math.max(1, parseInt(req.query.k, 10) || 5));
-            logger.info(COMPONENT, 'Ask hybrid', { questionLength: question.length });
-            const result = await this.ragService.askHybrid(question.trim(), { k });
+            logger.info(COMPONENT, 'Ask hybrid', { questionLength: question.length, filtered: !!options.filter });
+            if (wantsEventStream(req)) {
+                return streamAnswer(res, (stream) => this.ragService.askHybrid(question.trim(), { ...options, stream }), { component: COMPONENT, label: 'Ask hybrid' });
+            }
+            const result = await this.ragService.askHybrid(question.trim(), options);
             logger.info(COMPONENT, 'Ask hybrid done', { contextChunks: result.contextChunks?.length ?? 0 });
             return res.status(200).json(result);
         } catch (err) {
@@ -96,4 +258,130 @@ export class RagController {
             });
         }
     }
+
+    async handleAskParent(req, res) {
+        try {
+            const { question } = req.body ?? {};
+            if (!question || typeof question !== 'string' || !question.trim()) {
+                logger.warn(COMPONENT, 'Invalid request', { reason: 'Missing or invalid question' });
+                return res.status(400).json({ error: 'Missing or invalid "question" field' });
+            }
+            const { options, error } = this.readAskOptions(req, { forceParent: true, route: 'parent' });
+            if (error) {
+                logger.warn(COMPONENT, 'Invalid request', { reason: error });
+                return res.status(400).json({ error });
+            }
+            this.applyCallFlag(req);
+            logger.info(COMPONENT, 'Ask parent', { questionLength: question.length, filtered: !!options.filter, scoring: options.parent.scoring, context: options.parent.context });
+            if (wantsEventStream(req)) {
+                return streamAnswer(res, (stream) => this.ragService.askParent(question.trim(), { ...options, stream }), { component: COMPONENT, label: 'Ask parent' });
+            }
+            const result = await this.ragService.askParent(question.trim(), options);
+            logger.info(COMPONENT, 'Ask parent done', { contextChunks: result.contextChunks?.length ?? 0 });
+            return res.status(200).json(result);
+        } catch (err) {
+            logger.error(COMPONENT, 'Ask parent failed', { error: err.message });
+            return res.status(500).json({
+                error: 'Internal server error',
+                details: process.env.NODE_ENV === 'development' ? err.message : undefined,
+            });
+        }
+    }
+
+    async handleAskMultimodal(req, res) {
+        try {
+            const parsed = getImageFromRequest(req);
+            const body = req.body ?? {};
+            const question = typeof body.question === 'string' ? body.question.trim() : '';
+            if (!parsed && !question) {
+                logger.warn(COMPONENT, 'Invalid request', { reason: 'Missing question and image' });
+                return res.status(400).json({
+                    error: 'Send a "question", an image (form-data field "image", "file" or "coverImage", or JSON "image": "data:image/jpeg;base64,..."), or both',
+                });
+            }
+            const { options, error } = this.readAskOptions(req, { lists: MULTIMODAL_LISTS, route: 'multimodal' });
+            if (error) {
+                logger.warn(COMPONENT, 'Invalid request', { reason: error });
+                return res.status(400).json({ error });
+            }
+            this.applyCallFlag(req);
+            const input = { question, imageBuffer: parsed?.buffer, mimeType: parsed?.mimeType };
+            logger.info(COMPONENT, 'Ask multimodal', { questionLength: question.length, size: parsed?.buffer.length ?? 0, filtered: !!options.filter });
+            if (wantsEventStream(req)) {
+                return streamAnswer(res, (stream) => this.ragService.askMultimodal(input, { ...options, stream }), { component: COMPONENT, label: 'Ask multimodal' });
+            }
+            const result = await this.ragService.askMultimodal(input, options);
+            logger.info(COMPONENT, 'Ask multimodal done', { contextChunks: result.contextChunks?.length ?? 0 });
+            return res.status(200).json(result);
+        } catch (err) {
+            logger.error(COMPONENT, 'Ask multimodal failed', { error: err.message });
+            return res.status(500).json({
+                error: 'Internal server error',
+                details: process.env.NODE_ENV === 'development' ? err.message : undefined,
+            });
+        }
+    }
+
+    async handleAskTools(req, res) {
+        try {
+            const { question } = req.body ?? {};
+            if (!question || typeof question !== 'string' || !question.trim()) {
+                logger.warn(COMPONENT, 'Invalid request', { reason: 'Missing or invalid question' });
+                return res.status(400).json({ error: 'Missing or invalid "question" field' });
+            }
+            const { options, error } = this.readAskOptions(req, { structured: false, retrieval: false });
+            if (error) {
+                logger.warn(COMPONENT, 'Invalid request', { reason: error });
+                return res.status(400).json({ error });
+            }
+            this.applyCallFlag(req);
+            logger.info(COMPONENT, 'Ask tools', { questionLength: question.length, filtered: !!options.filter });
+            const result = await this.ragService.askWithTools(question.trim(), { k: options.k, filter: options.filter });
+            logger.info(COMPONENT, 'Ask tools done', { toolCalls: result.toolCalls.length, contextChunks: result.contextChunks?.length ?? 0 });
+            return res.status(200).json(result);
+        } catch (err) {
+            logger.error(COMPONENT, 'Ask tools failed', { error: err.message });
+            return res.status(500).json({
+                error: 'Internal server error',
+                details: process.env.NODE_ENV === 'development' ? err.message : undefined,
+            });
+        }
+    }
+
+    async handleAskAgent(req, res) {
+        try {
+            const body = req.body ?? {};
+            const question = typeof body.question === 'string' ? body.question.trim() : '';
+            if (!question) {
+                logger.warn(COMPONENT, 'Invalid request', { reason: 'Missing or invalid question' });
+                return res.status(400).json({ error: 'Missing or invalid "question" field' });
+            }
+            const { options, error } = this.readAskOptions(req, { structured: false, route: 'agent' });
+            if (error) {
+                logger.warn(COMPONENT, 'Invalid request', { reason: error });
+                return res.status(400).json({ error });
+            }
+            let maxSteps;
+            if (req.query.maxSteps !== undefined) {
+                maxSteps = Number(req.query.maxSteps);
+                if (!Number.isInteger(maxSteps) || maxSteps < 3 || maxSteps > 30) {
+                    logger.warn(COMPONENT, 'Invalid request', { reason: 'Invalid maxSteps' });
+                    return res.status(400).json({ error: 'Invalid "maxSteps": must be an integer from 3 to 30' });
+                }
+            }
+            this.applyCallFlag(req);
+            const parsed = getImageFromRequest(req);
+            const input = { question, imageBuffer: parsed?.buffer, mimeType: parsed?.mimeType };
+            logger.info(COMPONENT, 'Ask agent', { questionLength: question.length, image: !!parsed, filtered: !!options.filter });
+            const result = await this.agentService.run(input, { ...options, maxSteps });
+            logger.info(COMPONENT, 'Ask agent done', { steps: result.steps, contextChunks: result.contextChunks?.length ?? 0 });
+            return res.status(200).json(result);
+        } catch (err) {
+            logger.error(COMPONENT, 'Ask agent failed', { error: err.message });
+            return res.status(500).json({
+                error: 'Internal server error',
+                details: process.env.NODE_ENV === 'development' ? err.message : undefined,
+            });
+        }
+    }
 }
@@ -0,0 +1,367 @@
+import { logger } from '../utils/logger.js';
+import { parseFilter } from '../utils/filter.js';
+
+const COMPONENT = 'service:agent';
+
+/** Retrievers the supervisor can pick: semantic, semantic + keyword, semantic with a year/genre filter, poster image. */
+export const AGENT_RETRIEVERS = Object.freeze(['text', 'hybrid', 'filtered', 'image']);
+
+/** Steps kept for the end of a run: generating the answer and checking it. */
+const FINAL_STEPS = 2;
+
+/**
+ * One step of an agent run (response field `trace`). `action` is route, retrieve, grade, rewrite, generate or check;
+ * the other fields depend on it (retriever, query, filter, titles, relevant, grounded, unsupported...). `fallback` marks
+ * a decision taken without the LLM (disabled, or its reply could not be used); `ms` is the step duration.
+ * @typedef {{ step: number, action: 'route'|'retrieve'|'grade'|'rewrite'|'generate'|'check', ms: number, fallback?: boolean, usage?: import('./LLMService.js').LLMUsage | null, [key: string]: any }} AgentStep
+ */
+
+/**
+ * Input of an agent run: the question, and optionally a poster to search by.
+ * @typedef {{ question: string, imageBuffer?: Buffer, mimeType?: string }} AgentInput
+ */
+
+/**
+ * Agentic RAG (docs/patterns-rag.md §3.2) on top of RagService. A supervisor loop:
+ * 1. route – the LLM picks a retriever (text, hybrid, filtered with a year/genre filter it reads from the question, or
+ *    image when a poster is sent);
+ * 2. retrieve – RagService.retrieve with that retriever;
+ * 3. grade – the LLM marks which results are relevant to the question;
+ * 4. rewrite – with fewer than `minRelevant` relevant results, the LLM rewrites the query and the loop starts again,
+ *    up to `maxAttempts` retrievals;
+ * 5. generate – the answer from the relevant results of all attempts (RagService.answerWithChunks);
+ * 6. check – the LLM checks the answer against its context; an unsupported answer is generated once more.
+ * Every route, retrieval and LLM call is one step; a run takes at most `maxSteps`, two of which are kept for generate
+ * and check. LLM decisions that cannot be used (LLM disabled, unparsable reply, error) fall back to defaults: the
+ * hybrid retriever (text without a search index), results kept ungraded, the answer left unchecked.
+ */
+export class AgentService {
+
+    /**
+     * @param {Object} options - Configuration options
+     * @param {import('./RagService.js').RagService} options.ragService - Retrieval and answer generation
+     * @param {import('./LLMService.js').LLMService} [options.srvLLM] - Supervisor, grader, rewriter and checker (default: ragService.srvLLM)
+     * @param {number} [options.maxSteps] - Steps per run, 3..30 (default 12)
+     * @param {number} [options.maxAttempts] - Retrievals per run (default 3)
+     * @param {number} [options.minRelevant] - Relevant results needed to stop retrying (default 2, at most k)
+     */
+    constructor(options) {
+        this.ragService = options.ragService;
+        this.srvLLM = options.srvLLM ?? options.ragService.srvLLM;
+        this.maxSteps = this.clampSteps(options.maxSteps ?? 12);
+        this.maxAttempts = Math.max(1, options.maxAttempts ?? 3);
+        this.minRelevant = Math.max(1, options.minRelevant ?? 2);
+    }
+
+    /**
+     * Step budget within the allowed range (3: retrieve, generate, check).
+     * @param {number} value
+     * @returns {number}
+     */
+    clampSteps(value) {
+        return Math.min(30, Math.max(FINAL_STEPS + 1, Math.floor(value) || 12));
+    }
+
+    /**
+     * Retrievers available for an input: hybrid needs a search index, image a poster.
+     * @param {AgentInput} input
+     * @returns {string[]}
+     */
+    availableRetrievers(input) {
+        return AGENT_RETRIEVERS.filter((name) => {
+            if (name === 'hybrid') return !!this.ragService.searchIndexName;
+            if (name === 'image') return !!input.imageBuffer?.length;
+            return true;
+        });
+    }
+
+    /**
+     * Answer a question with the supervisor loop.
+     * @param {AgentInput} input
+     * @param {{ k?: number, filter?: import('../utils/filter.js').RagFilter | null, maxSteps?: number, prompt?: import('./RagService.js').RagPrompt, parent?: import('./RagService.js').RagParentOptions, fusion?: import('./RagService.js').RagFusionOptions, expansion?: import('./RagService.js').RagExpansionOptions | null }} [options] - filter:
+     *   applied to every retrieval; maxSteps: overrides the default budget; prompt: template of the generate step;
+     *   parent, fusion, expansion: passed to every retrieval (see RagService.retrieve; used by the modes that support them)
+     * @returns {Promise<{ answer: string, citations: import('./RagService.js').RagCitation[], contextChunks: object[], context: import('./LLMService.js').ContextReport, llm: object, prompt: { name: string, version: number }, grounded: boolean | null, steps: number, maxSteps: number, usage: import('./LLMService.js').LLMUsage, trace: AgentStep[] }>}
+     */
+    async run(input, options = {}) {
+        const k = options.k ?? 5;
+        const maxSteps = options.maxSteps !== undefined ? this.clampSteps(options.maxSteps) : this.maxSteps;
+        const minRelevant = Math.min(k, this.minRelevant);
+        const question = input.question.trim();
+        const retrievers = this.availableRetrievers(input);
+        const run = { trace: [], usage: { inputTokens: 0, outputTokens: 0, totalTokens: 0 } };
+        const fits = (steps) => run.trace.length + steps + FINAL_STEPS <= maxSteps;
+
+        const relevant = new Map();
+        const attempts = [];
+        let query = question;
+        while (attempts.length < this.maxAttempts) {
+            const route = fits(2)
+                ? await this.step(run, 'route', () => this.route(query, retrievers, attempts))
+                : { retriever: this.defaultRetriever(retrievers), fallback: true };
+            const filter = this.mergeFilter(route.filter, options.filter);
+            const chunks = await this.step(run, 'retrieve', () => this.retrieve(route.retriever, { ...input, question: query }, { k, filter, parent: options.parent, fusion: options.fusion, expansion: options.expansion }));
+            const grades = fits(1) ? await this.step(run, 'grade', () => this.grade(question, chunks)) : null;
+            const kept = grades?.relevant ?? chunks;
+            kept.forEach((chunk) => relevant.set(String(chunk._id), chunk));
+            attempts.push({ retriever: route.retriever, query, relevant: kept.length, results: chunks.length });
+            if (!grades || grades.fallback || relevant.size >= minRelevant) break;
+            if (attempts.length >= this.maxAttempts || !fits(2)) break;
+            query = (await this.step(run, 'rewrite', () => this.rewrite(question, query, chunks))).query;
+        }
+
+        const context = [...relevant.values()].slice(0, k);
+        let result = await this.step(run, 'generate', () => this.generate(question, context, undefined, options.prompt));
+        let check = await this.step(run, 'check', () => this.check(question, context, result.answer));
+        if (check.grounded === false && run.trace.length + FINAL_STEPS <= maxSteps) {
+            result = await this.step(run, 'generate', () => this.generate(question, context, check.unsupported, options.prompt));
+            check = await this.step(run, 'check', () => this.check(question, context, result.answer));
+        }
+
+        logger.info(COMPONENT, 'Agent run done', { steps: run.trace.length, maxSteps, attempts: attempts.length, context: context.length, grounded: String(check.grounded) });
+        return {
+            answer: result.answer,
+            citations: result.citations,
+            contextChunks: result.contextChunks,
+            context: result.context,
+            llm: result.llm,
+            prompt: result.prompt,
+            grounded: check.grounded,
+            steps: run.trace.length,
+            maxSteps,
+            usage: run.usage,
+            trace: run.trace,
+        };
+    }
+
+    /**
+     * Run one step, time it, add its usage to the run and append it to the trace. The step function returns the value
+     * for the loop and, in `trace`, the fields to record.
+     * @param {{ trace: AgentStep[], usage: import('./LLMService.js').LLMUsage }} run
+     * @param {AgentStep['action']} action
+     * @param {() => Promise<{ value?: any, trace?: object, usage?: import('./LLMService.js').LLMUsage | null, fallback?: boolean }>} fn
+     * @returns {Promise<any>} the step value
+     */
+    async step(run, action, fn) {
+        const started = Date.now();
+        const { value, trace = {}, usage, fallback } = await fn();
+        if (usage) {
+            run.usage.inputTokens += usage.inputTokens ?? 0;
+            run.usage.outputTokens += usage.outputTokens ?? 0;
+            run.usage.totalTokens += usage.totalTokens ?? 0;
+        }
+        run.trace.push({
+            step: run.trace.length + 1,
+            action,
+            ...trace,
+            ...(fallback ? { fallback: true } : {}),
+            ...(usage !== undefined ? { usage } : {}),
+            ms: Date.now() - started,
+        });
+        return value;
+    }
+
+    /**
+     * Send a prompt expecting a JSON object. Null (with a warning) when the LLM is disabled, fails or does not reply with JSON.
+     * @param {string} action - for the log
+     * @param {{ role: string, content: string }[]} messages
+     * @returns {Promise<{ json: object | null, usage: import('./LLMService.js').LLMUsage | null }>}
+     */
+    async chatJson(action, messages) {
+        if (!this.srvLLM?.call) return { json: null, usage: null };
+        try {
+            const { content, usage } = await this.srvLLM.chat(messages);
+            const raw = String(content ?? '').match(/\{[\s\S]*\}/)?.[0];
+            const json = raw ? JSON.parse(raw) : null;
+            if (!json || typeof json !== 'object') {
+                logger.warn(COMPONENT, 'LLM reply unusable, using default', { action });
+                return { json: null, usage: usage ?? null };
+            }
+            return { json, usage: usage ?? null };
+        } catch (err) {
+            logger.warn(COMPONENT, 'LLM call failed, using default', { action, error: err.message });
+            return { json: null, usage: null };
+        }
+    }
+
+    /**
+     * Retriever used when the supervisor cannot decide: hybrid when available, otherwise text.
+     * @param {string[]} retrievers
+     * @returns {string}
+     */
+    defaultRetriever(retrievers) {
+        return retrievers.includes('hybrid') ? 'hybrid' : 'text';
+    }
+
+    /**
+     * Supervisor: pick a retriever (and, for 'filtered', a filter) for the query, knowing which attempts already failed.
+     * @param {string} query
+     * @param {string[]} retrievers
+     * @param {{ retriever: string, query: string, relevant: number, results: number }[]} attempts
+     */
+    async route(query, retrievers, attempts) {
+        const descriptions = {
+            text: 'text: semantic search over film descriptions (plots, themes, vague descriptions)',
+            hybrid: 'hybrid: semantic search combined with keyword search (exact titles, names, rare words)',
+            filtered: 'filtered: semantic search restricted to the years and/or genres stated in the question',
+            image: 'image: search by the poster image sent with the question (films that look alike)',
+        };
+        const tried = attempts.map((a) => `- ${a.retriever}: "${a.query}" (${a.relevant} of ${a.results} results relevant)`).join('\n');
+        const { json, usage } = await this.chatJson('route', [
+            {
+                role: 'system',
+                content: `
+You are the supervisor of a film search assistant. Choose the retriever that best fits the user's question.
+Retrievers:
+${retrievers.map((name) => `- ${descriptions[name]}`).join('\n')}
+Reply with a single JSON object and nothing else:
+{"retriever": "<${retrievers.join('|')}>", "filter": {"year": <year or {"gte": <year>, "lte": <year>}>, "genre": [<genres>]}, "reason": "<short reason>"}
+Include "filter" only with the filtered retriever. If previous attempts found few relevant results, try another retriever.
+`.trim(),
+            },
+            { role: 'user', content: `QUESTION:\n${query}${tried ? `\n\nPREVIOUS ATTEMPTS:\n${tried}` : ''}` },
+        ]);
+        if (!json || !retrievers.includes(json.retriever)) {
+            const retriever = this.defaultRetriever(retrievers);
+            return { value: { retriever }, trace: { retriever }, usage, fallback: true };
+        }
+        const filter = json.retriever === 'filtered' && json.filter && typeof json.filter === 'object' ? json.filter : undefined;
+        const reason = typeof json.reason === 'string' ? json.reason : undefined;
+        return { value: { retriever: json.retriever, filter }, trace: { retriever: json.retriever, reason }, usage };
+    }
+
+    /**
+     * Request filter combined with the supervisor's filter (request conditions win). A supervisor filter that does not
+     * parse is dropped with a warning.
+     * @param {object | undefined} proposed - request-shaped filter from the LLM
+     * @param {import('../utils/filter.js').RagFilter | null | undefined} filter
+     * @returns {import('../utils/filter.js').RagFilter | null}
+     */
+    mergeFilter(proposed, filter) {
+        if (!proposed) return filter ?? null;
+        try {
+            const { year, genre, titlePrefix } = proposed;
+            return parseFilter({ ...(year !== undefined ? { year } : {}), ...(genre !== undefined ? { genre } : {}), ...(titlePrefix !== undefined ? { titlePrefix } : {}), ...(filter ?? {}) });
+        } catch (err) {
+            logger.warn(COMPONENT, 'Supervisor filter ignored', { error: err.message });
+            return filter ?? null;
+        }
+    }
+
+    /**
+     * Run a retriever through RagService.retrieve ('filtered' is hybrid, or text without a search index, with a filter).
+     * @param {string} retriever
+     * @param {AgentInput} input
+     * @param {{ k: number, filter: import('../utils/filter.js').RagFilter | null, parent?: import('./RagService.js').RagParentOptions, fusion?: import('./RagService.js').RagFusionOptions, expansion?: import('./RagService.js').RagExpansionOptions | null }} options
+     */
+    async retrieve(retriever, input, options) {
+        const mode = retriever === 'filtered' ? (this.ragService.searchIndexName ? 'hybrid' : 'text') : retriever;
+        const chunks = (await this.ragService.retrieve(mode, input, options)) ?? [];
+        return {
+            value: chunks,
+            trace: { retriever, query: input.question, ...(options.filter ? { filter: options.filter } : {}), results: chunks.length, titles: chunks.map((c) => c.title) },
+        };
+    }
+
+    /**
+     * Grader: ask the LLM which results help answer the question. Without a usable verdict all results are kept.
+     * @param {string} question
+     * @param {object[]} chunks
+     */
+    async grade(question, chunks) {
+        if (!chunks.length) return { value: { relevant: [] }, trace: { relevant: 0, of: 0 } };
+        const { json, usage } = await this.chatJson('grade', [
+            {
+                role: 'system',
+                content: `
+You grade search results for a question about films. A result is relevant when it helps answer the question.
+Reply with a single JSON object and nothing else:
+{"relevant": [<numbers of the relevant results>]}
+`.trim(),
+            },
+            { role: 'user', content: `QUESTION:\n${question}\n\nRESULTS:\n${this.srvLLM.buildContext(chunks)}` },
+        ]);
+        if (!Array.isArray(json?.relevant)) {
+            return { value: { relevant: chunks, fallback: true }, trace: { relevant: chunks.length, of: chunks.length }, usage, fallback: true };
+        }
+        const numbers = new Set(json.relevant.map(Number).filter((n) => Number.isInteger(n) && n >= 1 && n <= chunks.length));
+        const relevant = chunks.filter((_chunk, i) => numbers.has(i + 1));
+        return { value: { relevant }, trace: { relevant: relevant.length, of: chunks.length, titles: relevant.map((c) => c.title) }, usage };
+    }
+
+    /**
+     * Query rewriter: a better search query after a poor retrieval. Keeps the query when the rewrite is unusable.
+     * @param {string} question
+     * @param {string} query - query of the poor retrieval
+     * @param {object[]} chunks - its results
+     */
+    async rewrite(question, query, chunks) {
+        if (!this.srvLLM?.call) return { value: { query }, trace: { query }, usage: null, fallback: true };
+        try {
+            const { content, usage } = await this.srvLLM.chat([
+                {
+                    role: 'system',
+                    content: `
+The search for the user's question about films returned few relevant results. Rewrite it as a better search query:
+add the likely titles, characters, plot elements or synonyms, and drop words that do not help the search.
+Keep the language of the question. Return only the rewritten query, without explanations.
+`.trim(),
+                },
+                {
+                    role: 'user',
+                    content: `QUESTION:\n${question}\n\nLAST QUERY:\n${query}\n\nRESULTS THAT DID NOT HELP:\n${chunks.map((c) => `- ${c.title}`).join('\n') || '(none)'}`,
+                },
+            ]);
+            const rewritten = typeof content === 'string' ? content.trim().split('\n')[0].trim() : '';
+            if (!rewritten || rewritten.length > 500) return { value: { query }, trace: { query }, usage, fallback: true };
+            return { value: { query: rewritten }, trace: { query: rewritten }, usage };
+        } catch (err) {
+            logger.warn(COMPONENT, 'LLM call failed, using default', { action: 'rewrite', error: err.message });
+            return { value: { query }, trace: { query }, usage: null, fallback: true };
+        }
+    }
+
+    /**
+     * Generate the answer from the context (RagService.answerWithChunks). A retry names the claims the checker rejected.
+     * @param {string} question
+     * @param {object[]} context
+     * @param {string[]} [unsupported] - claims of the rejected answer
+     * @param {import('./RagService.js').RagPrompt} [prompt] - answer prompt template (default: the RagService default)
+     */
+    async generate(question, context, unsupported, prompt) {
+        const request = unsupported
+            ? `${question}\n\n(Answer only with facts stated in the context. Do not repeat these unsupported claims: ${unsupported.join('; ') || 'none listed'})`
+            : question;
+        const result = await this.ragService.answerWithChunks(request, context, { prompt });
+        return { value: result, trace: { chunks: context.length, ...(unsupported ? { retry: true } : {}) }, usage: result.llm?.usage ?? null };
+    }
+
+    /**
+     * Hallucination check: whether every claim of the answer is supported by its context. grounded is null when the
+     * check cannot be made.
+     * @param {string} question
+     * @param {object[]} context
+     * @param {string} answer
+     */
+    async check(question, context, answer) {
+        const { json, usage } = await this.chatJson('check', [
+            {
+                role: 'system',
+                content: `
+You check answers produced by a film assistant that must answer only from the CONTEXT.
+Reply with a single JSON object and nothing else:
+{"grounded": <true if every factual claim of the answer is supported by the CONTEXT, or the answer says it does not know>, "unsupported": [<claims not supported by the CONTEXT>]}
+`.trim(),
+            },
+            {
+                role: 'user',
+                content: `CONTEXT:\n${this.srvLLM.buildContext(context)}\n\nQUESTION:\n${question}\n\nANSWER:\n${answer}`,
+            },
+        ]);
+        if (typeof json?.grounded !== 'boolean') {
+            return { value: { grounded: null, unsupported: [] }, trace: { grounded: null }, usage, fallback: true };
+        }
+        const unsupported = Array.isArray(json.unsupported) ? json.unsupported.map(String) : [];
+        return { value: { grounded: json.grounded, unsupported }, trace: { grounded: json.grounded, unsupported }, usage };
+    }
+}
@@ -0,0 +1,265 @@
+import { logger } from '../utils/logger.js';
+import { detectLanguage } from '../utils/language.js';
+import { mean } from '../utils/metrics.js';
+
+const COMPONENT = 'service:eval-answers';
+
+/**
+ * Phrases that mark the refusal required by the system prompt ("I do not know based on the provided context."),
+ * including the usual translations since answers follow the question language.
+ */
+const REFUSAL_PATTERNS = [
+    /\bi (?:do not|don't) know\b/i,
+    /\bnot (?:in|mentioned in|provided in|covered by) the (?:provided )?context\b/i,
+    /\bno (?:lo )?sé(?![\p{L}\p{N}])/iu,
+    /\bje ne sais pas\b/i,
+    /\bich wei(?:ß|ss) (?:es )?nicht\b/i,
+    /\bnon lo so\b/i,
+    /\bn[ãa]o sei\b/i,
+];
+
+/** Words ignored by the lexical groundedness fallback. */
+const FILLER = new Set(['based', 'context', 'provided', 'source', 'sources', 'answer', 'question', 'which', 'there', 'their', 'about', 'after', 'where', 'while', 'these', 'those', 'film', 'films', 'movie', 'movies']);
+
+/**
+ * Golden question for answer evaluation. outOfScope: the catalog cannot answer it, so the correct answer is a refusal;
+ * language: expected answer language (default: detected from the question).
+ * @typedef {{ id: string, question: string, mode: 'text'|'hybrid', outOfScope: boolean, language?: string }} AnswerGoldenItem
+ */
+
+/**
+ * Scores generated answers against the RAG rules of the system prompt: groundedness in the returned contextChunks,
+ * refusal on out-of-scope questions (and no refusal otherwise), and answering in the question's language.
+ * Groundedness is scored by a judge model through the LLMService interface (`chat`); without a judge, or when its
+ * reply cannot be parsed, a lexical fallback (share of answer content words found in the context) is used.
+ */
+export class AnswerEvalService {
+
+    /**
+     * @param {Object} options - Configuration options
+     * @param {import('./RagService.js').RagService} options.ragService - Produces the answers (askText / askHybrid)
+     * @param {import('./LLMService.js').LLMService} [options.judge] - Judge model; omit for the lexical fallback only
+     * @param {number} [options.k] - Context chunks per question (default 5)
+     */
+    constructor(options) {
+        this.ragService = options.ragService;
+        this.judge = options.judge ?? null;
+        this.k = options.k ?? 5;
+    }
+
+    /**
+     * Parse an answer golden set in JSONL: one `{ id?, question, mode?, outOfScope?, language? }` per line.
+     * Blank lines and lines starting with # are ignored.
+     * @param {string} text
+     * @returns {AnswerGoldenItem[]}
+     * @throws {Error} with the line number when a line is invalid
+     */
+    static parseGolden(text) {
+        const items = [];
+        String(text).split(/\r?\n/).forEach((line, i) => {
+            if (!line.trim() || line.trim().startsWith('#')) return;
+            let raw;
+            try {
+                raw = JSON.parse(line);
+            } catch (err) {
+                throw new Error(`Golden set line ${i + 1}: invalid JSON (${err.message})`);
+            }
+            if (typeof raw.question !== 'string' || !raw.question.trim()) {
+                throw new Error(`Golden set line ${i + 1}: missing "question"`);
+            }
+            const mode = raw.mode ?? 'text';
+            if (mode !== 'text' && mode !== 'hybrid') {
+                throw new Error(`Golden set line ${i + 1}: "mode" must be text or hybrid`);
+            }
+            items.push({
+                id: String(raw.id ?? `a${items.length + 1}`),
+                question: raw.question.trim(),
+                mode,
+                outOfScope: raw.outOfScope === true,
+                language: raw.language,
+            });
+        });
+        return items;
+    }
+
+    /**
+     * Answer and score every question.
+     * @param {AnswerGoldenItem[]} items
+     * @returns {Promise<{ judge: string, k: number, questions: number, createdAt: string, aggregate: object, results: object[] }>}
+     */
+    async run(items) {
+        const results = [];
+        for (const item of items) {
+            results.push(await this.evaluateItem(item));
+        }
+        const answered = results.filter((r) => !r.error);
+        const inScope = answered.filter((r) => !r.outOfScope);
+        const outOfScope = answered.filter((r) => r.outOfScope);
+        const grounded = inScope.filter((r) => !r.refused && r.groundedness !== null);
+        const withLanguage = answered.filter((r) => r.languageMatch !== null);
+        const aggregate = {
+            answered: answered.length,
+            errors: results.length - answered.length,
+            groundedness: grounded.length ? mean(grounded.map((r) => r.groundedness)) : null,
+            refusalAccuracy: outOfScope.length ? mean(outOfScope.map((r) => (r.refused ? 1 : 0))) : null,
+            falseRefusalRate: inScope.length ? mean(inScope.map((r) => (r.refused ? 1 : 0))) : null,
+            languageMatch: withLanguage.length ? mean(withLanguage.map((r) => (r.languageMatch ? 1 : 0))) : null,
+        };
+        logger.info(COMPONENT, 'Answers evaluated', { questions: results.length, ...aggregate });
+        return {
+            judge: this.judge ? `${this.judge.provider}:${this.judge.model}` : 'lexical',
+            k: this.k,
+            questions: results.length,
+            createdAt: new Date().toISOString(),
+            aggregate,
+            results,
+        };
+    }
+
+    /**
+     * Ask one question through the RAG pipeline and score the answer.
+     * @param {AnswerGoldenItem} item
+     * @returns {Promise<object>}
+     */
+    async evaluateItem(item) {
+        const base = { id: item.id, question: item.question, mode: item.mode, outOfScope: item.outOfScope };
+        let result;
+        try {
+            result = item.mode === 'hybrid'
+                ? await this.ragService.askHybrid(item.question, { k: this.k })
+                : await this.ragService.askText(item.question, { k: this.k });
+        } catch (err) {
+            logger.warn(COMPONENT, 'Answer failed', { id: item.id, error: err.message });
+            return { ...base, error: err.message };
+        }
+        const answer = result.answer ?? '';
+        const chunks = result.contextChunks ?? [];
+
+        const verdict = await this.judgeAnswer(item.question, chunks, answer);
+        const refused = verdict?.refused ?? this.isRefusal(answer);
+        const groundedness = refused ? null : (verdict?.groundedness ?? this.lexicalGroundedness(answer, chunks));
+
+        const expectedLanguage = item.language ?? detectLanguage(item.question);
+        const answerLanguage = detectLanguage(answer);
+        const languageMatch = expectedLanguage && answerLanguage ? expectedLanguage === answerLanguage : null;
+
+        return {
+            ...base,
+            answer,
+            sources: chunks.map((c) => c.title),
+            refused,
+            refusalCorrect: refused === item.outOfScope,
+            groundedness,
+            groundednessBy: refused ? null : verdict?.groundedness !== undefined ? 'judge' : 'lexical',
+            unsupported: verdict?.unsupported ?? [],
+            expectedLanguage,
+            answerLanguage,
+            languageMatch,
+        };
+    }
+
+    /**
+     * True when the answer is the prompt's "I do not know based on the provided context." refusal (or a translation).
+     * @param {string} answer
+     * @returns {boolean}
+     */
+    isRefusal(answer) {
+        return REFUSAL_PATTERNS.some((pattern) => pattern.test(answer ?? ''));
+    }
+
+    /**
+     * Share of the answer's content words (4+ letters) that appear in the context. Rough, but needs no model.
+     * @param {string} answer
+     * @param {{ title?: string, description?: string }[]} chunks
+     * @returns {number | null} 0..1, or null when the answer has no content words
+     */
+    lexicalGroundedness(answer, chunks) {
+        const tokens = (text) => String(text ?? '').toLowerCase().replace(/\[\d+(?:\s*,\s*\d+)*\]/g, ' ').match(/\p{L}{4,}/gu) ?? [];
+        const contextWords = new Set(chunks.flatMap((c) => tokens(`${c.title ?? ''} ${c.description ?? ''}`)));
+        const words = tokens(answer).filter((word) => !FILLER.has(word));
+        if (!words.length) return null;
+        return words.filter((word) => contextWords.has(word)).length / words.length;
+    }
+
+    /**
+     * Judge prompt: the same numbered context the answering model saw, the question and the answer; JSON verdict only.
+     * @param {string} question
+     * @param {object[]} chunks
+     * @param {string} answer
+     * @returns {{ role: 'system'|'user', content: string }[]}
+     */
+    getJudgeMessages(question, chunks, answer) {
+        return [
+            {
+                role: 'system',
+                content: `
+You evaluate answers produced by a retrieval-augmented assistant that must answer only from the CONTEXT.
+Reply with a single JSON object and nothing else:
+{"groundedness": <number 0..1, share of the answer's factual claims supported by the CONTEXT>, "refused": <true if the answer declines because the CONTEXT lacks the information>, "unsupported": [<claims not supported by the CONTEXT>]}
+`.trim(),
+            },
+            {
+                role: 'user',
+                content: `CONTEXT:\n${this.judge.buildContext(chunks)}\n\nQUESTION:\n${question}\n\nANSWER:\n${answer}`,
+            },
+        ];
+    }
+
+    /**
+     * Ask the judge for a verdict. Returns null without a judge or when the reply is not the expected JSON.
+     * @param {string} question
+     * @param {object[]} chunks
+     * @param {string} answer
+     * @returns {Promise<{ groundedness?: number, refused?: boolean, unsupported: string[] } | null>}
+     */
+    async judgeAnswer(question, chunks, answer) {
+        if (!this.judge) return null;
+        try {
+            const { content } = await this.judge.chat(this.getJudgeMessages(question, chunks, answer));
+            const json = String(content ?? '').match(/\{[\s\S]*\}/)?.[0];
+            const parsed = json ? JSON.parse(json) : null;
+            if (!parsed || typeof parsed !== 'object') throw new Error('No JSON object in judge reply');
+            const verdict = { unsupported: Array.isArray(parsed.unsupported) ? parsed.unsupported.map(String) : [] };
+            const score = Number(parsed.groundedness);
+            if (Number.isFinite(score)) verdict.groundedness = Math.min(1, Math.max(0, score));
+            if (typeof parsed.refused === 'boolean') verdict.refused = parsed.refused;
+            return verdict;
+        } catch (err) {
+            logger.warn(COMPONENT, 'Judge verdict unusable, using lexical checks', { error: err.message });
+            return null;
+        }
+    }
+
+    /**
+     * Render the per-question results and the aggregate scores as text.
+     * @param {{ judge: string, aggregate: object, results: object[] }} report
+     * @returns {string}
+     */
+    static formatReport(report) {
+        const pct = (value) => (value === null || value === undefined ? '-' : value.toFixed(2));
+        const header = ['id', 'scope', 'refused', 'refusal ok', 'grounded', 'language', 'question'];
+        const rows = report.results.map((r) => [
+            r.id,
+            r.outOfScope ? 'out' : 'in',
+            r.error ? 'error' : r.refused ? 'yes' : 'no',
+            r.error ? '-' : r.refusalCorrect ? 'yes' : 'NO',
+            pct(r.groundedness),
+            r.languageMatch === null || r.languageMatch === undefined ? '-' : `${r.answerLanguage}${r.languageMatch ? '' : ` (want ${r.expectedLanguage})`}`,
+            r.question.length > 60 ? `${r.question.slice(0, 57)}...` : r.question,
+        ]);
+        const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+        const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join(' | ').trimEnd();
+        const { aggregate } = report;
+        return [
+            line(header),
+            widths.map((w) => '-'.repeat(w)).join('-|-'),
+            ...rows.map(line),
+            '',
+            `judge: ${report.judge}`,
+            `groundedness (in-scope answers): ${pct(aggregate.groundedness)}`,
+            `refusal accuracy (out-of-scope): ${pct(aggregate.refusalAccuracy)}`,
+            `false refusal rate (in-scope):   ${pct(aggregate.falseRefusalRate)}`,
+            `language match:                  ${pct(aggregate.languageMatch)}`,
+        ].join('\n');
+    }
+}
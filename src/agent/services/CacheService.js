@@ -0,0 +1,190 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+const COMPONENT = 'service:cache';
+
+/**
+ * Cache entry kept in memory (and, optionally, in the MongoDB collection).
+ * @typedef {{ value: any, expiresAt: number }} CacheEntry
+ */
+
+/**
+ * Two-level cache for RAG work that costs API quota: query embeddings, rerank results and final answers.
+ * Level 1 is an in-memory LRU (per process); level 2 is an optional MongoDB collection with a TTL index, shared by
+ * replicas and kept across restarts. Entries are grouped by namespace ('embedding', 'rerank', 'answer') so one kind
+ * can be flushed without the others. Store errors are logged and treated as misses: the cache never fails a request.
+ */
+export class CacheService {
+
+    /**
+     * @param {Object} [options] - Configuration options
+     * @param {number} [options.maxEntries] - In-memory LRU size (default 500)
+     * @param {number} [options.ttlSeconds] - Entry lifetime (default 3600)
+     * @param {import('mongodb').Collection} [options.collection] - Optional shared store (CACHE_COLLECTION)
+     */
+    constructor(options = {}) {
+        this.maxEntries = Math.max(1, options.maxEntries ?? 500);
+        this.ttlSeconds = Math.max(1, options.ttlSeconds ?? 3600);
+        this.collection = options.collection ?? null;
+        /** @type {Map<string, CacheEntry>} */
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Stable key for a list of parts (question, mode, k, index version, ...): SHA-256 of their JSON.
+     * @param {any[]} parts
+     * @returns {string}
+     */
+    static key(parts) {
+        return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+    }
+
+    /**
+     * Normalize a question for cache keys: trimmed, lower case, single spaces.
+     * @param {string} text
+     * @returns {string}
+     */
+    static normalize(text) {
+        return String(text ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /** TTL index on expiresAt (MongoDB removes expired entries) and an index for namespace flushes. */
+    async ensureIndexes() {
+        if (!this.collection) return;
+        await this.collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        await this.collection.createIndex({ namespace: 1 });
+        logger.info(COMPONENT, 'Cache indexes ensured', { collection: this.collection.collectionName });
+    }
+
+    /**
+     * Read an entry: memory first, then the store (a store hit is copied into memory).
+     * @param {string} namespace
+     * @param {string} key
+     * @returns {Promise<any>} the value, or undefined on a miss
+     */
+    async get(namespace, key) {
+        const id = `${namespace}:${key}`;
+        const entry = this.entries.get(id);
+        if (entry && entry.expiresAt > Date.now()) {
+            // Re-insert to mark as most recently used.
+            this.entries.delete(id);
+            this.entries.set(id, entry);
+            this.hits++;
+            return entry.value;
+        }
+        if (entry) this.entries.delete(id);
+
+        if (this.collection) {
+            try {
+                const doc = await this.collection.findOne({ _id: id, expiresAt: { $gt: new Date() } });
+                if (doc) {
+                    this.remember(id, { value: doc.value, expiresAt: doc.expiresAt.getTime() });
+                    this.hits++;
+                    return doc.value;
+                }
+            } catch (err) {
+                logger.warn(COMPONENT, 'Cache store read failed', { namespace, error: err.message });
+            }
+        }
+        this.misses++;
+        return undefined;
+    }
+
+    /**
+     * Write an entry to memory and the store.
+     * @param {string} namespace
+     * @param {string} key
+     * @param {any} value - must be BSON-serializable when a store is configured
+     * @param {number} [ttlSeconds] - default this.ttlSeconds
+     */
+    async set(namespace, key, value, ttlSeconds = this.ttlSeconds) {
+        const id = `${namespace}:${key}`;
+        const expiresAt = Date.now() + ttlSeconds * 1000;
+        this.remember(id, { value, expiresAt });
+        if (!this.collection) return;
+        try {
+            await this.collection.replaceOne(
+                { _id: id },
+                { namespace, value, expiresAt: new Date(expiresAt) },
+                { upsert: true },
+            );
+        } catch (err) {
+            logger.warn(COMPONENT, 'Cache store write failed', { namespace, error: err.message });
+        }
+    }
+
+    /**
+     * Return the cached value for the key parts, or compute, cache and return it.
+     * Undefined and null results are not cached.
+     * @template T
+     * @param {string} namespace
+     * @param {any[]} parts - key parts, see CacheService.key
+     * @param {() => Promise<T>} produce
+     * @returns {Promise<{ value: T, hit: boolean }>}
+     */
+    async wrap(namespace, parts, produce) {
+        const key = CacheService.key(parts);
+        const cached = await this.get(namespace, key);
+        if (cached !== undefined) return { value: cached, hit: true };
+        const value = await produce();
+        if (value !== undefined && value !== null) await this.set(namespace, key, value);
+        return { value, hit: false };
+    }
+
+    /**
+     * Remove entries of one namespace, or all entries.
+     * @param {string} [namespace]
+     * @returns {Promise<{ memory: number, store: number }>} number of entries removed per level
+     */
+    async flush(namespace) {
+        let memory = 0;
+        for (const id of [...this.entries.keys()]) {
+            if (!namespace || id.startsWith(`${namespace}:`)) {
+                this.entries.delete(id);
+                memory++;
+            }
+        }
+        let store = 0;
+        if (this.collection) {
+            const res = await this.collection.deleteMany(namespace ? { namespace } : {});
+            store = res.deletedCount ?? 0;
+        }
+        logger.info(COMPONENT, 'Cache flushed', { namespace: namespace ?? 'all', memory, store });
+        return { memory, store };
+    }
+
+    /**
+     * In-memory entry counts per namespace and hit/miss counters since start.
+     * @returns {{ entries: number, maxEntries: number, ttlSeconds: number, store: string | null, hits: number, misses: number, namespaces: Record<string, number> }}
+     */
+    stats() {
+        const namespaces = {};
+        for (const id of this.entries.keys()) {
+            const namespace = id.slice(0, id.indexOf(':'));
+            namespaces[namespace] = (namespaces[namespace] ?? 0) + 1;
+        }
+        return {
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            ttlSeconds: this.ttlSeconds,
+            store: this.collection?.collectionName ?? null,
+            hits: this.hits,
+            misses: this.misses,
+            namespaces,
+        };
+    }
+
+    /**
+     * Insert into the LRU, evicting the least recently used entries beyond maxEntries.
+     * @private
+     */
+    remember(id, entry) {
+        this.entries.delete(id);
+        this.entries.set(id, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+}
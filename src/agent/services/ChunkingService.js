@@ -0,0 +1,156 @@
+import { logger } from '../utils/logger.js';
+import { toEmbeddingField, vectorMeta } from '../utils/embedding.js';
+import { packSentences, semanticBreaks, splitFixed, splitSentences } from '../utils/chunking.js';
+import { chunk } from '../utils/utl.js';
+
+const COMPONENT = 'service:chunking';
+
+/** Splitting strategies (CHUNK_STRATEGY). */
+export const CHUNK_STRATEGIES = Object.freeze(['fixed', 'sentence', 'semantic']);
+
+/**
+ * Stored chunk: a span of the parent film's description with its own text vector. Title, year and genre are copied
+ * from the parent so chunk searches can use the same filters as film searches.
+ * @typedef {{ parentId: import('mongodb').ObjectId, chunkIndex: number, text: string, start: number, end: number, title: string, year?: number, genre?: string[], chunking: string, createdAt: Date }} ChunkDocument
+ */
+
+/**
+ * Splits long film descriptions into chunks, embeds them and stores them in a `chunks` collection linked to the
+ * parent film (`parentId`, position and character offsets in the description). Strategies:
+ * - fixed: about `size` characters with `overlap` characters repeated between neighbours;
+ * - sentence: whole sentences packed up to `size`, closing at paragraph ends, `overlap` characters of trailing sentences repeated;
+ * - semantic: like sentence, but also splits where consecutive sentence embeddings drift apart (distance at or above
+ *   the `percentile` of the text's distances); costs one extra embedding request per description.
+ */
+export class ChunkingService {
+
+    /**
+     * @param {Object} options - Configuration options
+     * @param {import('mongodb').Collection} options.collection - Chunks collection (MONGODB_CHUNK_COLLECTION)
+     * @param {import('./EmbeddingService.js').EmbeddingService} options.srvEmbedding - Embeds chunks (and sentences for semantic)
+     * @param {'fixed'|'sentence'|'semantic'} [options.strategy] - Default 'sentence'
+     * @param {number} [options.size] - Maximum chunk length in characters (default 800)
+     * @param {number} [options.overlap] - Characters repeated between neighbouring chunks (default 100)
+     * @param {number} [options.percentile] - Semantic breakpoint percentile, 0..100 (default 90)
+     * @param {string} [options.embeddingField] - Vector field, as in the films collection (default 'embedding')
+     * @throws {Error} when the strategy is unknown
+     */
+    constructor(options) {
+        this.collection = options.collection;
+        this.srvEmbedding = options.srvEmbedding;
+        this.strategy = options.strategy ?? 'sentence';
+        if (!CHUNK_STRATEGIES.includes(this.strategy)) {
+            throw new Error(`Unknown chunking strategy "${this.strategy}". Available: ${CHUNK_STRATEGIES.join(', ')}`);
+        }
+        this.size = Math.max(50, options.size ?? 800);
+        this.overlap = Math.min(Math.max(0, options.overlap ?? 100), Math.floor(this.size / 2));
+        this.percentile = Math.min(100, Math.max(0, options.percentile ?? 90));
+        this.embeddingField = toEmbeddingField(options.embeddingField);
+    }
+
+    /**
+     * Settings that produced a chunk set, stored on parents and chunks (e.g. 'sentence:800:100@embedding/voyage:voyage-4-large'):
+     * splitting settings, vector field and embedding model, so a seed with other settings, another EMBEDDING_FIELD or
+     * another model re-chunks them.
+     * @returns {string}
+     */
+    get signature() {
+        const base = `${this.strategy}:${this.size}:${this.overlap}`;
+        const split = this.strategy === 'semantic' ? `${base}:p${this.percentile}` : base;
+        return `${split}@${this.embeddingField}/${this.srvEmbedding?.modelId}`;
+    }
+
+    /** Index for parent lookups and deletes. The chunk vector index is created by SetupService. */
+    async ensureIndexes() {
+        await this.collection.createIndex({ parentId: 1, chunkIndex: 1 });
+        logger.info(COMPONENT, 'Chunk indexes ensured', { collection: this.collection.collectionName });
+    }
+
+    /**
+     * Split a text with the configured strategy.
+     * @param {string} text
+     * @returns {Promise<import('../utils/chunking.js').TextSpan[]>}
+     */
+    async split(text) {
+        if (!text?.trim()) return [];
+        if (this.strategy === 'fixed') return splitFixed(text, { size: this.size, overlap: this.overlap });
+        const sentences = splitSentences(text);
+        if (this.strategy === 'sentence' || sentences.length < 3) {
+            return packSentences(text, { size: this.size, overlap: this.overlap }, sentences);
+        }
+        const vectors = [];
+        for (const part of chunk(sentences, this.srvEmbedding.maxBatchSize)) {
+            vectors.push(...(await this.srvEmbedding.getEmbedding(part.map((s) => s.text))));
+        }
+        const breaks = semanticBreaks(vectors, this.percentile);
+        return packSentences(text, { size: this.size, overlap: this.overlap, breaks }, sentences);
+    }
+
+    /**
+     * Replace the chunks of some parents: split their descriptions, embed all chunks in as few requests as the
+     * provider allows, then delete the old chunks and insert the new ones.
+     * @param {{ _id: import('mongodb').ObjectId, title: string, description?: string, year?: number, genre?: string[] }[]} parents
+     * @returns {Promise<number>} number of chunks written
+     */
+    async replace(parents) {
+        if (!parents.length) return 0;
+        const docs = [];
+        for (const parent of parents) {
+            const spans = await this.split(parent.description ?? '');
+            spans.forEach((s, chunkIndex) => {
+                const doc = { parentId: parent._id, chunkIndex, text: s.text, start: s.start, end: s.end, title: parent.title };
+                if (parent.year !== undefined) doc.year = parent.year;
+                if (parent.genre !== undefined) doc.genre = parent.genre;
+                docs.push(doc);
+            });
+        }
+
+        const createdAt = new Date();
+        for (const part of chunk(docs, this.srvEmbedding.maxBatchSize)) {
+            const vectors = await this.srvEmbedding.getEmbedding(part.map((doc) => doc.text));
+            part.forEach((doc, i) => {
+                const vector = vectors[i] ?? [];
+                doc[this.embeddingField] = { text: vector, meta: { text: vectorMeta(this.srvEmbedding.modelId, vector) } };
+                doc.chunking = this.signature;
+                doc.createdAt = createdAt;
+            });
+        }
+
+        await this.remove(parents.map((parent) => parent._id));
+        if (docs.length) await this.collection.insertMany(docs, { ordered: false });
+        logger.info(COMPONENT, 'Chunks written', { parents: parents.length, chunks: docs.length, chunking: this.signature });
+        return docs.length;
+    }
+
+    /**
+     * Delete the chunks of some parents.
+     * @param {import('mongodb').ObjectId[]} parentIds
+     * @returns {Promise<number>} number of chunks deleted
+     */
+    async remove(parentIds) {
+        if (!parentIds.length) return 0;
+        const res = await this.collection.deleteMany({ parentId: { $in: parentIds } });
+        return res.deletedCount ?? 0;
+    }
+}
+
+/**
+ * Chunking service from environment variables, or null when CHUNK_STRATEGY is unset (no chunks).
+ * CHUNK_STRATEGY, CHUNK_SIZE, CHUNK_OVERLAP, CHUNK_PERCENTILE, MONGODB_CHUNK_COLLECTION (default 'chunks'), EMBEDDING_FIELD.
+ * @param {Record<string, string | undefined>} env
+ * @param {{ db: import('mongodb').Db, srvEmbedding: import('./EmbeddingService.js').EmbeddingService }} deps
+ * @returns {ChunkingService | null}
+ */
+export function createChunkingServiceFromEnv(env, { db, srvEmbedding }) {
+    if (!env.CHUNK_STRATEGY) return null;
+    const int = (value) => (value ? parseInt(value, 10) : undefined);
+    return new ChunkingService({
+        collection: db.collection(env.MONGODB_CHUNK_COLLECTION || 'chunks'),
+        srvEmbedding,
+        strategy: env.CHUNK_STRATEGY,
+        size: int(env.CHUNK_SIZE),
+        overlap: int(env.CHUNK_OVERLAP),
+        percentile: int(env.CHUNK_PERCENTILE),
+        embeddingField: env.EMBEDDING_FIELD,
+    });
+}
@@ -0,0 +1,95 @@
+import { ObjectId } from 'mongodb';
+import { logger } from '../utils/logger.js';
+
+const COMPONENT = 'service:conversation';
+
+/**
+ * Service for persisted chat sessions used by multi-turn RAG.
+ * Document shape: { title, turns: [{ question, standaloneQuestion?, answer, mode, contextChunks: [{ title, score }], createdAt }], createdAt, updatedAt }.
+ */
+export class ConversationService {
+
+    /**
+     * @param {Object} options - configuration options
+     * @param {import('mongodb').Collection} options.collection - conversations collection
+     * @param {number} [options.maxHistory] - Max prior turns handed to RAG for a new turn (default 10)
+     */
+    constructor(options) {
+        const { collection, maxHistory = 10 } = options || {};
+        this.collection = collection;
+        this.maxHistory = maxHistory;
+    }
+
+    /**
+     * Create an empty conversation.
+     * @param {{ title?: string }} [data]
+     * @returns {Promise<{ _id: import('mongodb').ObjectId, title: string, turns: object[], createdAt: Date, updatedAt: Date }>}
+     */
+    async create(data = {}) {
+        const now = new Date();
+        const doc = {
+            title: data.title ?? '',
+            turns: [],
+            createdAt: now,
+            updatedAt: now,
+        };
+        const res = await this.collection.insertOne(doc);
+        logger.info(COMPONENT, 'Conversation created', { id: res.insertedId });
+        return { _id: res.insertedId, ...doc };
+    }
+
+    /**
+     * Get one conversation with all its turns.
+     * @param {string} id - ObjectId string
+     * @returns {Promise<object | null>}
+     */
+    async findById(id) {
+        if (!ObjectId.isValid(id)) return null;
+        return this.collection.findOne({ _id: new ObjectId(id) });
+    }
+
+    /**
+     * Get the last turns of a conversation as RAG history (oldest first).
+     * @param {string} id - ObjectId string
+     * @param {number} [limit] - defaults to this.maxHistory
+     * @returns {Promise<import('./RagService.js').RagTurn[] | null>} null if the conversation does not exist
+     */
+    async getHistory(id, limit = this.maxHistory) {
+        if (!ObjectId.isValid(id)) return null;
+        const doc = await this.collection.findOne(
+            { _id: new ObjectId(id) },
+            { projection: { turns: { $slice: -Math.max(1, limit) } } }
+        );
+        if (!doc) return null;
+        return (doc.turns ?? []).map((t) => ({
+            question: t.question,
+            answer: t.answer,
+        }));
+    }
+
+    /**
+     * Append a turn to a conversation.
+     * @param {string} id - ObjectId string
+     * @param {{ question: string, standaloneQuestion?: string, answer: string, mode: string, contextChunks?: { title: string, score: number }[] }} turn
+     * @returns {Promise<object | null>} the stored turn, or null if the conversation does not exist
+     */
+    async addTurn(id, turn) {
+        if (!ObjectId.isValid(id)) return null;
+        const now = new Date();
+        const stored = {
+            question: turn.question,
+            answer: turn.answer ?? '',
+            mode: turn.mode,
+            contextChunks: (turn.contextChunks ?? []).map((c) => ({ title: c.title, score: c.score })),
+            createdAt: now,
+        };
+        if (turn.standaloneQuestion) stored.standaloneQuestion = turn.standaloneQuestion;
+        const res = await this.collection.updateOne(
+            { _id: new ObjectId(id) },
+            { $push: { turns: stored }, $set: { updatedAt: now } }
+        );
+        if (res.matchedCount === 0) return null;
+        logger.info(COMPONENT, 'Turn added', { id, mode: turn.mode });
+        return stored;
+    }
+}
@@ -0,0 +1,179 @@
+import { LLMService } from './LLMService.js';
+import { validateSchema } from '../utils/schema.js';
+
+/**
+ * Deterministic LLM provider for tests and offline demos. Renders a template from the question and the retrieved chunks
+ * instead of calling a model; every chunk is cited so citation handling can be exercised.
+ * Template placeholders: {question}, {sources} (one "- Title [n]" line per chunk), {count}.
+ * Structured answers (invokeStructured) are example values of the schema filled from the chunks' ids and titles.
+ * Usage is estimated from the prompt and the rendered answer.
+ */
+export class EchoLLMService extends LLMService {
+
+    /**
+     * @param {Object} [options] - Configuration options
+     * @param {string} [options.template] - Answer template (default 'Answer to "{question}" based on {count} source(s):\n{sources}')
+     * @param {string} [options.model] - Model name reported in responses (default 'echo')
+     * @param {boolean} [options.call] - Flag to enable/disable (default true)
+     */
+    constructor(options = {}) {
+        super({ ...options, model: options.model || 'echo' });
+        this.provider = 'echo';
+        this.template = options.template || 'Answer to "{question}" based on {count} source(s):\n{sources}';
+    }
+
+    /**
+     * Render the template for a question and its chunks.
+     * @param {string} question
+     * @param {{ title?: string }[]} chunks
+     * @returns {string}
+     */
+    render(question, chunks = []) {
+        const sources = chunks.map((c, i) => `- ${c.title ?? `Chunk ${i + 1}`} [${i + 1}]`).join('\n');
+        return this.template
+            .replaceAll('{question}', question ?? '')
+            .replaceAll('{sources}', sources)
+            .replaceAll('{count}', String(chunks.length));
+    }
+
+    /**
+     * Echo the last user message (used by generic prompts such as question rewriting).
+     * @param {{ role: string, content: string }[]} messages
+     * @returns {Promise<{ content: string, usage: import('./LLMService.js').LLMUsage }>}
+     */
+    async chat(messages) {
+        const content = [...messages].reverse().find((m) => m.role === 'user')?.content ?? '';
+        return { content, usage: this.usageFor(messages, content) };
+    }
+
+    /**
+     * Stream the echoed content word by word.
+     * @param {{ role: string, content: string }[]} messages
+     * @param {{ onUsage?: (usage: import('./LLMService.js').LLMUsage) => void }} [options]
+     * @returns {AsyncGenerator<string>}
+     */
+    async *chatStream(messages, options = {}) {
+        const { content, usage } = await this.chat(messages);
+        yield* content.split(/(?<=\s)/);
+        options.onUsage?.(usage);
+    }
+
+    /**
+     * Answer from the template instead of the model.
+     * @param {string} question
+     * @param {{ title?: string }[]} chunks
+     * @param {{ history?: { question: string, answer: string }[], prompt?: import('../utils/prompt.js').PromptSelection }} [options] - prompt: only counts towards the estimated usage
+     */
+    async invoke(question, chunks, options = {}) {
+        if (!this.call) return super.invoke(question, chunks, options);
+        const content = this.render(question, chunks);
+        return { content, provider: this.provider, model: this.model, usage: this.usageFor(this.getMessages(question, chunks, options.history, options.prompt), content) };
+    }
+
+    /**
+     * Stream the rendered template word by word.
+     * @param {string} question
+     * @param {{ title?: string }[]} chunks
+     * @param {{ history?: { question: string, answer: string }[], onUsage?: (usage: import('./LLMService.js').LLMUsage) => void }} [options]
+     * @returns {AsyncGenerator<string>}
+     */
+    async *stream(question, chunks, options = {}) {
+        if (!this.call) {
+            yield* super.stream(question, chunks, options);
+            return;
+        }
+        const { content, usage } = await this.invoke(question, chunks, options);
+        yield* content.split(/(?<=\s)/);
+        options.onUsage?.(usage);
+    }
+
+    /**
+     * Follow-up questions are used as-is (no model to rewrite them).
+     * @param {string} question
+     * @returns {Promise<string>}
+     */
+    async condenseQuestion(question) {
+        return question;
+    }
+
+    /**
+     * No alternative queries (no model to write them): retrieval runs on the question alone.
+     * @returns {Promise<{ paraphrases: string[], hypothetical: string | null }>}
+     */
+    async expandQuery() {
+        return { paraphrases: [], hypothetical: null };
+    }
+
+    /**
+     * Example value for a schema, filled from the chunks: arrays of objects get one item per chunk; string properties
+     * named like an id or a title take the chunk's id or title, other strings a placeholder.
+     * @private
+     * @param {object} schema
+     * @param {{ _id?: any, title?: string }[]} chunks
+     * @param {{ _id?: any, title?: string }} [chunk] - chunk of the enclosing array item
+     * @param {string} [name] - property name
+     * @returns {any}
+     */
+    sample(schema, chunks, chunk, name = '') {
+        if (schema.enum) return schema.enum[0];
+        const type = [].concat(schema.type ?? 'string')[0];
+        switch (type) {
+            case 'object':
+                return Object.fromEntries(Object.entries(schema.properties ?? {}).map(([key, property]) => [key, this.sample(property, chunks, chunk, key)]));
+            case 'array': {
+                const items = schema.items ?? {};
+                const count = Math.min(schema.maxItems ?? Infinity, Math.max(schema.minItems ?? 0, chunks.length));
+                return Array.from({ length: count }, (_, i) => this.sample(items, chunks, chunks[i] ?? chunk, name));
+            }
+            case 'integer':
+            case 'number':
+                return schema.minimum ?? 0;
+            case 'boolean':
+                return false;
+            case 'null':
+                return null;
+            default:
+                if (/ids?$/i.test(name) && chunk?._id !== undefined) return String(chunk._id);
+                if (/title/i.test(name) && chunk?.title) return chunk.title;
+                return chunk?.title ? `${name || 'value'} of ${chunk.title}` : name || 'value';
+        }
+    }
+
+    /**
+     * Structured answer from the schema instead of the model (see sample), validated like a model reply.
+     * @param {string} question
+     * @param {{ _id?: any, title?: string }[]} chunks
+     * @param {object} schema
+     * @param {{ history?: { question: string, answer: string }[] }} [options]
+     */
+    async invokeStructured(question, chunks, schema, options = {}) {
+        if (!this.call) return super.invokeStructured(question, chunks, schema, options);
+        const data = this.sample(schema, chunks);
+        const content = JSON.stringify(data);
+        const messages = [
+            { role: 'system', content: this.getStructuredSystemPrompt(schema) },
+            { role: 'user', content: this.getUserPrompt(question, chunks, options.history, { ids: true }) },
+        ];
+        const errors = validateSchema(data, schema);
+        return {
+            data: errors.length ? null : data,
+            valid: !errors.length,
+            errors,
+            attempts: 1,
+            content,
+            provider: this.provider,
+            model: this.model,
+            usage: this.usageFor(messages, content),
+        };
+    }
+
+    /**
+     * Estimated usage for a prompt and its answer.
+     * @private
+     */
+    usageFor(messages, content) {
+        const inputTokens = messages.reduce((sum, m) => sum + this.estimateTokens(m.content), 0);
+        const outputTokens = this.estimateTokens(content);
+        return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens };
+    }
+}
@@ -0,0 +1,96 @@
+import { VoyageAIService } from './VoyageAIService.js';
+import { OllamaEmbeddingService } from './OllamaEmbeddingService.js';
+import { HashEmbeddingService } from './HashEmbeddingService.js';
+
+/**
+ * HTTP client defaults of batch jobs and background workers (seed, reembed, eval, the trigger): wait up to 120 s for a
+ * retry or rate-limit slot, so they ride out a provider's rate-limit window instead of failing fast like the server.
+ * Pass as `options.http` of createEmbeddingServiceFromEnv or of a VoyageAIService / JinaRerankService.
+ * @type {Readonly<import('../utils/http.js').HttpClientOptions>}
+ */
+export const BATCH_HTTP_OPTIONS = Object.freeze({ maxWaitMs: 120_000 });
+
+/**
+ * Embedding provider registry. Select with EMBEDDING_PROVIDER (default 'voyage').
+ * @type {Map<string, (options: object) => import('./EmbeddingService.js').EmbeddingService>}
+ */
+const providers = new Map([
+    ['voyage', (options) => new VoyageAIService(options)],
+    ['ollama', (options) => new OllamaEmbeddingService(options)],
+    ['hash', (options) => new HashEmbeddingService(options)],
+]);
+
+/**
+ * Register (or replace) an embedding provider.
+ * @param {string} name - value of EMBEDDING_PROVIDER
+ * @param {(options: object) => import('./EmbeddingService.js').EmbeddingService} factory
+ */
+export function registerEmbeddingProvider(name, factory) {
+    providers.set(name.toLowerCase(), factory);
+}
+
+/**
+ * Names of the registered providers.
+ * @returns {string[]}
+ */
+export function listEmbeddingProviders() {
+    return [...providers.keys()];
+}
+
+/**
+ * Create the embedding service for a provider name.
+ * @param {string} [provider] - registered provider name (default 'voyage')
+ * @param {object} [options] - provider options
+ * @returns {import('./EmbeddingService.js').EmbeddingService}
+ * @throws {Error} when the provider is not registered
+ */
+export function createEmbeddingService(provider = 'voyage', options = {}) {
+    const factory = providers.get(String(provider).toLowerCase());
+    if (!factory) {
+        throw new Error(`Unknown embedding provider "${provider}". Available: ${listEmbeddingProviders().join(', ')}`);
+    }
+    return factory(options);
+}
+
+/**
+ * Create the embedding service configured by environment variables, shared by the server, CLIs, trigger and search demos.
+ * - voyage: VOYAGE_API_URL, VOYAGE_API_KEY, VOYAGE_MODEL, VOYAGE_MULTIMODAL_MODEL, VOYAGE_MODEL_RERANK (all but the multimodal/rerank model required)
+ * - ollama: EMBEDDING_URL (default LLM_URL), EMBEDDING_MODEL
+ * - hash: nothing required
+ * EMBEDDING_DIMENSIONS / EMBEDDING_DIMENSIONS_IMAGE override the provider's vector sizes.
+ * options.http sets HTTP client defaults for the caller (e.g. BATCH_HTTP_OPTIONS for batch jobs); VOYAGE_RPM,
+ * VOYAGE_MAX_WAIT_MS, ... still take precedence.
+ * @param {Record<string, string | undefined>} [env]
+ * @param {{ http?: import('../utils/http.js').HttpClientOptions }} [options]
+ * @returns {import('./EmbeddingService.js').EmbeddingService}
+ * @throws {Error} when the provider is unknown or its configuration is missing
+ */
+export function createEmbeddingServiceFromEnv(env = process.env, options = {}) {
+    const provider = (env.EMBEDDING_PROVIDER || 'voyage').toLowerCase();
+    const dimensions = env.EMBEDDING_DIMENSIONS ? parseInt(env.EMBEDDING_DIMENSIONS, 10) : undefined;
+    const imageDimensions = env.EMBEDDING_DIMENSIONS_IMAGE ? parseInt(env.EMBEDDING_DIMENSIONS_IMAGE, 10) : undefined;
+
+    if (provider === 'voyage') {
+        if (!env.VOYAGE_API_URL || !env.VOYAGE_API_KEY || !env.VOYAGE_MODEL) {
+            throw new Error('Missing VoyageAI configuration');
+        }
+        return createEmbeddingService(provider, {
+            apiUrl: env.VOYAGE_API_URL,
+            apiKey: env.VOYAGE_API_KEY,
+            model: env.VOYAGE_MODEL,
+            multimodalModel: env.VOYAGE_MULTIMODAL_MODEL,
+            rerankModel: env.VOYAGE_MODEL_RERANK,
+            dimensions,
+            imageDimensions,
+            http: options.http,
+        });
+    }
+    if (provider === 'ollama') {
+        return createEmbeddingService(provider, {
+            baseUrl: env.EMBEDDING_URL || env.LLM_URL,
+            model: env.EMBEDDING_MODEL,
+            dimensions,
+        });
+    }
+    return createEmbeddingService(provider, { dimensions, imageDimensions });
+}
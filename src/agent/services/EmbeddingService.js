@@ -0,0 +1,85 @@
+/**
+ * Base class for embedding providers. RagService, FilmService, the watch trigger and the search demos only depend on
+ * this contract: `getEmbedding(input)` for text (single string or batch), `getImageEmbedding(buffer, mimeType)` for images
+ * (null when unsupported), plus the vector sizes and model ids used by SetupService and for embedding metadata.
+ * Batch callers (seeding) also use `getImageEmbeddings`, the per-request limits `maxBatchSize` / `maxImageBatchSize`
+ * and `requestsPerMinute` to plan requests.
+ */
+export class EmbeddingService {
+
+    /**
+     * @param {Object} [options] - Configuration options
+     * @param {string} [options.model] - Text embedding model
+     * @param {number} [options.dimensions] - Text vector size
+     * @param {string} [options.imageModel] - Image embedding model (omit when images are not supported)
+     * @param {number} [options.imageDimensions] - Image vector size
+     * @param {number} [options.maxBatchSize] - Texts per getEmbedding request (default 128)
+     * @param {number} [options.maxImageBatchSize] - Images per getImageEmbeddings request (default 1)
+     */
+    constructor(options = {}) {
+        this.provider = 'base';
+        this.model = options.model;
+        this.dimensions = options.dimensions;
+        this.imageModel = options.imageModel ?? null;
+        this.imageDimensions = options.imageDimensions ?? null;
+        this.maxBatchSize = options.maxBatchSize ?? 128;
+        this.maxImageBatchSize = options.maxImageBatchSize ?? 1;
+    }
+
+    /** Provider-qualified text model id, e.g. 'voyage:voyage-4-large'. */
+    get modelId() {
+        return `${this.provider}:${this.model}`;
+    }
+
+    /** Provider-qualified image model id, or null when images are not supported. */
+    get imageModelId() {
+        return this.supportsImages ? `${this.provider}:${this.imageModel}` : null;
+    }
+
+    /** True when getImageEmbedding can return vectors. */
+    get supportsImages() {
+        return !!this.imageModel;
+    }
+
+    /** Client-side request rate limit, or null when the provider is not rate limited. */
+    get requestsPerMinute() {
+        return null;
+    }
+
+    /**
+     * Get embeddings for one or more texts. Implemented by each provider.
+     * @abstract
+     * @param {string | string[]} input - Single text or array of texts
+     * @param {object} [options]
+     * @returns {Promise<number[] | number[][]>} Single embedding or array of embeddings (same order as input)
+     */
+    async getEmbedding(input, options) {
+        throw new Error(`${this.constructor.name}.getEmbedding is not implemented`);
+    }
+
+    /**
+     * Get embedding for a single image. Providers without image support return null.
+     * @param {Buffer} imageBuffer - Raw image bytes
+     * @param {string} [mimeType]
+     * @param {object} [options]
+     * @returns {Promise<number[] | null>}
+     */
+    async getImageEmbedding(imageBuffer, mimeType, options) {
+        return null;
+    }
+
+    /**
+     * Get embeddings for several images (at most maxImageBatchSize). Default: one getImageEmbedding call per image;
+     * providers with a batch API send one request.
+     * @param {{ buffer: Buffer, mimeType?: string }[]} images
+     * @param {object} [options]
+     * @returns {Promise<(number[] | null)[]>} same order as images; null for an image that could not be embedded
+     */
+    async getImageEmbeddings(images, options) {
+        const embeddings = [];
+        for (const image of images) {
+            embeddings.push(await this.getImageEmbedding(image.buffer, image.mimeType, options));
+        }
+        return embeddings;
+    }
+}
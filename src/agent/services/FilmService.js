@@ -1,10 +1,16 @@
 import { ObjectId } from 'mongodb';
 import { logger } from '../utils/logger.js';
+import { toGenreList, toMatch } from '../utils/filter.js';
+import { toEmbeddingField, vectorMeta } from '../utils/embedding.js';
+import { chunk } from '../utils/utl.js';
 
 const COMPONENT = 'service:film';
 
+/** Fields films can be counted by (countBy): each genre of a film, its year, or its decade (e.g. 1990). */
+export const FILM_GROUP_FIELDS = Object.freeze(['genre', 'year', 'decade']);
+
 /**
- * Service for films CRUD. Uses the same collection as RAG; creates/updates compute text and image embeddings via VoyageAI.
+ * Service for films CRUD. Uses the same collection as RAG; creates/updates compute text and image embeddings via the configured embedding provider.
  * When coverImageBuffer is provided, uploads to S3 (via StoreService) and stores the returned URL in coverImage.
  * Set FILM_GENERATE_EMBEDDINGS=0 or false to skip embedding generation (e.g. during seed).
  */
@@ -13,22 +19,43 @@ export class FilmService {
     /**
      * @param {Object} options - configuration options
      * @param {import('mongodb').Collection} options.collection - MongoDB collection (same as RAG)
-     * @param {InstanceType<import('./VoyageAIService.js').VoyageAIService>} [options.srvVoyage] - Optional; for create/update to embed description and image
+     * @param {InstanceType<import('./EmbeddingService.js').EmbeddingService>} [options.srvEmbedding] - Optional; for create/update to embed description and image
+     * @param {InstanceType<import('./VoyageAIService.js').VoyageAIService>} [options.srvVoyage] - Legacy alias of srvEmbedding
      * @param {InstanceType<import('./StoreService.js').StoreService>} [options.srvStore] - Optional; for uploading cover image buffer to S3
      * @param {boolean} [options.generateEmbeddings] - If false, skip embedding generation (overrides env). Default from FILM_GENERATE_EMBEDDINGS (true unless '0' or 'false')
+     * @param {string} [options.embeddingField] - Vector field written on create/update (EMBEDDING_FIELD, default 'embedding')
+     * @param {import('./CacheService.js').CacheService} [options.cache] - RAG cache; cached answers and rerank results are flushed on writes
+     * @param {import('./ChunkingService.js').ChunkingService} [options.srvChunking] - Optional; keeps the chunks of created, updated and deleted films in sync
      */
     constructor(options) {
-        const { collection, srvVoyage, srvStore, embeddingsOn = 'true' } = options || {};
+        const { collection, srvEmbedding, srvVoyage, srvStore, embeddingsOn = 'true', embeddingField, cache, srvChunking } = options || {};
         this.collection = collection;
-        this.srvVoyage = srvVoyage;
+        this.srvEmbedding = srvEmbedding ?? srvVoyage;
+        this.embeddingField = toEmbeddingField(embeddingField);
         this.srvStore = srvStore;
         const envOff = embeddingsOn === '0' || String(embeddingsOn).toLowerCase() === 'false';
         this.embeddingsOn = !envOff;
+        this.cache = cache ?? null;
+        this.srvChunking = srvChunking ?? null;
+    }
+
+    /**
+     * Flush cached answers and rerank results after a catalog change (they may cite or rank the changed film).
+     * Query embeddings do not depend on the catalog and are kept. Failures are logged, not thrown: the write succeeded.
+     */
+    async invalidateCache() {
+        if (!this.cache) return;
+        try {
+            await this.cache.flush('answer');
+            await this.cache.flush('rerank');
+        } catch (err) {
+            logger.warn(COMPONENT, 'Cache flush failed', { error: err.message });
+        }
     }
 
     /** Projection for film responses (no embedding). */
     static get projection() {
-        return { title: 1, description: 1, coverImage: 1, year: 1, genre: 1 };
+        return { title: 1, description: 1, coverImage: 1, year: 1, genre: 1, metadata: 1 };
     }
 
     /**
@@ -47,7 +74,7 @@ export class FilmService {
     }
 
     /**
-     * Generate text and image embeddings via VoyageAI. Single place for all embedding logic.
+     * Generate text and image embeddings via the embedding provider. Single place for all embedding logic.
      * @param {{ description?: string, title?: string, coverImageBuffer?: Buffer, coverImageMimetype?: string }} film
      * @returns {Promise<{ text: number[], image: number[] }>}
      */
@@ -56,14 +83,14 @@ export class FilmService {
         const hasBuffer = Buffer.isBuffer(film.coverImageBuffer) && film.coverImageBuffer.length;
         const mime = film.coverImageMimetype ?? 'image/jpeg';
 
-        if (!this.srvVoyage) {
+        if (!this.srvEmbedding) {
             return { text: [], image: [] };
         }
 
         const [textEmb, imageEmb] = await Promise.all([
-            text ? this.srvVoyage.getEmbedding([text]) : [[]],
-            hasBuffer && typeof this.srvVoyage.getImageEmbedding === 'function'
-                ? this.srvVoyage.getImageEmbedding(film.coverImageBuffer, mime)
+            text ? this.srvEmbedding.getEmbedding([text]) : [[]],
+            hasBuffer && typeof this.srvEmbedding.getImageEmbedding === 'function'
+                ? this.srvEmbedding.getImageEmbedding(film.coverImageBuffer, mime)
                 : Promise.resolve(null),
         ]);
 
@@ -73,29 +100,161 @@ export class FilmService {
         };
     }
 
+    /**
+     * Embeddings for several films with as few provider requests as its limits allow: texts in chunks of
+     * srvEmbedding.maxBatchSize, covers in chunks of maxImageBatchSize (text and image requests run side by side).
+     * Same per-film result as generateEmbeddings; empty vectors where nothing could be embedded.
+     * @param {{ description?: string, title?: string, coverImageBuffer?: Buffer, coverImageMimetype?: string }[]} films
+     * @returns {Promise<{ text: number[], image: number[] }[]>} same order as films
+     */
+    async generateEmbeddingsBatch(films) {
+        const results = films.map(() => ({ text: [], image: [] }));
+        if (!this.srvEmbedding) return results;
+
+        const texts = films
+            .map((film, i) => ({ i, text: film.description ?? film.title ?? '' }))
+            .filter((t) => t.text);
+        const images = films
+            .map((film, i) => ({ i, buffer: film.coverImageBuffer, mimeType: film.coverImageMimetype ?? 'image/jpeg' }))
+            .filter((image) => Buffer.isBuffer(image.buffer) && image.buffer.length);
+
+        const embedTexts = async () => {
+            for (const part of chunk(texts, this.srvEmbedding.maxBatchSize)) {
+                const vectors = await this.srvEmbedding.getEmbedding(part.map((t) => t.text));
+                part.forEach((t, j) => {
+                    if (vectors[j]?.length) results[t.i].text = vectors[j];
+                });
+            }
+        };
+        const embedImages = async () => {
+            if (!this.srvEmbedding.supportsImages) return;
+            for (const part of chunk(images, this.srvEmbedding.maxImageBatchSize)) {
+                const vectors = await this.srvEmbedding.getImageEmbeddings(part);
+                part.forEach((image, j) => {
+                    if (vectors[j]?.length) results[image.i].image = vectors[j];
+                });
+            }
+        };
+        await Promise.all([embedTexts(), embedImages()]);
+        return results;
+    }
+
+    /**
+     * Model metadata for generated vectors, stored next to them as `<embeddingField>.meta`.
+     * @param {{ text: number[], image: number[] }} embedding
+     * @returns {{ text: object | null, image: object | null }}
+     */
+    embeddingMeta(embedding) {
+        return {
+            text: vectorMeta(this.srvEmbedding?.modelId, embedding.text),
+            image: vectorMeta(this.srvEmbedding?.imageModelId, embedding.image),
+        };
+    }
+
     /**
      * Create a film: resolve cover, generate embeddings (if enabled), insert.
-     * @param {{ title: string, description: string, coverImage?: string, coverImageBuffer?: Buffer, coverImageMimetype?: string, coverImageOriginalname?: string, year?: number, genre?: string }} film
-     * @returns {Promise<{ _id: import('mongodb').ObjectId, title: string, description: string, coverImage?: string, year?: number, genre?: string }>}
+     * genre is stored as a list ("Crime, Drama" → ["Crime", "Drama"]) so vector search can pre-filter on it.
+     * @param {{ title: string, description: string, coverImage?: string, coverImageBuffer?: Buffer, coverImageMimetype?: string, coverImageOriginalname?: string, year?: number, genre?: string | string[] }} film
+     * @returns {Promise<{ _id: import('mongodb').ObjectId, title: string, description: string, coverImage?: string, year?: number, genre?: string[] }>}
      */
     async create(film) {
-        const { title, description, year, genre } = film;
         const coverImage = await this.resolveCoverImage(film);
         const embedding = this.embeddingsOn
             ? await this.generateEmbeddings(film)
             : { text: [], image: [] };
 
+        const doc = this.toDocument(film, coverImage, embedding);
+        const res = await this.collection.insertOne(doc);
+        logger.info(COMPONENT, 'Film created', { id: res.insertedId, title: film.title });
+        await this.syncChunks([{ ...doc, _id: res.insertedId }]);
+        await this.invalidateCache();
+        return this.findById(res.insertedId.toString());
+    }
+
+    /**
+     * Seed state of films by natural key: id, content hash, cover, chunking signature and embedding model metadata (no vectors).
+     * @param {string[]} slugs
+     * @returns {Promise<Map<string, { _id: import('mongodb').ObjectId, slug: string, contentHash?: string, coverImage?: string, chunking?: string, meta?: object }>>}
+     */
+    async findBySlugs(slugs) {
+        if (!slugs.length) return new Map();
+        const field = this.embeddingField;
+        const docs = await this.collection
+            .find({ slug: { $in: slugs } }, { projection: { slug: 1, contentHash: 1, coverImage: 1, chunking: 1, [`${field}.meta`]: 1 } })
+            .toArray();
+        return new Map(docs.map((doc) => [doc.slug, { _id: doc._id, slug: doc.slug, contentHash: doc.contentHash, coverImage: doc.coverImage, chunking: doc.chunking, meta: doc[field]?.meta }]));
+    }
+
+    /**
+     * Rebuild the chunks of films (srvChunking) and record the chunking signature on them; the signature is written
+     * only after the chunks, so an interrupted run leaves the films marked for re-chunking. No-op without srvChunking
+     * or with embeddings off.
+     * @param {{ _id: import('mongodb').ObjectId, title: string, description?: string, year?: number, genre?: string[] }[]} films
+     * @returns {Promise<number>} number of chunks written
+     */
+    async syncChunks(films) {
+        if (!this.srvChunking || !this.embeddingsOn || !films.length) return 0;
+        const count = await this.srvChunking.replace(films);
+        await this.collection.updateMany(
+            { _id: { $in: films.map((film) => film._id) } },
+            { $set: { chunking: this.srvChunking.signature } },
+        );
+        return count;
+    }
+
+    /**
+     * Insert or update documents built with toDocument by their natural key (`slug`) in one unordered bulk write
+     * (used by seeding, so running it twice does not duplicate films). Only the fields the seed owns are written:
+     * the film fields (optional ones missing from the document are unset), and of the embedding field only the vectors
+     * that were computed, with their model metadata. Vectors not computed (embeddings off, no cover) keep their stored
+     * value, and other embedding fields (see reembed) and other fields are left as they are; new films get empty vectors.
+     * @param {object[]} docs - each with a slug
+     * @returns {Promise<{ inserted: number, updated: number }>}
+     */
+    async upsertMany(docs) {
+        if (!docs.length) return { inserted: 0, updated: 0 };
+        const field = this.embeddingField;
+        const res = await this.collection.bulkWrite(
+            docs.map(({ [field]: embedding, ...fields }) => {
+                const set = { ...fields };
+                const setOnInsert = {};
+                for (const part of ['text', 'image']) {
+                    const target = embedding?.[part]?.length ? set : setOnInsert;
+                    target[`${field}.${part}`] = embedding?.[part] ?? [];
+                    target[`${field}.meta.${part}`] = embedding?.meta?.[part] ?? null;
+                }
+                const unset = Object.fromEntries(['year', 'genre', 'metadata'].filter((name) => fields[name] === undefined).map((name) => [name, '']));
+                const update = { $set: set, $setOnInsert: setOnInsert, ...(Object.keys(unset).length ? { $unset: unset } : {}) };
+                return { updateOne: { filter: { slug: fields.slug }, update, upsert: true } };
+            }),
+            { ordered: false },
+        );
+        const counts = { inserted: res.upsertedCount, updated: res.matchedCount };
+        logger.info(COMPONENT, 'Films upserted', counts);
+        await this.invalidateCache();
+        return counts;
+    }
+
+    /**
+     * Stored document for a film: resolved cover URL, embeddings with their model metadata, genre as a list and
+     * free-form source metadata (from ingestion field mappings) when present.
+     * @param {{ title: string, description?: string, year?: number, genre?: string | string[], metadata?: object }} film
+     * @param {string} coverImage - resolved cover URL or path
+     * @param {{ text: number[], image: number[] }} embedding
+     * @returns {object}
+     */
+    toDocument(film, coverImage, embedding) {
+        const { title, description, year, genre } = film;
         const doc = {
             title,
             description: description ?? '',
             coverImage,
-            embedding: { text: embedding.text, image: embedding.image },
+            [this.embeddingField]: { text: embedding.text, image: embedding.image, meta: this.embeddingMeta(embedding) },
         };
         if (year !== undefined) doc.year = year;
-        if (genre !== undefined) doc.genre = genre;
-        const res = await this.collection.insertOne(doc);
-        logger.info(COMPONENT, 'Film created', { id: res.insertedId, title });
-        return this.findById(res.insertedId.toString());
+        if (genre !== undefined) doc.genre = toGenreList(genre);
+        if (film.metadata && Object.keys(film.metadata).length) doc.metadata = film.metadata;
+        return doc;
     }
 
     /**
@@ -124,7 +283,7 @@ export class FilmService {
 
     /**
      * List films with cursor-based efficient pagination. Fetches limit+1 to detect next page without a separate count.
-     * @param {{ page?: number, limit?: number, includeTotal?: boolean }} options - includeTotal: run countDocuments in parallel (extra query)
+     * @param {{ page?: number, limit?: number, includeTotal?: boolean, filter?: import('../utils/filter.js').RagFilter | null }} options - includeTotal: run countDocuments in parallel (extra query); filter: year, genre and title prefix conditions (parseFilter)
      * @returns {Promise<{ items: object[], page: number, limit: number, total?: number, totalPages?: number, hasNextPage: boolean, hasPrevPage: boolean }>}
      */
     async findAll(options = {}) {
@@ -133,7 +292,7 @@ export class FilmService {
         const skip = (page - 1) * limit;
         const includeTotal = options.includeTotal === true;
 
-        const filter = {};
+        const filter = toMatch(options.filter);
 
         const fetchItems = async () => {
             const cursor = this.collection
@@ -165,16 +324,54 @@ export class FilmService {
             result.totalPages = Math.ceil(total / limit);
         }
 
-        logger.info(COMPONENT, 'Films listed', { count: items.length, page, limit, hasNextPage });
+        logger.info(COMPONENT, 'Films listed', { count: items.length, page, limit, hasNextPage, filtered: !!options.filter });
         return result;
     }
 
     /**
-     * Update a film; if description is provided, re-embed and update embedding.text.
+     * Count films, in total or grouped by genre, year or decade (groups sorted by value; films without the field are
+     * left out of the groups, and a film with several genres counts once per genre).
+     * @param {{ groupBy?: 'genre'|'year'|'decade', filter?: import('../utils/filter.js').RagFilter | null }} [options]
+     * @returns {Promise<{ total: number, groups?: { value: string | number, count: number }[] }>}
+     * @throws {Error} when groupBy is not one of FILM_GROUP_FIELDS
+     */
+    async countBy(options = {}) {
+        const { groupBy, filter = null } = options;
+        const match = toMatch(filter);
+        if (!groupBy) {
+            const total = await this.collection.countDocuments(match);
+            logger.info(COMPONENT, 'Films counted', { total, filtered: !!filter });
+            return { total };
+        }
+        if (!FILM_GROUP_FIELDS.includes(groupBy)) {
+            throw new Error(`Unknown group "${groupBy}". Available: ${FILM_GROUP_FIELDS.join(', ')}`);
+        }
+        const key = {
+            genre: '$genre',
+            year: '$year',
+            decade: { $multiply: [{ $floor: { $divide: ['$year', 10] } }, 10] },
+        }[groupBy];
+        const field = groupBy === 'genre' ? 'genre' : 'year';
+        const [total, groups] = await Promise.all([
+            this.collection.countDocuments(match),
+            this.collection.aggregate([
+                { $match: { $and: [match, { [field]: { $exists: true, $ne: null } }] } },
+                ...(groupBy === 'genre' ? [{ $unwind: '$genre' }] : []),
+                { $group: { _id: key, count: { $sum: 1 } } },
+                { $sort: { _id: 1 } },
+                { $project: { _id: 0, value: '$_id', count: 1 } },
+            ]).toArray(),
+        ]);
+        logger.info(COMPONENT, 'Films counted', { total, groupBy, groups: groups.length, filtered: !!filter });
+        return { total, groups };
+    }
+
+    /**
+     * Update a film; if description is provided, re-embed and update the text vector (and its model metadata).
      * If coverImageBuffer is provided, uploads to S3 and sets coverImage to the returned URL.
      * @param {string} id - ObjectId string
-     * @param {{ title?: string, description?: string, coverImage?: string, coverImageBuffer?: Buffer, coverImageMimetype?: string, coverImageOriginalname?: string, year?: number, genre?: string }} film
-     * @returns {Promise<{ _id: import('mongodb').ObjectId, title: string, description: string, coverImage?: string, year?: number, genre?: string } | null>}
+     * @param {{ title?: string, description?: string, coverImage?: string, coverImageBuffer?: Buffer, coverImageMimetype?: string, coverImageOriginalname?: string, year?: number, genre?: string | string[] }} film
+     * @returns {Promise<{ _id: import('mongodb').ObjectId, title: string, description: string, coverImage?: string, year?: number, genre?: string[] } | null>}
      */
     async update(id, film) {
         if (!ObjectId.isValid(id)) return null;
@@ -189,11 +386,11 @@ export class FilmService {
             updateFields.coverImage = await this.resolveCoverImage(film);
         }
         if (film.year !== undefined) updateFields.year = film.year;
-        if (film.genre !== undefined) updateFields.genre = film.genre;
+        if (film.genre !== undefined) updateFields.genre = toGenreList(film.genre);
 
         const needsText = film.description !== undefined;
         const needsImage = Buffer.isBuffer(film.coverImageBuffer) && film.coverImageBuffer.length;
-        if (this.embeddingsOn && this.srvVoyage && (needsText || needsImage)) {
+        if (this.embeddingsOn && this.srvEmbedding && (needsText || needsImage)) {
             const payload = {
                 description: film.description ?? existing.description,
                 title: existing.title,
@@ -203,8 +400,13 @@ export class FilmService {
                 payload.coverImageMimetype = film.coverImageMimetype ?? 'image/jpeg';
             }
             const emb = await this.generateEmbeddings(payload);
-            updateFields['embedding.text'] = needsText ? (emb.text ?? existing.embedding?.text ?? []) : existing.embedding?.text ?? [];
-            updateFields['embedding.image'] = needsImage ? emb.image : (existing.embedding?.image ?? []);
+            const field = this.embeddingField;
+            const current = existing[field];
+            const meta = this.embeddingMeta(emb);
+            updateFields[`${field}.text`] = needsText ? (emb.text ?? current?.text ?? []) : current?.text ?? [];
+            updateFields[`${field}.image`] = needsImage ? emb.image : (current?.image ?? []);
+            if (needsText) updateFields[`${field}.meta.text`] = meta.text;
+            if (needsImage) updateFields[`${field}.meta.image`] = meta.image;
         }
 
         if (Object.keys(updateFields).length === 0) return this.findById(id);
@@ -214,13 +416,18 @@ export class FilmService {
             { $set: updateFields }
         );
         logger.info(COMPONENT, 'Film updated', { id, keys: Object.keys(updateFields) });
+        // Chunks copy title, year and genre from the film, so any of them changing rebuilds the chunks.
+        if (['title', 'description', 'year', 'genre'].some((key) => key in updateFields)) {
+            await this.syncChunks([await this.collection.findOne({ _id: new ObjectId(id) }, { projection: { title: 1, description: 1, year: 1, genre: 1 } })]);
+        }
+        await this.invalidateCache();
         return this.findById(id);
     }
 
     /**
      * Delete a film by id. Returns the deleted document (without embedding) or null if not found.
      * @param {string} id - ObjectId string
-     * @returns {Promise<{ _id: import('mongodb').ObjectId, title: string, description: string, coverImage?: string, year?: number, genre?: string } | null>}
+     * @returns {Promise<{ _id: import('mongodb').ObjectId, title: string, description: string, coverImage?: string, year?: number, genre?: string[] } | null>}
      */
     async delete(id) {
         if (!ObjectId.isValid(id)) return null;
@@ -236,6 +443,8 @@ export class FilmService {
             return null;
         }
         logger.info(COMPONENT, 'Film deleted', { id });
+        if (this.srvChunking) await this.srvChunking.remove([doc._id]);
+        await this.invalidateCache();
         return doc;
     }
 }
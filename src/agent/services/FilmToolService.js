@@ -0,0 +1,172 @@
+import { logger } from '../utils/logger.js';
+import { parseFilter, toPredicate } from '../utils/filter.js';
+import { FILM_GROUP_FIELDS } from './FilmService.js';
+
+const COMPONENT = 'service:film-tools';
+
+/** Longest description sent back to the model per film, in characters. */
+const DESCRIPTION_CHARS = 400;
+
+/** Filter arguments shared by the catalog tools (JSON Schema properties). */
+const FILTER_PROPERTIES = {
+    yearFrom: { type: 'integer', description: 'Earliest release year, inclusive' },
+    yearTo: { type: 'integer', description: 'Latest release year, inclusive (e.g. 1979 for "before 1980")' },
+    genres: { type: 'array', items: { type: 'string' }, description: 'Genres, any of them (e.g. ["Crime", "Drama"])' },
+    titlePrefix: { type: 'string', description: 'Start of the title' },
+};
+
+/**
+ * Catalog tools for LLM tool calling, backed by FilmService (list, get, count) and the RAG retrievers (search).
+ * `definitions` are sent to the model; `execute` runs a call and returns the JSON-ready result plus the films it
+ * returned (RagService reports them as context). Tool errors are returned to the model as `{ error }` so it can retry.
+ */
+export class FilmToolService {
+
+    /**
+     * @param {Object} options - Configuration options
+     * @param {import('./FilmService.js').FilmService} options.srvFilm - Catalog queries
+     * @param {import('./RagService.js').RagService} options.ragService - Retrievers of search_films
+     */
+    constructor(options) {
+        this.srvFilm = options.srvFilm;
+        this.ragService = options.ragService;
+    }
+
+    /**
+     * Tools offered to the model. search_films offers hybrid mode only with a full-text index.
+     * @returns {import('./LLMService.js').LLMTool[]}
+     */
+    get definitions() {
+        const modes = this.ragService.searchIndexName ? ['text', 'hybrid'] : ['text'];
+        return [
+            {
+                name: 'find_films',
+                description: 'List catalog films matching filters (title, year, genre), sorted by insertion, with the total number of matches.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        ...FILTER_PROPERTIES,
+                        page: { type: 'integer', description: 'Page number, from 1' },
+                        limit: { type: 'integer', description: 'Films per page, 1..20 (default 10)' },
+                    },
+                },
+            },
+            {
+                name: 'get_film',
+                description: 'Get one film by its id, with its full description.',
+                parameters: {
+                    type: 'object',
+                    properties: { id: { type: 'string', description: 'Film id, as returned by the other tools' } },
+                    required: ['id'],
+                },
+            },
+            {
+                name: 'count_films',
+                description: 'Count catalog films matching filters, in total or grouped by genre, year or decade. Use it for "how many" questions.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        ...FILTER_PROPERTIES,
+                        groupBy: { type: 'string', enum: [...FILM_GROUP_FIELDS], description: 'Group the count by this field' },
+                    },
+                },
+            },
+            {
+                name: 'search_films',
+                description: 'Search film descriptions by meaning (plot, theme, vague description); returns the best matches with their scores.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        query: { type: 'string', description: 'What to look for' },
+                        mode: { type: 'string', enum: modes, description: 'text: semantic search; hybrid: semantic + keyword search (exact titles, names)' },
+                        k: { type: 'integer', description: 'Number of films, 1..10 (default 5)' },
+                        ...FILTER_PROPERTIES,
+                    },
+                    required: ['query'],
+                },
+            },
+        ];
+    }
+
+    /**
+     * Filter of a tool call, restricted by the request filter (request conditions win).
+     * @param {{ yearFrom?: number, yearTo?: number, genres?: string[], titlePrefix?: string }} args
+     * @param {import('../utils/filter.js').RagFilter | null} [filter]
+     * @returns {import('../utils/filter.js').RagFilter | null}
+     * @throws {Error} when the arguments do not form a valid filter
+     */
+    toFilter(args, filter) {
+        const year = {};
+        if (args.yearFrom !== undefined && args.yearFrom !== null) year.gte = args.yearFrom;
+        if (args.yearTo !== undefined && args.yearTo !== null) year.lte = args.yearTo;
+        return parseFilter({
+            ...(Object.keys(year).length ? { year } : {}),
+            ...(args.genres?.length ? { genre: args.genres } : {}),
+            ...(args.titlePrefix ? { titlePrefix: args.titlePrefix } : {}),
+            ...(filter ?? {}),
+        });
+    }
+
+    /**
+     * Film as sent back to the model: id, title, year, genres and a shortened description.
+     * @param {{ _id: any, title: string, description?: string, year?: number, genre?: string[], score?: number }} film
+     * @param {boolean} [full] - keep the whole description
+     * @returns {object}
+     */
+    toResult(film, full = false) {
+        const description = film.description ?? '';
+        return {
+            id: String(film._id),
+            title: film.title,
+            ...(film.year !== undefined ? { year: film.year } : {}),
+            ...(film.genre !== undefined ? { genre: film.genre } : {}),
+            description: full || description.length <= DESCRIPTION_CHARS ? description : `${description.slice(0, DESCRIPTION_CHARS)}…`,
+            ...(film.score !== undefined ? { score: film.score } : {}),
+        };
+    }
+
+    /**
+     * Run one tool call. Unknown tools and invalid arguments give an `{ error }` result instead of throwing.
+     * @param {string} name
+     * @param {object} args
+     * @param {{ filter?: import('../utils/filter.js').RagFilter | null }} [options] - filter: request filter applied to every call
+     * @returns {Promise<{ result: object, films: object[] }>}
+     */
+    async execute(name, args = {}, options = {}) {
+        try {
+            switch (name) {
+                case 'find_films': {
+                    const limit = Math.min(20, Math.max(1, parseInt(args.limit, 10) || 10));
+                    const page = Math.max(1, parseInt(args.page, 10) || 1);
+                    const list = await this.srvFilm.findAll({ page, limit, includeTotal: true, filter: this.toFilter(args, options.filter) });
+                    return {
+                        result: { total: list.total, page: list.page, hasNextPage: list.hasNextPage, films: list.items.map((film) => this.toResult(film)) },
+                        films: list.items,
+                    };
+                }
+                case 'get_film': {
+                    const film = await this.srvFilm.findById(String(args.id ?? ''));
+                    if (!film) return { result: { error: `No film with id "${args.id}"` }, films: [] };
+                    if (!toPredicate(options.filter)(film)) return { result: { error: `Film "${args.id}" does not match the request filter` }, films: [] };
+                    return { result: this.toResult(film, true), films: [film] };
+                }
+                case 'count_films': {
+                    const groupBy = args.groupBy || undefined;
+                    return { result: await this.srvFilm.countBy({ groupBy, filter: this.toFilter(args, options.filter) }), films: [] };
+                }
+                case 'search_films': {
+                    if (typeof args.query !== 'string' || !args.query.trim()) return { result: { error: '"query" is required' }, films: [] };
+                    const mode = args.mode === 'hybrid' && this.ragService.searchIndexName ? 'hybrid' : 'text';
+                    const k = Math.min(10, Math.max(1, parseInt(args.k, 10) || 5));
+                    const films = await this.ragService.retrieve(mode, { question: args.query.trim() }, { k, filter: this.toFilter(args, options.filter) });
+                    return { result: { films: films.map((film) => this.toResult(film)) }, films };
+                }
+                default:
+                    return { result: { error: `Unknown tool "${name}". Available: ${this.definitions.map((tool) => tool.name).join(', ')}` }, films: [] };
+            }
+        } catch (err) {
+            logger.warn(COMPONENT, 'Tool call failed', { tool: name, error: err.message });
+            return { result: { error: err.message }, films: [] };
+        }
+    }
+}
@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import { EmbeddingService } from './EmbeddingService.js';
+
+/**
+ * Deterministic embeddings for tests and offline runs: no network, no key.
+ * Text uses feature hashing of lowercase word tokens (same words → nearby vectors, so retrieval behaves sensibly);
+ * images are expanded from the SHA-256 of the bytes (identical images → identical vectors). Vectors are L2-normalized.
+ */
+export class HashEmbeddingService extends EmbeddingService {
+
+    /**
+     * @param {Object} [options] - Configuration options
+     * @param {number} [options.dimensions] - Vector size for text and image (default 256)
+     */
+    constructor(options = {}) {
+        const dimensions = options.dimensions ?? 256;
+        super({ model: `hash-${dimensions}`, dimensions, imageModel: `hash-image-${dimensions}`, imageDimensions: dimensions });
+        this.provider = 'hash';
+    }
+
+    /**
+     * Get embeddings for one or more texts.
+     * @param {string | string[]} input - Single text or array of texts
+     * @returns {Promise<number[] | number[][]>} Single embedding or array of embeddings (same order as input)
+     */
+    async getEmbedding(input) {
+        const embeddings = (Array.isArray(input) ? input : [input]).map((text) => this.embedText(text));
+        return Array.isArray(input) ? embeddings : embeddings[0];
+    }
+
+    /**
+     * Get embedding for a single image.
+     * @param {Buffer} imageBuffer - Raw image bytes
+     * @returns {Promise<number[] | null>}
+     */
+    async getImageEmbedding(imageBuffer) {
+        if (!imageBuffer || !Buffer.isBuffer(imageBuffer)) return null;
+        const digest = crypto.createHash('sha256').update(imageBuffer).digest();
+        let state = digest.readUInt32LE(0);
+        const vector = new Array(this.imageDimensions);
+        for (let i = 0; i < vector.length; i++) {
+            // mulberry32 PRNG seeded with the digest
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            vector[i] = ((t ^ (t >>> 14)) >>> 0) / 4294967296 - 0.5;
+        }
+        return this.normalize(vector);
+    }
+
+    /**
+     * Feature-hash word tokens into a signed vector.
+     * @private
+     */
+    embedText(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const tokens = String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [];
+        for (const token of tokens) {
+            const digest = crypto.createHash('md5').update(token).digest();
+            const index = digest.readUInt32LE(0) % this.dimensions;
+            vector[index] += digest[4] & 1 ? 1 : -1;
+        }
+        return this.normalize(vector);
+    }
+
+    /** @private */
+    normalize(vector) {
+        const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+        return norm ? vector.map((v) => v / norm) : vector;
+    }
+}
@@ -1,21 +1,28 @@
 import { logger } from '../utils/logger.js';
+import { HttpClient, httpOptionsFromEnv } from '../utils/http.js';
 
 const COMPONENT = 'service:jina-rerank';
 
 /**
  * Jina AI multimodal reranker service. Wraps the Jina rerank REST API.
  * Supports text and image documents — images can be base64 data URLs or HTTP URLs.
+ * Calls go through an HttpClient (rate limit, retries, timeout, circuit breaker) configured with the JINA_* variables
+ * (JINA_RPM, JINA_TIMEOUT_MS, ...; see utils/http.js).
  * @see https://jina.ai/reranker/
  */
 export class JinaRerankService {
 
     /**
-     * @param {{ apiUrl?: string, apiKey: string, model?: string }} options
+     * @param {{ apiUrl?: string, apiKey: string, model?: string, http?: HttpClient | import('../utils/http.js').HttpClientOptions }} options
+     * http: client, or client option defaults (the JINA_* variables take precedence).
      */
-    constructor({ apiUrl, apiKey, model }) {
+    constructor({ apiUrl, apiKey, model, http }) {
         this.apiUrl = apiUrl || 'https://api.jina.ai/v1/rerank';
         this.apiKey = apiKey;
         this.model = model || 'jina-reranker-m0';
+        this.http = http instanceof HttpClient
+            ? http
+            : new HttpClient({ ...http, ...httpOptionsFromEnv('JINA'), name: 'jina' });
     }
 
     /**
@@ -26,6 +33,7 @@ export class JinaRerankService {
      * @param {{ text: string }[] | { image: string }[]} documents - list of documents to rerank
      * @param {{ top_n?: number, model?: string }} [options]
      * @returns {Promise<{ index: number, relevance_score: number }[]>} results sorted by relevance desc
+     * @throws {import('../utils/http.js').HttpError | import('../utils/http.js').CircuitOpenError} when the API fails after retries or is unavailable
      */
     async rerank(query, documents, options = {}) {
         if (!query?.trim() || !Array.isArray(documents) || documents.length === 0) {
@@ -41,28 +49,9 @@ export class JinaRerankService {
         };
         logger.info(COMPONENT, 'Rerank request', { queryLen: query.length, docCount: documents.length, top_n: body.top_n, model });
 
-        const response = await fetch(this.apiUrl, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${this.apiKey}`,
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(body),
+        const result = await this.http.postJson(this.apiUrl, body, {
+            headers: { 'Authorization': `Bearer ${this.apiKey}` },
         });
-
-        if (!response.ok) {
-            const text = await response.text();
-            if (response.status === 429 && !(options?.retried)) {
-                const waitMs = 65_000;
-                logger.warn(COMPONENT, 'Rate limited (429), retrying after wait', { waitMs });
-                await new Promise((r) => setTimeout(r, waitMs));
-                return this.rerank(query, documents, { ...options, retried: true });
-            }
-            logger.error(COMPONENT, 'Rerank API error', { status: response.status, body: text.slice(0, 200) });
-            return [];
-        }
-
-        const result = await response.json();
         const data = result.results ?? [];
         return data.map((r) => ({ index: r.index, relevance_score: r.relevance_score ?? 0 }));
     }
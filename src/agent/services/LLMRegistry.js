@@ -0,0 +1,46 @@
+import { OllamaService } from './OllamaService.js';
+import { OpenAICompatibleService } from './OpenAICompatibleService.js';
+import { EchoLLMService } from './EchoLLMService.js';
+
+/**
+ * LLM provider registry. Each factory receives the shared options ({ model, baseUrl, apiKey, call, historyTokens, contextWindow, ... })
+ * and returns an LLMService. Select with LLM_PROVIDER (default 'ollama').
+ * @type {Map<string, (options: object) => import('./LLMService.js').LLMService>}
+ */
+const providers = new Map([
+    ['ollama', (options) => new OllamaService(options)],
+    ['openai', (options) => new OpenAICompatibleService(options)],
+    ['echo', (options) => new EchoLLMService(options)],
+]);
+
+/**
+ * Register (or replace) an LLM provider.
+ * @param {string} name - value of LLM_PROVIDER
+ * @param {(options: object) => import('./LLMService.js').LLMService} factory
+ */
+export function registerLLMProvider(name, factory) {
+    providers.set(name.toLowerCase(), factory);
+}
+
+/**
+ * Names of the registered providers.
+ * @returns {string[]}
+ */
+export function listLLMProviders() {
+    return [...providers.keys()];
+}
+
+/**
+ * Create the LLM service for a provider name.
+ * @param {string} [provider] - registered provider name (default 'ollama')
+ * @param {object} [options] - provider options
+ * @returns {import('./LLMService.js').LLMService}
+ * @throws {Error} when the provider is not registered
+ */
+export function createLLMService(provider = 'ollama', options = {}) {
+    const factory = providers.get(String(provider).toLowerCase());
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${provider}". Available: ${listLLMProviders().join(', ')}`);
+    }
+    return factory(options);
+}
@@ -0,0 +1,574 @@
+import { validateSchema } from '../utils/schema.js';
+import { DEFAULT_PROMPT, renderTemplate } from '../utils/prompt.js';
+import { CONTEXT_OVERFLOWS, DUPLICATE_SIMILARITY, MIN_CHUNK_TOKENS, modelProfile, textSimilarity, truncateText } from '../utils/context.js';
+
+/** Model calls of a structured answer: the first one and a single retry on invalid output. */
+const STRUCTURED_ATTEMPTS = 2;
+
+/**
+ * Base class for LLM providers used by RagService. Owns prompt construction (a prompt template, see utils/prompt.js,
+ * rendered with the numbered context and conversation history) and the `invoke(question, chunks)` /
+ * `stream(question, chunks)` contract; providers implement `chat` and `chatStream`.
+ * `invokeStructured` answers with a JSON object validated against a schema instead of prose.
+ * Token estimates follow the model's profile (utils/context.js); `assembleContext` fits retrieved chunks to the context
+ * budget before they are prompted.
+ * Responses report the provider, model name and token usage ({ inputTokens, outputTokens, totalTokens }, null when unknown).
+ */
+export class LLMService {
+
+    /**
+     * @param {Object} [options] - Configuration options
+     * @param {string} [options.model] - Model name reported in responses
+     * @param {boolean} [options.call] - Flag to enable/disable actual LLM calls (default true). If false, invoke/stream return a placeholder answer without calling the model.
+     * @param {number} [options.historyTokens] - Max estimated tokens of prior conversation turns included in the user prompt (default 1024)
+     * @param {number} [options.charsPerToken] - Characters per token of the estimates (default: the model's profile, see utils/context.js)
+     * @param {number} [options.contextWindow] - Model context window in tokens (default: the model's profile)
+     * @param {number} [options.contextTokens] - Max estimated tokens of retrieved context (default: what the window leaves)
+     * @param {number} [options.answerTokens] - Tokens of the window kept for the answer (default 512)
+     * @param {'truncate'|'summarize'|'drop'} [options.contextOverflow] - Chunks beyond the context budget (default 'truncate')
+     * @throws {Error} when contextOverflow is unknown
+     */
+    constructor(options = {}) {
+        this.provider = 'base';
+        this.model = options.model;
+        this.call = options.call ?? true;
+        this.historyTokens = options.historyTokens ?? 1024;
+        const profile = modelProfile(options.model);
+        this.charsPerToken = options.charsPerToken || profile.charsPerToken;
+        this.contextWindow = options.contextWindow || profile.contextWindow;
+        this.contextTokens = options.contextTokens || null;
+        this.answerTokens = options.answerTokens ?? 512;
+        this.contextOverflow = options.contextOverflow || 'truncate';
+        if (!CONTEXT_OVERFLOWS.includes(this.contextOverflow)) {
+            throw new Error(`Unknown context overflow "${this.contextOverflow}". Available: ${CONTEXT_OVERFLOWS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Build a context string from retrieved chunks to include in the prompt. Each chunk is numbered as a source ([1], [2], ...)
+     * in retrieval order so the model can cite it; RagService maps the markers back to the chunks.
+     * Here we concatenate title and description, but you could also include metadata or other fields.
+     * @param {Array<{ _id?: any, title?: string, description?: string, content?: string, metadata?: { title?: string } }>} chunks - retrieved chunks from vector search, which may have different structures depending on your seeding and retrieval logic
+     * @param {{ ids?: boolean }} [options] - ids: add each chunk's film id to its heading (structured answers reference films by id)
+     * @returns {string} - formatted context string for the prompt
+     */
+    buildContext(chunks, options = {}) {
+        return chunks
+            .map((chunk, idx) => {
+                const title = chunk.title || (chunk.metadata?.title) || `Chunk ${idx + 1}`;
+                const body = chunk.description ?? chunk.content ?? '';
+                const id = options.ids && chunk._id !== undefined ? ` (id: ${chunk._id})` : '';
+                return `### [${idx + 1}] ${title}${id}\n${body}`;
+            })
+            .join('\n\n');
+    }
+
+    /**
+     * Get system prompt with instructions for the LLM: the template's system part (default: DEFAULT_PROMPT, which keeps
+     * the model to the provided context and the language of the question). Add or version templates to change it.
+     * @param {import('../utils/prompt.js').PromptSelection} [prompt] - template and request variables
+     * @returns {string}
+     */
+    getSystemPrompt(prompt) {
+        const template = prompt?.template ?? DEFAULT_PROMPT;
+        return renderTemplate(template.system, { ...template.variables, ...prompt?.variables }).trim();
+    }
+
+    /**
+     * System prompt of tool-calling answers (RagService.askWithTools): look the catalog up with the tools, answer only
+     * from their results.
+     * @returns {string}
+     */
+    getToolSystemPrompt() {
+        return `
+You are a helpful assistant that answers questions about a film catalog. Use the tools to look the catalog up:
+count films for "how many" questions, list films with filters, get one film by id, or search descriptions by meaning.
+Answer strictly based on the tool results. If they do not contain the answer, say "I do not know based on the provided context."
+Respond in the same language as the user question.
+`.trim();
+    }
+
+    /**
+     * System prompt of structured answers (invokeStructured): same grounding rules, reply as one JSON object that matches
+     * the schema.
+     * @param {object} schema - JSON Schema of the reply
+     * @returns {string}
+     */
+    getStructuredSystemPrompt(schema) {
+        return `
+You are a helpful assistant. Answer strictly based on the provided CONTEXT; use empty lists or values when it does not contain the answer.
+Refer to films by the id shown after their title in the CONTEXT.
+Reply with a single JSON object that matches this JSON Schema, and nothing else:
+${JSON.stringify(schema)}
+Write text values in the same language as the user question.
+`.trim();
+    }
+
+    /**
+     * Rough token estimate (this.charsPerToken characters per token, ~4 by default). Good enough to budget prompt sections
+     * without a tokenizer.
+     * @param {string} text
+     * @returns {number}
+     */
+    estimateTokens(text) {
+        return Math.ceil((text?.length ?? 0) / this.charsPerToken);
+    }
+
+    /**
+     * Estimated tokens of one chunk in the context (see buildContext): its numbered heading with the id, body and separator.
+     * @param {{ _id?: any, title?: string, description?: string, content?: string, metadata?: { title?: string } }} chunk
+     * @param {number} marker - source number of the chunk
+     * @returns {number}
+     */
+    chunkTokens(chunk, marker) {
+        const title = chunk.title || (chunk.metadata?.title) || `Chunk ${marker}`;
+        const id = chunk._id !== undefined ? ` (id: ${chunk._id})` : '';
+        return this.estimateTokens(`### [${marker}] ${title}${id}\n${chunk.description ?? chunk.content ?? ''}\n\n`);
+    }
+
+    /**
+     * Summarize an overflowing chunk to about `tokens` tokens; falls back to truncation when calls are disabled or fail.
+     * @param {{ title?: string, description?: string, content?: string }} chunk
+     * @param {number} tokens
+     * @returns {Promise<{ text: string, summarized: boolean, usage: LLMUsage | null }>}
+     */
+    async summarizeChunk(chunk, tokens) {
+        const body = chunk.description ?? chunk.content ?? '';
+        const maxChars = Math.floor(tokens * this.charsPerToken);
+        if (!this.call) return { text: truncateText(body, maxChars), summarized: false, usage: null };
+        try {
+            const response = await this.chat([
+                {
+                    role: 'system',
+                    content: `
+Summarize the film description in at most ${Math.max(10, Math.floor(tokens * 0.75))} words.
+Keep the facts a question could be about: plot, characters, people, places and years. Return only the summary.
+`.trim(),
+                },
+                { role: 'user', content: `${chunk.title ?? ''}\n${body}`.trim() },
+            ]);
+            const summary = typeof response?.content === 'string' ? response.content.trim() : '';
+            return { text: truncateText(summary || body, maxChars), summarized: !!summary, usage: response?.usage ?? null };
+        } catch {
+            return { text: truncateText(body, maxChars), summarized: false, usage: null };
+        }
+    }
+
+    /**
+     * Fit retrieved chunks to the context budget: the window minus the rest of the prompt (instructions, examples,
+     * question, history) and the answer reserve, capped by contextTokens. Chunks are ordered by score (best first), a chunk
+     * with the same film or a near-identical description (DUPLICATE_SIMILARITY) as a better one is dropped, and chunks
+     * that do not fit are truncated, summarized or dropped (`overflow`, default this.contextOverflow). The returned chunks
+     * are copies, with shortened bodies where needed, in prompt order.
+     * @param {string} question
+     * @param {Array<{ _id?: any, title?: string, description?: string, content?: string, score?: number }>} chunks
+     * @param {{ history?: { question: string, answer: string }[], prompt?: import('../utils/prompt.js').PromptSelection, overflow?: 'truncate'|'summarize'|'drop' }} [options]
+     * @returns {Promise<{ chunks: object[], report: ContextReport }>}
+     */
+    async assembleContext(question, chunks, options = {}) {
+        const overflow = options.overflow ?? this.contextOverflow;
+        const prompt = this.getMessages(question, [], options.history, options.prompt).reduce((sum, m) => sum + this.estimateTokens(m.content), 0);
+        const available = this.contextWindow - prompt - this.answerTokens;
+        const budget = Math.max(0, this.contextTokens ? Math.min(this.contextTokens, available) : available);
+        const body = (chunk) => chunk.description ?? chunk.content ?? '';
+        const ref = (chunk) => ({ _id: chunk._id, title: chunk.title });
+
+        const ordered = chunks
+            .map((chunk, i) => ({ chunk, i }))
+            .sort((a, b) => (b.chunk.score ?? -Infinity) - (a.chunk.score ?? -Infinity) || a.i - b.i)
+            .map(({ chunk }) => chunk);
+        const unique = [];
+        const dropped = [];
+        for (const chunk of ordered) {
+            const same = unique.find((kept) => (chunk._id !== undefined && String(kept._id) === String(chunk._id))
+                || (body(chunk) && textSimilarity(body(kept), body(chunk)) >= DUPLICATE_SIMILARITY));
+            if (same) dropped.push({ ...ref(chunk), reason: 'duplicate', duplicateOf: same._id });
+            else unique.push(chunk);
+        }
+
+        /** @type {{ chunk: object, rank: number, fit?: 'truncated'|'summarized', tokens?: number }[]} */
+        const slots = [];
+        const pending = [];
+        let tokens = 0;
+        unique.forEach((chunk, rank) => {
+            const cost = this.chunkTokens(chunk, slots.length + 1);
+            if (tokens + cost <= budget) {
+                slots.push({ chunk, rank });
+                tokens += cost;
+            } else {
+                pending.push({ chunk, rank });
+            }
+        });
+
+        // Overflow: the remaining budget goes to the best chunks that did not fit, at least MIN_CHUNK_TOKENS each.
+        const remaining = budget - tokens;
+        const room = overflow === 'drop' ? 0 : Math.floor(remaining / MIN_CHUNK_TOKENS);
+        const squeezed = overflow === 'truncate' ? pending.slice(0, Math.min(1, room)) : pending.slice(0, room);
+        pending.slice(squeezed.length).forEach(({ chunk }) => dropped.push({ ...ref(chunk), reason: 'budget' }));
+        let usage = null;
+        if (squeezed.length) {
+            const share = Math.floor(remaining / squeezed.length);
+            await Promise.all(squeezed.map(async (slot) => {
+                const heading = this.chunkTokens({ ...slot.chunk, description: '', content: undefined }, unique.length);
+                const bodyTokens = share - heading;
+                if (bodyTokens < MIN_CHUNK_TOKENS / 2) {
+                    dropped.push({ ...ref(slot.chunk), reason: 'budget' });
+                    return;
+                }
+                let text;
+                if (overflow === 'summarize') {
+                    const summary = await this.summarizeChunk(slot.chunk, bodyTokens);
+                    text = summary.text;
+                    slot.fit = summary.summarized ? 'summarized' : 'truncated';
+                    if (summary.usage) {
+                        usage ??= { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+                        usage.inputTokens += summary.usage.inputTokens;
+                        usage.outputTokens += summary.usage.outputTokens;
+                        usage.totalTokens += summary.usage.totalTokens;
+                    }
+                } else {
+                    text = truncateText(body(slot.chunk), Math.floor(bodyTokens * this.charsPerToken));
+                    slot.fit = 'truncated';
+                }
+                slot.chunk = slot.chunk.description !== undefined ? { ...slot.chunk, description: text } : { ...slot.chunk, content: text };
+                slots.push(slot);
+            }));
+        }
+
+        slots.sort((a, b) => a.rank - b.rank);
+        const fitted = slots.map(({ chunk }) => chunk);
+        const total = fitted.reduce((sum, chunk, i) => sum + this.chunkTokens(chunk, i + 1), 0);
+        return {
+            chunks: fitted,
+            report: {
+                window: this.contextWindow,
+                budget,
+                tokens: total,
+                dropped,
+                truncated: slots.filter((slot) => slot.fit === 'truncated').map(({ chunk }) => ref(chunk)),
+                summarized: slots.filter((slot) => slot.fit === 'summarized').map(({ chunk }) => ref(chunk)),
+                ...(usage ? { usage } : {}),
+            },
+        };
+    }
+
+    /**
+     * Format prior conversation turns for the prompt, keeping the most recent turns that fit in this.historyTokens.
+     * @param {{ question: string, answer: string }[]} [history] - prior turns, oldest first
+     * @returns {string} - formatted history (oldest first) or '' when empty
+     */
+    buildHistory(history = []) {
+        const lines = [];
+        let budget = this.historyTokens;
+        for (let i = history.length - 1; i >= 0; i--) {
+            const turn = `User: ${history[i].question}\nAssistant: ${history[i].answer ?? ''}`;
+            const cost = this.estimateTokens(turn);
+            if (cost > budget) break;
+            budget -= cost;
+            lines.unshift(turn);
+        }
+        return lines.join('\n\n');
+    }
+
+    /**
+     * Build the user prompt with the question, the retrieved context and, for follow-ups, the prior turns within the history
+     * budget: the template's user part rendered with `question`, `context` and `history`.
+     * @param {string} question - user question
+     * @param {Array<{ title?: string, description?: string, content?: string, metadata?: { title?: string } }>} chunks - retrieved context chunks
+     * @param {{ question: string, answer: string }[]} [history] - prior conversation turns, oldest first
+     * @param {{ ids?: boolean, prompt?: import('../utils/prompt.js').PromptSelection }} [options] - ids: see buildContext; prompt: template (default DEFAULT_PROMPT) and request variables
+     * @return {string} - user prompt
+     */
+    getUserPrompt(question, chunks, history = [], options = {}) {
+        const template = options.prompt?.template ?? DEFAULT_PROMPT;
+        return renderTemplate(template.user, {
+            ...template.variables,
+            ...options.prompt?.variables,
+            question,
+            context: this.buildContext(chunks, options),
+            history: this.buildHistory(history),
+        }).trim();
+    }
+
+    /**
+     * Few-shot examples of a template as user / assistant exchanges, rendered with the template's user part.
+     * @param {import('../utils/prompt.js').PromptSelection} [prompt]
+     * @returns {{ role: 'user'|'assistant', content: string }[]}
+     */
+    getExampleMessages(prompt) {
+        const template = prompt?.template ?? DEFAULT_PROMPT;
+        return (template.examples ?? []).flatMap((example) => [
+            {
+                role: 'user',
+                content: renderTemplate(template.user, { ...template.variables, ...prompt?.variables, question: example.question, context: example.context ?? '', history: '' }).trim(),
+            },
+            { role: 'assistant', content: example.answer },
+        ]);
+    }
+
+    /**
+     * Build the chat messages (system instructions + few-shot examples + user question/context) sent to the model.
+     * @param {string} question - user question
+     * @param {Array<{ title?: string, description?: string, content?: string, metadata?: { title?: string } }>} chunks - retrieved context chunks
+     * @param {{ question: string, answer: string }[]} [history] - prior conversation turns, oldest first
+     * @param {import('../utils/prompt.js').PromptSelection} [prompt] - template (default DEFAULT_PROMPT) and request variables
+     * @returns {{ role: 'system'|'user'|'assistant', content: string }[]}
+     */
+    getMessages(question, chunks, history = [], prompt) {
+        // Build system and user prompts
+        const systemPrompt = this.getSystemPrompt(prompt);
+
+        // For the user prompt, we can include the question and the context in a structured way.
+        // The LLM will then have access to both the question and the relevant context chunks when generating an answer.
+        const userPrompt = this.getUserPrompt(question, chunks, history, { prompt });
+
+        return [
+            { role: 'system', content: systemPrompt },
+            ...this.getExampleMessages(prompt),
+            { role: 'user', content: userPrompt },
+        ];
+    }
+
+    /**
+     * Send chat messages to the model. Implemented by each provider.
+     * @abstract
+     * @param {{ role: 'system'|'user'|'assistant', content: string }[]} messages
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<{ content: string, usage: LLMUsage | null }>}
+     */
+    async chat(messages, options) {
+        throw new Error(`${this.constructor.name}.chat is not implemented`);
+    }
+
+    /**
+     * Stream chat completion fragments. Implemented by each provider; reports usage through options.onUsage when available.
+     * @abstract
+     * @param {{ role: 'system'|'user'|'assistant', content: string }[]} messages
+     * @param {{ signal?: AbortSignal, onUsage?: (usage: LLMUsage) => void }} [options]
+     * @returns {AsyncGenerator<string>}
+     */
+    async *chatStream(messages, options) {
+        throw new Error(`${this.constructor.name}.chatStream is not implemented`);
+    }
+
+    /**
+     * Send chat messages expecting a JSON reply that matches a schema. The schema is already in the prompt
+     * (getStructuredSystemPrompt); providers with a structured-output mode (Ollama `format`, OpenAI `response_format`) override this to
+     * constrain generation to it. The caller parses and validates the content.
+     * @param {{ role: 'system'|'user'|'assistant', content: string }[]} messages
+     * @param {object} schema - JSON Schema of the reply
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<{ content: string, usage: LLMUsage | null }>}
+     */
+    async chatJson(messages, schema, options = {}) {
+        return this.chat(messages, options);
+    }
+
+    /**
+     * Parse the JSON object of a model reply, ignoring text or code fences around it.
+     * @param {string} content
+     * @returns {{ value?: any, error?: string }}
+     */
+    parseJson(content) {
+        const raw = String(content ?? '').match(/\{[\s\S]*\}/)?.[0];
+        if (!raw) return { error: 'the reply has no JSON object' };
+        try {
+            return { value: JSON.parse(raw) };
+        } catch (err) {
+            return { error: `the reply is not valid JSON (${err.message})` };
+        }
+    }
+
+    /** True when the provider implements chatWithTools (tool / function calling). */
+    get supportsTools() {
+        return false;
+    }
+
+    /**
+     * Send chat messages with tools the model may call. Implemented by providers that support tool calling (supportsTools).
+     * The reply either has tool calls, to be run by the caller and sent back as `tool` messages, or the final content.
+     * @abstract
+     * @param {LLMToolMessage[]} messages
+     * @param {LLMTool[]} tools - no tools: the model must answer
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<{ content: string, toolCalls: LLMToolCall[], usage: LLMUsage | null }>}
+     */
+    async chatWithTools(messages, tools, options) {
+        throw new Error(`${this.constructor.name}.chatWithTools is not implemented`);
+    }
+
+    /**
+     * Main method to invoke the LLM with question and context chunks. Respects the this.call flag to enable/disable actual LLM calls.
+     * Constructs system and user prompts, then calls the model and returns the response content with model and usage.
+     * @param {string} question - user question
+     * @param {Array<{ title?: string, description?: string, content?: string, metadata?: { title?: string } }>} chunks - retrieved context chunks
+     * @param {{ history?: { question: string, answer: string }[], signal?: AbortSignal, prompt?: import('../utils/prompt.js').PromptSelection }} [options] - history: prior conversation turns, oldest first; prompt: template and request variables (default DEFAULT_PROMPT)
+     * @return {Promise<{ content: string, provider: string, model: string, usage: LLMUsage | null }>}
+     */
+    async invoke(question, chunks, options = {}) {
+        // This allows us to disable LLM calls for testing or via query parameter.
+        if (!this.call) {
+            return { content: 'LLM call is disabled', provider: this.provider, model: this.model, usage: null };
+        }
+        const response = await this.chat(this.getMessages(question, chunks, options.history, options.prompt), { signal: options.signal });
+        return { content: response.content, provider: this.provider, model: this.model, usage: response.usage ?? null };
+    }
+
+    /**
+     * Answer as data: the model replies with a JSON object for the schema (chatJson), which is parsed and validated.
+     * Invalid output is sent back with the validation errors for one retry. When calls are disabled, returns no data.
+     * @param {string} question - user question
+     * @param {Array<{ _id?: any, title?: string, description?: string, content?: string, metadata?: { title?: string } }>} chunks - retrieved context chunks; their ids are part of the context
+     * @param {object} schema - JSON Schema of the reply (see utils/schema.js)
+     * @param {{ history?: { question: string, answer: string }[], signal?: AbortSignal }} [options]
+     * @returns {Promise<{ data: object | null, valid: boolean, errors: string[], attempts: number, content: string, provider: string, model: string, usage: LLMUsage | null }>} data: the parsed reply when valid; errors and content: of the last attempt
+     */
+    async invokeStructured(question, chunks, schema, options = {}) {
+        if (!this.call) {
+            return { data: null, valid: false, errors: ['LLM call is disabled'], attempts: 0, content: '', provider: this.provider, model: this.model, usage: null };
+        }
+        const messages = [
+            { role: 'system', content: this.getStructuredSystemPrompt(schema) },
+            { role: 'user', content: this.getUserPrompt(question, chunks, options.history, { ids: true }) },
+        ];
+        let usage = null;
+        let content = '';
+        let errors = [];
+        let attempts = 0;
+        while (attempts < STRUCTURED_ATTEMPTS) {
+            attempts++;
+            const response = await this.chatJson(messages, schema, { signal: options.signal });
+            if (response.usage) {
+                usage ??= { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+                usage.inputTokens += response.usage.inputTokens;
+                usage.outputTokens += response.usage.outputTokens;
+                usage.totalTokens += response.usage.totalTokens;
+            }
+            content = response.content ?? '';
+            const { value, error } = this.parseJson(content);
+            errors = error ? [error] : validateSchema(value, schema);
+            if (!errors.length) return { data: value, valid: true, errors, attempts, content, provider: this.provider, model: this.model, usage };
+            messages.push(
+                { role: 'assistant', content },
+                { role: 'user', content: `Your reply does not match the schema:\n${errors.slice(0, 10).map((e) => `- ${e}`).join('\n')}\nReply again with only the corrected JSON object.` },
+            );
+        }
+        return { data: null, valid: false, errors, attempts, content, provider: this.provider, model: this.model, usage };
+    }
+
+    /**
+     * Stream the answer fragment by fragment. Same prompts and call flag as invoke; when calls are disabled, yields the
+     * placeholder answer as a single fragment. Token usage is reported through options.onUsage when the provider returns it.
+     * @param {string} question - user question
+     * @param {Array<{ title?: string, description?: string, content?: string, metadata?: { title?: string } }>} chunks - retrieved context chunks
+     * @param {{ signal?: AbortSignal, history?: { question: string, answer: string }[], prompt?: import('../utils/prompt.js').PromptSelection, onUsage?: (usage: LLMUsage) => void }} [options] - signal: abort generation (e.g. client disconnected); prompt: as in invoke
+     * @returns {AsyncGenerator<string>} answer text fragments
+     */
+    async *stream(question, chunks, options = {}) {
+        if (!this.call) {
+            yield 'LLM call is disabled';
+            return;
+        }
+        yield* this.chatStream(this.getMessages(question, chunks, options.history, options.prompt), { signal: options.signal, onUsage: options.onUsage });
+    }
+
+    /**
+     * Rewrite a follow-up question into a standalone question using the conversation history, so it can be embedded on its own
+     * (e.g. "and which of those is the shortest?" → "Which of the 1990s crime dramas is the shortest?").
+     * Returns the question unchanged when calls are disabled or there is no history.
+     * @param {string} question - follow-up question
+     * @param {{ question: string, answer: string }[]} history - prior conversation turns, oldest first
+     * @returns {Promise<string>} - standalone question
+     */
+    async condenseQuestion(question, history = []) {
+        const conversation = this.buildHistory(history);
+        if (!this.call || !conversation) return question;
+        const response = await this.chat([
+            {
+                role: 'system',
+                content: `
+Rewrite the follow-up question as a standalone question that can be understood without the conversation history.
+Keep the language of the follow-up question. Return only the rewritten question, without explanations.
+`.trim(),
+            },
+            { role: 'user', content: `CONVERSATION HISTORY:\n${conversation}\n\nFOLLOW-UP QUESTION:\n${question}` },
+        ]);
+        const rewritten = typeof response?.content === 'string' ? response.content.trim() : '';
+        return rewritten || question;
+    }
+
+    /**
+     * Generate alternative search queries for a question: `paraphrases` rewordings (one request) and, with `hyde`, a
+     * hypothetical film description that would answer it (HyDE, a second request run in parallel). Paraphrases equal to
+     * the question or to each other are dropped. Returns nothing when the LLM is disabled.
+     * @param {string} question
+     * @param {{ paraphrases?: number, hyde?: boolean }} [options] - paraphrases default 3
+     * @returns {Promise<{ paraphrases: string[], hypothetical: string | null }>}
+     */
+    async expandQuery(question, options = {}) {
+        const count = Math.max(0, options.paraphrases ?? 3);
+        if (!this.call || !question?.trim()) return { paraphrases: [], hypothetical: null };
+        const [paraphrased, hypothetical] = await Promise.all([
+            count ? this.chat([
+                {
+                    role: 'system',
+                    content: `
+Rewrite the user's question about films as ${count} different search queries with the same meaning.
+Use other words, synonyms and the likely film details (titles, characters, plot elements) the question hints at.
+Keep the language of the question. Return one query per line, without numbering or explanations.
+`.trim(),
+                },
+                { role: 'user', content: question },
+            ]) : null,
+            options.hyde ? this.chat([
+                {
+                    role: 'system',
+                    content: `
+Write a short film description (two or three sentences, like a catalog synopsis) of a film that would answer the user's question.
+Invent plausible details if needed. Keep the language of the question. Return only the description.
+`.trim(),
+                },
+                { role: 'user', content: question },
+            ]) : null,
+        ]);
+        const seen = new Set([question.trim().toLowerCase()]);
+        const lines = typeof paraphrased?.content === 'string' ? paraphrased.content.split('\n') : [];
+        const paraphrases = [];
+        for (const line of lines) {
+            const text = line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').replace(/^["'“]+|["'”]+$/g, '').trim();
+            if (!text || seen.has(text.toLowerCase())) continue;
+            seen.add(text.toLowerCase());
+            paraphrases.push(text);
+        }
+        const description = typeof hypothetical?.content === 'string' ? hypothetical.content.trim() : '';
+        return { paraphrases: paraphrases.slice(0, count), hypothetical: description || null };
+    }
+}
+
+/**
+ * Token usage reported by a provider.
+ * @typedef {{ inputTokens: number, outputTokens: number, totalTokens: number }} LLMUsage
+ */
+
+/**
+ * How the retrieved context was fitted to the budget (response field `context`): the model window, the context budget
+ * and the estimated tokens used, the chunks left out (`duplicate` of a better chunk, or over the `budget`), the chunks
+ * shortened or summarized, and the usage of the summary calls.
+ * @typedef {{ window: number, budget: number, tokens: number, dropped: { _id: any, title: string, reason: 'duplicate'|'budget', duplicateOf?: any }[], truncated: { _id: any, title: string }[], summarized: { _id: any, title: string }[], usage?: LLMUsage }} ContextReport
+ */
+
+/**
+ * Tool the model can call: name, what it does, and its arguments as a JSON Schema object.
+ * @typedef {{ name: string, description: string, parameters: object }} LLMTool
+ */
+
+/**
+ * Tool call requested by the model; `id` links the result message to it.
+ * @typedef {{ id: string, name: string, args: object }} LLMToolCall
+ */
+
+/**
+ * Chat message of a tool-calling conversation: the usual roles, an assistant turn with the tool calls it made, or the
+ * result of one call (`tool`, content usually JSON).
+ * @typedef {{ role: 'system'|'user'|'assistant', content: string, toolCalls?: LLMToolCall[] } | { role: 'tool', toolCallId: string, name: string, content: string }} LLMToolMessage
+ */
@@ -0,0 +1,366 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { expandGlob, globBase } from '../utils/glob.js';
+
+const COMPONENT = 'service:loader';
+
+/** File extensions handled by each loader. */
+const FORMATS = {
+    csv: ['.csv', '.tsv'],
+    jsonl: ['.jsonl', '.ndjson', '.json'],
+    markdown: ['.md', '.markdown'],
+    pdf: ['.pdf'],
+};
+
+/**
+ * Source fields tried for each document field after the ones named in the mapping (first non-empty wins;
+ * names are compared case-insensitively).
+ */
+const DEFAULT_MAPPING = {
+    slug: ['slug'],
+    title: ['title', 'name'],
+    description: ['description', 'text', 'overview', 'plot', 'summary', 'content'],
+    coverImage: ['coverImage', 'cover', 'image', 'poster'],
+    year: ['year'],
+    genre: ['genre', 'genres'],
+};
+
+/**
+ * Field mapping from source records to seed documents. Each field takes a source field name (dot paths reach into
+ * nested JSON) or a list of names tried in order. metadata: names (or `{ target: source }`) copied into the
+ * document's `metadata`; '*' copies every source field not mapped to a document field.
+ * @typedef {{ slug?: string | string[], title?: string | string[], description?: string | string[], coverImage?: string | string[], year?: string | string[], genre?: string | string[], metadata?: '*' | string[] | Record<string, string | string[]> }} FieldMapping
+ */
+
+/**
+ * Seed document produced by the loaders (the input of SeedService.run).
+ * @typedef {{ slug?: string, title: string, description: string, coverImage?: string, year?: number, genre?: string | string[], metadata?: Record<string, any> }} LoadedDocument
+ */
+
+/**
+ * Loads seed documents from files: CSV/TSV (header row), JSONL (or a JSON array), Markdown (optional front matter;
+ * one document per file) and PDF (text extracted with unpdf, one document per file). Source records are turned
+ * into documents through a FieldMapping, so catalogs with their own column names can be indexed without code changes.
+ */
+export class LoaderService {
+
+    /**
+     * @param {Object} [options] - Configuration options
+     * @param {FieldMapping} [options.mapping] - Source fields per document field (default: common names, see DEFAULT_MAPPING)
+     * @param {string} [options.cwd] - Base for relative paths (default process.cwd())
+     */
+    constructor(options = {}) {
+        this.mapping = LoaderService.parseMapping(options.mapping ?? {});
+        this.cwd = options.cwd ?? process.cwd();
+    }
+
+    /**
+     * Validate a mapping (e.g. parsed from INGEST_MAPPING).
+     * @param {any} mapping
+     * @returns {FieldMapping}
+     * @throws {Error} when a field is not a name or list of names
+     */
+    static parseMapping(mapping) {
+        if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+            throw new Error('Field mapping must be an object');
+        }
+        const isSpec = (spec) => typeof spec === 'string' || (Array.isArray(spec) && spec.every((name) => typeof name === 'string'));
+        for (const [field, spec] of Object.entries(mapping)) {
+            if (field === 'metadata') {
+                const ok = spec === '*' || isSpec(spec) || (spec && typeof spec === 'object' && Object.values(spec).every(isSpec));
+                if (!ok) throw new Error('Field mapping "metadata" must be "*", a list of fields or an object of target: source');
+            } else if (!(field in DEFAULT_MAPPING)) {
+                throw new Error(`Field mapping: unknown field "${field}" (use ${[...Object.keys(DEFAULT_MAPPING), 'metadata'].join(', ')})`);
+            } else if (!isSpec(spec)) {
+                throw new Error(`Field mapping "${field}" must be a source field name or a list of names`);
+            }
+        }
+        return mapping;
+    }
+
+    /**
+     * Loader format for a file, by extension.
+     * @param {string} file
+     * @returns {'csv'|'jsonl'|'markdown'|'pdf'|null}
+     */
+    static formatOf(file) {
+        const ext = path.extname(file).toLowerCase();
+        return Object.keys(FORMATS).find((format) => FORMATS[format].includes(ext)) ?? null;
+    }
+
+    /**
+     * Directory relative cover images are read from for a source pattern: the pattern's directory.
+     * @param {string} pattern
+     * @returns {string}
+     */
+    static baseDir(pattern) {
+        const base = globBase(pattern.split(path.sep).join('/'));
+        return base === pattern && path.extname(pattern) ? path.dirname(pattern) : base;
+    }
+
+    /**
+     * Parse CSV/TSV text with a header row (RFC 4180 quoting: "a, b" and "" for a quote).
+     * @param {string} text
+     * @param {string} [delimiter] - default: tab when the header has tabs, else `;` when it has more `;` than `,`, else `,`
+     * @returns {Record<string, string>[]}
+     */
+    static parseCsv(text, delimiter) {
+        const source = String(text).replace(/^\uFEFF/, '');
+        const firstLine = source.split(/\r?\n/, 1)[0];
+        const sep = delimiter ?? (firstLine.includes('\t') ? '\t'
+            : (firstLine.split(';').length > firstLine.split(',').length ? ';' : ','));
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < source.length; i++) {
+            const c = source[i];
+            if (quoted) {
+                if (c === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (c === '"') {
+                    quoted = false;
+                } else {
+                    field += c;
+                }
+            } else if (c === '"' && field === '') {
+                quoted = true;
+            } else if (c === sep) {
+                row.push(field);
+                field = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += c;
+            }
+        }
+        if (field !== '' || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const [header, ...records] = rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+        if (!header) return [];
+        const names = header.map((name) => name.trim());
+        return records.map((cells) => Object.fromEntries(names.map((name, i) => [name, (cells[i] ?? '').trim()])));
+    }
+
+    /**
+     * Parse JSONL (one object per line; blank lines and # comments ignored) or a JSON array of objects.
+     * @param {string} text
+     * @returns {Record<string, any>[]}
+     * @throws {Error} with the line number when a line is not a JSON object
+     */
+    static parseJsonl(text) {
+        const source = String(text).trim();
+        if (source.startsWith('[')) {
+            const items = JSON.parse(source);
+            return items.filter((item) => item && typeof item === 'object' && !Array.isArray(item));
+        }
+        const records = [];
+        source.split(/\r?\n/).forEach((line, i) => {
+            if (!line.trim() || line.trim().startsWith('#')) return;
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (err) {
+                throw new Error(`line ${i + 1}: invalid JSON (${err.message})`);
+            }
+            if (!record || typeof record !== 'object' || Array.isArray(record)) throw new Error(`line ${i + 1}: not a JSON object`);
+            records.push(record);
+        });
+        return records;
+    }
+
+    /**
+     * Parse a Markdown file into one record: front matter fields (`key: value`, `[a, b]` lists), `title` from the front
+     * matter or the first `# heading`, and `description` from the body (without that heading).
+     * @param {string} text
+     * @returns {Record<string, any>}
+     */
+    static parseMarkdown(text) {
+        let body = String(text).replace(/^\uFEFF/, '');
+        const record = {};
+        const frontMatter = body.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+        if (frontMatter) {
+            for (const line of frontMatter[1].split(/\r?\n/)) {
+                const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+                if (!match) continue;
+                const value = match[2].trim().replace(/^(["'])(.*)\1$/, '$2');
+                record[match[1]] = /^\[.*\]$/.test(value)
+                    ? value.slice(1, -1).split(',').map((item) => item.trim().replace(/^(["'])(.*)\1$/, '$2')).filter(Boolean)
+                    : value;
+            }
+            body = body.slice(frontMatter[0].length);
+        }
+        const heading = body.match(/^#\s+(.+)$/m);
+        if (heading) {
+            record.title ??= heading[1].trim();
+            body = body.replace(heading[0], '');
+        }
+        record.description ??= body.trim();
+        return record;
+    }
+
+    /**
+     * Text of a PDF (pages joined by blank lines) and its Title metadata, via unpdf (pdf.js without native
+     * dependencies). The parser is loaded on first use.
+     * @param {Buffer} buffer
+     * @returns {Promise<{ title?: string, text: string }>}
+     */
+    static async extractPdfText(buffer) {
+        const { getDocumentProxy, extractText, getMeta } = await import('unpdf');
+        const pdf = await getDocumentProxy(new Uint8Array(buffer));
+        try {
+            const { text } = await extractText(pdf, { mergePages: false });
+            const { info } = await getMeta(pdf).catch(() => ({ info: {} }));
+            return {
+                title: typeof info?.Title === 'string' && info.Title.trim() ? info.Title.trim() : undefined,
+                text: text.map((page) => page.replace(/[ \t]+/g, ' ').trim()).filter(Boolean).join('\n\n'),
+            };
+        } finally {
+            await pdf.destroy();
+        }
+    }
+
+    /**
+     * Source records of one file (before mapping). Markdown and PDF files yield one record, titled after the file
+     * name when they have no title of their own.
+     * @param {string} file
+     * @returns {Promise<Record<string, any>[]>}
+     */
+    async readFile(file) {
+        const format = LoaderService.formatOf(file);
+        const fallbackTitle = path.basename(file, path.extname(file)).replace(/[_-]+/g, ' ').trim();
+        switch (format) {
+            case 'csv':
+                return LoaderService.parseCsv(await fs.readFile(file, 'utf8'), path.extname(file).toLowerCase() === '.tsv' ? '\t' : undefined);
+            case 'jsonl':
+                return LoaderService.parseJsonl(await fs.readFile(file, 'utf8'));
+            case 'markdown': {
+                const record = LoaderService.parseMarkdown(await fs.readFile(file, 'utf8'));
+                return [{ title: fallbackTitle, ...record }];
+            }
+            case 'pdf': {
+                const { title, text } = await LoaderService.extractPdfText(await fs.readFile(file));
+                return [{ title: title ?? fallbackTitle, description: text }];
+            }
+            default:
+                throw new Error(`Unsupported file type "${path.extname(file)}" (supported: ${Object.values(FORMATS).flat().join(', ')})`);
+        }
+    }
+
+    /**
+     * Seed document for a source record, or null when it has no title.
+     * @param {Record<string, any>} record
+     * @returns {LoadedDocument | null}
+     */
+    toDocument(record) {
+        const used = new Set();
+        const pick = (spec) => {
+            for (const name of [spec].flat()) {
+                const value = LoaderService.lookup(record, name);
+                if (value !== undefined && value !== null && value !== '') {
+                    used.add(name.toLowerCase());
+                    return value;
+                }
+            }
+            return undefined;
+        };
+
+        const doc = {};
+        for (const field of Object.keys(DEFAULT_MAPPING)) {
+            // Mapped names first; the common names still apply (e.g. a Markdown title next to a CSV "Name" column).
+            const value = pick([...[this.mapping[field] ?? []].flat(), ...DEFAULT_MAPPING[field]]);
+            if (value !== undefined) doc[field] = value;
+        }
+        if (typeof doc.title !== 'string' && typeof doc.title !== 'number') return null;
+        doc.title = String(doc.title).trim();
+        if (!doc.title) return null;
+        doc.description = doc.description === undefined ? '' : String(doc.description);
+        if (doc.slug !== undefined) doc.slug = String(doc.slug);
+        if (doc.coverImage !== undefined) doc.coverImage = String(doc.coverImage);
+        if (doc.year !== undefined) {
+            const year = parseInt(doc.year, 10);
+            if (Number.isFinite(year)) doc.year = year;
+            else delete doc.year;
+        }
+
+        const metadata = this.pickMetadata(record, used);
+        if (Object.keys(metadata).length) doc.metadata = metadata;
+        return doc;
+    }
+
+    /** @private */
+    pickMetadata(record, used) {
+        const spec = this.mapping.metadata;
+        if (!spec) return {};
+        if (spec === '*') {
+            return Object.fromEntries(Object.entries(record).filter(([name, value]) => !used.has(name.toLowerCase()) && value !== ''));
+        }
+        const entries = Array.isArray(spec) || typeof spec === 'string'
+            ? [spec].flat().map((name) => [name.split('.').pop(), name])
+            : Object.entries(spec);
+        const metadata = {};
+        for (const [target, source] of entries) {
+            const value = [source].flat().map((name) => LoaderService.lookup(record, name)).find((v) => v !== undefined && v !== '');
+            if (value !== undefined) metadata[target] = value;
+        }
+        return metadata;
+    }
+
+    /**
+     * Value of a field in a record: exact name, dot path into nested objects, then a case-insensitive name match.
+     * @param {Record<string, any>} record
+     * @param {string} name
+     * @returns {any}
+     */
+    static lookup(record, name) {
+        if (name in record) return record[name];
+        if (name.includes('.')) {
+            const value = name.split('.').reduce((obj, key) => (obj && typeof obj === 'object' ? obj[key] : undefined), record);
+            if (value !== undefined) return value;
+        }
+        const key = Object.keys(record).find((k) => k.toLowerCase() === name.toLowerCase());
+        return key === undefined ? undefined : record[key];
+    }
+
+    /**
+     * Load seed documents from paths, directories or glob patterns. Files of unsupported types found in a directory
+     * or glob are ignored; a file named explicitly must be supported. Records without a title are skipped.
+     * @param {string | string[]} patterns
+     * @returns {Promise<LoadedDocument[]>}
+     */
+    async load(patterns) {
+        const documents = [];
+        for (const pattern of [patterns].flat()) {
+            const files = await expandGlob(pattern, this.cwd);
+            const explicit = files.length === 1 && path.resolve(this.cwd, pattern) === files[0];
+            const supported = explicit ? files : files.filter((file) => LoaderService.formatOf(file));
+            if (!supported.length) logger.warn(COMPONENT, 'No matching files', { pattern });
+
+            for (const file of supported) {
+                let records;
+                try {
+                    records = await this.readFile(file);
+                } catch (err) {
+                    throw new Error(`${path.relative(this.cwd, file)}: ${err.message}`);
+                }
+                const docs = records.map((record) => this.toDocument(record)).filter(Boolean);
+                if (docs.length < records.length) {
+                    logger.warn(COMPONENT, 'Records without title skipped', { file: path.relative(this.cwd, file), skipped: records.length - docs.length });
+                }
+                logger.info(COMPONENT, 'File loaded', { file: path.relative(this.cwd, file), format: LoaderService.formatOf(file), documents: docs.length });
+                documents.push(...docs);
+            }
+        }
+        return documents;
+    }
+}
@@ -0,0 +1,100 @@
+import { RagService } from './RagService.js';
+import { toGenreList, toPredicate } from '../utils/filter.js';
+import { logger } from '../utils/logger.js';
+import { cosineSimilarity } from '../utils/embedding.js';
+
+const COMPONENT = 'service:rag-memory';
+
+/** Lowercase word tokens used by the in-memory full-text scorer. */
+function tokenize(text) {
+    return String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [];
+}
+
+/**
+ * RagService over an in-memory document array instead of Atlas: vector search is exact cosine similarity and
+ * full-text search is an IDF-weighted term match on title + description. Everything above the two search stages
+ * (RRF merge, rerank, filters, prompting) is inherited, so it stands in for the real retriever in evaluations and CI
+ * (e.g. with EMBEDDING_PROVIDER=hash, which needs no network).
+ */
+export class MemoryRagService extends RagService {
+
+    /**
+     * @param {Object} options - RagService options without db/collectionName
+     * @param {import('./EmbeddingService.js').EmbeddingService} options.srvEmbedding - Embeds documents and queries
+     * @param {(coverImage: string) => Promise<Buffer | null>} [options.loadImage] - Loads cover images for image vectors
+     */
+    constructor(options = {}) {
+        super({ ...options, searchIndexName: options.searchIndexName ?? 'memory' });
+        this.loadImage = options.loadImage ?? null;
+        this.documents = [];
+    }
+
+    /**
+     * Embed and hold documents (film shape: title, description, coverImage, year, genre).
+     * @param {{ _id?: any, title: string, description?: string, coverImage?: string, year?: number, genre?: string | string[] }[]} documents
+     * @returns {Promise<number>} number of indexed documents
+     */
+    async index(documents) {
+        const docs = documents.map((doc, i) => ({
+            _id: doc._id ?? String(i + 1),
+            title: doc.title,
+            description: doc.description ?? '',
+            coverImage: doc.coverImage ?? '',
+            year: doc.year,
+            genre: doc.genre !== undefined ? toGenreList(doc.genre) : undefined,
+        }));
+        const textVectors = await this.srvEmbedding.getEmbedding(docs.map((doc) => doc.description || doc.title));
+        const withImages = this.srvEmbedding.supportsImages && this.loadImage;
+        this.documents = [];
+        for (const [i, doc] of docs.entries()) {
+            const buffer = withImages && doc.coverImage ? await this.loadImage(doc.coverImage) : null;
+            const image = buffer?.length ? await this.srvEmbedding.getImageEmbedding(buffer, this.mimeFromUrl(doc.coverImage)) : null;
+            this.documents.push({ ...doc, embedding: { text: textVectors[i] ?? [], image: image ?? [] } });
+        }
+        logger.info(COMPONENT, 'Documents indexed', { count: this.documents.length, images: this.documents.filter((d) => d.embedding.image.length).length });
+        return this.documents.length;
+    }
+
+    /**
+     * Exact vector search over the indexed documents.
+     * @param {{ embedding: number[], k?: number, type?: 'text'|'image', filter?: import('../utils/filter.js').RagFilter }} options
+     */
+    async retrieveRelevantChunks(options) {
+        const { embedding, k = 5, type = 'text', filter = null } = options || {};
+        const matches = toPredicate(filter);
+        return this.documents
+            .filter((doc) => doc.embedding[type]?.length === embedding?.length && matches(doc))
+            .map((doc) => ({ ...this.toChunk(doc), score: cosineSimilarity(embedding, doc.embedding[type]) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+
+    /**
+     * Term-match search over title + description: each query term found in a document adds its IDF.
+     * @param {string} question
+     * @param {{ k?: number, filter?: import('../utils/filter.js').RagFilter }} [options]
+     */
+    async retrieveByFullText(question, options = {}) {
+        const k = options.k ?? 5;
+        if (!this.searchIndexName || !question?.trim()) return [];
+        const matches = toPredicate(options.filter);
+        const terms = [...new Set(tokenize(question))];
+        const docTerms = this.documents.map((doc) => new Set(tokenize(`${doc.title} ${doc.description}`)));
+        const idf = new Map(terms.map((term) => {
+            const df = docTerms.filter((set) => set.has(term)).length;
+            return [term, df ? Math.log(1 + this.documents.length / df) : 0];
+        }));
+        return this.documents
+            .map((doc, i) => ({ doc, score: terms.reduce((sum, term) => sum + (docTerms[i].has(term) ? idf.get(term) : 0), 0) }))
+            .filter(({ doc, score }) => score > 0 && matches(doc))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k)
+            .map(({ doc, score }) => ({ ...this.toChunk(doc), score }));
+    }
+
+    /** Search result shape (same fields as the $project of the Atlas pipelines). @private */
+    toChunk(doc) {
+        const { embedding, ...chunk } = doc;
+        return chunk;
+    }
+}
@@ -0,0 +1,51 @@
+import { EmbeddingService } from './EmbeddingService.js';
+import { logger } from '../utils/logger.js';
+
+const COMPONENT = 'service:ollama-embedding';
+
+/**
+ * Local text embeddings through Ollama's `/api/embeddings` endpoint (e.g. nomic-embed-text, mxbai-embed-large).
+ * The endpoint embeds one prompt per request, so batches are sent sequentially. Images are not supported.
+ */
+export class OllamaEmbeddingService extends EmbeddingService {
+
+    /**
+     * @param {Object} [options] - Configuration options
+     * @param {string} [options.baseUrl] - Ollama base URL (default 'http://127.0.0.1:11434')
+     * @param {string} [options.model] - Embedding model (default 'nomic-embed-text')
+     * @param {number} [options.dimensions] - Vector size produced by the model (default 768, nomic-embed-text)
+     */
+    constructor(options = {}) {
+        super({ model: options.model || 'nomic-embed-text', dimensions: options.dimensions ?? 768 });
+        this.provider = 'ollama';
+        this.baseUrl = (options.baseUrl || 'http://127.0.0.1:11434').replace(/\/$/, '');
+    }
+
+    /**
+     * Get embeddings for one or more texts.
+     * @param {string | string[]} input - Single text or array of texts
+     * @param {{ model?: string }} [options]
+     * @returns {Promise<number[] | number[][]>} Single embedding or array of embeddings (same order as input)
+     */
+    async getEmbedding(input, options = {}) {
+        const inputs = Array.isArray(input) ? input : [input];
+        const model = options.model || this.model;
+        logger.info(COMPONENT, 'Embedding request', { inputCount: inputs.length, model });
+        const embeddings = [];
+        for (const prompt of inputs) {
+            const response = await fetch(`${this.baseUrl}/api/embeddings`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ model, prompt }),
+            });
+            if (!response.ok) {
+                const body = await response.text();
+                logger.error(COMPONENT, 'API error', { status: response.status, body: body.slice(0, 200) });
+                throw new Error(`Ollama embeddings error: ${response.status} - ${body}`);
+            }
+            const result = await response.json();
+            embeddings.push(result.embedding ?? []);
+        }
+        return Array.isArray(input) ? embeddings : embeddings[0];
+    }
+}
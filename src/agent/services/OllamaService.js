@@ -1,6 +1,10 @@
 import { ChatOllama } from '@langchain/ollama';
+import { LLMService } from './LLMService.js';
 
-export class OllamaService {
+/** Context window Ollama gives a model when the request sets no num_ctx. */
+const OLLAMA_DEFAULT_NUM_CTX = 4096;
+
+export class OllamaService extends LLMService {
 
     /**
      * Constructor for OllamaService. Initializes the ChatOllama client with provided options and sets the call flag to enable/disable actual LLM calls.
@@ -8,13 +12,19 @@ export class OllamaService {
      * @param {string} options.model - Ollama model name (e.g. 'phi3:mini')
      * @param {string} options.baseUrl - Base URL for Ollama API (default 'http://127.0.0.1:11434')
      * @param {boolean} options.call - Flag to enable/disable actual LLM calls (default true). If false, generateAnswer will return a placeholder response without calling the model, which can be useful for testing or if you want to disable LLM calls via query parameter.
+     * @param {number} [options.historyTokens] - Max estimated tokens of prior conversation turns included in the user prompt (default 1024)
+     * @param {number} [options.contextWindow] - Context window in tokens, sent to Ollama as num_ctx. Without it Ollama runs the model with its default of 4096, so the context budget assumes at most that.
+     * @param {number} [options.contextTokens] - Max estimated tokens of retrieved context, see LLMService
+     * @param {'truncate'|'summarize'|'drop'} [options.contextOverflow] - Chunks beyond the context budget, see LLMService
      */
     constructor(options) {
         options = options || {};
         options.model = options.model || 'phi3:mini';
         options.baseUrl = options.baseUrl || 'http://127.0.0.1:11434';
-        this.chatOllama = new ChatOllama(options);
-        this.call = options.call ?? true;
+        super(options);
+        this.provider = 'ollama';
+        if (!options.contextWindow) this.contextWindow = Math.min(this.contextWindow, OLLAMA_DEFAULT_NUM_CTX);
+        this.chatOllama = new ChatOllama({ ...options, ...(options.contextWindow ? { numCtx: options.contextWindow } : {}) });
     }
 
     /**
@@ -30,77 +40,90 @@ export class OllamaService {
     }
 
     /**
-     * Build a context string from retrieved chunks to include in the prompt. Adjust formatting as needed. 
-     * Here we concatenate title and description, but you could also include metadata or other fields.
-     * @param {Array<{ title?: string, description?: string, content?: string, metadata?: { title?: string } }>} chunks - retrieved chunks from vector search, which may have different structures depending on your seeding and retrieval logic
-     * @returns {string} - formatted context string for the prompt
+     * Map LangChain usage metadata to LLMUsage.
+     * @param {{ input_tokens?: number, output_tokens?: number, total_tokens?: number } | undefined} meta
+     * @returns {import('./LLMService.js').LLMUsage | null}
      */
-    buildContext(chunks) {
-        return chunks
-            .map((chunk, idx) => {
-                const title = chunk.title || (chunk.metadata?.title) || `Chunk ${idx + 1}`;
-                const body = chunk.description ?? chunk.content ?? '';
-                return `### ${title}\n${body}`;
-            })
-            .join('\n\n');
+    toUsage(meta) {
+        if (!meta) return null;
+        return {
+            inputTokens: meta.input_tokens ?? 0,
+            outputTokens: meta.output_tokens ?? 0,
+            totalTokens: meta.total_tokens ?? (meta.input_tokens ?? 0) + (meta.output_tokens ?? 0),
+        };
     }
 
     /**
-     * Get system prompt with instructions for the LLM. Adjust the instructions as needed to improve answer quality. 
-     * The prompt should instruct the model to only use the provided context and to respond in the same language as the question.
+     * Call the model through ChatOllama.invoke.
+     * @param {{ role: string, content: string }[]} messages
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<{ content: string, usage: import('./LLMService.js').LLMUsage | null }>}
      */
-    getSystemPrompt() {
-        const systemPrompt = `
-You are a helpful assistant. Answer strictly based on the provided CONTEXT.
-If the answer is not in the context, say "I do not know based on the provided context."
-Respond in the same language as the user question.
-`.trim();
-
-        return systemPrompt;
+    async chat(messages, options = {}) {
+        const response = await this.chatOllama.invoke(messages, { signal: options.signal });
+        return {
+            content: typeof response.content === 'string' ? response.content : '',
+            usage: this.toUsage(response.usage_metadata),
+        };
     }
 
     /**
-     * Invoke the LLM with the constructed prompt. If this.call is false, returns a placeholder response without calling the model,
-     * which can be useful for testing or if you want to disable LLM calls via query parameter.
-     * @param {string} question - user question
-     * @param {Array<{ title?: string, description?: string, content?: string, metadata?: { title?: string } }>} chunks - retrieved context chunks
-     * @return {Promise<{ content: string }>} - LLM response content
+     * Structured output: the schema is passed as Ollama's `format`, so generation is constrained to JSON that matches it.
+     * @param {{ role: string, content: string }[]} messages
+     * @param {object} schema - JSON Schema of the reply
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<{ content: string, usage: import('./LLMService.js').LLMUsage | null }>}
      */
-    getUserPrompt(question, chunks) {
-        const context = this.buildContext(chunks);
-        return `
-QUESTION:
-${question}
+    async chatJson(messages, schema, options = {}) {
+        const response = await this.chatOllama.invoke(messages, { format: schema, signal: options.signal });
+        return {
+            content: typeof response.content === 'string' ? response.content : '',
+            usage: this.toUsage(response.usage_metadata),
+        };
+    }
 
-CONTEXT:
-${context}
-`.trim();
+    /** Ollama models with tool support (e.g. llama3.1, qwen2.5) can call tools through ChatOllama.bindTools. */
+    get supportsTools() {
+        return true;
     }
 
     /**
-     * Main method to invoke the LLM with question and context chunks. Respects the this.call flag to enable/disable actual LLM calls.
-     * Constructs system and user prompts, then calls the model and returns the response content.
-     * @param {string} question - user question
-     * @param {Array<{ title?: string, description?: string, content?: string, metadata?: { title?: string } }>} chunks - retrieved context chunks
-     * @return {Promise<{ content: string }>} - LLM response content
+     * Call the model with tools bound (ChatOllama.bindTools). Tool calls and results are mapped to LangChain's
+     * `tool_calls` / `tool_call_id` message fields.
+     * @param {import('./LLMService.js').LLMToolMessage[]} messages
+     * @param {import('./LLMService.js').LLMTool[]} tools
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<{ content: string, toolCalls: import('./LLMService.js').LLMToolCall[], usage: import('./LLMService.js').LLMUsage | null }>}
      */
-    invoke(question, chunks) {
-        // This allows us to disable LLM calls for testing or via query parameter.
-        if (!this.call) {
-            return { content: 'LLM call is disabled' };
-        }
-
-        // Build system and user prompts
-        const systemPrompt = this.getSystemPrompt();
-
-        // For the user prompt, we can include the question and the context in a structured way.
-        // The LLM will then have access to both the question and the relevant context chunks when generating an answer.
-        const userPrompt = this.getUserPrompt(question, chunks);
+    async chatWithTools(messages, tools, options = {}) {
+        const model = tools.length
+            ? this.chatOllama.bindTools(tools.map((tool) => ({ type: 'function', function: tool })))
+            : this.chatOllama;
+        const response = await model.invoke(messages.map((m) => {
+            if (m.role === 'tool') return { role: 'tool', content: m.content, tool_call_id: m.toolCallId, name: m.name };
+            if (m.toolCalls?.length) {
+                return { role: 'assistant', content: m.content, tool_calls: m.toolCalls.map((c) => ({ id: c.id, name: c.name, args: c.args, type: 'tool_call' })) };
+            }
+            return { role: m.role, content: m.content };
+        }), { signal: options.signal });
+        return {
+            content: typeof response.content === 'string' ? response.content : '',
+            toolCalls: (response.tool_calls ?? []).map((c, i) => ({ id: c.id || `call_${i}`, name: c.name, args: c.args ?? {} })),
+            usage: this.toUsage(response.usage_metadata),
+        };
+    }
 
-        // Call the LLM with the constructed prompts. The model will receive the system prompt as instructions and the user prompt containing the question and context.
-        return this.chatOllama.invoke([
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt },
-        ]);
+    /**
+     * Stream the completion through ChatOllama.stream. Usage arrives with the last chunk.
+     * @param {{ role: string, content: string }[]} messages
+     * @param {{ signal?: AbortSignal, onUsage?: (usage: import('./LLMService.js').LLMUsage) => void }} [options]
+     * @returns {AsyncGenerator<string>}
+     */
+    async *chatStream(messages, options = {}) {
+        const stream = await this.chatOllama.stream(messages, { signal: options.signal });
+        for await (const chunk of stream) {
+            if (chunk.usage_metadata) options.onUsage?.(this.toUsage(chunk.usage_metadata));
+            if (typeof chunk.content === 'string' && chunk.content) yield chunk.content;
+        }
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,176 @@
+import { LLMService } from './LLMService.js';
+import { logger } from '../utils/logger.js';
+
+const COMPONENT = 'service:openai-compatible';
+
+/**
+ * LLM provider for any OpenAI-compatible chat completions endpoint (vLLM, llama.cpp server, LM Studio, OpenAI).
+ * Calls `${baseUrl}/chat/completions`; streaming uses the SSE format with `stream_options.include_usage` so usage is reported
+ * when the server supports it.
+ */
+export class OpenAICompatibleService extends LLMService {
+
+    /**
+     * @param {Object} options - Configuration options
+     * @param {string} options.model - Model name as exposed by the server
+     * @param {string} [options.baseUrl] - API base URL including the version prefix (default 'http://127.0.0.1:8000/v1')
+     * @param {string} [options.apiKey] - Bearer token, if the server requires one
+     * @param {number} [options.temperature] - Sampling temperature
+     * @param {boolean} [options.call] - Flag to enable/disable actual LLM calls (default true)
+     * @param {number} [options.historyTokens] - Max estimated tokens of prior conversation turns included in the user prompt
+     */
+    constructor(options = {}) {
+        super(options);
+        this.provider = 'openai';
+        this.baseUrl = (options.baseUrl || 'http://127.0.0.1:8000/v1').replace(/\/$/, '');
+        this.apiKey = options.apiKey;
+        this.temperature = options.temperature;
+    }
+
+    /**
+     * Map OpenAI usage to LLMUsage.
+     * @param {{ prompt_tokens?: number, completion_tokens?: number, total_tokens?: number } | undefined} usage
+     * @returns {import('./LLMService.js').LLMUsage | null}
+     */
+    toUsage(usage) {
+        if (!usage) return null;
+        return {
+            inputTokens: usage.prompt_tokens ?? 0,
+            outputTokens: usage.completion_tokens ?? 0,
+            totalTokens: usage.total_tokens ?? (usage.prompt_tokens ?? 0) + (usage.completion_tokens ?? 0),
+        };
+    }
+
+    /**
+     * POST to /chat/completions and return the raw response; throws on non-2xx.
+     * @private
+     */
+    async request(body, signal) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: this.model,
+                ...(this.temperature !== undefined ? { temperature: this.temperature } : {}),
+                ...body,
+            }),
+            signal,
+        });
+        if (!response.ok) {
+            const text = await response.text();
+            logger.error(COMPONENT, 'API error', { status: response.status, body: text.slice(0, 200) });
+            throw new Error(`LLM provider error: ${response.status} - ${text}`);
+        }
+        return response;
+    }
+
+    /**
+     * Non-streaming chat completion.
+     * @param {{ role: string, content: string }[]} messages
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<{ content: string, usage: import('./LLMService.js').LLMUsage | null }>}
+     */
+    async chat(messages, options = {}) {
+        const response = await this.request({ messages, stream: false }, options.signal);
+        const result = await response.json();
+        return {
+            content: result.choices?.[0]?.message?.content ?? '',
+            usage: this.toUsage(result.usage),
+        };
+    }
+
+    /**
+     * Structured output: the schema is sent as `response_format` (`json_schema`, not strict, so any schema of
+     * utils/schema.js is accepted), so servers that support it constrain generation to JSON that matches it.
+     * @param {{ role: string, content: string }[]} messages
+     * @param {object} schema - JSON Schema of the reply
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<{ content: string, usage: import('./LLMService.js').LLMUsage | null }>}
+     */
+    async chatJson(messages, schema, options = {}) {
+        const responseFormat = { type: 'json_schema', json_schema: { name: 'answer', schema } };
+        const response = await this.request({ messages, response_format: responseFormat, stream: false }, options.signal);
+        const result = await response.json();
+        return {
+            content: result.choices?.[0]?.message?.content ?? '',
+            usage: this.toUsage(result.usage),
+        };
+    }
+
+    /** Tool calling uses the `tools` / `tool_calls` fields of the chat completions API (server and model must support them). */
+    get supportsTools() {
+        return true;
+    }
+
+    /**
+     * Non-streaming chat completion with tools. Tool call arguments arrive as JSON strings; unparsable ones become {}.
+     * @param {import('./LLMService.js').LLMToolMessage[]} messages
+     * @param {import('./LLMService.js').LLMTool[]} tools
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<{ content: string, toolCalls: import('./LLMService.js').LLMToolCall[], usage: import('./LLMService.js').LLMUsage | null }>}
+     */
+    async chatWithTools(messages, tools, options = {}) {
+        const body = {
+            messages: messages.map((m) => {
+                if (m.role === 'tool') return { role: 'tool', tool_call_id: m.toolCallId, content: m.content };
+                if (m.toolCalls?.length) {
+                    return {
+                        role: 'assistant',
+                        content: m.content || null,
+                        tool_calls: m.toolCalls.map((c) => ({ id: c.id, type: 'function', function: { name: c.name, arguments: JSON.stringify(c.args) } })),
+                    };
+                }
+                return { role: m.role, content: m.content };
+            }),
+            ...(tools.length ? { tools: tools.map((tool) => ({ type: 'function', function: tool })) } : {}),
+            stream: false,
+        };
+        const response = await this.request(body, options.signal);
+        const result = await response.json();
+        const message = result.choices?.[0]?.message ?? {};
+        const toolCalls = (message.tool_calls ?? []).map((c, i) => {
+            let args = {};
+            try {
+                args = JSON.parse(c.function?.arguments || '{}');
+            } catch {
+                logger.warn(COMPONENT, 'Unparseable tool arguments', { tool: c.function?.name });
+            }
+            return { id: c.id || `call_${i}`, name: c.function?.name, args };
+        });
+        return { content: message.content ?? '', toolCalls, usage: this.toUsage(result.usage) };
+    }
+
+    /**
+     * Streaming chat completion: parses `data:` lines until `[DONE]`.
+     * @param {{ role: string, content: string }[]} messages
+     * @param {{ signal?: AbortSignal, onUsage?: (usage: import('./LLMService.js').LLMUsage) => void }} [options]
+     * @returns {AsyncGenerator<string>}
+     */
+    async *chatStream(messages, options = {}) {
+        const response = await this.request({ messages, stream: true, stream_options: { include_usage: true } }, options.signal);
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const bytes of response.body) {
+            buffer += decoder.decode(bytes, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                const data = line.trim().replace(/^data:\s*/, '');
+                if (!line.trim().startsWith('data:') || !data) continue;
+                if (data === '[DONE]') return;
+                let event;
+                try {
+                    event = JSON.parse(data);
+                } catch {
+                    logger.warn(COMPONENT, 'Unparseable stream event', { data: data.slice(0, 100) });
+                    continue;
+                }
+                if (event.usage) options.onUsage?.(this.toUsage(event.usage));
+                const token = event.choices?.[0]?.delta?.content;
+                if (token) yield token;
+            }
+        }
+    }
+}
@@ -0,0 +1,217 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { DEFAULT_PROMPT, PROMPT_BUILTIN_VARIABLES, parsePromptRef } from '../utils/prompt.js';
+
+const COMPONENT = 'service:prompt';
+
+/** Ask routes that can have their own template (`/ask` is `text`). */
+export const PROMPT_ROUTE_NAMES = Object.freeze(['text', 'image', 'hybrid', 'parent', 'multimodal', 'agent']);
+
+/** Longest request value of a template variable, in characters. */
+const MAX_VARIABLE_LENGTH = 1000;
+
+/**
+ * Registry of answer prompt templates (see utils/prompt.js): the built-in `default@1`, JSON files of a directory and
+ * documents of a MongoDB collection, loaded by load() (again to pick up changes). A later source replaces the same
+ * name and version of an earlier one; a name without a version selects its latest version.
+ *
+ * Template selection, most specific first: the request (`?prompt=name[@version]`), the route (`routes`), the default
+ * (`defaultPrompt`). Responses report the template used as `prompt: { name, version }`.
+ */
+export class PromptService {
+
+    /**
+     * @param {Object} [options] - Configuration options
+     * @param {string} [options.dir] - Directory of template files (`*.json`, one template or an array of versions each)
+     * @param {import('mongodb').Collection} [options.collection] - Collection of template documents (same shape)
+     * @param {string} [options.defaultPrompt] - Template of routes without their own (default 'default'), `name[@version]`
+     * @param {Record<string, string>} [options.routes] - Template per ask route (text, image, hybrid, parent, multimodal, agent), `name[@version]`
+     */
+    constructor(options = {}) {
+        this.dir = options.dir ?? null;
+        this.collection = options.collection ?? null;
+        this.defaultPrompt = parsePromptRef(options.defaultPrompt || 'default');
+        this.routes = {};
+        for (const [route, ref] of Object.entries(options.routes ?? {})) {
+            if (!PROMPT_ROUTE_NAMES.includes(route)) throw new Error(`Unknown prompt route "${route}". Available: ${PROMPT_ROUTE_NAMES.join(', ')}`);
+            this.routes[route] = parsePromptRef(ref);
+        }
+        /** @type {Map<string, Map<number, import('../utils/prompt.js').PromptTemplate>>} versions by template name */
+        this.templates = new Map();
+        this.register(DEFAULT_PROMPT);
+    }
+
+    /**
+     * Parse a route → template list (PROMPT_ROUTES), e.g. `image=poster,hybrid=concise@2`.
+     * @param {string} [value]
+     * @returns {Record<string, string>}
+     * @throws {Error} when an entry is not `route=name[@version]`
+     */
+    static parseRoutes(value) {
+        const routes = {};
+        for (const entry of String(value ?? '').split(',').map((item) => item.trim()).filter(Boolean)) {
+            const [route, ref, extra] = entry.split('=').map((part) => part.trim());
+            if (!route || !ref || extra !== undefined) throw new Error(`Invalid prompt route "${entry}": use <route>=<name>[@<version>]`);
+            routes[route] = ref;
+        }
+        return routes;
+    }
+
+    /**
+     * Check and normalize a template: `system` and `user` may be given as arrays of lines.
+     * @param {any} raw
+     * @returns {import('../utils/prompt.js').PromptTemplate}
+     * @throws {Error} when a field is missing or malformed
+     */
+    static normalize(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('not an object');
+        const { name, version, description } = raw;
+        if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) throw new Error('"name" must be letters, digits, "_" or "-"');
+        if (!Number.isInteger(version) || version < 1) throw new Error(`${name}: "version" must be a positive integer`);
+        const text = (field) => {
+            const value = Array.isArray(raw[field]) ? raw[field].join('\n') : raw[field];
+            if (typeof value !== 'string' || !value.trim()) throw new Error(`${name}@${version}: "${field}" must be a string or an array of lines`);
+            return value.trim();
+        };
+        const examples = raw.examples ?? [];
+        if (!Array.isArray(examples) || examples.some((e) => typeof e?.question !== 'string' || typeof e?.answer !== 'string' || (e.context !== undefined && typeof e.context !== 'string'))) {
+            throw new Error(`${name}@${version}: "examples" must be a list of { question, context?, answer } strings`);
+        }
+        const variables = raw.variables ?? {};
+        if (typeof variables !== 'object' || Array.isArray(variables) || Object.values(variables).some((value) => typeof value !== 'string')) {
+            throw new Error(`${name}@${version}: "variables" must map names to default strings`);
+        }
+        const reserved = Object.keys(variables).find((key) => PROMPT_BUILTIN_VARIABLES.includes(key));
+        if (reserved) throw new Error(`${name}@${version}: "${reserved}" is filled in by the service and cannot be declared`);
+        return {
+            name,
+            version,
+            ...(typeof description === 'string' ? { description } : {}),
+            system: text('system'),
+            user: text('user'),
+            examples: examples.map(({ question, context, answer }) => ({ question, ...(context !== undefined ? { context } : {}), answer })),
+            variables: { ...variables },
+        };
+    }
+
+    /**
+     * Add a template version, replacing the same name and version.
+     * @param {object} template - PromptTemplate (see normalize)
+     * @returns {import('../utils/prompt.js').PromptTemplate}
+     * @throws {Error} when the template is invalid
+     */
+    register(template) {
+        const normalized = PromptService.normalize(template);
+        if (!this.templates.has(normalized.name)) this.templates.set(normalized.name, new Map());
+        this.templates.get(normalized.name).set(normalized.version, normalized);
+        return normalized;
+    }
+
+    /**
+     * Load the templates of the directory and the collection. Invalid templates are skipped with a warning; a missing
+     * directory is not an error. Templates loaded before and no longer found are dropped (the built-in default stays).
+     * The configured default and route templates must be among them, otherwise every answer would fail: the load throws
+     * and the templates loaded before are kept.
+     * @returns {Promise<{ files: number, documents: number, skipped: number }>} templates loaded from files and from documents, invalid ones skipped
+     * @throws {Error} when the default or a route template is not found
+     */
+    async load() {
+        const sources = [];
+        if (this.dir) {
+            let entries = [];
+            try {
+                entries = (await fs.readdir(this.dir)).filter((file) => file.endsWith('.json')).sort();
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+                logger.warn(COMPONENT, 'Prompt directory not found', { dir: this.dir });
+            }
+            for (const file of entries) {
+                try {
+                    const parsed = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+                    (Array.isArray(parsed) ? parsed : [parsed]).forEach((template) => sources.push({ kind: 'files', source: file, template }));
+                } catch (err) {
+                    sources.push({ kind: 'files', source: file, error: err.message });
+                }
+            }
+        }
+        if (this.collection) {
+            const docs = await this.collection.find({}, { projection: { _id: 0 } }).toArray();
+            docs.forEach((template) => sources.push({ kind: 'documents', source: this.collection.collectionName, template }));
+        }
+        const previous = this.templates;
+        this.templates = new Map();
+        this.register(DEFAULT_PROMPT);
+        const counts = { files: 0, documents: 0, skipped: 0 };
+        for (const { kind, source, template, error } of sources) {
+            try {
+                if (error) throw new Error(error);
+                this.register(template);
+                counts[kind]++;
+            } catch (err) {
+                counts.skipped++;
+                logger.warn(COMPONENT, 'Prompt template skipped', { source, error: err.message });
+            }
+        }
+        for (const [route, ref] of Object.entries({ default: this.defaultPrompt, ...this.routes })) {
+            try {
+                this.get(ref.name, ref.version);
+            } catch (err) {
+                this.templates = previous;
+                throw new Error(`Configured prompt of ${route === 'default' ? 'PROMPT_DEFAULT' : `route "${route}"`} not found: ${err.message}`);
+            }
+        }
+        logger.info(COMPONENT, 'Prompt templates loaded', { ...counts, templates: this.list().map((t) => `${t.name}@${t.versions.join(',')}`).join(' ') });
+        return counts;
+    }
+
+    /**
+     * Registered templates: name, versions (ascending) and the latest version's description.
+     * @returns {{ name: string, versions: number[], description?: string }[]}
+     */
+    list() {
+        return [...this.templates.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([name, versions]) => {
+            const numbers = [...versions.keys()].sort((a, b) => a - b);
+            const { description } = versions.get(numbers.at(-1));
+            return { name, versions: numbers, ...(description ? { description } : {}) };
+        });
+    }
+
+    /**
+     * A template version, or the latest one.
+     * @param {string} name
+     * @param {number} [version]
+     * @returns {import('../utils/prompt.js').PromptTemplate}
+     * @throws {Error} when the name or version is unknown
+     */
+    get(name, version) {
+        const versions = this.templates.get(name);
+        if (!versions) throw new Error(`Unknown prompt "${name}". Available: ${[...this.templates.keys()].join(', ')}`);
+        if (version === undefined) return versions.get(Math.max(...versions.keys()));
+        const template = versions.get(version);
+        if (!template) throw new Error(`Unknown version ${version} of prompt "${name}". Available: ${[...versions.keys()].sort((a, b) => a - b).join(', ')}`);
+        return template;
+    }
+
+    /**
+     * Template of an answer with the request's variable values. Only variables the template declares can be set.
+     * @param {{ ref?: string, route?: string, variables?: Record<string, any> }} [request] - ref: `name[@version]` from the request; route: ask route for the route default
+     * @returns {import('../utils/prompt.js').PromptSelection}
+     * @throws {Error} when the template is unknown or a variable is not declared or too long
+     */
+    resolve(request = {}) {
+        const { name, version } = request.ref ? parsePromptRef(request.ref) : this.routes[request.route] ?? this.defaultPrompt;
+        const template = this.get(name, version);
+        const variables = {};
+        for (const [key, value] of Object.entries(request.variables ?? {})) {
+            if (!Object.hasOwn(template.variables, key)) {
+                throw new Error(`Unknown variable "${key}" of prompt ${template.name}@${template.version}. Available: ${Object.keys(template.variables).join(', ') || 'none'}`);
+            }
+            if (typeof value !== 'string' || value.length > MAX_VARIABLE_LENGTH) {
+                throw new Error(`Invalid prompt variable "${key}": must be a string of at most ${MAX_VARIABLE_LENGTH} characters`);
+            }
+            variables[key] = value;
+        }
+        return { template, variables };
+    }
+}
@@ -1,9 +1,113 @@
 import { logger } from '../utils/logger.js';
+import { toVectorFilter, toSearchFilter, toPostMatch } from '../utils/filter.js';
+import { toEmbeddingField, vectorIndexName } from '../utils/embedding.js';
+import { CacheService } from './CacheService.js';
+import { fuse, RRF_K } from '../utils/fusion.js';
+import { FilmToolService } from './FilmToolService.js';
+import { PromptService } from './PromptService.js';
 
 const COMPONENT = 'service:rag';
 
-/** Default RRF constant (Reciprocal Rank Fusion). */
-const RRF_K = 60;
+/** Child chunks searched per requested film in parent-document retrieval. */
+const CHILDREN_PER_PARENT = 4;
+
+/** Best child chunks kept per film when the LLM gets child windows instead of the whole description. */
+const WINDOWS_PER_PARENT = 2;
+
+/** Parent scores from their child chunk scores: best child, or the sum over matching children. */
+export const PARENT_SCORINGS = Object.freeze(['max', 'sum']);
+
+/** What the LLM reads per parent: the whole description, or the best child windows. */
+export const PARENT_CONTEXTS = Object.freeze(['parent', 'windows']);
+
+/** Result lists fused by hybrid search, as named in fusion weights and explanations. */
+export const HYBRID_LISTS = Object.freeze(['vector', 'fullText']);
+
+/** Result lists fused by multimodal search: text vector, image vector and full-text. */
+export const MULTIMODAL_LISTS = Object.freeze(['vector', 'image', 'fullText']);
+
+/** Query expansion modes (RAG_QUERY_EXPANSION, `expand`): none, LLM paraphrases, a HyDE hypothetical description, or both. */
+export const EXPANSION_MODES = Object.freeze(['off', 'multi', 'hyde', 'both']);
+
+/** Most paraphrases generated per question. */
+export const MAX_PARAPHRASES = 5;
+
+/** Server versions that introduced the native fusion stages. */
+const FUSION_MIN_VERSION = { rankFusion: [8, 1], scoreFusion: [8, 2] };
+
+/**
+ * Streaming callbacks for the ask methods (Server-Sent Events in RagController).
+ * @typedef {{ onContext?: (contextChunks: object[]) => void, onToken?: (token: string) => void, signal?: AbortSignal }} RagStreamHooks
+ */
+
+/**
+ * Source cited in an answer: marker [n] refers to the n-th context chunk.
+ * @typedef {{ marker: number, _id: any, title: string, coverImage: string }} RagCitation
+ */
+
+/**
+ * Prior conversation turn (oldest first) used by multi-turn RAG.
+ * @typedef {{ question: string, answer: string }} RagTurn
+ */
+
+/**
+ * Parent-document retrieval options: search child chunks, group them by film and score films by their children.
+ * @typedef {{ scoring?: 'max'|'sum', context?: 'parent'|'windows' }} RagParentOptions
+ */
+
+/**
+ * Hybrid fusion options (see utils/fusion.js); weights and explanations name the lists as in HYBRID_LISTS (or
+ * MULTIMODAL_LISTS).
+ * @typedef {import('../utils/fusion.js').FusionOptions} RagFusionOptions
+ */
+
+/**
+ * Query expansion options: number of paraphrases and whether to add a HyDE hypothetical description (see expansionFromMode).
+ * @typedef {{ paraphrases?: number, hyde?: boolean }} RagExpansionOptions
+ */
+
+/**
+ * Query generated by the LLM before retrieval (response field `expandedQueries`). `name` is its result list in fusion
+ * weights and explanations: 'paraphrase1'..'paraphraseN' or 'hyde'; the question's own list is 'vector'.
+ * @typedef {{ name: string, text: string }} RagExpandedQuery
+ */
+
+/**
+ * Structured answer requested by the caller (response field `data` instead of `answer`): see utils/schema.js.
+ * @typedef {import('../utils/schema.js').OutputSchema} RagOutputSchema
+ */
+
+/**
+ * Prompt template of an answer and the request's variables (see PromptService); the response field `prompt` names it.
+ * @typedef {import('../utils/prompt.js').PromptSelection} RagPrompt
+ */
+
+/**
+ * Child chunk that matched a parent-document search: position and offsets in the film's description.
+ * @typedef {{ chunkIndex: number, start: number, end: number, score: number }} RagChunkMatch
+ */
+
+/**
+ * Cache-hit flags of one ask call (response field `cache`): answer, and when the answer was not cached, whether the
+ * query embedding and the rerank result (when a rerank ran) came from the cache.
+ * @typedef {{ answer: boolean, embedding?: boolean, rerank?: boolean }} RagCacheHits
+ */
+
+/**
+ * Expansion options for a mode, or null for 'off'.
+ * @param {'off'|'multi'|'hyde'|'both'} [mode] - default 'off'
+ * @param {number} [paraphrases] - 'multi' and 'both' only, 1..MAX_PARAPHRASES (default 3)
+ * @returns {RagExpansionOptions | null}
+ * @throws {Error} when the mode is unknown
+ */
+export function expansionFromMode(mode = 'off', paraphrases = 3) {
+    if (!EXPANSION_MODES.includes(mode)) {
+        throw new Error(`Unknown query expansion "${mode}". Available: ${EXPANSION_MODES.join(', ')}`);
+    }
+    if (mode === 'off') return null;
+    const count = Number.isFinite(paraphrases) ? Math.min(MAX_PARAPHRASES, Math.max(1, Math.floor(paraphrases))) : 3;
+    return { paraphrases: mode === 'hyde' ? 0 : count, hyde: mode === 'hyde' || mode === 'both' };
+}
 
 export class RagService {
 
@@ -11,21 +115,46 @@ export class RagService {
      * @param {{
      *      db: import('mongodb').Db,
      *      collectionName: string,
-     *      srvVoyage: import('../services/VoyageAIService.js').VoyageAIService,
-     *      srvLLM: any,
+     *      srvVoyage?: import('../services/VoyageAIService.js').VoyageAIService,
+     *      srvEmbedding?: import('./EmbeddingService.js').EmbeddingService,
+     *      srvLLM: import('./LLMService.js').LLMService,
      *      vectorIndexName?: string,
      *      searchIndexName?: string,
      *      useRerank?: boolean,
      *      srvJinaRerank?: import('../services/JinaRerankService.js').JinaRerankService,
      *      srvStore?: import('../services/StoreService.js').StoreService,
      *      useRerankImage?: boolean,
-     * }} options
+     *      embeddingField?: string,
+     *      cache?: import('./CacheService.js').CacheService,
+     *      indexVersion?: string,
+     *      chunkCollectionName?: string,
+     *      nativeFusion?: boolean,
+     *      expansion?: RagExpansionOptions | null,
+     *      srvFilm?: import('./FilmService.js').FilmService,
+     *      toolRounds?: number,
+     *      srvPrompt?: PromptService,
+     * }} options - srvEmbedding embeds queries (defaults to srvVoyage); srvVoyage is also the text reranker;
+     *   embeddingField is the vector field searched (EMBEDDING_FIELD, default 'embedding'), switched after a reembed backfill;
+     *   chunkCollectionName is the chunks collection (ChunkingService) searched by parent-document retrieval;
+     *   nativeFusion (default true, RAG_NATIVE_FUSION) runs hybrid search as one $rankFusion / $scoreFusion aggregation
+     *   when the server supports it;
+     *   expansion is the default query expansion of text and hybrid retrieval (RAG_QUERY_EXPANSION and
+     *   RAG_QUERY_PARAPHRASES, default none), overridden per call;
+     *   srvFilm backs the catalog tools of askWithTools (FilmToolService); toolRounds (default 5, at least 2, RAG_TOOL_ROUNDS)
+     *   bounds its model ↔ tool round trips;
+     *   srvPrompt holds the answer prompt templates (default: the built-in template only);
+     *   cache stores query embeddings, rerank results and answers; indexVersion (CACHE_INDEX_VERSION) is part of the cache
+     *   keys, bump it after re-seeding so results computed on the old catalog are not served
      */
     constructor(options) {
-        this.collection = options?.db.collection(options.collectionName);
+        this.db = options?.db ?? null;
+        this.collection = options?.db?.collection(options.collectionName) ?? null;
+        this.chunks = options?.chunkCollectionName ? options.db?.collection(options.chunkCollectionName) ?? null : null;
         this.srvVoyage = options?.srvVoyage;
+        this.srvEmbedding = options?.srvEmbedding ?? options?.srvVoyage;
         this.srvLLM = options?.srvLLM;
         this.indexName = options?.vectorIndexName ?? 'rag_vector';
+        this.embeddingField = toEmbeddingField(options?.embeddingField);
         this.searchIndexName = options?.searchIndexName ?? null;
         const envRerank = process.env.RAG_RERANK_ON;
         this.useRerank = options?.useRerank ?? (envRerank === 'true' || envRerank === '1');
@@ -33,46 +162,326 @@ export class RagService {
         this.srvStore = options?.srvStore ?? null;
         const envRerankImage = process.env.RAG_RERANK_IMAGE_ON;
         this.useRerankImage = options?.useRerankImage ?? (envRerankImage === 'true' || envRerankImage === '1');
+        this.cache = options?.cache ?? null;
+        this.indexVersion = options?.indexVersion ?? '';
+        const envNativeFusion = process.env.RAG_NATIVE_FUSION;
+        this.nativeFusion = options?.nativeFusion ?? !(envNativeFusion === 'false' || envNativeFusion === '0');
+        /** @type {Promise<{ rankFusion: boolean, scoreFusion: boolean }> | null} */
+        this.fusionSupport = null;
+        this.expansion = options?.expansion !== undefined
+            ? options.expansion
+            : expansionFromMode(process.env.RAG_QUERY_EXPANSION || 'off', parseInt(process.env.RAG_QUERY_PARAPHRASES, 10));
+        this.tools = options?.srvFilm ? new FilmToolService({ srvFilm: options.srvFilm, ragService: this }) : null;
+        this.toolRounds = Math.max(2, options?.toolRounds ?? (parseInt(process.env.RAG_TOOL_ROUNDS, 10) || 5));
+        this.prompts = options?.srvPrompt ?? new PromptService();
     }
 
     /**
-     * Vector search: retrieve docs by embedding. Uses $vectorSearch.
-     * @param {{ embedding: number[], k?: number, path?: string, type?: 'text'|'image' }} options
-     * @returns {Promise<{ _id: any, title: string, description: string, coverImage: string, score: number }[]>}
+     * Index part of the rerank and answer cache keys: embedding model, searched field, index names and indexVersion.
+     * @returns {string}
+     */
+    cacheVersion() {
+        return [this.srvEmbedding?.modelId, this.embeddingField, this.indexName, this.searchIndexName, this.indexVersion].join('|');
+    }
+
+    /**
+     * Embed a query text, through the cache when configured (key: embedding model + normalized text).
+     * @param {string} query
+     * @param {RagCacheHits} [cacheHits] - receives the embedding hit flag
+     * @returns {Promise<number[]>}
+     */
+    async embedQuery(query, cacheHits) {
+        if (!this.cache) return this.srvEmbedding.getEmbedding(query);
+        const { value, hit } = await this.cache.wrap('embedding', [this.srvEmbedding.modelId, CacheService.normalize(query)], () => this.srvEmbedding.getEmbedding(query));
+        if (cacheHits) cacheHits.embedding = hit;
+        return value;
+    }
+
+    /**
+     * embedQuery, or null when the embedding provider fails and a full-text index can stand in for vector search.
+     * Without a search index the error is rethrown.
+     * @param {string} query
+     * @param {RagCacheHits} [cacheHits]
+     * @returns {Promise<number[] | null>}
+     */
+    async embedQueryOrNull(query, cacheHits) {
+        try {
+            return await this.embedQuery(query, cacheHits);
+        } catch (err) {
+            if (!this.searchIndexName) throw err;
+            logger.warn(COMPONENT, 'Query embedding unavailable, falling back to full-text search', { error: err.message });
+            return null;
+        }
+    }
+
+    /**
+     * Embeddings of a question and its expanded queries (same order), in one batch request. A question alone goes
+     * through embedQuery and the cache. Null when the provider fails and a search index can stand in (see embedQueryOrNull).
+     * @param {{ text: string }[]} queries
+     * @param {RagCacheHits} [cacheHits]
+     * @returns {Promise<number[][] | null>}
+     */
+    async embedQueriesOrNull(queries, cacheHits) {
+        if (queries.length === 1) {
+            const embedding = await this.embedQueryOrNull(queries[0].text, cacheHits);
+            return embedding ? [embedding] : null;
+        }
+        try {
+            return await this.srvEmbedding.getEmbedding(queries.map((query) => query.text));
+        } catch (err) {
+            if (!this.searchIndexName) throw err;
+            logger.warn(COMPONENT, 'Query embedding unavailable, falling back to full-text search', { error: err.message });
+            return null;
+        }
+    }
+
+    /**
+     * Expansion options of a call: its own (null turns expansion off) or the service default.
+     * @param {RagExpansionOptions | null | undefined} expansion
+     * @returns {RagExpansionOptions | null}
+     */
+    resolveExpansion(expansion) {
+        return expansion === undefined ? this.expansion : expansion;
+    }
+
+    /**
+     * Alternative queries for a question, written by the LLM (see LLMService.expandQuery). Empty when expansion is off,
+     * the LLM cannot expand, or the request fails; retrieval then runs on the question alone.
+     * @param {string} query
+     * @param {RagExpansionOptions | null} expansion
+     * @returns {Promise<RagExpandedQuery[]>}
+     */
+    async expandQuery(query, expansion) {
+        if (!expansion || (!expansion.paraphrases && !expansion.hyde) || !query?.trim()) return [];
+        if (typeof this.srvLLM?.expandQuery !== 'function') return [];
+        try {
+            const { paraphrases, hypothetical } = await this.srvLLM.expandQuery(query, expansion);
+            const queries = [
+                ...paraphrases.map((text, i) => ({ name: `paraphrase${i + 1}`, text })),
+                ...(hypothetical ? [{ name: 'hyde', text: hypothetical }] : []),
+            ];
+            logger.info(COMPONENT, 'Query expanded', { paraphrases: paraphrases.length, hyde: !!hypothetical });
+            return queries;
+        } catch (err) {
+            logger.warn(COMPONENT, 'Query expansion failed, using the question alone', { error: err.message });
+            return [];
+        }
+    }
+
+    /**
+     * $vectorSearch stages for a film search, without the projection.
+     * Year/genre conditions are applied as a $vectorSearch pre-filter; a title prefix is applied as a post-filter $match,
+     * in which case the search returns all candidates and the limit is applied after the match.
+     * @param {{ embedding: number[], k?: number, path?: string, type?: 'text'|'image', filter?: import('../utils/filter.js').RagFilter }} options
+     * @returns {object[]}
+     */
+    vectorSearchStages(options) {
+        const { embedding, k = 5, path = this.embeddingField, type = 'text', filter = null } = options || {};
+        const numCandidates = Math.min(200, (k || 5) * 20);
+        const preFilter = toVectorFilter(filter);
+        const postMatch = toPostMatch(filter);
+        const vectorSearch = {
+            path: `${path}.${type}`,
+            index: vectorIndexName(this.indexName, type, path),
+            queryVector: embedding,
+            numCandidates,
+            limit: postMatch ? numCandidates : k,
+        };
+        if (preFilter) vectorSearch.filter = preFilter;
+        return [
+            { $vectorSearch: vectorSearch },
+            ...(postMatch ? [{ $match: postMatch }, { $limit: k }] : []),
+        ];
+    }
+
+    /**
+     * Vector search: retrieve docs by embedding. Uses $vectorSearch (see vectorSearchStages).
+     * @param {{ embedding: number[], k?: number, path?: string, type?: 'text'|'image', filter?: import('../utils/filter.js').RagFilter }} options
+     * @returns {Promise<{ _id: any, title: string, description: string, coverImage: string, year?: number, genre?: string[], score: number }[]>}
      */
     async retrieveRelevantChunks(options) {
-        const { embedding, k = 5, path = 'embedding', type = 'text' } = options || {};
-        const indexName = `${this.indexName}_${type}_index`;
-        const indexPath = `${path}.${type}`;
+        const { k = 5, path = this.embeddingField, type = 'text', filter = null } = options || {};
         const pipeline = [
-            {
-                $vectorSearch: {
-                    path: indexPath,
-                    index: indexName,
-                    queryVector: embedding,
-                    numCandidates: Math.min(200, (k || 5) * 20),
-                    limit: k,
-                },
-            },
+            ...this.vectorSearchStages(options),
             {
                 $project: {
                     title: 1,
                     description: 1,
                     coverImage: 1,
+                    year: 1,
+                    genre: 1,
                     score: { $meta: 'vectorSearchScore' },
                 },
             },
         ];
-        logger.info(COMPONENT, 'Vector search', { indexName, k, type });
+        logger.info(COMPONENT, 'Vector search', { indexName: vectorIndexName(this.indexName, type, path), path: `${path}.${type}`, k, type, filtered: !!(toVectorFilter(filter) || toPostMatch(filter)) });
         const docs = await this.collection.aggregate(pipeline).toArray();
         return docs;
     }
 
+    /**
+     * Vector search over the child chunks (chunks collection, `${vectorIndexName}_chunk_index`). Chunks carry the
+     * parent's title, year and genre, so the filter applies as in retrieveRelevantChunks.
+     * @param {{ embedding: number[], k?: number, filter?: import('../utils/filter.js').RagFilter }} options - k: number of chunks
+     * @returns {Promise<{ _id: any, parentId: any, chunkIndex: number, text: string, start: number, end: number, score: number }[]>}
+     */
+    async retrieveChildChunks(options) {
+        const { embedding, k = 20, filter = null } = options || {};
+        const indexName = vectorIndexName(this.indexName, 'chunk', this.embeddingField);
+        const indexPath = `${this.embeddingField}.text`;
+        const numCandidates = Math.min(400, k * 10);
+        const preFilter = toVectorFilter(filter);
+        const postMatch = toPostMatch(filter);
+        const vectorSearch = {
+            path: indexPath,
+            index: indexName,
+            queryVector: embedding,
+            numCandidates,
+            limit: postMatch ? numCandidates : k,
+        };
+        if (preFilter) vectorSearch.filter = preFilter;
+        const pipeline = [
+            { $vectorSearch: vectorSearch },
+            ...(postMatch ? [{ $match: postMatch }, { $limit: k }] : []),
+            {
+                $project: {
+                    parentId: 1,
+                    chunkIndex: 1,
+                    text: 1,
+                    start: 1,
+                    end: 1,
+                    score: { $meta: 'vectorSearchScore' },
+                },
+            },
+        ];
+        logger.info(COMPONENT, 'Chunk vector search', { indexName, path: indexPath, k, filtered: !!(preFilter || postMatch) });
+        return this.chunks.aggregate(pipeline).toArray();
+    }
+
+    /**
+     * Films by id, for parent-document retrieval.
+     * @param {any[]} ids
+     * @returns {Promise<Map<string, { _id: any, title: string, description: string, coverImage: string, year?: number, genre?: string[] }>>}
+     */
+    async findParents(ids) {
+        const docs = await this.collection
+            .find({ _id: { $in: ids } }, { projection: { title: 1, description: 1, coverImage: 1, year: 1, genre: 1 } })
+            .toArray();
+        return new Map(docs.map((doc) => [String(doc._id), doc]));
+    }
+
+    /**
+     * Group child chunk hits by parent. A parent scores its best child ('max') or the sum of its children ('sum', which
+     * favours films matching in several places); its children are kept best first.
+     * @param {{ parentId: any, score: number }[]} children
+     * @param {'max'|'sum'} [scoring]
+     * @returns {{ parentId: any, score: number, children: object[] }[]} best parent first
+     */
+    groupByParent(children, scoring = 'max') {
+        const groups = new Map();
+        for (const child of children) {
+            const id = String(child.parentId);
+            if (!groups.has(id)) groups.set(id, { parentId: child.parentId, score: 0, children: [] });
+            const group = groups.get(id);
+            group.children.push(child);
+            group.score = scoring === 'sum' ? group.score + (child.score ?? 0) : Math.max(group.score, child.score ?? 0);
+        }
+        for (const group of groups.values()) group.children.sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+        return [...groups.values()].sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Text of a parent's best child chunks in reading order, overlapping chunks merged and gaps marked with an ellipsis.
+     * @param {string} description - parent text the chunk offsets refer to
+     * @param {{ text: string, start: number, end: number }[]} children - best first
+     * @returns {string}
+     */
+    childWindows(description, children) {
+        const best = children.slice(0, WINDOWS_PER_PARENT).sort((a, b) => a.start - b.start);
+        const windows = [];
+        for (const child of best) {
+            const last = windows[windows.length - 1];
+            if (last && child.start <= last.end) last.end = Math.max(last.end, child.end);
+            else windows.push({ start: child.start, end: child.end, text: child.text });
+        }
+        return windows.map((w) => description?.slice(w.start, w.end) || w.text).join(' … ');
+    }
+
+    /**
+     * Parent-document retrieval: vector search over child chunks, grouped by film and scored by their children. Each
+     * film comes back with its matching chunks (`matches`) and, with context 'windows', its best child windows as
+     * description instead of the whole text.
+     * @param {number[]} embedding - query text embedding
+     * @param {{ k?: number, filter?: import('../utils/filter.js').RagFilter, parent?: RagParentOptions }} [options] - k: number of films
+     * @returns {Promise<{ _id: any, title: string, description: string, coverImage: string, year?: number, genre?: string[], score: number, matches: RagChunkMatch[] }[]>}
+     */
+    async retrieveParents(embedding, options = {}) {
+        const k = options.k ?? 5;
+        const { scoring = 'max', context = 'parent' } = options.parent ?? {};
+        const children = await this.retrieveChildChunks({ embedding, k: k * CHILDREN_PER_PARENT, filter: options.filter });
+        const groups = this.groupByParent(children, scoring).slice(0, k);
+        if (!groups.length) return [];
+        const parents = await this.findParents(groups.map((group) => group.parentId));
+        // Chunks of a film deleted since the last seed have no parent and are dropped.
+        const docs = groups.flatMap((group) => {
+            const parent = parents.get(String(group.parentId));
+            if (!parent) return [];
+            const matches = group.children.map((c) => ({ chunkIndex: c.chunkIndex, start: c.start, end: c.end, score: c.score }));
+            const description = context === 'windows' ? this.childWindows(parent.description, group.children) : parent.description;
+            return [{ ...parent, description, score: group.score, matches }];
+        });
+        logger.info(COMPONENT, 'Parent-document retrieval', { chunks: children.length, parents: docs.length, scoring, context });
+        return docs;
+    }
+
+    /**
+     * Text vector search: over films, or over child chunks grouped by film when options.parent is set and a chunks
+     * collection is configured (otherwise parent retrieval falls back to film search with a warning).
+     * @param {number[]} embedding
+     * @param {{ k?: number, filter?: import('../utils/filter.js').RagFilter, parent?: RagParentOptions }} options
+     * @returns {Promise<{ _id: any, title: string, description: string, coverImage: string, score: number }[]>}
+     */
+    async retrieveByEmbedding(embedding, options) {
+        const { k, filter, parent } = options;
+        if (parent && this.chunks) return this.retrieveParents(embedding, { k, filter, parent });
+        if (parent) logger.warn(COMPONENT, 'Parent retrieval unavailable without a chunks collection (CHUNK_STRATEGY), searching films');
+        return this.retrieveRelevantChunks({ embedding, k, type: 'text', filter });
+    }
+
+    /**
+     * $search stages for a film search, without the projection.
+     * @param {string} question - query text
+     * @param {{ k?: number, filter?: import('../utils/filter.js').RagFilter }} options
+     * @returns {object[]}
+     */
+    fullTextSearchStages(question, options = {}) {
+        const text = {
+            query: question,
+            path: ['title', 'description'],
+        };
+        const clauses = toSearchFilter(options.filter);
+        const postMatch = toPostMatch(options.filter);
+        const operator = clauses.filter.length || clauses.mustNot.length
+            ? { compound: { must: [{ text }], filter: clauses.filter, mustNot: clauses.mustNot } }
+            : { text };
+        return [
+            {
+                $search: {
+                    index: this.searchIndexName,
+                    ...operator,
+                },
+            },
+            ...(postMatch ? [{ $match: postMatch }] : []),
+            { $limit: options.k ?? 5 },
+        ];
+    }
+
     /**
      * Full-text search via Atlas Search $search. Returns [] if no index or on error.
+     * With a filter, the text clause is wrapped in a compound operator with non-scoring filter/mustNot clauses.
      * @param {string} question - query text
-     * @param {{ k?: number }} options
-     * @returns {Promise<{ _id: any, title: string, description: string, coverImage: string, score: number }[]>}
+     * @param {{ k?: number, filter?: import('../utils/filter.js').RagFilter }} options
+     * @returns {Promise<{ _id: any, title: string, description: string, coverImage: string, year?: number, genre?: string[], score: number }[]>}
      */
     async retrieveByFullText(question, options = {}) {
         const k = options.k ?? 5;
@@ -80,21 +489,14 @@ export class RagService {
 
         try {
             const pipeline = [
-                {
-                    $search: {
-                        index: this.searchIndexName,
-                        text: {
-                            query: question,
-                            path: ['title', 'description'],
-                        },
-                    },
-                },
-                { $limit: k },
+                ...this.fullTextSearchStages(question, { k, filter: options.filter }),
                 {
                     $project: {
                         title: 1,
                         description: 1,
                         coverImage: 1,
+                        year: 1,
+                        genre: 1,
                         score: { $meta: 'searchScore' },
                     },
                 },
@@ -108,6 +510,25 @@ export class RagService {
         }
     }
 
+    /**
+     * Count documents whose vectors in the searched field were produced by a different model than the one embedding
+     * queries (per `<embeddingField>.meta`). Logs a warning when any are found; documents without metadata are not counted.
+     * @returns {Promise<{ field: string, model: string | null, imageModel: string | null, mismatched: { text: number, image: number } }>}
+     */
+    async checkEmbeddingModel() {
+        const field = this.embeddingField;
+        const model = this.srvEmbedding?.modelId ?? null;
+        const imageModel = this.srvEmbedding?.imageModelId ?? null;
+        const countOther = (type, id) => id
+            ? this.collection.countDocuments({ [`${field}.meta.${type}.model`]: { $exists: true, $ne: id } })
+            : 0;
+        const [text, image] = await Promise.all([countOther('text', model), countOther('image', imageModel)]);
+        if (text || image) {
+            logger.warn(COMPONENT, 'Documents embedded with a different model; run reembed or switch EMBEDDING_FIELD', { field, model, imageModel, text, image });
+        }
+        return { field, model, imageModel, mismatched: { text, image } };
+    }
+
     /**
      * Rerank chunks using the appropriate strategy per query type.
      * - text/hybrid: Voyage text cross-encoder.
@@ -116,11 +537,13 @@ export class RagService {
      * @param {string} query
      * @param {{ _id: any, title: string, description: string, coverImage: string, score: number }[]} chunks
      * @param {number} k - top_k / top_n for reranker
-     * @param {{ queryType?: 'text'|'image'|'hybrid' }} [options]
+     * @param {{ queryType?: 'text'|'image'|'hybrid', rerank?: boolean, cacheHits?: RagCacheHits }} [options] - rerank: overrides useRerank / useRerankImage for this call
      * @returns {Promise<{ _id: any, title: string, description: string, coverImage: string, score: number }[]>}
      */
     async applyRerank(query, chunks, k, options = {}) {
         const { type = 'text' } = options;
+        const useRerank = options.rerank ?? this.useRerank;
+        const useRerankImage = options.rerank ?? this.useRerankImage;
 
         if (chunks.length === 0) {
             logger.info(COMPONENT, 'Rerank skipped: no chunks to rerank');
@@ -131,23 +554,23 @@ export class RagService {
             case 'text':
             case 'hybrid':
                 // Text / Hybrid: Voyage text rerank ---
-                if (!this.useRerank || typeof this.srvVoyage?.rerank !== 'function') {
-                    logger.info(COMPONENT, 'Rerank skipped for text query', { useRerank: this.useRerank, hasVoyageRerank: typeof this.srvVoyage?.rerank === 'function' });
+                if (!useRerank || typeof this.srvVoyage?.rerank !== 'function') {
+                    logger.info(COMPONENT, 'Rerank skipped for text query', { useRerank, hasVoyageRerank: typeof this.srvVoyage?.rerank === 'function' });
                     return chunks;
                 }
-                return this.rerankTextWithVoyage(query, chunks, k);
+                return this.runRerank('voyage', query, chunks, k, options.cacheHits, () => this.rerankTextWithVoyage(query, chunks, k));
 
             case 'image':
                 // Image query: try Jina multimodal rerank ---
-                if (this.useRerankImage && typeof this.srvJinaRerank?.rerank === 'function') {
-                    return this.rerankImageWithJina(query, chunks, k);
+                if (useRerankImage && typeof this.srvJinaRerank?.rerank === 'function') {
+                    return this.runRerank('jina', query, chunks, k, options.cacheHits, () => this.rerankImageWithJina(query, chunks, k));
                 }
                 // Fallback: Voyage text rerank only when user provided an explicit question
-                if (query?.length && this.useRerank && typeof this.srvVoyage?.rerank === 'function') {
+                if (query?.length && useRerank && typeof this.srvVoyage?.rerank === 'function') {
                     logger.info(COMPONENT, 'Image rerank fallback to Voyage (user question provided)');
-                    return this.rerankTextWithVoyage(query, chunks, k);
+                    return this.runRerank('voyage', query, chunks, k, options.cacheHits, () => this.rerankTextWithVoyage(query, chunks, k));
                 }
-                logger.info(COMPONENT, 'Rerank skipped for image query', { jina: !!this.srvJinaRerank, useRerankImage: this.useRerankImage });
+                logger.info(COMPONENT, 'Rerank skipped for image query', { jina: !!this.srvJinaRerank, useRerankImage });
                 return chunks;
 
             default:
@@ -156,6 +579,40 @@ export class RagService {
         }
     }
 
+    /**
+     * True when applyRerank can rerank results of the given mode with the configured services.
+     * @param {'text'|'hybrid'|'image'} mode
+     * @returns {boolean}
+     */
+    supportsRerank(mode) {
+        return mode === 'image'
+            ? typeof this.srvJinaRerank?.rerank === 'function'
+            : typeof this.srvVoyage?.rerank === 'function';
+    }
+
+    /**
+     * Run a rerank, through the cache when configured. The key covers the reranker, normalized query, k, index version
+     * and the candidate ids; the cached value is the reranked order (candidate index + score), not the documents.
+     * When the reranker fails (after its client's retries) or its circuit is open, the retrieval order is kept.
+     * @private
+     */
+    async runRerank(reranker, query, chunks, k, cacheHits, rerank) {
+        try {
+            if (!this.cache) return await rerank();
+            const parts = [reranker, CacheService.normalize(query), k, this.cacheVersion(), chunks.map((c) => String(c._id))];
+            const { value, hit } = await this.cache.wrap('rerank', parts, async () => {
+                const positions = new Map(chunks.map((c, i) => [String(c._id), i]));
+                const ranked = await rerank();
+                return ranked.map((c) => ({ index: positions.get(String(c._id)), score: c.score }));
+            });
+            if (cacheHits) cacheHits.rerank = hit;
+            return value.map((r) => ({ ...chunks[r.index], score: r.score }));
+        } catch (err) {
+            logger.warn(COMPONENT, 'Rerank unavailable, keeping retrieval order', { reranker, error: err.message });
+            return chunks;
+        }
+    }
+
     /**
      * Voyage text cross-encoder rerank (title + description).
      * @private
@@ -209,98 +666,596 @@ export class RagService {
     }
 
     /**
-     * Merge two result lists with Reciprocal Rank Fusion. Dedupes by _id, sorts by RRF score.
+     * Merge two result lists with Reciprocal Rank Fusion. Dedupes by _id, sorts by RRF score. See fuse for N lists.
      * @param {{ _id: any }[]} listA
      * @param {{ _id: any }[]} listB
      * @param {number} k - RRF constant
+     * @param {[number, number]} [weights] - multiplies each list's reciprocal ranks (default 1 and 1)
      * @returns {{ _id: any, title: string, description: string, coverImage: string, score: number }[]}
      */
-    mergeWithRRF(listA, listB, k = RRF_K) {
-        const scores = new Map();
-        const byId = new Map();
-
-        const add = (doc, rank) => {
-            const id = doc._id?.toString();
-            if (!id) return;
-            const rrf = 1 / (k + rank + 1);
-            scores.set(id, (scores.get(id) ?? 0) + rrf);
-            if (!byId.has(id)) byId.set(id, { ...doc, score: 0 });
-            byId.get(id).score = scores.get(id);
-        };
+    mergeWithRRF(listA, listB, k = RRF_K, weights = [1, 1]) {
+        return fuse([{ name: 'a', docs: listA }, { name: 'b', docs: listB }], { rankConstant: k, weights: { a: weights[0], b: weights[1] } });
+    }
+
+    /**
+     * Which native fusion stages the server supports, from its version (buildInfo); detected once. None without a
+     * database, with nativeFusion off, or when the version cannot be read.
+     * @returns {Promise<{ rankFusion: boolean, scoreFusion: boolean }>}
+     */
+    async detectFusionSupport() {
+        if (!this.nativeFusion || !this.db) return { rankFusion: false, scoreFusion: false };
+        this.fusionSupport ??= this.db.command({ buildInfo: 1 })
+            .then((info) => {
+                const [major = 0, minor = 0] = info.versionArray ?? String(info.version).split('.').map(Number);
+                const atLeast = ([wantMajor, wantMinor]) => major > wantMajor || (major === wantMajor && minor >= wantMinor);
+                const support = { rankFusion: atLeast(FUSION_MIN_VERSION.rankFusion), scoreFusion: atLeast(FUSION_MIN_VERSION.scoreFusion) };
+                logger.info(COMPONENT, 'Native fusion support', { version: info.version, ...support });
+                return support;
+            })
+            .catch((err) => {
+                logger.warn(COMPONENT, 'Server version unknown, hybrid fusion runs in the app', { error: err.message });
+                return { rankFusion: false, scoreFusion: false };
+            });
+        return this.fusionSupport;
+    }
+
+    /**
+     * True when the fusion options can run as $rankFusion / $scoreFusion: those have no custom rank constant, no
+     * z-score normalization and no per-list explanation.
+     * @param {RagFusionOptions} fusion
+     * @returns {boolean}
+     */
+    canFuseNatively(fusion) {
+        if (fusion.explain) return false;
+        return fusion.strategy === 'score'
+            ? fusion.normalization !== 'zScore'
+            : (fusion.rankConstant ?? RRF_K) === RRF_K;
+    }
+
+    /**
+     * Search pipelines fused in one aggregation by $rankFusion ('rrf') or $scoreFusion ('score'), e.g. the vector and
+     * full-text stages of a hybrid search. Returns null when the server rejects the stage; a stage the cluster does not
+     * allow (e.g. on the free tier) is not tried again.
+     * @param {Record<string, object[]>} pipelines - search stages by list name (vectorSearchStages, fullTextSearchStages)
+     * @param {{ k?: number, fusion?: RagFusionOptions }} options
+     * @returns {Promise<{ _id: any, title: string, description: string, coverImage: string, score: number }[] | null>}
+     */
+    async retrieveByNativeFusion(pipelines, options) {
+        const { k = 5, fusion = {} } = options;
+        const strategy = fusion.strategy ?? 'rrf';
+        const weights = Object.fromEntries(Object.keys(pipelines).map((name) => [name, fusion.weights?.[name] ?? 1]));
+        const stage = strategy === 'score'
+            ? { $scoreFusion: { input: { pipelines, normalization: fusion.normalization ?? 'sigmoid' }, combination: { weights, method: 'avg' } } }
+            : { $rankFusion: { input: { pipelines }, combination: { weights } } };
+        const pipeline = [
+            stage,
+            { $limit: k },
+            {
+                $project: {
+                    title: 1,
+                    description: 1,
+                    coverImage: 1,
+                    year: 1,
+                    genre: 1,
+                    score: { $meta: 'score' },
+                },
+            },
+        ];
+        try {
+            const docs = await this.collection.aggregate(pipeline).toArray();
+            logger.info(COMPONENT, 'Hybrid fusion', { strategy, native: true, weights: JSON.stringify(weights), count: docs.length });
+            return docs;
+        } catch (err) {
+            const name = strategy === 'score' ? 'scoreFusion' : 'rankFusion';
+            // 40324: unrecognized pipeline stage; Atlas answers "... is not allowed" on tiers without the stage.
+            if (err.code === 40324 || /not allowed|unrecognized pipeline stage/i.test(err.message)) {
+                this.fusionSupport = this.detectFusionSupport().then((support) => ({ ...support, [name]: false }));
+            }
+            logger.warn(COMPONENT, 'Native fusion failed, fusing in the app', { stage: name, error: err.message });
+            return null;
+        }
+    }
 
-        listA.forEach((doc, i) => add(doc, i));
-        listB.forEach((doc, i) => add(doc, i));
+    /**
+     * Fuse named result lists in the app (see fuse), e.g. 'vector' and 'fullText'.
+     * @param {import('../utils/fusion.js').FusionList[]} lists
+     * @param {RagFusionOptions} [fusion]
+     * @returns {object[]}
+     */
+    mergeLists(lists, fusion = {}) {
+        logger.info(COMPONENT, 'Hybrid fusion', { strategy: fusion.strategy ?? 'rrf', native: false, lists: lists.map((list) => list.name).join(','), weights: JSON.stringify(fusion.weights ?? {}), explain: !!fusion.explain });
+        return fuse(lists, fusion);
+    }
 
-        return Array.from(byId.values()).sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+    /**
+     * Map [n] citation markers in an answer to the context chunks (numbered from 1 in OllamaService.buildContext).
+     * Markers that point to no chunk are stripped from the answer; only cited chunks are returned, ordered by marker.
+     * Grouped markers ("[1, 3]") are supported.
+     * @param {string} answer
+     * @param {{ _id: any, title: string, coverImage: string }[]} chunks
+     * @returns {{ answer: string, citations: RagCitation[] }}
+     */
+    resolveCitations(answer, chunks) {
+        const cited = new Set();
+        const text = (answer ?? '').replace(/(\s?)\[(\d+(?:\s*,\s*\d+)*)\]/g, (_match, space, list) => {
+            const markers = list.split(',')
+                .map((n) => parseInt(n, 10))
+                .filter((n) => n >= 1 && n <= chunks.length);
+            markers.forEach((n) => cited.add(n));
+            return markers.length ? `${space}[${[...new Set(markers)].join(', ')}]` : '';
+        });
+        const citations = [...cited]
+            .sort((a, b) => a - b)
+            .map((marker) => {
+                const c = chunks[marker - 1];
+                return { marker, _id: c._id, title: c.title, coverImage: c.coverImage };
+            });
+        return { answer: text, citations };
     }
 
     /**
      * Build response shape and call LLM. Shared by text, image, hybrid.
+     * With options.stream, emits the context chunks first (onContext) and then each answer fragment (onToken) as the LLM
+     * streams it; the resolved value is the same as the non-streaming call.
+     * With options.history, prior turns are included in the prompt; options.standaloneQuestion (the rewritten follow-up used for
+     * retrieval) is echoed in the response. options.prompt is the prompt template (default: the PromptService default),
+     * reported as `prompt: { name, version }`.
+     * The chunks are first fitted to the LLM's context budget (LLMService.assembleContext: ordered by score, duplicates
+     * dropped, overflow truncated, summarized or dropped); `contextChunks` and the citations refer to the fitted chunks
+     * and `context` reports what was left out or shortened.
+     * The answer's [n] markers are resolved into citations (see resolveCitations); streamed tokens are sent as generated.
+     * With options.output the LLM answers with a JSON object for the schema instead (LLMService.invokeStructured, not
+     * streamed): the response has `data` (null when still invalid after the retry), `valid`, `attempts` and `schema`
+     * instead of `answer` and `citations`, plus `validationErrors` and the raw `content` when invalid.
      * @param {string} question
-     * @param {{ _id: any, title: string, description: string, coverImage: string, score: number }[]} chunks
-     * @returns {Promise<{ answer: string, contextChunks: { title: string, description: string, coverImage: string, score: number }[] }>}
+     * @param {{ _id: any, title: string, description: string, coverImage: string, score: number, matches?: RagChunkMatch[], fusion?: import('../utils/fusion.js').FusionExplanation }[]} chunks
+     * @param {{ stream?: RagStreamHooks, history?: RagTurn[], standaloneQuestion?: string, expandedQueries?: RagExpandedQuery[], output?: RagOutputSchema | null, prompt?: RagPrompt }} [options]
+     * @returns {Promise<{ answer?: string, citations?: RagCitation[], data?: object | null, valid?: boolean, attempts?: number, schema?: string, contextChunks: { _id: any, title: string, description: string, coverImage: string, score: number, matches?: RagChunkMatch[], fusion?: import('../utils/fusion.js').FusionExplanation }[], context: import('./LLMService.js').ContextReport, llm: { provider: string, model: string, usage: import('./LLMService.js').LLMUsage | null }, prompt?: { name: string, version: number }, standaloneQuestion?: string, expandedQueries?: RagExpandedQuery[] }>}
      */
-    async answerWithChunks(question, chunks) {
-        const response = await this.srvLLM.invoke(question, chunks);
+    async answerWithChunks(question, chunks, options = {}) {
+        const history = options.history ?? [];
+        const prompt = options.output ? undefined : options.prompt ?? this.prompts.resolve();
+        const { chunks: fitted, report: context } = await this.srvLLM.assembleContext(question, chunks, { history, prompt });
+        if (context.dropped.length || context.truncated.length || context.summarized.length) {
+            logger.info(COMPONENT, 'Context assembled', {
+                chunks: chunks.length,
+                kept: fitted.length,
+                dropped: context.dropped.length,
+                truncated: context.truncated.length,
+                summarized: context.summarized.length,
+                tokens: context.tokens,
+                budget: context.budget,
+            });
+        }
+        chunks = fitted;
+        const contextChunks = chunks.map((c) => ({
+            _id: c._id,
+            title: c.title,
+            description: c.description,
+            coverImage: c.coverImage,
+            score: c.score,
+            ...(c.matches ? { matches: c.matches } : {}),
+            ...(c.fusion ? { fusion: c.fusion } : {}),
+        }));
+        const extra = {
+            ...(options.standaloneQuestion ? { standaloneQuestion: options.standaloneQuestion } : {}),
+            ...(options.expandedQueries?.length ? { expandedQueries: options.expandedQueries } : {}),
+        };
+
+        if (options.output) {
+            const response = await this.srvLLM.invokeStructured(question, chunks, options.output.schema, { history });
+            if (!response.valid) logger.warn(COMPONENT, 'Structured answer invalid', { schema: options.output.name, attempts: response.attempts, errors: response.errors.length });
+            return {
+                data: response.data,
+                valid: response.valid,
+                attempts: response.attempts,
+                schema: options.output.name,
+                ...(response.valid ? {} : { validationErrors: response.errors, content: response.content }),
+                contextChunks,
+                context,
+                llm: { provider: this.srvLLM.provider, model: this.srvLLM.model, usage: response.usage ?? null },
+                ...extra,
+            };
+        }
+
+        let content = '';
+        let usage = null;
+        if (options.stream && typeof this.srvLLM.stream === 'function') {
+            const { onContext, onToken, signal } = options.stream;
+            onContext?.(contextChunks);
+            const onUsage = (u) => { usage = u; };
+            for await (const token of this.srvLLM.stream(question, chunks, { signal, history, prompt, onUsage })) {
+                content += token;
+                onToken?.(token);
+            }
+        } else {
+            const response = await this.srvLLM.invoke(question, chunks, { history, prompt });
+            content = response?.content ?? '';
+            usage = response?.usage ?? null;
+        }
+
+        const { answer, citations } = this.resolveCitations(content, chunks);
         return {
-            answer: response?.content ?? '',
-            contextChunks: chunks.map((c) => ({
-                title: c.title,
-                description: c.description,
-                coverImage: c.coverImage,
-                score: c.score,
-            })),
+            answer,
+            citations,
+            contextChunks,
+            context,
+            llm: { provider: this.srvLLM.provider, model: this.srvLLM.model, usage },
+            prompt: { name: prompt.template.name, version: prompt.template.version },
+            ...extra,
+        };
+    }
+
+    /**
+     * Rewrite a follow-up question into a standalone query (via the LLM) so retrieval does not lose the conversation context.
+     * Returns the question unchanged without history, when the LLM cannot condense, or if the rewrite fails.
+     * @param {string} question
+     * @param {RagTurn[]} [history]
+     * @returns {Promise<string>}
+     */
+    async toStandaloneQuestion(question, history = []) {
+        if (!history.length || !question?.trim() || typeof this.srvLLM?.condenseQuestion !== 'function') return question;
+        try {
+            const standalone = await this.srvLLM.condenseQuestion(question, history);
+            logger.info(COMPONENT, 'Follow-up question rewritten', { turns: history.length, changed: standalone !== question });
+            return standalone;
+        } catch (err) {
+            logger.warn(COMPONENT, 'Question rewrite failed, using original', { error: err.message });
+            return question;
+        }
+    }
+
+    /**
+     * Text retrieval: embed query → vector search (text index, or child chunks with options.parent) → optional rerank.
+     * With query expansion, the LLM's paraphrases and/or HyDE description are embedded with the query in one batch,
+     * searched one by one and fused (RRF by default, see options.fusion) before the rerank, which uses the query.
+     * Falls back to full-text search when the embedding provider is unavailable and a search index is configured.
+     * @param {string} query
+     * @param {{ k?: number, filter?: import('../utils/filter.js').RagFilter, rerank?: boolean, cacheHits?: RagCacheHits, parent?: RagParentOptions, fusion?: RagFusionOptions, expansion?: RagExpansionOptions | null, expandedQueries?: RagExpandedQuery[] }} [options] - rerank: overrides useRerank; cacheHits: receives cache-hit flags; parent: parent-document retrieval; expansion: overrides the default; expandedQueries: receives the generated queries
+     * @returns {Promise<{ _id: any, title: string, description: string, coverImage: string, score: number }[]>}
+     */
+    async retrieveText(query, options = {}) {
+        const k = options.k ?? 5;
+        const expanded = await this.expandQuery(query, this.resolveExpansion(options.expansion));
+        options.expandedQueries?.push(...expanded);
+        const queries = [{ name: 'vector', text: query }, ...expanded];
+        const embeddings = await this.embedQueriesOrNull(queries, options.cacheHits);
+        let chunks;
+        if (embeddings) {
+            const lists = await Promise.all(queries.map(async ({ name }, i) => ({
+                name,
+                docs: await this.retrieveByEmbedding(embeddings[i], { k, filter: options.filter, parent: options.parent }),
+            })));
+            chunks = lists.length > 1 ? this.mergeLists(lists, options.fusion).slice(0, k) : lists[0].docs;
+        } else {
+            chunks = await this.retrieveByFullText(query, { k, filter: options.filter });
+        }
+        return this.applyRerank(query, chunks, k, { queryType: 'text', rerank: options.rerank, cacheHits: options.cacheHits });
+    }
+
+    /**
+     * Image retrieval: image embedding → vector search (image index) → optional rerank. Returns null when the image cannot be embedded.
+     * @param {Buffer} imageBuffer - raw image bytes
+     * @param {string} mimeType - e.g. image/jpeg
+     * @param {{ question?: string, k?: number, filter?: import('../utils/filter.js').RagFilter, rerank?: boolean, cacheHits?: RagCacheHits }} [options] - rerank: overrides useRerankImage
+     * @returns {Promise<{ _id: any, title: string, description: string, coverImage: string, score: number }[] | null>}
+     */
+    async retrieveImage(imageBuffer, mimeType, options = {}) {
+        const k = options.k ?? 5;
+        const embedding = await this.srvEmbedding.getImageEmbedding(imageBuffer, mimeType);
+        if (!embedding?.length) return null;
+        const chunks = await this.retrieveRelevantChunks({ embedding, k, type: 'image', filter: options.filter });
+        return this.applyRerank(options.question?.trim() || '', chunks, k, { type: 'image', rerank: options.rerank, cacheHits: options.cacheHits });
+    }
+
+    /**
+     * Hybrid retrieval: text embedding + full-text search, fused (RRF by default, see RagFusionOptions) → optional rerank.
+     * When the server supports $rankFusion / $scoreFusion, both searches and the fusion run as one aggregation; otherwise,
+     * with options.parent (the vector side searches child chunks), options the native stages lack (canFuseNatively) or if
+     * the native stage fails, they are fused in the app. With fusion.explain each result carries its `fusion` explanation.
+     * With query expansion each generated query adds a vector search list (see retrieveText); full-text search uses the query.
+     * Falls back to vector-only if no search index, and to full-text only when the embedding provider is unavailable.
+     * @param {string} query
+     * @param {{ k?: number, filter?: import('../utils/filter.js').RagFilter, rerank?: boolean, cacheHits?: RagCacheHits, parent?: RagParentOptions, fusion?: RagFusionOptions, expansion?: RagExpansionOptions | null, expandedQueries?: RagExpandedQuery[] }} [options] - rerank: overrides useRerank; cacheHits: receives cache-hit flags; expandedQueries: receives the generated queries
+     * @returns {Promise<{ _id: any, title: string, description: string, coverImage: string, score: number }[]>}
+     */
+    async retrieveHybrid(query, options = {}) {
+        const k = options.k ?? 5;
+        const filter = options.filter ?? null;
+        const fusion = options.fusion ?? {};
+        const stage = fusion.strategy === 'score' ? 'scoreFusion' : 'rankFusion';
+        const native = !!this.searchIndexName && !options.parent && this.canFuseNatively(fusion) && (await this.detectFusionSupport())[stage];
+        const expanded = await this.expandQuery(query, this.resolveExpansion(options.expansion));
+        options.expandedQueries?.push(...expanded);
+        const queries = [{ name: 'vector', text: query }, ...expanded];
+        const [embeddings, fullTextDocs] = await Promise.all([
+            this.embedQueriesOrNull(queries, options.cacheHits),
+            native ? null : this.retrieveByFullText(query, { k, filter }),
+        ]);
+        const pipelines = native && embeddings && {
+            ...Object.fromEntries(queries.map(({ name }, i) => [name, this.vectorSearchStages({ embedding: embeddings[i], k, type: 'text', filter })])),
+            fullText: this.fullTextSearchStages(query, { k, filter }),
         };
+        let chunks = pipelines ? await this.retrieveByNativeFusion(pipelines, { k, fusion }) : null;
+        if (!chunks) {
+            const [vectorLists, textDocs] = await Promise.all([
+                embeddings
+                    ? Promise.all(queries.map(async ({ name }, i) => ({ name, docs: await this.retrieveByEmbedding(embeddings[i], { k, filter, parent: options.parent }) })))
+                    : [],
+                fullTextDocs ?? this.retrieveByFullText(query, { k, filter }),
+            ]);
+            const lists = textDocs.length ? [...vectorLists, { name: 'fullText', docs: textDocs }] : vectorLists;
+            chunks = lists.length > 1 ? this.mergeLists(lists, fusion).slice(0, k) : lists[0]?.docs ?? [];
+        }
+        return this.applyRerank(query, chunks, k, { queryType: 'text', rerank: options.rerank, cacheHits: options.cacheHits });
+    }
+
+    /**
+     * Image embedding, or null (with a warning) when the provider has no image model or fails, so a multimodal search
+     * can go on with its text searches.
+     * @param {Buffer} imageBuffer
+     * @param {string} mimeType
+     * @returns {Promise<number[] | null>}
+     */
+    async embedImageOrNull(imageBuffer, mimeType) {
+        if (!this.srvEmbedding.supportsImages) {
+            logger.warn(COMPONENT, 'Embedding provider has no image model, image search skipped', { model: this.srvEmbedding.modelId });
+            return null;
+        }
+        try {
+            const embedding = await this.srvEmbedding.getImageEmbedding(imageBuffer, mimeType);
+            return embedding?.length ? embedding : null;
+        } catch (err) {
+            logger.warn(COMPONENT, 'Image embedding unavailable, image search skipped', { error: err.message });
+            return null;
+        }
+    }
+
+    /**
+     * Multimodal retrieval: text vector, image vector and full-text searches fused into one list (RRF by default, see
+     * RagFusionOptions; lists as in MULTIMODAL_LISTS) → optional rerank. The question drives the text vector and
+     * full-text searches, the image the image vector search; each runs when its input is there. The searches are fused
+     * in one aggregation when the server supports it, otherwise run in parallel and fused in the app. The rerank uses
+     * the text reranker when there is a question and the multimodal one for an image alone.
+     * @param {{ question?: string, imageBuffer?: Buffer, mimeType?: string }} input
+     * @param {{ k?: number, filter?: import('../utils/filter.js').RagFilter, rerank?: boolean, cacheHits?: RagCacheHits, fusion?: RagFusionOptions }} [options]
+     * @returns {Promise<{ _id: any, title: string, description: string, coverImage: string, score: number }[] | null>} null when
+     *   no search can run (no question and the image cannot be embedded)
+     */
+    async retrieveMultimodal(input, options = {}) {
+        const k = options.k ?? 5;
+        const filter = options.filter ?? null;
+        const fusion = options.fusion ?? {};
+        const question = input.question?.trim() || '';
+        const [textEmbedding, imageEmbedding] = await Promise.all([
+            question ? this.embedQueryOrNull(question, options.cacheHits) : null,
+            input.imageBuffer?.length ? this.embedImageOrNull(input.imageBuffer, input.mimeType) : null,
+        ]);
+        const embeddings = { vector: textEmbedding, image: imageEmbedding };
+        const names = MULTIMODAL_LISTS.filter((name) => (name === 'fullText' ? !!(question && this.searchIndexName) : !!embeddings[name]));
+        if (!names.length) return null;
+
+        const stage = fusion.strategy === 'score' ? 'scoreFusion' : 'rankFusion';
+        const native = names.length > 1 && this.canFuseNatively(fusion) && (await this.detectFusionSupport())[stage];
+        const pipelines = native && Object.fromEntries(names.map((name) => [name, name === 'fullText'
+            ? this.fullTextSearchStages(question, { k, filter })
+            : this.vectorSearchStages({ embedding: embeddings[name], k, type: name === 'image' ? 'image' : 'text', filter })]));
+        let chunks = pipelines ? await this.retrieveByNativeFusion(pipelines, { k, fusion }) : null;
+        if (!chunks) {
+            const lists = await Promise.all(names.map(async (name) => ({
+                name,
+                docs: name === 'fullText'
+                    ? await this.retrieveByFullText(question, { k, filter })
+                    : await this.retrieveRelevantChunks({ embedding: embeddings[name], k, type: name === 'image' ? 'image' : 'text', filter }),
+            })));
+            const found = lists.filter((list) => list.docs.length);
+            chunks = found.length > 1 ? this.mergeLists(found, fusion).slice(0, k) : found[0]?.docs ?? [];
+        }
+        return question
+            ? this.applyRerank(question, chunks, k, { type: 'hybrid', rerank: options.rerank, cacheHits: options.cacheHits })
+            : this.applyRerank('', chunks, k, { type: 'image', rerank: options.rerank, cacheHits: options.cacheHits });
+    }
+
+    /**
+     * Retrieval without generation, by mode (used by the ask methods and the retrieval evaluation). 'parent' is text
+     * retrieval over child chunks (see retrieveParents); 'multimodal' takes a question, an image or both.
+     * @param {'text'|'hybrid'|'image'|'parent'|'multimodal'} mode
+     * @param {{ question?: string, imageBuffer?: Buffer, mimeType?: string }} input
+     * @param {{ k?: number, filter?: import('../utils/filter.js').RagFilter, rerank?: boolean, parent?: RagParentOptions, fusion?: RagFusionOptions, expansion?: RagExpansionOptions | null }} [options] - expansion: text, hybrid and parent modes
+     * @returns {Promise<{ _id: any, title: string, description: string, coverImage: string, score: number }[] | null>}
+     */
+    async retrieve(mode, input, options = {}) {
+        switch (mode) {
+            case 'text':
+                return this.retrieveText(input.question, options);
+            case 'hybrid':
+                return this.retrieveHybrid(input.question, options);
+            case 'image':
+                return this.retrieveImage(input.imageBuffer, input.mimeType, { ...options, question: input.question });
+            case 'parent':
+                return this.retrieveText(input.question, { ...options, parent: options.parent ?? {} });
+            case 'multimodal':
+                return this.retrieveMultimodal(input, options);
+            default:
+                throw new Error(`Unknown retrieval mode "${mode}"`);
+        }
     }
 
     /**
      * RAG via text only: embed question → vector search (text index) → LLM.
      * @param {string} question
-     * @param {{ k?: number }} options
+     * @param {{ k?: number, filter?: import('../utils/filter.js').RagFilter, stream?: RagStreamHooks, history?: RagTurn[], parent?: RagParentOptions, fusion?: RagFusionOptions, expansion?: RagExpansionOptions | null, output?: RagOutputSchema | null, prompt?: RagPrompt }} options - history: prior turns; the question is rewritten into a standalone query before retrieval; parent: search child chunks and answer from their films; expansion: overrides the default query expansion, the generated queries are returned in `expandedQueries`; fusion: how expanded results are fused; output: answer as JSON data for the schema (see answerWithChunks); prompt: answer prompt template
      */
     async askText(question, options = {}) {
-        const k = options.k ?? 5;
-        const embedding = await this.srvVoyage.getEmbedding(question);
-        let chunks = await this.retrieveRelevantChunks({ embedding, k, type: 'text' });
-        chunks = await this.applyRerank(question, chunks, k, { queryType: 'text' });
-        return this.answerWithChunks(question, chunks);
+        return this.withAnswerCache('text', question, options, async (cacheHits) => {
+            const query = await this.toStandaloneQuestion(question, options.history);
+            const expandedQueries = [];
+            const chunks = await this.retrieveText(query, { k: options.k, filter: options.filter, cacheHits, parent: options.parent, fusion: options.fusion, expansion: options.expansion, expandedQueries });
+            return this.answerWithChunks(question, chunks, { ...options, standaloneQuestion: options.history?.length ? query : undefined, expandedQueries });
+        });
     }
 
     /**
      * RAG via image only: image embedding → vector search (image index) → LLM.
      * @param {Buffer} imageBuffer - raw image bytes
      * @param {string} mimeType - e.g. image/jpeg
-     * @param {{ question?: string, k?: number }} options - question: optional prompt (default: about relevant films)
+     * @param {{ question?: string, k?: number, filter?: import('../utils/filter.js').RagFilter, stream?: RagStreamHooks, output?: RagOutputSchema | null, prompt?: RagPrompt }} options - question: optional prompt (default: about relevant films); output and prompt: as in askText
      */
     async askImage(imageBuffer, mimeType, options = {}) {
-        const k = options.k ?? 5;
         const question = options.question?.trim() || '';
-        const embedding = await this.srvVoyage.getImageEmbedding(imageBuffer, mimeType);
-        if (!embedding?.length) {
+        const cacheHits = this.cache ? { answer: false } : undefined;
+        const chunks = await this.retrieveImage(imageBuffer, mimeType, { question, k: options.k, filter: options.filter, cacheHits });
+        if (!chunks) {
             return { answer: 'Could not generate an embedding from the image.', contextChunks: [] };
         }
-        let chunks = await this.retrieveRelevantChunks({ embedding, k, type: 'image' });
-        chunks = await this.applyRerank(question, chunks, k, { type: 'image' });
-        return this.answerWithChunks(question, chunks);
+        const result = await this.answerWithChunks(question, chunks, options);
+        return cacheHits ? { ...result, cache: cacheHits } : result;
     }
 
     /**
      * RAG hybrid: text embedding + full-text search, merge with RRF, then LLM. Falls back to vector-only if no search index.
      * @param {string} question
-     * @param {{ k?: number }} options
+     * @param {{ k?: number, filter?: import('../utils/filter.js').RagFilter, stream?: RagStreamHooks, history?: RagTurn[], parent?: RagParentOptions, fusion?: RagFusionOptions, expansion?: RagExpansionOptions | null, output?: RagOutputSchema | null, prompt?: RagPrompt }} options - history: prior turns; the question is rewritten into a standalone query before retrieval; parent: the vector side searches child chunks; fusion: strategy and weights; expansion, output and prompt: as in askText
      */
     async askHybrid(question, options = {}) {
-        const k = options.k ?? 5;
-        const [embedding, fullTextDocs] = await Promise.all([
-            this.srvVoyage.getEmbedding(question),
-            this.retrieveByFullText(question, { k }),
+        return this.withAnswerCache('hybrid', question, options, async (cacheHits) => {
+            const query = await this.toStandaloneQuestion(question, options.history);
+            const expandedQueries = [];
+            const chunks = await this.retrieveHybrid(query, { k: options.k, filter: options.filter, cacheHits, parent: options.parent, fusion: options.fusion, expansion: options.expansion, expandedQueries });
+            return this.answerWithChunks(question, chunks, { ...options, standaloneQuestion: options.history?.length ? query : undefined, expandedQueries });
+        });
+    }
+
+    /**
+     * RAG over a question, an image or both: text vector, image vector and full-text searches fused → LLM (see
+     * retrieveMultimodal). Answers are not cached, as for image questions.
+     * @param {{ question?: string, imageBuffer?: Buffer, mimeType?: string }} input
+     * @param {{ k?: number, filter?: import('../utils/filter.js').RagFilter, stream?: RagStreamHooks, fusion?: RagFusionOptions, output?: RagOutputSchema | null, prompt?: RagPrompt }} options - output and prompt: as in askText
+     */
+    async askMultimodal(input, options = {}) {
+        const question = input.question?.trim() || '';
+        const cacheHits = this.cache ? { answer: false } : undefined;
+        const chunks = await this.retrieveMultimodal(input, { k: options.k, filter: options.filter, fusion: options.fusion, cacheHits });
+        if (!chunks) {
+            return { answer: 'Could not generate an embedding from the image.', contextChunks: [] };
+        }
+        const result = await this.answerWithChunks(question, chunks, options);
+        return cacheHits ? { ...result, cache: cacheHits } : result;
+    }
+
+    /**
+     * RAG via parent-document retrieval: embed question → vector search over child chunks → group by film → LLM reads
+     * the films (or their best child windows). Same as askText with options.parent.
+     * @param {string} question
+     * @param {{ k?: number, filter?: import('../utils/filter.js').RagFilter, stream?: RagStreamHooks, history?: RagTurn[], parent?: RagParentOptions, output?: RagOutputSchema | null, prompt?: RagPrompt }} options
+     */
+    async askParent(question, options = {}) {
+        return this.askText(question, { ...options, parent: options.parent ?? {} });
+    }
+
+    /**
+     * Answer with tool calling: the model gets the catalog tools (FilmToolService: find_films, get_film, count_films,
+     * search_films), the calls it makes are run and their results sent back, until it answers or `toolRounds` round trips
+     * are used (the last one offers no tools, so the model must answer). For questions retrieval cannot answer, such as
+     * counts. Falls back to askText when the LLM cannot call tools (provider without support, calls disabled) or no
+     * film service is configured. Answers are not cached or streamed.
+     * @param {string} question
+     * @param {{ k?: number, filter?: import('../utils/filter.js').RagFilter | null, history?: RagTurn[] }} [options] - filter: applied to every tool call
+     * @returns {Promise<{ answer: string, contextChunks: object[], toolCalls: { name: string, args: object, ms: number, error?: string }[], llm: { provider: string, model: string, usage: import('./LLMService.js').LLMUsage | null }, rounds: number }>}
+     */
+    async askWithTools(question, options = {}) {
+        if (!this.tools || !this.srvLLM?.supportsTools || !this.srvLLM.call) {
+            logger.warn(COMPONENT, 'Tool calling unavailable, answering with text retrieval', { provider: this.srvLLM?.provider, tools: !!this.tools });
+            const result = await this.askText(question, { k: options.k, filter: options.filter, history: options.history });
+            return { ...result, toolCalls: [], rounds: 0 };
+        }
+        const conversation = this.srvLLM.buildHistory(options.history ?? []);
+        /** @type {import('./LLMService.js').LLMToolMessage[]} */
+        const messages = [
+            { role: 'system', content: this.srvLLM.getToolSystemPrompt() },
+            { role: 'user', content: conversation ? `CONVERSATION HISTORY:\n${conversation}\n\nQUESTION:\n${question}` : question },
+        ];
+        const definitions = this.tools.definitions;
+        const toolCalls = [];
+        const films = new Map();
+        let usage = null;
+        let content = '';
+        let rounds = 0;
+        while (rounds < this.toolRounds) {
+            rounds++;
+            const last = rounds === this.toolRounds;
+            const response = await this.srvLLM.chatWithTools(messages, last ? [] : definitions);
+            if (response.usage) {
+                usage ??= { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+                usage.inputTokens += response.usage.inputTokens;
+                usage.outputTokens += response.usage.outputTokens;
+                usage.totalTokens += response.usage.totalTokens;
+            }
+            content = response.content ?? '';
+            if (!response.toolCalls?.length || last) break;
+            messages.push({ role: 'assistant', content, toolCalls: response.toolCalls });
+            for (const call of response.toolCalls) {
+                const started = Date.now();
+                const { result, films: found } = await this.tools.execute(call.name, call.args, { filter: options.filter });
+                found.forEach((film) => films.set(String(film._id), film));
+                toolCalls.push({ name: call.name, args: call.args, ms: Date.now() - started, ...(result.error ? { error: result.error } : {}) });
+                messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: JSON.stringify(result) });
+            }
+        }
+        logger.info(COMPONENT, 'Tool calling done', { rounds, calls: toolCalls.length, tools: [...new Set(toolCalls.map((c) => c.name))].join(',') });
+        return {
+            answer: content.trim(),
+            contextChunks: [...films.values()].map((c) => ({ _id: c._id, title: c.title, description: c.description, coverImage: c.coverImage, ...(c.score !== undefined ? { score: c.score } : {}) })),
+            toolCalls,
+            llm: { provider: this.srvLLM.provider, model: this.srvLLM.model, usage },
+            rounds,
+        };
+    }
+
+    /**
+     * Serve an answer from the cache or produce and cache it. Key: normalized question, mode, k, filter, parent retrieval,
+     * fusion and query expansion options, output schema, prompt template and variables, index version, LLM and its context
+     * budget settings. Follow-ups (with history), calls with the LLM disabled
+     * and structured answers that failed validation are not cached. A cached answer is replayed to stream
+     * hooks as the context and a single token; its usage is null (no tokens spent). Without a cache, answer() runs as is.
+     * @param {'text'|'hybrid'} mode
+     * @param {string} question
+     * @param {{ k?: number, filter?: import('../utils/filter.js').RagFilter, stream?: RagStreamHooks, history?: RagTurn[], parent?: RagParentOptions, fusion?: RagFusionOptions, expansion?: RagExpansionOptions | null, output?: RagOutputSchema | null, prompt?: RagPrompt }} options
+     * @param {(cacheHits?: RagCacheHits) => Promise<object>} answer - retrieval + generation; records embedding/rerank hits
+     * @returns {Promise<object>} the answer with a `cache` field (RagCacheHits) when a cache is configured
+     */
+    async withAnswerCache(mode, question, options, answer) {
+        if (!this.cache) return answer();
+        const cacheHits = { answer: false };
+        const cacheable = !options.history?.length && this.srvLLM?.call !== false;
+        const prompt = options.prompt ?? this.prompts.resolve();
+        const key = CacheService.key([
+            CacheService.normalize(question),
+            mode,
+            options.k ?? 5,
+            options.filter ?? null,
+            options.parent ?? null,
+            options.fusion ?? null,
+            this.resolveExpansion(options.expansion),
+            options.output?.schema ?? null,
+            `${prompt.template.name}@${prompt.template.version}`,
+            prompt.variables ?? {},
+            this.cacheVersion(),
+            `${this.srvLLM?.provider}:${this.srvLLM?.model}`,
+            [this.srvLLM?.contextWindow, this.srvLLM?.contextTokens, this.srvLLM?.answerTokens, this.srvLLM?.contextOverflow],
         ]);
-        const vectorDocs = await this.retrieveRelevantChunks({ embedding, k, type: 'text' });
-        let chunks = fullTextDocs.length
-            ? this.mergeWithRRF(vectorDocs, fullTextDocs).slice(0, k)
-            : vectorDocs;
-        chunks = await this.applyRerank(question, chunks, k, { queryType: 'text' });
-        return this.answerWithChunks(question, chunks);
+        if (cacheable) {
+            const cached = await this.cache.get('answer', key);
+            if (cached) {
+                logger.info(COMPONENT, 'Answer served from cache', { mode });
+                options.stream?.onContext?.(cached.contextChunks);
+                if (cached.answer) options.stream?.onToken?.(cached.answer);
+                return { ...cached, llm: { ...cached.llm, usage: null }, cache: { answer: true } };
+            }
+        }
+        const result = await answer(cacheHits);
+        if (cacheable && result.valid !== false) await this.cache.set('answer', key, result);
+        return { ...result, cache: cacheHits };
     }
 
     /**
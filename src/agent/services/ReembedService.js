@@ -0,0 +1,274 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { mimeFromUrl } from '../utils/utl.js';
+import { toEmbeddingField, vectorMeta } from '../utils/embedding.js';
+
+const COMPONENT = 'service:reembed';
+
+/**
+ * Backfills a vector field with the configured embedding model, in batches, so a new model can be rolled out next to
+ * the live one. A document is stale for a vector type when `<field>.meta.<type>.model` differs from the provider's model
+ * id (or is missing). Progress is checkpointed per field and model (last processed _id); an interrupted run resumes
+ * after the checkpoint, and re-running after completion only picks up documents written since.
+ * With a chunks collection (ChunkingService), the text vectors of the description chunks are backfilled the same way
+ * after the films, so parent-document retrieval keeps working on the new field.
+ */
+export class ReembedService {
+
+    /**
+     * @param {Object} options - Configuration options
+     * @param {import('mongodb').Collection} options.collection - Films collection
+     * @param {import('mongodb').Collection} options.checkpoints - Collection holding one checkpoint per field and model
+     * @param {import('mongodb').Collection} [options.chunks] - Chunks collection whose text vectors are backfilled too (MONGODB_CHUNK_COLLECTION)
+     * @param {import('./EmbeddingService.js').EmbeddingService} options.srvEmbedding - Provider producing the new vectors
+     * @param {import('./StoreService.js').StoreService} [options.srvStore] - Loads cover images by URL
+     * @param {string} [options.imagesBasePath] - Loads cover images stored as relative paths (seed data without a store)
+     * @param {string} [options.field] - Vector field to backfill (default 'embedding')
+     * @param {number} [options.batchSize] - Documents per batch (default 50)
+     * @param {('text'|'image')[]} [options.types] - Vector types to backfill (default both; image only if the provider supports it)
+     * @param {number} [options.delayMs] - Pause between embedding API calls, for rate-limited tiers (default 0)
+     */
+    constructor(options) {
+        this.collection = options.collection;
+        this.checkpoints = options.checkpoints;
+        this.chunks = options.chunks ?? null;
+        this.srvEmbedding = options.srvEmbedding;
+        this.srvStore = options.srvStore ?? null;
+        this.imagesBasePath = options.imagesBasePath ?? null;
+        this.field = toEmbeddingField(options.field);
+        this.batchSize = Math.max(1, options.batchSize ?? 50);
+        this.delayMs = options.delayMs ?? 0;
+        const types = options.types ?? ['text', 'image'];
+        this.types = types.filter((type) => type === 'text' || (type === 'image' && this.srvEmbedding.supportsImages));
+    }
+
+    /** Checkpoint id: one backfill per target field and model. */
+    get jobId() {
+        return `${this.field}:${this.srvEmbedding.modelId}`;
+    }
+
+    /**
+     * Collections to backfill: the films (text and image vectors), then the chunks (text vectors of `text`) when a
+     * chunks collection is set and text is backfilled.
+     * @returns {{ name: 'films'|'chunks', collection: import('mongodb').Collection, jobId: string, types: ('text'|'image')[], projection: object, textOf: (doc: object) => string }[]}
+     */
+    targets() {
+        const meta = `${this.field}.meta`;
+        const targets = [{
+            name: 'films',
+            collection: this.collection,
+            jobId: this.jobId,
+            types: this.types,
+            projection: { title: 1, description: 1, coverImage: 1, [meta]: 1 },
+            textOf: (doc) => doc.description || doc.title,
+        }];
+        if (this.chunks && this.types.includes('text')) {
+            targets.push({ name: 'chunks', collection: this.chunks, jobId: `${this.jobId}:chunks`, types: ['text'], projection: { text: 1, [meta]: 1 }, textOf: (doc) => doc.text });
+        }
+        return targets;
+    }
+
+    /**
+     * Model id expected in `<field>.meta.<type>.model`.
+     * @param {'text'|'image'} type
+     */
+    modelFor(type) {
+        return type === 'image' ? this.srvEmbedding.imageModelId : this.srvEmbedding.modelId;
+    }
+
+    /**
+     * Query matching documents whose vector of the given type is missing or from another model.
+     * Image vectors are only expected for documents with a cover image.
+     * @param {'text'|'image'} type
+     * @returns {object}
+     */
+    staleQuery(type) {
+        const query = { [`${this.field}.meta.${type}.model`]: { $ne: this.modelFor(type) } };
+        if (type === 'image') query.coverImage = { $nin: [null, ''] };
+        return query;
+    }
+
+    /**
+     * Backfill progress for the field: documents already on the model and documents still stale, per vector type, and
+     * the same for chunk text vectors with a chunks collection. `ready` is true once no film or chunk text vector is
+     * stale, i.e. EMBEDDING_FIELD can be switched to this field.
+     * @returns {Promise<{ field: string, model: string, imageModel: string | null, total: number, text?: { current: number, stale: number }, image?: { current: number, stale: number }, chunks?: { total: number, current: number, stale: number }, ready: boolean }>}
+     */
+    async status() {
+        const result = {
+            field: this.field,
+            model: this.srvEmbedding.modelId,
+            imageModel: this.srvEmbedding.imageModelId,
+            total: await this.collection.countDocuments({}),
+        };
+        for (const type of this.types) {
+            const [current, stale] = await Promise.all([
+                this.collection.countDocuments({ [`${this.field}.meta.${type}.model`]: this.modelFor(type) }),
+                this.collection.countDocuments(this.staleQuery(type)),
+            ]);
+            result[type] = { current, stale };
+        }
+        if (this.chunks && this.types.includes('text')) {
+            const [total, current, stale] = await Promise.all([
+                this.chunks.countDocuments({}),
+                this.chunks.countDocuments({ [`${this.field}.meta.text.model`]: this.modelFor('text') }),
+                this.chunks.countDocuments(this.staleQuery('text')),
+            ]);
+            result.chunks = { total, current, stale };
+        }
+        result.ready = (result.text?.stale ?? 0) === 0 && (result.chunks?.stale ?? 0) === 0;
+        return result;
+    }
+
+    /**
+     * Run the backfill of the films, then of the chunks (see targets). Each resumes after its last checkpoint unless its
+     * previous run completed or restart is set. An embedding API error on a text batch stops the run (the checkpoint
+     * stays at the previous batch); images that cannot be loaded or embedded are counted and skipped.
+     * @param {{ restart?: boolean }} [options]
+     * @returns {Promise<{ batches: number, documents: number, text: number, image: number, skipped: number, failed: number, chunks?: { batches: number, documents: number, text: number, failed: number }, status: object }>} totals of the films, and of the chunks in `chunks`
+     */
+    async run(options = {}) {
+        if (!this.types.length) throw new Error('Nothing to re-embed: no supported vector types');
+        const results = {};
+        for (const target of this.targets()) results[target.name] = await this.backfill(target, options);
+        const { films, chunks } = results;
+        const status = await this.status();
+        logger.info(COMPONENT, 'Backfill complete', { job: this.jobId, ...films, ...(chunks ? { chunks: chunks.documents } : {}), ready: status.ready });
+        return {
+            ...films,
+            ...(chunks ? { chunks: { batches: chunks.batches, documents: chunks.documents, text: chunks.text, failed: chunks.failed } } : {}),
+            status,
+        };
+    }
+
+    /**
+     * Backfill one collection (see targets) from its checkpoint.
+     * @param {ReturnType<ReembedService['targets']>[number]} target
+     * @param {{ restart?: boolean }} options
+     * @returns {Promise<{ batches: number, documents: number, text: number, image: number, skipped: number, failed: number }>}
+     */
+    async backfill(target, options) {
+        const checkpoint = options.restart ? null : await this.checkpoints.findOne({ _id: target.jobId });
+        let lastId = checkpoint && !checkpoint.completedAt ? checkpoint.lastId : null;
+        const totals = { batches: 0, documents: 0, text: 0, image: 0, skipped: 0, failed: 0 };
+        const staleAny = { $or: target.types.map((type) => this.staleQuery(type)) };
+        const pending = await target.collection.countDocuments(lastId ? { ...staleAny, _id: { $gt: lastId } } : staleAny);
+        logger.info(COMPONENT, lastId ? 'Resuming backfill' : 'Starting backfill', { job: target.jobId, after: lastId, types: target.types, pending });
+
+        await this.checkpoints.updateOne(
+            { _id: target.jobId },
+            { $set: { field: this.field, collection: target.name, model: this.srvEmbedding.modelId, imageModel: this.srvEmbedding.imageModelId, lastId, startedAt: new Date(), completedAt: null } },
+            { upsert: true }
+        );
+
+        for (;;) {
+            const query = lastId ? { ...staleAny, _id: { $gt: lastId } } : staleAny;
+            const docs = await target.collection
+                .find(query, { projection: target.projection })
+                .sort({ _id: 1 })
+                .limit(this.batchSize)
+                .toArray();
+            if (!docs.length) break;
+
+            const counts = await this.processBatch(docs, target);
+            lastId = docs[docs.length - 1]._id;
+            totals.batches += 1;
+            totals.documents += docs.length;
+            for (const key of ['text', 'image', 'skipped', 'failed']) totals[key] += counts[key];
+
+            await this.checkpoints.updateOne(
+                { _id: target.jobId },
+                { $set: { lastId, updatedAt: new Date() }, $inc: { processed: docs.length } }
+            );
+            logger.info(COMPONENT, 'Batch done', { collection: target.name, batch: totals.batches, documents: totals.documents, of: pending, ...counts });
+        }
+
+        await this.checkpoints.updateOne({ _id: target.jobId }, { $set: { completedAt: new Date() } });
+        return totals;
+    }
+
+    /**
+     * Embed the stale vectors of one batch and write them with their metadata.
+     * @param {object[]} docs
+     * @param {ReturnType<ReembedService['targets']>[number]} [target] - collection of the batch (default: the films)
+     * @returns {Promise<{ text: number, image: number, skipped: number, failed: number }>}
+     */
+    async processBatch(docs, target = this.targets()[0]) {
+        const counts = { text: 0, image: 0, skipped: 0, failed: 0 };
+        const updates = new Map(docs.map((doc) => [doc._id, {}]));
+        const isStale = (doc, type) => doc[this.field]?.meta?.[type]?.model !== this.modelFor(type);
+
+        if (target.types.includes('text')) {
+            const pending = docs.filter((doc) => isStale(doc, 'text') && target.textOf(doc));
+            if (pending.length) {
+                const vectors = await this.srvEmbedding.getEmbedding(pending.map((doc) => target.textOf(doc)));
+                pending.forEach((doc, i) => {
+                    if (!vectors[i]?.length) {
+                        counts.failed++;
+                        return;
+                    }
+                    Object.assign(updates.get(doc._id), {
+                        [`${this.field}.text`]: vectors[i],
+                        [`${this.field}.meta.text`]: vectorMeta(this.modelFor('text'), vectors[i]),
+                    });
+                    counts.text++;
+                });
+                await this.pause();
+            }
+        }
+
+        if (target.types.includes('image')) {
+            for (const doc of docs.filter((d) => d.coverImage && isStale(d, 'image'))) {
+                const buffer = await this.loadImage(doc.coverImage);
+                if (!buffer?.length) {
+                    counts.skipped++;
+                    continue;
+                }
+                try {
+                    const vector = await this.srvEmbedding.getImageEmbedding(buffer, mimeFromUrl(doc.coverImage));
+                    if (!vector?.length) throw new Error('Empty image embedding');
+                    Object.assign(updates.get(doc._id), {
+                        [`${this.field}.image`]: vector,
+                        [`${this.field}.meta.image`]: vectorMeta(this.modelFor('image'), vector),
+                    });
+                    counts.image++;
+                } catch (err) {
+                    logger.warn(COMPONENT, 'Image embedding failed', { id: doc._id, coverImage: doc.coverImage, error: err.message });
+                    counts.failed++;
+                }
+                await this.pause();
+            }
+        }
+
+        const ops = [...updates]
+            .filter(([, set]) => Object.keys(set).length)
+            .map(([_id, set]) => ({ updateOne: { filter: { _id }, update: { $set: set } } }));
+        if (ops.length) await target.collection.bulkWrite(ops, { ordered: false });
+        return counts;
+    }
+
+    /**
+     * Load a cover image: from the store when it is a store URL, else from imagesBasePath for relative paths.
+     * @param {string} coverImage
+     * @returns {Promise<Buffer | null>}
+     */
+    async loadImage(coverImage) {
+        if (this.srvStore && /^https?:\/\//i.test(coverImage)) {
+            return this.srvStore.readFromUrl(coverImage);
+        }
+        if (this.imagesBasePath && !/^https?:\/\//i.test(coverImage)) {
+            try {
+                return await fs.readFile(path.join(this.imagesBasePath, coverImage));
+            } catch (err) {
+                logger.warn(COMPONENT, 'Image file not found', { path: coverImage, error: err.message });
+            }
+        }
+        return null;
+    }
+
+    /** @private */
+    async pause() {
+        if (this.delayMs > 0) await new Promise((r) => setTimeout(r, this.delayMs));
+    }
+}
@@ -0,0 +1,190 @@
+import { parseFilter } from '../utils/filter.js';
+import { logger } from '../utils/logger.js';
+import { mimeFromUrl } from '../utils/utl.js';
+import { recallAtK, reciprocalRank, ndcgAtK, mean } from '../utils/metrics.js';
+
+const COMPONENT = 'service:eval-retrieval';
+
+/**
+ * Golden question: expected film titles for a question, optionally an image (path or URL of a cover to query with)
+ * and a metadata filter.
+ * @typedef {{ id: string, question: string, expected: string[], image?: string, filter?: import('../utils/filter.js').RagFilter | null }} GoldenItem
+ */
+
+/**
+ * Metrics of one mode/rerank combination.
+ * @typedef {{ mode: string, rerank: boolean, questions: number, recall: number, mrr: number, ndcg: number, avgMs: number, skipped: number, errors: number, note?: string, results: object[] }} RetrievalEvalRun
+ */
+
+/**
+ * Runs golden questions through a retriever in every mode (text, hybrid, image) with and without rerank and reports
+ * recall@k, MRR and nDCG@k per combination. The retriever only needs `retrieve(mode, input, { k, filter, rerank })`
+ * (RagService, or MemoryRagService for offline runs) and, optionally, `supportsRerank(mode)`.
+ */
+export class RetrievalEvalService {
+
+    /**
+     * @param {Object} options - Configuration options
+     * @param {{ retrieve: Function, supportsRerank?: (mode: string) => boolean }} options.retriever
+     * @param {number} [options.k] - Cut-off for the metrics and number of results requested (default 5)
+     * @param {('text'|'hybrid'|'image'|'parent'|'multimodal')[]} [options.modes] - Modes to evaluate (default text, hybrid and image)
+     * @param {boolean[]} [options.rerank] - Rerank settings to evaluate (default [false, true])
+     * @param {(image: string) => Promise<Buffer | null>} [options.loadImage] - Loads the image of a golden item for image mode
+     */
+    constructor(options) {
+        this.retriever = options.retriever;
+        this.k = options.k ?? 5;
+        this.modes = options.modes ?? ['text', 'hybrid', 'image'];
+        this.rerank = options.rerank ?? [false, true];
+        this.loadImage = options.loadImage ?? null;
+    }
+
+    /**
+     * Parse a golden set in JSONL: one `{ id?, question, expected: string[] | string, image?, filter? }` per line.
+     * Blank lines and lines starting with # are ignored.
+     * @param {string} text
+     * @returns {GoldenItem[]}
+     * @throws {Error} with the line number when a line is invalid
+     */
+    static parseGolden(text) {
+        const items = [];
+        String(text).split(/\r?\n/).forEach((line, i) => {
+            if (!line.trim() || line.trim().startsWith('#')) return;
+            let raw;
+            try {
+                raw = JSON.parse(line);
+            } catch (err) {
+                throw new Error(`Golden set line ${i + 1}: invalid JSON (${err.message})`);
+            }
+            const expected = Array.isArray(raw.expected) ? raw.expected : [raw.expected].filter(Boolean);
+            if (typeof raw.question !== 'string' || !raw.question.trim()) {
+                throw new Error(`Golden set line ${i + 1}: missing "question"`);
+            }
+            if (!expected.length || expected.some((title) => typeof title !== 'string')) {
+                throw new Error(`Golden set line ${i + 1}: "expected" must be a title or a list of titles`);
+            }
+            let filter;
+            try {
+                filter = parseFilter(raw.filter);
+            } catch (err) {
+                throw new Error(`Golden set line ${i + 1}: ${err.message}`);
+            }
+            items.push({ id: String(raw.id ?? `q${items.length + 1}`), question: raw.question.trim(), expected, image: raw.image, filter });
+        });
+        return items;
+    }
+
+    /**
+     * Evaluate every mode/rerank combination. Image mode only uses items with an image; rerank runs are skipped when
+     * the retriever reports no reranker for the mode. Retrieval errors count as misses.
+     * @param {GoldenItem[]} items
+     * @returns {Promise<{ k: number, questions: number, createdAt: string, runs: RetrievalEvalRun[] }>}
+     */
+    async run(items) {
+        const runs = [];
+        for (const mode of this.modes) {
+            for (const rerank of this.rerank) {
+                if (rerank && this.retriever.supportsRerank && !this.retriever.supportsRerank(mode)) {
+                    runs.push(this.emptyRun(mode, rerank, 'no reranker configured'));
+                    continue;
+                }
+                runs.push(await this.runMode(mode, rerank, items));
+            }
+        }
+        return { k: this.k, questions: items.length, createdAt: new Date().toISOString(), runs };
+    }
+
+    /**
+     * Evaluate one mode/rerank combination.
+     * @param {'text'|'hybrid'|'image'|'parent'|'multimodal'} mode
+     * @param {boolean} rerank
+     * @param {GoldenItem[]} items
+     * @returns {Promise<RetrievalEvalRun>}
+     */
+    async runMode(mode, rerank, items) {
+        const run = this.emptyRun(mode, rerank);
+        const latencies = [];
+        for (const item of items) {
+            const input = await this.toInput(mode, item);
+            if (!input) {
+                run.skipped++;
+                continue;
+            }
+            const started = Date.now();
+            let retrieved = [];
+            let error;
+            try {
+                const chunks = await this.retriever.retrieve(mode, input, { k: this.k, filter: item.filter, rerank });
+                if (!chunks) {
+                    run.skipped++;
+                    continue;
+                }
+                retrieved = chunks.map((chunk) => chunk.title);
+            } catch (err) {
+                error = err.message;
+                run.errors++;
+                logger.warn(COMPONENT, 'Retrieval failed', { mode, rerank, id: item.id, error });
+            }
+            latencies.push(Date.now() - started);
+            run.results.push({
+                id: item.id,
+                retrieved,
+                recall: recallAtK(retrieved, item.expected, this.k),
+                rr: reciprocalRank(retrieved, item.expected),
+                ndcg: ndcgAtK(retrieved, item.expected, this.k),
+                ...(error ? { error } : {}),
+            });
+        }
+        run.questions = run.results.length;
+        run.recall = mean(run.results.map((r) => r.recall));
+        run.mrr = mean(run.results.map((r) => r.rr));
+        run.ndcg = mean(run.results.map((r) => r.ndcg));
+        run.avgMs = Math.round(mean(latencies));
+        logger.info(COMPONENT, 'Mode evaluated', { mode, rerank, questions: run.questions, recall: run.recall, mrr: run.mrr, ndcg: run.ndcg });
+        return run;
+    }
+
+    /**
+     * Retriever input for an item, or null when the mode does not apply (image mode without an image). Multimodal
+     * mode gets the question and, when the item has one, the image.
+     * @private
+     */
+    async toInput(mode, item) {
+        if (mode !== 'image' && mode !== 'multimodal') return { question: item.question };
+        const text = mode === 'multimodal' ? { question: item.question } : null;
+        if (!item.image || !this.loadImage) return text;
+        const imageBuffer = await this.loadImage(item.image);
+        if (!imageBuffer?.length) {
+            logger.warn(COMPONENT, 'Image not found', { id: item.id, image: item.image });
+            return text;
+        }
+        return { ...text, imageBuffer, mimeType: mimeFromUrl(item.image) };
+    }
+
+    /** @private */
+    emptyRun(mode, rerank, note) {
+        return { mode, rerank, questions: 0, recall: 0, mrr: 0, ndcg: 0, avgMs: 0, skipped: 0, errors: 0, ...(note ? { note } : {}), results: [] };
+    }
+
+    /**
+     * Render the report as a fixed-width table (one row per mode/rerank combination).
+     * @param {{ k: number, runs: RetrievalEvalRun[] }} report
+     * @returns {string}
+     */
+    static formatTable(report) {
+        const header = ['mode', 'rerank', 'questions', `recall@${report.k}`, 'MRR', `nDCG@${report.k}`, 'avg ms', 'note'];
+        const rows = report.runs.map((run) => [
+            run.mode,
+            run.rerank ? 'on' : 'off',
+            String(run.questions),
+            run.questions ? run.recall.toFixed(3) : '-',
+            run.questions ? run.mrr.toFixed(3) : '-',
+            run.questions ? run.ndcg.toFixed(3) : '-',
+            run.questions ? String(run.avgMs) : '-',
+            run.note ?? [run.skipped && `${run.skipped} skipped`, run.errors && `${run.errors} errors`].filter(Boolean).join(', '),
+        ]);
+        const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+        const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join(' | ').trimEnd();
+        return [line(header), widths.map((w) => '-'.repeat(w)).join('-|-'), ...rows.map(line)].join('\n');
+    }
+}
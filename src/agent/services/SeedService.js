@@ -1,6 +1,8 @@
+import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
 import { logger } from '../utils/logger.js';
+import { chunk, mapWithConcurrency } from '../utils/utl.js';
 
 const COMPONENT = 'service:seed';
 
@@ -13,26 +15,76 @@ function mimeFromPath(filePath) {
 }
 
 /**
- * Seed service: creates RAG documents via FilmService.create (upload, embeddings, insert).
- * FilmService handles text + image embeddings when generateEmbeddings is enabled.
+ * Seeding progress, reported after each batch. etaMs is null until it can be estimated.
+ * @typedef {{ done: number, total: number, inserted: number, updated: number, skipped: number, failed: number, batch: number, batches: number, requests: number, plannedRequests: number, elapsedMs: number, etaMs: number | null, resumedFrom: number }} SeedProgress
+ */
+
+/**
+ * Seed run summary. resumedFrom: index of the first document processed (0 unless resumed from a checkpoint).
+ * @typedef {{ inserted: number, updated: number, skipped: number, failed: number, resumedFrom: number, batches: number, requests: number, elapsedMs: number }} SeedSummary
+ */
+
+/**
+ * Seed service: upserts RAG documents in batches, keyed by a natural key (`slug`: the document's own, or title + year).
+ * Each document stores a content hash; documents whose hash and embedding models are unchanged are skipped, so the
+ * seed can be re-run safely. Per batch, cover images are uploaded concurrently (StoreService via FilmService) while
+ * text and image embeddings are requested in as few calls as the provider's batch limits allow; the documents are
+ * then written with one bulk upsert, and their chunks rebuilt when the film service chunks descriptions. Pacing is
+ * left to the embedding provider's HTTP client (rate limit and Retry-After), which also drives the ETA. With a
+ * checkpoint file, a run that stops half-way resumes at the first batch that did not complete.
  */
 export class SeedService {
 
     /**
      * @param {InstanceType<import('./FilmService.js').FilmService>} filmService
-     * @param {{ imagesBasePath?: string, embedImageDelayMs?: number }} [options]
+     * @param {{ imagesBasePath?: string, batchSize?: number, uploadConcurrency?: number, checkpointPath?: string, onProgress?: (progress: SeedProgress) => void }} [options]
+     *   batchSize: documents per bulk upsert (default 32); uploadConcurrency: parallel cover uploads (default 4);
+     *   checkpointPath: JSON file recording the next document to process (default: no checkpoint)
      */
     constructor(filmService, options = {}) {
         this.filmService = filmService;
         this.imagesBasePath = options.imagesBasePath ?? null;
-        this.embedImageDelayMs = options.embedImageDelayMs ?? 0;
+        this.batchSize = Math.max(1, options.batchSize ?? 32);
+        this.uploadConcurrency = Math.max(1, options.uploadConcurrency ?? 4);
+        this.checkpointPath = options.checkpointPath ?? null;
+        this.onProgress = options.onProgress ?? null;
+    }
+
+    /**
+     * Natural key of a seed document: its `slug`, or one derived from title and year
+     * ("The Matrix", 1999 → "the-matrix-1999").
+     * @param {{ slug?: string, title: string, year?: number }} doc
+     * @returns {string}
+     */
+    static slugOf(doc) {
+        const source = doc.slug ?? [doc.title, doc.year].filter((part) => part !== undefined && part !== null).join(' ');
+        return String(source)
+            .normalize('NFKD')
+            .replace(/\p{M}/gu, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Hash of everything a seeded document is built from (fields, metadata and cover image bytes).
+     * @param {{ title: string, description?: string, year?: number, genre?: string | string[], coverImage?: string, metadata?: object, coverImageBuffer?: Buffer }} film
+     * @returns {string}
+     */
+    static contentHash(film) {
+        const hash = crypto.createHash('sha256');
+        const fields = [film.title, film.description ?? '', film.year ?? null, film.genre ?? null, film.coverImage ?? ''];
+        if (film.metadata) fields.push(film.metadata);
+        hash.update(JSON.stringify(fields));
+        if (film.coverImageBuffer?.length) hash.update(film.coverImageBuffer);
+        return hash.digest('hex');
     }
 
-    /** Load image buffer from imagesBasePath + coverImage path. */
+    /** Load image buffer from imagesBasePath + coverImage path (absolute paths as is; URLs are not loaded). */
     async loadImage(coverImagePath) {
-        if (!this.imagesBasePath || !coverImagePath) return null;
+        if (!this.imagesBasePath || !coverImagePath || /^https?:\/\//i.test(coverImagePath)) return null;
         try {
-            return await fs.readFile(path.join(this.imagesBasePath, coverImagePath));
+            return await fs.readFile(path.resolve(this.imagesBasePath, coverImagePath));
         } catch (err) {
             logger.warn(COMPONENT, 'Image file not found', { path: coverImagePath, error: err.message });
             return null;
@@ -40,42 +92,239 @@ export class SeedService {
     }
 
     /**
-     * Ingest documents: for each doc, build film payload and call filmService.create(film).
-     * @param {{ title: string, description?: string, text?: string, coverImage?: string, year?: number, genre?: string }[]} documents
+     * Film payload for a seed document, with its natural key, content hash and the cover image buffer when the file exists.
+     * @param {{ slug?: string, title: string, description?: string, text?: string, coverImage?: string, year?: number, genre?: string, metadata?: object }} doc
+     */
+    async toFilm(doc) {
+        const coverImage = doc.coverImage ?? '';
+        const buffer = await this.loadImage(coverImage);
+        const film = {
+            slug: SeedService.slugOf(doc),
+            title: doc.title,
+            description: doc.description ?? doc.text ?? '',
+            year: doc.year,
+            genre: doc.genre,
+            coverImage,
+        };
+        if (doc.metadata) film.metadata = doc.metadata;
+        if (buffer?.length) {
+            film.coverImageBuffer = buffer;
+            film.coverImageMimetype = mimeFromPath(coverImage);
+            film.coverImageOriginalname = path.basename(coverImage);
+        }
+        film.contentHash = SeedService.contentHash(film);
+        return film;
+    }
+
+    /**
+     * True when the stored document was built from the same content with the current embedding models (and, when the
+     * film service chunks descriptions, the current chunking settings).
+     * @param {{ contentHash: string, description: string, coverImageBuffer?: Buffer }} film
+     * @param {{ contentHash?: string, chunking?: string, meta?: { text?: { model: string }, image?: { model: string } } } | undefined} stored
+     * @returns {boolean}
+     */
+    isUnchanged(film, stored) {
+        if (!stored || stored.contentHash !== film.contentHash) return false;
+        const srvEmbedding = this.filmService.srvEmbedding;
+        if (!this.filmService.embeddingsOn || !srvEmbedding) return true;
+        const { srvChunking } = this.filmService;
+        if (srvChunking && stored.chunking !== srvChunking.signature) return false;
+        if (film.description && stored.meta?.text?.model !== srvEmbedding.modelId) return false;
+        if (film.coverImageBuffer && srvEmbedding.supportsImages && stored.meta?.image?.model !== srvEmbedding.imageModelId) return false;
+        return true;
+    }
+
+    /**
+     * Embedding requests needed for films given the provider's batch limits (0 when embeddings are off).
+     * @param {{ text: boolean, image: boolean }[]} items - whether each film has a text / an image to embed
+     * @returns {number}
+     */
+    countRequests(items) {
+        const srvEmbedding = this.filmService.srvEmbedding;
+        if (!this.filmService.embeddingsOn || !srvEmbedding) return 0;
+        const texts = items.filter((item) => item.text).length;
+        const images = srvEmbedding.supportsImages ? items.filter((item) => item.image).length : 0;
+        return Math.ceil(texts / srvEmbedding.maxBatchSize) + Math.ceil(images / srvEmbedding.maxImageBatchSize);
+    }
+
+    /**
+     * Remaining time: from the measured pace, and at least the remaining requests at the provider's rate limit.
+     * @private
+     */
+    estimateRemainingMs(progress) {
+        const remaining = progress.total - progress.done;
+        if (!remaining) return 0;
+        const processed = progress.done - progress.resumedFrom;
+        const paceMs = processed ? (progress.elapsedMs / processed) * remaining : null;
+        const rpm = this.filmService.srvEmbedding?.requestsPerMinute;
+        const requestsLeft = Math.max(0, progress.plannedRequests - progress.requests);
+        const rateMs = rpm ? (requestsLeft * 60_000) / rpm : null;
+        if (paceMs === null) return rateMs === null ? null : Math.round(rateMs);
+        return Math.round(Math.max(paceMs, rateMs ?? 0));
+    }
+
+    /**
+     * Identifies a seed input (documents, target collection and field, models) so a checkpoint is only resumed for
+     * the same run.
+     * @private
+     */
+    fingerprint(documents) {
+        const { collection, embeddingField, srvEmbedding } = this.filmService;
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([documents, collection?.namespace ?? null, embeddingField, srvEmbedding?.modelId ?? null, srvEmbedding?.imageModelId ?? null]))
+            .digest('hex');
+    }
+
+    /**
+     * Index of the first document to process: the checkpoint's when it was written for the same input, else 0.
+     * @private
+     */
+    async loadCheckpoint(fingerprint) {
+        if (!this.checkpointPath) return 0;
+        try {
+            const checkpoint = JSON.parse(await fs.readFile(this.checkpointPath, 'utf8'));
+            if (checkpoint.fingerprint !== fingerprint) {
+                logger.info(COMPONENT, 'Checkpoint ignored, seed input changed', { file: this.checkpointPath });
+                return 0;
+            }
+            logger.info(COMPONENT, 'Resuming from checkpoint', { file: this.checkpointPath, next: checkpoint.next, updatedAt: checkpoint.updatedAt });
+            return Math.max(0, Number(checkpoint.next) || 0);
+        } catch (err) {
+            if (err.code !== 'ENOENT') logger.warn(COMPONENT, 'Checkpoint unreadable, starting over', { file: this.checkpointPath, error: err.message });
+            return 0;
+        }
+    }
+
+    /** @private */
+    async saveCheckpoint(fingerprint, next) {
+        if (!this.checkpointPath) return;
+        await fs.mkdir(path.dirname(this.checkpointPath), { recursive: true });
+        await fs.writeFile(this.checkpointPath, JSON.stringify({ fingerprint, next, updatedAt: new Date().toISOString() }, null, 2));
+    }
+
+    /** @private */
+    async clearCheckpoint() {
+        if (!this.checkpointPath) return;
+        await fs.rm(this.checkpointPath, { force: true });
+    }
+
+    /**
+     * Upsert one batch: skip unchanged films, upload changed covers, embed and write the rest.
+     * @private
+     * @returns {Promise<{ inserted: number, updated: number, skipped: number, requests: number }>}
+     */
+    async runBatch(batch) {
+        const films = await Promise.all(batch.map((doc) => this.toFilm(doc)));
+        const stored = await this.filmService.findBySlugs(films.map((film) => film.slug));
+        const pending = films.filter((film) => !this.isUnchanged(film, stored.get(film.slug)));
+        const skipped = films.length - pending.length;
+        if (!pending.length) return { inserted: 0, updated: 0, skipped, requests: 0 };
+
+        const [coverImages, embeddings] = await Promise.all([
+            mapWithConcurrency(pending, this.uploadConcurrency, (film) => {
+                // Same content, new embedding model: the cover is already uploaded.
+                const previous = stored.get(film.slug);
+                return previous?.contentHash === film.contentHash && previous.coverImage
+                    ? previous.coverImage
+                    : this.filmService.resolveCoverImage(film);
+            }),
+            this.filmService.embeddingsOn
+                ? this.filmService.generateEmbeddingsBatch(pending)
+                : pending.map(() => ({ text: [], image: [] })),
+        ]);
+        const docs = pending.map((film, i) => ({
+            ...this.filmService.toDocument(film, coverImages[i], embeddings[i]),
+            slug: film.slug,
+            contentHash: film.contentHash,
+        }));
+        const { inserted, updated } = await this.filmService.upsertMany(docs);
+        if (this.filmService.srvChunking) {
+            const ids = await this.filmService.findBySlugs(docs.map((doc) => doc.slug));
+            await this.filmService.syncChunks(docs.map((doc) => ({ ...doc, _id: ids.get(doc.slug)._id })));
+        }
+        const requests = this.countRequests(pending.map((film) => ({ text: !!film.description, image: !!film.coverImageBuffer })));
+        return { inserted, updated, skipped, requests };
+    }
+
+    /**
+     * Seed documents in batches of batchSize. A failed batch is counted and logged and the run goes on; the checkpoint
+     * then stays at the first failed batch so the next run retries from there.
+     * @param {{ slug?: string, title: string, description?: string, text?: string, coverImage?: string, year?: number, genre?: string, metadata?: object }[]} documents
+     * @returns {Promise<SeedSummary>}
      */
     async run(documents) {
+        const summary = { inserted: 0, updated: 0, skipped: 0, failed: 0, resumedFrom: 0, batches: 0, requests: 0, elapsedMs: 0 };
         if (documents.length === 0) {
             logger.info(COMPONENT, 'No documents to ingest');
-            return;
+            return summary;
         }
 
-        const getDescription = (d) => d.description ?? d.text ?? '';
-
-        for (let i = 0; i < documents.length; i++) {
-            if (this.embedImageDelayMs > 0 && i > 0) {
-                await new Promise((r) => setTimeout(r, this.embedImageDelayMs));
-            }
+        const startedAt = Date.now();
+        const fingerprint = this.fingerprint(documents);
+        const resumedFrom = Math.min(await this.loadCheckpoint(fingerprint), documents.length);
+        const batches = chunk(documents.slice(resumedFrom), this.batchSize);
+        const planned = batches.map((batch) => this.countRequests(batch.map((doc) => ({
+            text: !!(doc.description ?? doc.text ?? ''),
+            image: !!(this.imagesBasePath && doc.coverImage && !/^https?:\/\//i.test(doc.coverImage)),
+        }))));
+        const progress = {
+            done: resumedFrom,
+            total: documents.length,
+            inserted: 0,
+            updated: 0,
+            skipped: 0,
+            failed: 0,
+            batch: 0,
+            batches: batches.length,
+            requests: 0,
+            plannedRequests: planned.reduce((sum, n) => sum + n, 0),
+            elapsedMs: 0,
+            etaMs: null,
+            resumedFrom,
+        };
+        logger.info(COMPONENT, 'Ingest started', { documents: progress.total, resumedFrom, batches: progress.batches, plannedRequests: progress.plannedRequests });
+        progress.etaMs = this.estimateRemainingMs(progress);
+        this.onProgress?.({ ...progress });
 
-            const doc = documents[i];
-            const coverImage = doc.coverImage ?? '';
-            const buffer = await this.loadImage(coverImage);
-
-            const film = {
-                title: doc.title,
-                description: getDescription(doc),
-                year: doc.year,
-                genre: doc.genre,
-                coverImage,
-            };
-            if (buffer?.length) {
-                film.coverImageBuffer = buffer;
-                film.coverImageMimetype = mimeFromPath(coverImage);
-                film.coverImageOriginalname = path.basename(coverImage);
+        let next = resumedFrom;
+        for (const [i, batch] of batches.entries()) {
+            try {
+                const result = await this.runBatch(batch);
+                progress.inserted += result.inserted;
+                progress.updated += result.updated;
+                progress.skipped += result.skipped;
+                progress.requests += result.requests;
+                if (!progress.failed) {
+                    next += batch.length;
+                    await this.saveCheckpoint(fingerprint, next);
+                }
+            } catch (err) {
+                progress.failed += batch.length;
+                logger.error(COMPONENT, 'Batch failed', { batch: `${i + 1}/${batches.length}`, titles: batch.map((doc) => doc.title).join(', '), error: err.message });
             }
 
-            await this.filmService.create(film);
+            progress.batch++;
+            progress.done += batch.length;
+            // Skipped films cost no requests: re-plan from the batches left.
+            progress.plannedRequests = progress.requests + planned.slice(i + 1).reduce((sum, n) => sum + n, 0);
+            progress.elapsedMs = Date.now() - startedAt;
+            progress.etaMs = this.estimateRemainingMs(progress);
+            logger.info(COMPONENT, 'Batch done', { batch: `${progress.batch}/${progress.batches}`, done: progress.done, inserted: progress.inserted, updated: progress.updated, skipped: progress.skipped, failed: progress.failed, etaMs: progress.etaMs });
+            this.onProgress?.({ ...progress });
         }
 
-        logger.info(COMPONENT, 'Ingest complete', { inserted: documents.length });
+        if (!progress.failed) await this.clearCheckpoint();
+        Object.assign(summary, {
+            inserted: progress.inserted,
+            updated: progress.updated,
+            skipped: progress.skipped,
+            failed: progress.failed,
+            resumedFrom,
+            batches: progress.batches,
+            requests: progress.requests,
+            elapsedMs: Date.now() - startedAt,
+        });
+        logger.info(COMPONENT, 'Ingest complete', summary);
+        return summary;
     }
 }
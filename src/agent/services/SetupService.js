@@ -1,4 +1,5 @@
 import { logger } from '../utils/logger.js';
+import { DEFAULT_EMBEDDING_FIELD, toEmbeddingField, vectorIndexName } from '../utils/embedding.js';
 
 const COMPONENT = 'service:setup';
 
@@ -17,27 +18,80 @@ export class SetupService {
      *   dimensions?: number;
      *   dimensionsText?: number;
      *   dimensionsImage?: number;
+     *   srvEmbedding?: import('./EmbeddingService.js').EmbeddingService;
+     *   embeddingField?: string;
      *   similarity?: string;
      *   enableValidation?: boolean;
      *   indexType?: 'isolated' | 'composed';
-     * }} options - Use dimensions for both, or dimensionsText/dimensionsImage for separate sizes.
+     *   chunkCollectionName?: string;
+     * }} options - Index sizes are the vector sizes of srvEmbedding (the configured embedding provider). dimensions (both)
+     *   or dimensionsText/dimensionsImage set them when no provider is given (default 1024); with a provider they must
+     *   match its sizes, since its vectors would not fit the index (the image size only for providers with images).
+     *   embeddingField (default 'embedding') selects the vector field to index; any other field gets its own indexes
+     *   (`${vectorIndexName}_${field}_text_index`, ...) built next to the live ones for a zero-downtime model switch.
+     *   chunkCollectionName: when set, also set up the chunks collection (ChunkingService) and its vector index.
      */
     constructor(db, options) {
         this.db = db;
         this.collectionName = options.collectionName;
         this.vectorIndexName = options.vectorIndexName ?? 'rag_vector';
-        this.dimensionsText = options.dimensionsText ?? options.dimensions ?? 1024;
-        this.dimensionsImage = options.dimensionsImage ?? options.dimensions ?? 1024;
+        const srvEmbedding = options.srvEmbedding;
+        const providerText = srvEmbedding?.dimensions ?? null;
+        const providerImage = srvEmbedding?.supportsImages ? srvEmbedding.imageDimensions ?? srvEmbedding.dimensions : null;
+        const overrideText = options.dimensionsText ?? options.dimensions;
+        const overrideImage = options.dimensionsImage ?? options.dimensions;
+        if (providerText !== null && overrideText !== undefined && overrideText !== providerText) {
+            throw new Error(`Text index size ${overrideText} differs from ${srvEmbedding.modelId} (${providerText}): remove the VECTOR_DIMENSIONS override or change the provider's size (EMBEDDING_DIMENSIONS)`);
+        }
+        if (providerImage !== null && overrideImage !== undefined && overrideImage !== providerImage) {
+            throw new Error(`Image index size ${overrideImage} differs from ${srvEmbedding.imageModelId} (${providerImage}): remove the VECTOR_DIMENSIONS override or change the provider's size (EMBEDDING_DIMENSIONS_IMAGE)`);
+        }
+        this.dimensionsText = providerText ?? overrideText ?? 1024;
+        this.dimensionsImage = providerImage ?? overrideImage ?? srvEmbedding?.dimensions ?? 1024;
         this.similarity = options.similarity ?? 'cosine';
         this.enableValidation = options.enableValidation ?? false;
         this.indexType = options.indexType ?? 'both';
         this.clean = !!options.clean;
+        this.embeddingField = toEmbeddingField(options.embeddingField);
+        this.chunkCollectionName = options.chunkCollectionName ?? null;
+    }
+
+    /**
+     * Metadata fields declared as `filter` type in the vector indexes so $vectorSearch can pre-filter on them
+     * (year ranges, genre include/exclude). Changing this list requires rebuilding the indexes (VECTOR_INDEX_CLEAN=true).
+     * @returns {{ type: 'filter', path: string }[]}
+     */
+    filterFields() {
+        return [
+            { type: 'filter', path: 'year' },
+            { type: 'filter', path: 'genre' },
+        ];
     }
 
     /**
      * Schema: document with title, description, coverImage, and embedding { text, image } vectors.
+     * When indexing a parallel field, the sizes apply to that field and the live field is only required to be an object.
      */
     schemaValidator() {
+        const vectors = {
+            bsonType: 'object',
+            // required: ['text', 'image'],
+            properties: {
+                text: {
+                    bsonType: 'array',
+                    minItems: 0,
+                    maxItems: this.dimensionsText,
+                    items: { bsonType: 'double' },
+                },
+                image: {
+                    bsonType: 'array',
+                    minItems: 0,
+                    maxItems: this.dimensionsImage,
+                    items: { bsonType: 'double' },
+                },
+                meta: { bsonType: 'object' },
+            },
+        };
         return {
             bsonType: 'object',
             required: ['title', 'description'],
@@ -45,24 +99,8 @@ export class SetupService {
                 title: { bsonType: 'string' },
                 description: { bsonType: 'string' },
                 coverImage: { bsonType: 'string' },
-                embedding: {
-                    bsonType: 'object',
-                    // required: ['text', 'image'],
-                    properties: {
-                        text: {
-                            bsonType: 'array',
-                            minItems: 0,
-                            maxItems: this.dimensionsText,
-                            items: { bsonType: 'double' },
-                        },
-                        image: {
-                            bsonType: 'array',
-                            minItems: 0,
-                            maxItems: this.dimensionsImage,
-                            items: { bsonType: 'double' },
-                        },
-                    },
-                },
+                [DEFAULT_EMBEDDING_FIELD]: { bsonType: 'object' },
+                [this.embeddingField]: vectors,
             },
         };
     }
@@ -95,7 +133,8 @@ export class SetupService {
     }
 
     /**
-     * Ensure the vector search index exists: one index with two vector fields (embedding.text, embedding.image).
+     * Ensure the vector search index exists: one index with two vector fields (embedding.text, embedding.image),
+     * or separate text/image indexes, on embeddingField.
      */
     async ensureVectorSearchIndex() {
         const collection = this.db.collection(this.collectionName);
@@ -118,11 +157,72 @@ export class SetupService {
     }
 
     /**
-     * Run full setup: collection then vector index.
+     * Ensure the unique index on the seed's natural key (`slug`). Partial, so films created through the API without a
+     * slug do not collide.
+     */
+    async ensureIndexes() {
+        const collection = this.db.collection(this.collectionName);
+        await collection.createIndex(
+            { slug: 1 },
+            { name: 'slug_unique', unique: true, partialFilterExpression: { slug: { $type: 'string' } } },
+        );
+        logger.info(COMPONENT, 'Indexes ensured', { collection: this.collectionName, indexes: 'slug_unique' });
+    }
+
+    /**
+     * Ensure the chunks collection, its parent index and its vector index (`${vectorIndexName}_chunk_index`) on
+     * `${embeddingField}.text`, filterable by parentId, year and genre.
+     */
+    async ensureChunkCollection() {
+        const exists = await this.db.listCollections({ name: this.chunkCollectionName }).hasNext();
+        if (!exists) {
+            await this.db.createCollection(this.chunkCollectionName);
+            logger.info(COMPONENT, 'Collection created', { collection: this.chunkCollectionName });
+        }
+        const collection = this.db.collection(this.chunkCollectionName);
+        await collection.createIndex({ parentId: 1, chunkIndex: 1 });
+
+        const indexName = vectorIndexName(this.vectorIndexName, 'chunk', this.embeddingField);
+        const existingIndexes = await this.listSearchIndexes(collection) ?? [];
+        if (this.clean && existingIndexes.some((idx) => idx.name === indexName)) {
+            await collection.dropSearchIndex(indexName);
+            logger.info(COMPONENT, 'Search index deleted', { index: indexName });
+        } else if (existingIndexes.some((idx) => idx.name === indexName)) {
+            logger.info(COMPONENT, 'Vector Search Chunk index already exists', { index: indexName });
+            return;
+        }
+        await collection.createSearchIndex({
+            name: indexName,
+            type: 'vectorSearch',
+            definition: {
+                fields: [
+                    {
+                        type: 'vector',
+                        path: `${this.embeddingField}.text`,
+                        numDimensions: this.dimensionsText || 512,
+                        similarity: this.similarity || 'cosine'
+                    },
+                    { type: 'filter', path: 'parentId' },
+                    ...this.filterFields(),
+                ]
+            }
+        });
+        logger.info(COMPONENT, 'Vector Search Chunk index created', {
+            collection: this.chunkCollectionName,
+            index: indexName,
+            dimensionsText: this.dimensionsText,
+            similarity: this.similarity,
+        });
+    }
+
+    /**
+     * Run full setup: collection, indexes, vector indexes, then the chunks collection when configured.
      */
     async run() {
         await this.ensureCollection();
+        await this.ensureIndexes();
         await this.ensureVectorSearchIndex();
+        if (this.chunkCollectionName) await this.ensureChunkCollection();
     }
 
     /**
@@ -132,7 +232,7 @@ export class SetupService {
      * @param {Array<string>} existingIndexes - List of existing search indexes to avoid duplicates
      */
     async createComposedIndex(collection, existingIndexes) {
-        const indexName = `${this.vectorIndexName}_composed_index`;
+        const indexName = vectorIndexName(this.vectorIndexName, 'composed', this.embeddingField);
         if (existingIndexes.some((idx) => idx.name === indexName)) {
             logger.info(COMPONENT, 'Vector Search composed index already exists', { index: indexName });
             return;
@@ -144,16 +244,17 @@ export class SetupService {
                 fields: [
                     {
                         type: 'vector',
-                        path: 'embedding.text',
+                        path: `${this.embeddingField}.text`,
                         numDimensions: this.dimensionsText || 512,
                         similarity: this.similarity,
                     },
                     {
                         type: 'vector',
-                        path: 'embedding.image',
+                        path: `${this.embeddingField}.image`,
                         numDimensions: this.dimensionsImage || 1024,
                         similarity: this.similarity || 'cosine'
                     },
+                    ...this.filterFields(),
                 ],
             },
         });
@@ -172,7 +273,7 @@ export class SetupService {
      * @returns 
      */
     async createTextIndex(collection, existingIndexes) {
-        const indexName = `${this.vectorIndexName}_text_index`;
+        const indexName = vectorIndexName(this.vectorIndexName, 'text', this.embeddingField);
         if (existingIndexes.some((idx) => idx.name === indexName)) {
             logger.info(COMPONENT, 'Vector Search Text index already exists', { index: indexName });
             return;
@@ -184,10 +285,11 @@ export class SetupService {
                 fields: [
                     {
                         type: 'vector',
-                        path: 'embedding.text',
+                        path: `${this.embeddingField}.text`,
                         numDimensions: this.dimensionsText || 512,
                         similarity: this.similarity || 'cosine'
                     },
+                    ...this.filterFields(),
                 ]
             }
         });
@@ -206,7 +308,7 @@ export class SetupService {
      * @returns 
      */
     async createImageIndex(collection, existingIndexes) {
-        const indexName = `${this.vectorIndexName}_image_index`;
+        const indexName = vectorIndexName(this.vectorIndexName, 'image', this.embeddingField);
         if (existingIndexes.some((idx) => idx.name === indexName)) {
             logger.info(COMPONENT, 'Vector Search Image index already exists', { index: indexName });
             return;
@@ -218,10 +320,11 @@ export class SetupService {
                 fields: [
                     {
                         type: 'vector',
-                        path: 'embedding.image',
+                        path: `${this.embeddingField}.image`,
                         numDimensions: this.dimensionsImage || 1024,
                         similarity: this.similarity || 'cosine'
                     },
+                    ...this.filterFields(),
                 ]
             }
         });
@@ -253,11 +356,15 @@ export class SetupService {
 
     /**
      * Helper to clean up existing search indexes on the collection. Used in setup to ensure a clean state. In production, you might want a more sophisticated migration strategy instead of dropping indexes.
+     * When indexing a parallel field, only that field's vector indexes are dropped so the live ones keep serving.
      * @param {import('mongodb').Collection} collection
      */
     async cleanSearchIndexes(collection) {
-        const indexes = await this.listSearchIndexes(collection);
+        const indexes = await this.listSearchIndexes(collection) ?? [];
+        const parallel = this.embeddingField !== DEFAULT_EMBEDDING_FIELD;
+        const owned = ['composed', 'text', 'image'].map((type) => vectorIndexName(this.vectorIndexName, type, this.embeddingField));
         for (const index of indexes) {
+            if (parallel && !owned.includes(index.name)) continue;
             await collection.dropSearchIndex(index.name);
             logger.info(COMPONENT, 'Search index deleted', { index: index.name });
         }
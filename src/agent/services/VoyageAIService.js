@@ -1,4 +1,6 @@
 import { logger } from '../utils/logger.js';
+import { EmbeddingService } from './EmbeddingService.js';
+import { HttpClient, httpOptionsFromEnv } from '../utils/http.js';
 
 const COMPONENT = 'service:voyage';
 
@@ -21,18 +23,50 @@ function normalizeImageMimeType(mimeType) {
     return SUPPORTED_IMAGE_MIME_TYPES.includes(normalized) ? normalized : 'image/jpeg';
 }
 
-export class VoyageAIService {
+/**
+ * Voyage AI embedding provider (text + multimodal image embeddings) and text reranker.
+ * All calls share one HttpClient (rate limit, retries, timeout, circuit breaker), configured with VOYAGE_RPM,
+ * VOYAGE_TIMEOUT_MS, VOYAGE_MAX_RETRIES, VOYAGE_MAX_WAIT_MS, VOYAGE_BREAKER_THRESHOLD and VOYAGE_BREAKER_RESET_MS.
+ */
+export class VoyageAIService extends EmbeddingService {
 
-    constructor({ apiUrl, apiKey, model, maxChunkChars, multimodalModel, rerankModel, rerankPath = '/rerank' }) {
+    /**
+     * @param {{ apiUrl: string, apiKey: string, model: string, multimodalModel?: string, rerankModel?: string, rerankPath?: string, dimensions?: number, imageDimensions?: number, http?: HttpClient | import('../utils/http.js').HttpClientOptions }} options
+     * dimensions / imageDimensions: vector sizes of the text and multimodal models (default 1024, the Voyage default output size).
+     * http: client, or client option defaults (the VOYAGE_* variables take precedence).
+     */
+    constructor({ apiUrl, apiKey, model, multimodalModel, rerankModel, rerankPath = '/rerank', dimensions, imageDimensions, http }) {
+        super({
+            model,
+            dimensions: dimensions ?? 1024,
+            imageModel: multimodalModel ?? 'voyage-multimodal-3',
+            imageDimensions: imageDimensions ?? 1024,
+            // Voyage accepts up to 1000 inputs per request but caps total tokens (~120K for large text models);
+            // film descriptions fit 128 per request, and 16 covers keep the multimodal request body to a few MB.
+            maxBatchSize: 128,
+            maxImageBatchSize: 16,
+        });
+        this.provider = 'voyage';
         this.apiUrl = apiUrl;
         this.apiKey = apiKey;
-        this.model = model;
-        this.maxChunkChars = maxChunkChars ?? 800;
         this.multimodalModel = multimodalModel ?? 'voyage-multimodal-3';
         this.rerankModel = rerankModel ?? process.env.VOYAGE_RERANK_MODEL ?? 'rerank-2.5-lite';
         const baseUrl = (apiUrl || '').replace(/\/embeddings\/?$/, '').replace(/\/$/, '');
         this.multimodalUrl = baseUrl + '/multimodalembeddings';
         this.rerankUrl = baseUrl + rerankPath;
+        this.http = http instanceof HttpClient
+            ? http
+            : new HttpClient({ ...http, ...httpOptionsFromEnv('VOYAGE'), name: 'voyage' });
+    }
+
+    /** Client-side rate limit (VOYAGE_RPM), or null. */
+    get requestsPerMinute() {
+        return this.http.ratePerMinute;
+    }
+
+    /** @private */
+    get headers() {
+        return { 'Authorization': `Bearer ${this.apiKey}` };
     }
 
     /**
@@ -40,35 +74,15 @@ export class VoyageAIService {
      * @param {string | string[]} input - Single text or array of texts
      * @param {{ model?: string }} [options]
      * @returns {Promise<number[] | number[][]>} Single embedding or array of embeddings (same order as input)
+     * @throws {import('../utils/http.js').HttpError | import('../utils/http.js').CircuitOpenError} when the API fails after retries or is unavailable
      */
     async getEmbedding(input, options) {
         const inputs = Array.isArray(input) ? input : [input];
         logger.info(COMPONENT, 'Embedding request', { inputCount: inputs.length, model: options?.model || this.model });
-        const response = await fetch(this.apiUrl, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${this.apiKey}`,
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                input: inputs,
-                model: options?.model || this.model,
-            })
-        });
-
-        if (!response.ok) {
-            const body = await response.text();
-            if (response.status === 429 && !(options?.retried)) {
-                const waitMs = 65_000;
-                logger.warn(COMPONENT, 'Rate limited (429), retrying after wait', { waitMs });
-                await new Promise((r) => setTimeout(r, waitMs));
-                return this.getEmbedding(input, { ...options, retried: true });
-            }
-            logger.error(COMPONENT, 'API error', { status: response.status, body: body.slice(0, 200) });
-            throw new Error(`VoyageAI error: ${response.status} - ${body}`);
-        }
-
-        const result = await response.json();
+        const result = await this.http.postJson(this.apiUrl, {
+            input: inputs,
+            model: options?.model || this.model,
+        }, { headers: this.headers });
         const embeddings = result.data.map((d) => d.embedding);
         return Array.isArray(input) ? embeddings : embeddings[0];
     }
@@ -93,30 +107,11 @@ export class VoyageAIService {
         const model = options.model ?? this.multimodalModel;
         logger.info(COMPONENT, 'Image embedding request', { size: imageBuffer.length, model });
         try {
-            const response = await fetch(this.multimodalUrl, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    inputs: [{ content: [{ type: 'image_base64', image_base64: dataUrl }] }],
-                    model,
-                    input_type: 'document',
-                }),
-            });
-            if (!response.ok) {
-                const body = await response.text();
-                if (response.status === 429 && !(options?.retried)) {
-                    const waitMs = 65_000;
-                    logger.warn(COMPONENT, 'Rate limited (429), retrying after wait', { waitMs });
-                    await new Promise((r) => setTimeout(r, waitMs));
-                    return this.getImageEmbedding(imageBuffer, mimeType, { ...options, retried: true });
-                }
-                logger.error(COMPONENT, 'Multimodal API error', { status: response.status, body: body.slice(0, 200) });
-                return null;
-            }
-            const result = await response.json();
+            const result = await this.http.postJson(this.multimodalUrl, {
+                inputs: [{ content: [{ type: 'image_base64', image_base64: dataUrl }] }],
+                model,
+                input_type: 'document',
+            }, { headers: this.headers });
             const embedding = result.data?.[0]?.embedding;
             return Array.isArray(embedding) ? embedding : null;
         } catch (err) {
@@ -125,12 +120,40 @@ export class VoyageAIService {
         }
     }
 
+    /**
+     * Get embeddings for several images in one multimodal request (at most maxImageBatchSize images).
+     * @param {{ buffer: Buffer, mimeType?: string }[]} images
+     * @param {{ model?: string }} [options]
+     * @returns {Promise<(number[] | null)[]>} same order as images; all null when the request fails
+     */
+    async getImageEmbeddings(images, options = {}) {
+        const valid = images.map((image) => Buffer.isBuffer(image?.buffer) && image.buffer.length > 0);
+        const inputs = images
+            .filter((_, i) => valid[i])
+            .map((image) => ({
+                content: [{ type: 'image_base64', image_base64: `data:${normalizeImageMimeType(image.mimeType)};base64,${image.buffer.toString('base64')}` }],
+            }));
+        if (!inputs.length) return images.map(() => null);
+        const model = options.model ?? this.multimodalModel;
+        logger.info(COMPONENT, 'Image embedding batch request', { count: inputs.length, model });
+        try {
+            const result = await this.http.postJson(this.multimodalUrl, { inputs, model, input_type: 'document' }, { headers: this.headers });
+            const vectors = new Map((result.data ?? []).map((d, j) => [d.index ?? j, Array.isArray(d.embedding) ? d.embedding : null]));
+            let next = 0;
+            return images.map((_, i) => (valid[i] ? vectors.get(next++) ?? null : null));
+        } catch (err) {
+            logger.error(COMPONENT, 'Image embedding batch failed', { count: inputs.length, error: err.message });
+            return images.map(() => null);
+        }
+    }
+
     /**
      * Rerank documents by relevance to the query. Uses Voyage rerank API (cross-encoder).
      * @param {string} query - search query
      * @param {string[]} documents - list of document strings to rerank (max 1000)
      * @param {{ top_k?: number, model?: string }} [options]
      * @returns {Promise<{ index: number, relevance_score: number }[]>} results sorted by relevance (desc)
+     * @throws {import('../utils/http.js').HttpError | import('../utils/http.js').CircuitOpenError} when the API fails after retries or is unavailable
      */
     async rerank(query, documents, options = {}) {
         if (!query?.trim() || !Array.isArray(documents) || documents.length === 0) {
@@ -140,60 +163,8 @@ export class VoyageAIService {
         const model = options.model ?? this.rerankModel;
         const body = { query: query.trim(), documents, model, top_k: Math.min(topK, documents.length) };
         logger.info(COMPONENT, 'Rerank request', { queryLen: query.length, docCount: documents.length, top_k: body.top_k, model });
-        const response = await fetch(this.rerankUrl, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${this.apiKey}`,
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(body),
-        });
-        if (!response.ok) {
-            const text = await response.text();
-            logger.error(COMPONENT, 'Rerank API error', { status: response.status, body: text.slice(0, 200) });
-            return [];
-        }
-        const result = await response.json();
+        const result = await this.http.postJson(this.rerankUrl, body, { headers: this.headers });
         const data = result.data ?? [];
         return data.map((r) => ({ index: r.index, relevance_score: r.relevance_score ?? 0 }));
     }
-
-    /**
-     * Simple text chunking by character count. Adjust as needed for better semantic chunks.
-     * @param {string} text
-     * @returns {string[]}
-     */
-    chunkText(text) {
-        const chunks = [];
-        let offset = 0;
-        while (offset < text.length) {
-            chunks.push(text.slice(offset, offset + this.maxChunkChars));
-            offset += this.maxChunkChars;
-        }
-        return chunks;
-    }
-
-    /**
-     * Naive chunking: splits text into fixed-size chunks and gets embeddings for each chunk.
-     * @param {{ sourceId: string, title: string, url: string, text: string }} doc
-     */
-    async getNaiveChunking(doc) {
-        const { sourceId, title, url, text } = doc;
-        const rawChunks = this.chunkText(text);
-        const docsToInsert = [];
-
-        for (let i = 0; i < rawChunks.length; i++) {
-            const chunkContent = rawChunks[i];
-            const embedding = await this.getEmbedding(chunkContent);
-            docsToInsert.push({
-                sourceId,
-                chunkId: i,
-                content: chunkContent,
-                metadata: { title, url },
-                embedding,
-            });
-        }
-
-        return docsToInsert;
-    }
-}
\ No newline at end of file
+}
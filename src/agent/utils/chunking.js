@@ -0,0 +1,162 @@
+import { cosineSimilarity } from './embedding.js';
+
+/**
+ * Text splitters for chunked retrieval. Every splitter returns spans of the original text: `{ text, start, end }`, with
+ * `text === source.slice(start, end)` up to surrounding whitespace, so chunks can be highlighted in the parent.
+ */
+
+/**
+ * Text span of a chunk in its parent.
+ * @typedef {{ text: string, start: number, end: number }} TextSpan
+ */
+
+/**
+ * Trim a span, moving its offsets with the trimmed whitespace. Null when nothing is left.
+ * @param {string} source
+ * @param {number} start
+ * @param {number} end
+ * @returns {TextSpan | null}
+ */
+function span(source, start, end) {
+    while (start < end && /\s/.test(source[start])) start++;
+    while (end > start && /\s/.test(source[end - 1])) end--;
+    return end > start ? { text: source.slice(start, end), start, end } : null;
+}
+
+/**
+ * Fixed-size chunks of about `size` characters overlapping by `overlap` characters. Cuts are moved back to the last
+ * whitespace in the window when there is one, and the next chunk starts after the first whitespace of the overlap
+ * (none when the overlap has no whitespace), so words are not split.
+ * @param {string} text
+ * @param {{ size?: number, overlap?: number }} [options] - size default 800, overlap default 100 (less than size)
+ * @returns {TextSpan[]}
+ */
+export function splitFixed(text, options = {}) {
+    const source = String(text ?? '');
+    const size = Math.max(1, options.size ?? 800);
+    const overlap = Math.min(Math.max(0, options.overlap ?? 100), size - 1);
+    const spans = [];
+    let start = 0;
+    while (start < source.length) {
+        let end = Math.min(source.length, start + size);
+        if (end < source.length) {
+            const cut = source.lastIndexOf(' ', end);
+            if (cut > start + overlap) end = cut;
+        }
+        const chunk = span(source, start, end);
+        if (chunk) spans.push(chunk);
+        if (end >= source.length) break;
+        let next = end - overlap;
+        if (/\S/.test(source[next - 1] ?? ' ') && /\S/.test(source[next])) {
+            const gap = source.slice(next, end).search(/\s/);
+            next = gap === -1 ? end : next + gap;
+        }
+        start = Math.max(start + 1, next);
+    }
+    return spans;
+}
+
+/**
+ * Sentences and paragraph breaks of a text. A sentence ends at `.`, `!`, `?` or `…` (with closing quotes or brackets)
+ * followed by whitespace, or at a blank line; `paragraphEnd` marks the last sentence of a paragraph.
+ * @param {string} text
+ * @returns {(TextSpan & { paragraphEnd: boolean })[]}
+ */
+export function splitSentences(text) {
+    const source = String(text ?? '');
+    const sentences = [];
+    const boundary = /[.!?…]+["'”’)\]]*(?=\s)|\n[ \t]*\n/g;
+    const whitespace = /\s*/y;
+    let start = 0;
+    let match;
+    while ((match = boundary.exec(source)) !== null) {
+        const blankLine = match[0].startsWith('\n');
+        const end = blankLine ? match.index : match.index + match[0].length;
+        whitespace.lastIndex = end;
+        const paragraphEnd = blankLine || /\n[ \t]*\n/.test(whitespace.exec(source)[0]);
+        const sentence = span(source, start, end);
+        if (sentence) sentences.push({ ...sentence, paragraphEnd });
+        else if (paragraphEnd && sentences.length) sentences[sentences.length - 1].paragraphEnd = true;
+        start = match.index + match[0].length;
+    }
+    const last = span(source, start, source.length);
+    if (last) sentences.push({ ...last, paragraphEnd: true });
+    return sentences;
+}
+
+/**
+ * Pack consecutive sentences into chunks of at most `size` characters, closing a chunk at a paragraph end once it is
+ * half full. Sentences longer than `size` are cut with splitFixed. `overlap` repeats trailing sentences (up to that
+ * many characters) at the start of the next chunk.
+ * @param {string} text
+ * @param {{ size?: number, overlap?: number, breaks?: Set<number> }} [options] - breaks: sentence indexes after which a
+ *   chunk must end (used by the semantic splitter)
+ * @param {(TextSpan & { paragraphEnd?: boolean })[]} [sentences] - precomputed splitSentences(text)
+ * @returns {TextSpan[]}
+ */
+export function packSentences(text, options = {}, sentences = splitSentences(text)) {
+    const source = String(text ?? '');
+    const size = Math.max(1, options.size ?? 800);
+    const overlap = Math.max(0, options.overlap ?? 0);
+    const breaks = options.breaks ?? new Set();
+
+    const units = sentences.flatMap((sentence, i) => {
+        if (sentence.end - sentence.start <= size) return [{ ...sentence, index: i, last: true }];
+        return splitFixed(sentence.text, { size, overlap: 0 }).map((part, j, parts) => ({
+            start: sentence.start + part.start,
+            end: sentence.start + part.end,
+            paragraphEnd: j === parts.length - 1 && sentence.paragraphEnd,
+            index: i,
+            last: j === parts.length - 1,
+        }));
+    });
+
+    const spans = [];
+    let current = [];
+    let fresh = 0;
+    const close = () => {
+        if (!fresh) return;
+        spans.push(span(source, current[0].start, current[current.length - 1].end));
+        // Carry the trailing sentences that fit in the overlap.
+        const carried = [];
+        let length = 0;
+        for (let i = current.length - 1; i > 0; i--) {
+            length += current[i].end - current[i].start;
+            if (length > overlap) break;
+            carried.unshift(current[i]);
+        }
+        current = carried;
+        fresh = 0;
+    };
+    for (const unit of units) {
+        if (current.length && unit.end - current[0].start > size) close();
+        while (current.length && unit.end - current[0].start > size) current.shift();
+        current.push(unit);
+        fresh++;
+        const length = unit.end - current[0].start;
+        if ((unit.last && breaks.has(unit.index)) || (unit.paragraphEnd && length >= size / 2)) close();
+    }
+    close();
+    return spans.filter(Boolean);
+}
+
+/**
+ * Sentence indexes after which the topic shifts: where the cosine distance between consecutive sentence embeddings
+ * is at or above the given percentile of all consecutive distances.
+ * @param {number[][]} embeddings - one vector per sentence
+ * @param {number} [percentile] - 0..100 (default 90); lower values split more often
+ * @returns {Set<number>}
+ */
+export function semanticBreaks(embeddings, percentile = 90) {
+    const distances = [];
+    for (let i = 0; i < embeddings.length - 1; i++) {
+        distances.push(1 - cosineSimilarity(embeddings[i], embeddings[i + 1]));
+    }
+    if (!distances.length) return new Set();
+    const sorted = [...distances].sort((a, b) => a - b);
+    const rank = Math.min(sorted.length - 1, Math.max(0, Math.ceil((percentile / 100) * sorted.length) - 1));
+    const threshold = sorted[rank];
+    // All-equal distances carry no topic signal.
+    if (sorted[0] === sorted[sorted.length - 1]) return new Set();
+    return new Set(distances.flatMap((distance, i) => (distance >= threshold ? [i] : [])));
+}
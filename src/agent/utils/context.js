@@ -0,0 +1,81 @@
+/**
+ * Context window budgeting: per-model token estimates and the helpers of token-aware context assembly
+ * (LLMService.assembleContext) – near-duplicate detection and truncation at a word or sentence boundary.
+ */
+
+/** What happens to chunks that do not fit the context budget: shortened, summarized by the LLM, or left out. */
+export const CONTEXT_OVERFLOWS = Object.freeze(['truncate', 'summarize', 'drop']);
+
+/** Word-set similarity (Jaccard) from which two descriptions count as the same text. */
+export const DUPLICATE_SIMILARITY = 0.9;
+
+/** Smallest share of the budget, in tokens, worth giving to a truncated or summarized chunk. */
+export const MIN_CHUNK_TOKENS = 48;
+
+/**
+ * Rough tokenizer figures per model family, first match wins: characters per token of English text and the model's
+ * context window. Estimates only (no tokenizer is bundled); override with LLM_CHARS_PER_TOKEN and LLM_CONTEXT_WINDOW.
+ * @type {{ match: RegExp, charsPerToken: number, contextWindow: number }[]}
+ */
+export const MODEL_PROFILES = [
+    { match: /^phi3/i, charsPerToken: 3.6, contextWindow: 4096 },
+    { match: /^(mistral|mixtral)/i, charsPerToken: 3.6, contextWindow: 32768 },
+    { match: /^llama3\.[1-3]/i, charsPerToken: 4.2, contextWindow: 131072 },
+    { match: /^llama3/i, charsPerToken: 4.2, contextWindow: 8192 },
+    { match: /^qwen/i, charsPerToken: 4.2, contextWindow: 32768 },
+    { match: /^gemma/i, charsPerToken: 4.5, contextWindow: 8192 },
+    { match: /^(gpt-4o|gpt-4\.1|o\d)/i, charsPerToken: 4.5, contextWindow: 128000 },
+];
+
+/** Figures of models without a profile (the historical 4 characters per token). */
+export const DEFAULT_MODEL_PROFILE = Object.freeze({ charsPerToken: 4, contextWindow: 8192 });
+
+/**
+ * Tokenizer figures of a model (see MODEL_PROFILES).
+ * @param {string} [model] - e.g. 'phi3:mini', 'llama3.1:8b'
+ * @returns {{ charsPerToken: number, contextWindow: number }}
+ */
+export function modelProfile(model) {
+    const profile = MODEL_PROFILES.find((p) => p.match.test(String(model ?? '')));
+    return profile ? { charsPerToken: profile.charsPerToken, contextWindow: profile.contextWindow } : { ...DEFAULT_MODEL_PROFILE };
+}
+
+/**
+ * Lowercased words of a text, for similarity.
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function words(text) {
+    return new Set(String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []);
+}
+
+/**
+ * Jaccard similarity of the word sets of two texts (1 for two empty texts).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0..1
+ */
+export function textSimilarity(a, b) {
+    const setA = words(a);
+    const setB = words(b);
+    if (!setA.size && !setB.size) return 1;
+    let shared = 0;
+    for (const word of setA) if (setB.has(word)) shared++;
+    return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * Shorten a text to at most maxChars, cutting after the last sentence end (or else the last word) that fits, and mark
+ * the cut with '…'.
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string}
+ */
+export function truncateText(text, maxChars) {
+    const value = String(text ?? '');
+    if (value.length <= maxChars) return value;
+    const head = value.slice(0, Math.max(0, maxChars - 1));
+    const sentence = head.match(/^[\s\S]*[.!?](?=\s)/)?.[0];
+    const cut = sentence && sentence.length >= head.length / 2 ? sentence : head.replace(/\s+\S*$/, '');
+    return `${(cut || head).trimEnd()}…`;
+}
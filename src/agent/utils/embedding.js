@@ -0,0 +1,67 @@
+/**
+ * Embedding field helpers. Each vector field (default `embedding`) holds `{ text, image, meta }` where `meta` records
+ * which model produced each vector, so vectors from different models are never mixed silently:
+ * { text: number[], image: number[], meta: { text: { model, dimensions, embeddedAt }, image: { ... } } }
+ * A new model is rolled out by backfilling a parallel field (e.g. `embedding_v2`, see bin/reembed.js) with its own
+ * vector indexes, then pointing EMBEDDING_FIELD at it.
+ */
+
+/** Field used when EMBEDDING_FIELD is not set; its indexes keep the original names. */
+export const DEFAULT_EMBEDDING_FIELD = 'embedding';
+
+/**
+ * Validate an embedding field name (a top-level field: letters, digits and underscores).
+ * @param {string} [field]
+ * @returns {string}
+ * @throws {Error} when the name would not be a plain top-level field
+ */
+export function toEmbeddingField(field) {
+    const name = String(field ?? '').trim() || DEFAULT_EMBEDDING_FIELD;
+    if (!/^[A-Za-z_]\w*$/.test(name)) {
+        throw new Error(`Invalid embedding field "${name}": use letters, digits and underscores`);
+    }
+    return name;
+}
+
+/**
+ * Vector index name for a field and vector type. The default field keeps `${baseName}_${type}_index`;
+ * other fields get their own indexes (`${baseName}_${field}_${type}_index`) so both can be served side by side.
+ * @param {string} baseName - e.g. 'rag_vector'
+ * @param {'text'|'image'|'composed'|'chunk'} type
+ * @param {string} [field]
+ * @returns {string}
+ */
+export function vectorIndexName(baseName, type, field = DEFAULT_EMBEDDING_FIELD) {
+    return field === DEFAULT_EMBEDDING_FIELD
+        ? `${baseName}_${type}_index`
+        : `${baseName}_${field}_${type}_index`;
+}
+
+/**
+ * Metadata entry for one vector, or null when there is no vector.
+ * @param {string} model - provider-qualified model id (EmbeddingService.modelId / imageModelId)
+ * @param {number[] | null | undefined} vector
+ * @returns {{ model: string, dimensions: number, embeddedAt: Date } | null}
+ */
+export function vectorMeta(model, vector) {
+    if (!model || !vector?.length) return null;
+    return { model, dimensions: vector.length, embeddedAt: new Date() };
+}
+
+/**
+ * Cosine similarity of two vectors of the same size (0 when either is all zeros).
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
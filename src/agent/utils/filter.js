@@ -0,0 +1,199 @@
+/**
+ * Metadata filters for RAG retrieval. A request filter is normalized once (parseFilter) and then translated
+ * into a $vectorSearch pre-filter (toVectorFilter), an Atlas Search compound filter (toSearchFilter)
+ * and, for conditions the search stages cannot express, a post-filter $match (toPostMatch); toMatch is the whole filter
+ * as a plain query (find, countDocuments, $match) and toPredicate evaluates the same filter in memory.
+ *
+ * Request shape (all keys optional):
+ * {
+ *   year: 1994 | { gte?: number, lte?: number, gt?: number, lt?: number },
+ *   genre: 'Crime' | ['Crime', 'Drama'] | { include?: string[], exclude?: string[] },
+ *   titlePrefix: 'The'
+ * }
+ */
+
+/**
+ * Normalized filter produced by parseFilter.
+ * @typedef {{ year?: { gte?: number, lte?: number, gt?: number, lt?: number }, genre?: { include?: string[], exclude?: string[] }, titlePrefix?: string }} RagFilter
+ */
+
+const YEAR_OPERATORS = ['gte', 'lte', 'gt', 'lt'];
+
+/**
+ * Normalize a genre name so stored values and filter values compare equal (e.g. "sci-fi" -> "Sci-Fi").
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeGenre(name) {
+    return String(name ?? '')
+        .trim()
+        .toLowerCase()
+        .replace(/(^|[\s-])(\p{L})/gu, (_m, sep, ch) => sep + ch.toUpperCase());
+}
+
+/**
+ * Turn a genre value into a list of normalized genre names. Accepts a comma-separated string ("Crime, Drama") or an array.
+ * Stored documents use this list so $vectorSearch can pre-filter with $in / $nin.
+ * @param {string | string[] | undefined | null} genre
+ * @returns {string[] | undefined} undefined when genre is undefined/null
+ */
+export function toGenreList(genre) {
+    if (genre === undefined || genre === null) return undefined;
+    const values = Array.isArray(genre) ? genre : String(genre).split(',');
+    return [...new Set(values.map(normalizeGenre).filter(Boolean))];
+}
+
+function toYearRange(year) {
+    if (typeof year === 'number') {
+        if (!Number.isInteger(year)) throw new Error('Invalid "filter.year": must be an integer or a range object');
+        return { gte: year, lte: year };
+    }
+    if (!year || typeof year !== 'object' || Array.isArray(year)) {
+        throw new Error('Invalid "filter.year": must be an integer or a range object');
+    }
+    const range = {};
+    for (const op of YEAR_OPERATORS) {
+        if (year[op] === undefined) continue;
+        const value = typeof year[op] === 'string' ? parseInt(year[op], 10) : year[op];
+        if (!Number.isInteger(value)) throw new Error(`Invalid "filter.year.${op}": must be an integer`);
+        range[op] = value;
+    }
+    if (Object.keys(range).length === 0) {
+        throw new Error(`Invalid "filter.year": expected at least one of ${YEAR_OPERATORS.join(', ')}`);
+    }
+    return range;
+}
+
+function toGenreFilter(genre) {
+    if (typeof genre === 'string' || Array.isArray(genre)) {
+        return { include: toGenreList(genre) };
+    }
+    if (!genre || typeof genre !== 'object') {
+        throw new Error('Invalid "filter.genre": must be a string, an array or { include, exclude }');
+    }
+    const result = {};
+    if (genre.include !== undefined) result.include = toGenreList(genre.include);
+    if (genre.exclude !== undefined) result.exclude = toGenreList(genre.exclude);
+    return result;
+}
+
+/**
+ * Validate and normalize a request filter. Accepts an object or a JSON string (multipart form fields).
+ * @param {string | object | undefined | null} input
+ * @returns {RagFilter | null} null when no condition is set
+ * @throws {Error} when the filter is malformed (message is safe to return to the client)
+ */
+export function parseFilter(input) {
+    if (input === undefined || input === null || input === '') return null;
+    let raw = input;
+    if (typeof raw === 'string') {
+        try {
+            raw = JSON.parse(raw);
+        } catch {
+            throw new Error('Invalid "filter": must be a JSON object');
+        }
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('Invalid "filter": must be an object');
+    }
+
+    const filter = {};
+    if (raw.year !== undefined) filter.year = toYearRange(raw.year);
+    if (raw.genre !== undefined) {
+        const genre = toGenreFilter(raw.genre);
+        if (genre.include?.length || genre.exclude?.length) filter.genre = genre;
+    }
+    if (raw.titlePrefix !== undefined) {
+        if (typeof raw.titlePrefix !== 'string') throw new Error('Invalid "filter.titlePrefix": must be a string');
+        if (raw.titlePrefix.trim()) filter.titlePrefix = raw.titlePrefix.trim();
+    }
+    return Object.keys(filter).length ? filter : null;
+}
+
+/**
+ * Build the `filter` option of $vectorSearch (year range, genre include/exclude). Fields must be declared as
+ * `filter` type in the vector index (see SetupService.filterFields).
+ * @param {RagFilter | null} [filter]
+ * @returns {object | null}
+ */
+export function toVectorFilter(filter) {
+    if (!filter) return null;
+    const clauses = [];
+    if (filter.year) {
+        const range = {};
+        for (const op of YEAR_OPERATORS) {
+            if (filter.year[op] !== undefined) range[`$${op}`] = filter.year[op];
+        }
+        clauses.push({ year: range });
+    }
+    if (filter.genre?.include?.length) clauses.push({ genre: { $in: filter.genre.include } });
+    if (filter.genre?.exclude?.length) clauses.push({ genre: { $nin: filter.genre.exclude } });
+    if (clauses.length === 0) return null;
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+/**
+ * Build the non-scoring clauses of a $search compound operator (year range, genre include/exclude).
+ * @param {RagFilter | null} [filter]
+ * @returns {{ filter: object[], mustNot: object[] }}
+ */
+export function toSearchFilter(filter) {
+    const result = { filter: [], mustNot: [] };
+    if (!filter) return result;
+    if (filter.year) {
+        result.filter.push({ range: { path: 'year', ...filter.year } });
+    }
+    if (filter.genre?.include?.length) {
+        result.filter.push({ text: { path: 'genre', query: filter.genre.include } });
+    }
+    if (filter.genre?.exclude?.length) {
+        result.mustNot.push({ text: { path: 'genre', query: filter.genre.exclude } });
+    }
+    return result;
+}
+
+/**
+ * Build a $match for conditions that neither $vectorSearch filters nor the default search mapping support (title prefix).
+ * @param {RagFilter | null} [filter]
+ * @returns {object | null}
+ */
+export function toPostMatch(filter) {
+    if (!filter?.titlePrefix) return null;
+    const escaped = filter.titlePrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return { title: { $regex: `^${escaped}`, $options: 'i' } };
+}
+
+/**
+ * Build a query for the whole filter (year, genre and title prefix), for find / countDocuments / $match outside search stages.
+ * @param {RagFilter | null} [filter]
+ * @returns {object} {} when there is no condition
+ */
+export function toMatch(filter) {
+    const clauses = [toVectorFilter(filter), toPostMatch(filter)].filter(Boolean);
+    if (clauses.length === 0) return {};
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+/**
+ * Build an in-memory predicate equivalent to the search-stage filters, for retrieval over plain document arrays
+ * (MemoryRagService). Genre matching expects the stored list form produced by toGenreList.
+ * @param {RagFilter | null} [filter]
+ * @returns {(doc: { title?: string, year?: number, genre?: string[] }) => boolean}
+ */
+export function toPredicate(filter) {
+    if (!filter) return () => true;
+    const prefix = filter.titlePrefix?.toLowerCase();
+    return (doc) => {
+        if (filter.year) {
+            const { gte, lte, gt, lt } = filter.year;
+            if (typeof doc.year !== 'number') return false;
+            if ((gte !== undefined && doc.year < gte) || (lte !== undefined && doc.year > lte)) return false;
+            if ((gt !== undefined && doc.year <= gt) || (lt !== undefined && doc.year >= lt)) return false;
+        }
+        const genres = doc.genre ?? [];
+        if (filter.genre?.include?.length && !filter.genre.include.some((g) => genres.includes(g))) return false;
+        if (filter.genre?.exclude?.length && filter.genre.exclude.some((g) => genres.includes(g))) return false;
+        if (prefix && !String(doc.title ?? '').toLowerCase().startsWith(prefix)) return false;
+        return true;
+    };
+}
@@ -0,0 +1,109 @@
+/**
+ * Fusion of ranked result lists (hybrid search): reciprocal rank fusion or a weighted combination of normalized scores,
+ * over any number of named lists, with an optional per-result explanation of each list's rank and contribution.
+ */
+
+/** Default RRF constant (Reciprocal Rank Fusion), as used by $rankFusion. */
+export const RRF_K = 60;
+
+/** Fusion strategies: reciprocal ranks ('rrf', as $rankFusion) or normalized scores ('score', as $scoreFusion). */
+export const FUSION_STRATEGIES = Object.freeze(['rrf', 'score']);
+
+/** Score normalizations of the 'score' fusion. All but 'zScore' are also available in $scoreFusion. */
+export const FUSION_NORMALIZATIONS = Object.freeze(['sigmoid', 'minMaxScaler', 'zScore', 'none']);
+
+/**
+ * Ranked list to fuse: a name (for weights and explanations) and its documents, best first.
+ * @typedef {{ name: string, docs: { _id: any, score?: number }[] }} FusionList
+ */
+
+/**
+ * Fusion options: strategy (default 'rrf'), weights by list name (default 1), normalization ('score' only, default
+ * 'sigmoid'), rankConstant ('rrf' only, default RRF_K); explain adds a `fusion` field (FusionExplanation) to each result.
+ * @typedef {{ strategy?: 'rrf'|'score', weights?: Record<string, number>, normalization?: 'sigmoid'|'minMaxScaler'|'zScore'|'none', rankConstant?: number, explain?: boolean }} FusionOptions
+ */
+
+/**
+ * How one list contributed to a fused result. `score` is the list's own score, `normalized` its normalized value
+ * ('score' strategy only).
+ * @typedef {{ list: string, rank: number, score?: number, normalized?: number, weight: number, contribution: number }} FusionContribution
+ */
+
+/**
+ * Why a result scored what it did: one contribution per list it appears in, in list order; ranks start at 1.
+ * @typedef {{ strategy: 'rrf'|'score', contributions: FusionContribution[] }} FusionExplanation
+ */
+
+/**
+ * Normalize a list's scores. minMaxScaler maps them to 0..1 (all 1 when equal), zScore to standard scores (all 0 when
+ * equal), sigmoid to 1 / (1 + e^-score); none keeps them.
+ * @param {number[]} scores
+ * @param {'sigmoid'|'minMaxScaler'|'zScore'|'none'} [normalization]
+ * @returns {number[]}
+ */
+export function normalizeScores(scores, normalization = 'sigmoid') {
+    switch (normalization) {
+        case 'sigmoid':
+            return scores.map((score) => 1 / (1 + Math.exp(-score)));
+        case 'minMaxScaler': {
+            const min = Math.min(...scores);
+            const max = Math.max(...scores);
+            return scores.map((score) => (max > min ? (score - min) / (max - min) : 1));
+        }
+        case 'zScore': {
+            const mean = scores.reduce((sum, score) => sum + score, 0) / (scores.length || 1);
+            const std = Math.sqrt(scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / (scores.length || 1));
+            return scores.map((score) => (std > 0 ? (score - mean) / std : 0));
+        }
+        case 'none':
+            return scores;
+        default:
+            throw new Error(`Unknown normalization "${normalization}". Available: ${FUSION_NORMALIZATIONS.join(', ')}`);
+    }
+}
+
+/**
+ * Fuse ranked lists into one, deduplicated by _id and sorted by fused score (the first list's copy of a document is kept).
+ * - rrf: each list adds weight / (rankConstant + rank), rank starting at 1;
+ * - score: each list adds weight × normalized score, averaged over the lists (a list without the document adds 0).
+ * @param {FusionList[]} lists
+ * @param {FusionOptions} [options]
+ * @returns {{ _id: any, score: number, fusion?: FusionExplanation }[]}
+ */
+export function fuse(lists, options = {}) {
+    const strategy = options.strategy ?? 'rrf';
+    if (!FUSION_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown fusion strategy "${strategy}". Available: ${FUSION_STRATEGIES.join(', ')}`);
+    }
+    const rankConstant = options.rankConstant ?? RRF_K;
+    const byId = new Map();
+
+    for (const { name, docs } of lists) {
+        const weight = options.weights?.[name] ?? 1;
+        const normalized = strategy === 'score' ? normalizeScores(docs.map((doc) => doc.score ?? 0), options.normalization) : null;
+        docs.forEach((doc, i) => {
+            const id = doc._id?.toString();
+            if (!id) return;
+            if (!byId.has(id)) byId.set(id, { doc: { ...doc, score: 0 }, contributions: [] });
+            const entry = byId.get(id);
+            // A list repeating a document counts only its best rank.
+            if (entry.contributions.some((c) => c.list === name)) return;
+            const contribution = strategy === 'score'
+                ? (weight * normalized[i]) / lists.length
+                : weight / (rankConstant + i + 1);
+            entry.doc.score += contribution;
+            entry.contributions.push({
+                list: name,
+                rank: i + 1,
+                ...(doc.score !== undefined ? { score: doc.score } : {}),
+                ...(normalized ? { normalized: normalized[i] } : {}),
+                weight,
+                contribution,
+            });
+        });
+    }
+
+    return [...byId.values()]
+        .map(({ doc, contributions }) => (options.explain ? { ...doc, fusion: { strategy, contributions } } : doc))
+        .sort((a, b) => b.score - a.score);
+}
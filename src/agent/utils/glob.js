@@ -0,0 +1,85 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Minimal glob expansion for ingestion sources (Node 20 has no fs.glob): `*` and `?` within a path segment, `**` across
+ * segments and `{a,b}` alternatives. A plain file path returns that file; a directory returns every file below it.
+ */
+
+/**
+ * Regular expression for a glob pattern, matched against `/`-separated paths.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c === '*' && pattern[i + 1] === '*') {
+            // `**/` matches zero or more directories; a trailing `**` matches everything below.
+            const slash = pattern[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (c === '*') {
+            source += '[^/]*';
+        } else if (c === '?') {
+            source += '[^/]';
+        } else if (c === '{') {
+            const end = pattern.indexOf('}', i);
+            if (end === -1) {
+                source += '\\{';
+                continue;
+            }
+            source += `(?:${pattern.slice(i + 1, end).split(',').map((alt) => alt.replace(/[.+^$()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]')).join('|')})`;
+            i = end;
+        } else {
+            source += c.replace(/[.+^$()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Leading directory of a pattern that has no glob characters (where the walk starts).
+ * @param {string} pattern
+ * @returns {string}
+ */
+export function globBase(pattern) {
+    const segments = pattern.split('/');
+    const index = segments.findIndex((segment) => /[*?{]/.test(segment));
+    if (index === -1) return pattern;
+    return segments.slice(0, index).join('/') || (pattern.startsWith('/') ? '/' : '.');
+}
+
+/** @private */
+async function walk(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) files.push(...(await walk(full)));
+        else if (entry.isFile()) files.push(full);
+    }
+    return files;
+}
+
+/**
+ * Files matching a path, directory or glob pattern, sorted.
+ * @param {string} pattern - e.g. `catalog/films.csv`, `catalog/`, `catalog/**\/*.{md,pdf}`
+ * @param {string} [cwd] - base for relative patterns (default process.cwd())
+ * @returns {Promise<string[]>} absolute paths
+ */
+export async function expandGlob(pattern, cwd = process.cwd()) {
+    const normalized = pattern.split(path.sep).join('/');
+    const base = path.resolve(cwd, globBase(normalized));
+    if (globBase(normalized) === normalized) {
+        const stat = await fs.stat(base);
+        return stat.isDirectory() ? (await walk(base)).sort() : [base];
+    }
+    const regex = globToRegExp(path.resolve(cwd, normalized).split(path.sep).join('/'));
+    const files = await walk(base).catch((err) => {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    });
+    return files.filter((file) => regex.test(file.split(path.sep).join('/'))).sort();
+}
@@ -0,0 +1,334 @@
+import { logger } from './logger.js';
+
+/**
+ * HTTP client for the external model APIs (Voyage, Jina): token-bucket rate limiting, retries with exponential backoff
+ * that honor Retry-After, per-attempt timeouts and a circuit breaker, so a throttled or unreachable provider fails fast
+ * and callers can degrade instead of waiting.
+ */
+
+const COMPONENT_HTTP = 'util:http';
+
+/**
+ * Non-2xx response, timeout or network failure. status is 0 when no response was received.
+ */
+export class HttpError extends Error {
+    /**
+     * @param {string} message
+     * @param {{ status?: number, body?: string, retryAfterMs?: number | null }} [details]
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = details.status ?? 0;
+        this.body = details.body ?? '';
+        this.retryAfterMs = details.retryAfterMs ?? null;
+    }
+}
+
+/**
+ * Request refused without calling the provider because its circuit is open.
+ */
+export class CircuitOpenError extends Error {
+    /**
+     * @param {string} name - client name
+     * @param {number} retryInMs - time until the circuit lets a probe request through
+     */
+    constructor(name, retryInMs) {
+        super(`${name} circuit open, retry in ${Math.ceil(retryInMs / 1000)}s`);
+        this.name = 'CircuitOpenError';
+        this.retryInMs = retryInMs;
+    }
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or HTTP date) into milliseconds.
+ * @param {string | null} value
+ * @param {number} [now]
+ * @returns {number | null} null when absent or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Wait, rejecting early when the signal aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Token bucket: ratePerMinute tokens refill continuously up to burst. Callers reserve a token (the balance may go
+ * negative, which queues them in order) and wait until it is theirs.
+ */
+export class TokenBucket {
+
+    /**
+     * @param {{ ratePerMinute: number, burst?: number }} options - burst: bucket size (default ratePerMinute, at least 1)
+     */
+    constructor({ ratePerMinute, burst }) {
+        this.ratePerMs = ratePerMinute / 60_000;
+        this.capacity = Math.max(1, burst ?? Math.floor(ratePerMinute));
+        this.tokens = this.capacity;
+        this.updatedAt = Date.now();
+    }
+
+    /**
+     * Take one token, waiting for it when the bucket is empty.
+     * @param {number} [maxWaitMs] - give up (HttpError 429, nothing reserved) when the token is further away
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<void>}
+     */
+    async take(maxWaitMs = Infinity, signal) {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.ratePerMs);
+        this.updatedAt = now;
+        const waitMs = this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.ratePerMs);
+        if (waitMs > maxWaitMs) {
+            throw new HttpError(`Rate limit reached, next request slot in ${Math.ceil(waitMs / 1000)}s`, { status: 429, retryAfterMs: waitMs });
+        }
+        this.tokens -= 1;
+        if (!waitMs) return;
+        try {
+            await sleep(waitMs, signal);
+        } catch (err) {
+            this.tokens += 1;
+            throw err;
+        }
+    }
+}
+
+/**
+ * Circuit breaker: opens after failureThreshold consecutive failed requests (or immediately for a given time, e.g. a
+ * long Retry-After), refuses requests while open, then lets one probe through (half-open) which closes or reopens it.
+ */
+export class CircuitBreaker {
+
+    /**
+     * @param {{ name?: string, failureThreshold?: number, resetMs?: number }} [options] - resetMs: open duration (default 30 s)
+     */
+    constructor(options = {}) {
+        this.name = options.name ?? 'http';
+        this.failureThreshold = Math.max(1, options.failureThreshold ?? 3);
+        this.resetMs = options.resetMs ?? 30_000;
+        this.failures = 0;
+        this.openUntil = 0;
+        this.probing = false;
+    }
+
+    /** @returns {'closed' | 'open' | 'half-open'} */
+    get state() {
+        if (!this.openUntil) return 'closed';
+        return Date.now() < this.openUntil ? 'open' : 'half-open';
+    }
+
+    /**
+     * Admit a request or throw CircuitOpenError. In half-open state only one probe is admitted at a time.
+     */
+    admit() {
+        const state = this.state;
+        if (state === 'open' || (state === 'half-open' && this.probing)) {
+            throw new CircuitOpenError(this.name, Math.max(0, this.openUntil - Date.now()));
+        }
+        if (state === 'half-open') this.probing = true;
+    }
+
+    /** The provider answered: close the circuit. */
+    success() {
+        if (this.openUntil) logger.info(COMPONENT_HTTP, 'Circuit closed', { name: this.name });
+        this.failures = 0;
+        this.openUntil = 0;
+        this.probing = false;
+    }
+
+    /**
+     * A request failed after its retries.
+     * @param {number | null} [openForMs] - open now for this long (e.g. Retry-After beyond the wait limit)
+     */
+    failure(openForMs) {
+        const probeFailed = this.probing;
+        this.failures++;
+        this.probing = false;
+        if (openForMs || probeFailed || this.failures >= this.failureThreshold) {
+            const duration = Math.max(openForMs ?? 0, this.resetMs);
+            this.openUntil = Date.now() + duration;
+            logger.warn(COMPONENT_HTTP, 'Circuit opened', { name: this.name, failures: this.failures, openMs: duration });
+        }
+    }
+}
+
+/**
+ * Options of HttpClient.
+ * @typedef {{
+ *      name?: string,
+ *      ratePerMinute?: number,
+ *      burst?: number,
+ *      timeoutMs?: number,
+ *      maxRetries?: number,
+ *      backoffMs?: number,
+ *      maxWaitMs?: number,
+ *      failureThreshold?: number,
+ *      resetMs?: number,
+ * }} HttpClientOptions
+ */
+
+/**
+ * Read HttpClient options for a provider from `<PREFIX>_RPM`, `<PREFIX>_TIMEOUT_MS`, `<PREFIX>_MAX_RETRIES`,
+ * `<PREFIX>_MAX_WAIT_MS`, `<PREFIX>_BREAKER_THRESHOLD` and `<PREFIX>_BREAKER_RESET_MS` (unset ones keep the defaults).
+ * @param {string} prefix - e.g. 'VOYAGE', 'JINA'
+ * @param {Record<string, string | undefined>} [env]
+ * @returns {HttpClientOptions}
+ */
+export function httpOptionsFromEnv(prefix, env = process.env) {
+    const number = (name) => {
+        const value = Number(env[`${prefix}_${name}`]);
+        return env[`${prefix}_${name}`] && Number.isFinite(value) ? value : undefined;
+    };
+    const options = {
+        ratePerMinute: number('RPM'),
+        timeoutMs: number('TIMEOUT_MS'),
+        maxRetries: number('MAX_RETRIES'),
+        maxWaitMs: number('MAX_WAIT_MS'),
+        failureThreshold: number('BREAKER_THRESHOLD'),
+        resetMs: number('BREAKER_RESET_MS'),
+    };
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+export class HttpClient {
+
+    /**
+     * @param {HttpClientOptions} [options]
+     *   - name: used in logs and errors (default 'http')
+     *   - ratePerMinute / burst: token bucket (default: no client-side limit)
+     *   - timeoutMs: per attempt (default 15 s)
+     *   - maxRetries: retries on 429, 5xx, timeouts and network errors (default 3)
+     *   - backoffMs: first backoff, doubled per retry with jitter, unless Retry-After says otherwise (default 500 ms)
+     *   - maxWaitMs: longest single wait for a rate-limit slot or a retry; beyond it the request fails at once, and a
+     *     429 opens the circuit for the Retry-After time (default 10 s; batch jobs can afford more)
+     *   - failureThreshold / resetMs: circuit breaker (default 3 failed requests, open 30 s)
+     */
+    constructor(options = {}) {
+        this.name = options.name ?? 'http';
+        this.timeoutMs = options.timeoutMs ?? 15_000;
+        this.maxRetries = Math.max(0, options.maxRetries ?? 3);
+        this.backoffMs = options.backoffMs ?? 500;
+        this.maxWaitMs = options.maxWaitMs ?? 10_000;
+        this.ratePerMinute = options.ratePerMinute > 0 ? options.ratePerMinute : null;
+        this.bucket = options.ratePerMinute > 0
+            ? new TokenBucket({ ratePerMinute: options.ratePerMinute, burst: options.burst })
+            : null;
+        this.breaker = new CircuitBreaker({ name: this.name, failureThreshold: options.failureThreshold, resetMs: options.resetMs });
+    }
+
+    /**
+     * True while requests are refused without calling the provider (circuit open).
+     * @returns {boolean}
+     */
+    get unavailable() {
+        return this.breaker.state === 'open';
+    }
+
+    /**
+     * POST a JSON body and parse the JSON response.
+     * @param {string} url
+     * @param {object} body
+     * @param {{ headers?: Record<string, string>, signal?: AbortSignal, timeoutMs?: number }} [options]
+     * @returns {Promise<any>}
+     * @throws {HttpError | CircuitOpenError} when the request fails after retries, or the circuit is open
+     */
+    async postJson(url, body, options = {}) {
+        const response = await this.request(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...options.headers },
+            body: JSON.stringify(body),
+        }, options);
+        return response.json();
+    }
+
+    /**
+     * fetch with rate limiting, timeout, retries and the circuit breaker. Resolves with a 2xx response only.
+     * Aborting options.signal stops waiting and rejects with its reason (not counted as a provider failure).
+     * @param {string} url
+     * @param {RequestInit} init
+     * @param {{ signal?: AbortSignal, timeoutMs?: number }} [options]
+     * @returns {Promise<Response>}
+     * @throws {HttpError | CircuitOpenError}
+     */
+    async request(url, init, options = {}) {
+        const timeoutMs = options.timeoutMs ?? this.timeoutMs;
+        this.breaker.admit();
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await this.bucket?.take(this.maxWaitMs, options.signal);
+            } catch (err) {
+                // No request was sent: release a half-open probe slot without judging the provider.
+                this.breaker.probing = false;
+                throw err;
+            }
+
+            let response = null;
+            let error;
+            try {
+                const signal = options.signal
+                    ? AbortSignal.any([options.signal, AbortSignal.timeout(timeoutMs)])
+                    : AbortSignal.timeout(timeoutMs);
+                response = await fetch(url, { ...init, signal });
+            } catch (err) {
+                if (options.signal?.aborted) {
+                    this.breaker.probing = false;
+                    throw options.signal.reason;
+                }
+                error = err.name === 'TimeoutError'
+                    ? new HttpError(`${this.name} request timed out after ${timeoutMs} ms`)
+                    : new HttpError(`${this.name} request failed: ${err.cause?.message ?? err.message}`);
+            }
+
+            if (response?.ok) {
+                this.breaker.success();
+                return response;
+            }
+            if (response) {
+                const body = await response.text().catch(() => '');
+                error = new HttpError(`${this.name} error: ${response.status} - ${body}`, {
+                    status: response.status,
+                    body,
+                    retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+                });
+                if (response.status !== 429 && response.status < 500) {
+                    // Client error: the provider is up, the request is wrong; retrying will not help.
+                    this.breaker.success();
+                    throw error;
+                }
+            }
+
+            const backoff = this.backoffMs * 2 ** attempt * (0.5 + Math.random() / 2);
+            const waitMs = Math.ceil(error.retryAfterMs ?? backoff);
+            if (attempt >= this.maxRetries || waitMs > this.maxWaitMs) {
+                this.breaker.failure(error.status === 429 && waitMs > this.maxWaitMs ? waitMs : null);
+                logger.error(COMPONENT_HTTP, 'Request failed', { name: this.name, status: error.status, attempts: attempt + 1, error: error.message.slice(0, 200) });
+                throw error;
+            }
+            logger.warn(COMPONENT_HTTP, 'Retrying request', { name: this.name, status: error.status, attempt: attempt + 1, waitMs });
+            await sleep(waitMs, options.signal);
+        }
+    }
+}
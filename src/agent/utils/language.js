@@ -0,0 +1,29 @@
+/**
+ * Lightweight language identification for short texts (questions and answers), based on frequent function words.
+ * Covers the languages the demo is exercised with; returns null when no language stands out.
+ */
+
+/** Frequent function words per ISO 639-1 code. */
+const STOPWORDS = {
+    en: ['the', 'and', 'is', 'of', 'to', 'in', 'which', 'what', 'who', 'how', 'with', 'it', 'that', 'this', 'are', 'was', 'do', 'not', 'based', 'about'],
+    es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'un', 'una', 'es', 'por', 'con', 'para', 'del', 'se', 'no', 'qué', 'cuál', 'película', 'trata'],
+    fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'du', 'que', 'qui', 'en', 'pour', 'dans', 'pas', 'quel', 'quelle', 'film', 'parle'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'ein', 'eine', 'nicht', 'mit', 'von', 'zu', 'den', 'im', 'welcher', 'welche', 'wer', 'was', 'es'],
+    it: ['il', 'lo', 'la', 'gli', 'le', 'di', 'che', 'e', 'un', 'una', 'è', 'per', 'con', 'non', 'del', 'della', 'quale', 'chi'],
+    pt: ['o', 'a', 'os', 'as', 'de', 'que', 'e', 'em', 'um', 'uma', 'é', 'por', 'com', 'para', 'do', 'da', 'não', 'qual', 'filme'],
+};
+
+/**
+ * Detect the language of a text.
+ * @param {string} text
+ * @returns {string | null} ISO 639-1 code, or null when the text has too few known words or is ambiguous
+ */
+export function detectLanguage(text) {
+    const words = String(text ?? '').toLowerCase().match(/\p{L}+/gu) ?? [];
+    const scores = Object.entries(STOPWORDS).map(([lang, list]) => {
+        const set = new Set(list);
+        return [lang, words.filter((word) => set.has(word)).length];
+    }).sort((a, b) => b[1] - a[1]);
+    const [[best, top], [, second]] = scores;
+    return top >= 2 && top > second ? best : null;
+}
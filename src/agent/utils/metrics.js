@@ -0,0 +1,68 @@
+/**
+ * Ranking metrics for retrieval evaluation with binary relevance: a retrieved film is relevant when its title is one
+ * of the expected titles (compared case-insensitively). `retrieved` is the ranked list of titles, best first.
+ */
+
+/**
+ * Normalize a title for comparison.
+ * @param {string} title
+ * @returns {string}
+ */
+export function normalizeTitle(title) {
+    return String(title ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/** @private */
+function relevanceOf(retrieved, expected) {
+    const wanted = new Set(expected.map(normalizeTitle));
+    return retrieved.map((title) => (wanted.has(normalizeTitle(title)) ? 1 : 0));
+}
+
+/**
+ * Share of the expected titles found in the top k.
+ * @param {string[]} retrieved
+ * @param {string[]} expected
+ * @param {number} k
+ * @returns {number} 0..1
+ */
+export function recallAtK(retrieved, expected, k) {
+    if (!expected.length) return 0;
+    const found = new Set(retrieved.slice(0, k).map(normalizeTitle));
+    return expected.filter((title) => found.has(normalizeTitle(title))).length / expected.length;
+}
+
+/**
+ * Reciprocal rank of the first relevant result (0 when none is retrieved).
+ * @param {string[]} retrieved
+ * @param {string[]} expected
+ * @returns {number} 0..1
+ */
+export function reciprocalRank(retrieved, expected) {
+    const rank = relevanceOf(retrieved, expected).indexOf(1);
+    return rank === -1 ? 0 : 1 / (rank + 1);
+}
+
+/**
+ * Normalized discounted cumulative gain at k: DCG of the ranking divided by the DCG of an ideal ranking.
+ * @param {string[]} retrieved
+ * @param {string[]} expected
+ * @param {number} k
+ * @returns {number} 0..1
+ */
+export function ndcgAtK(retrieved, expected, k) {
+    const gains = relevanceOf(retrieved.slice(0, k), expected);
+    const dcg = gains.reduce((sum, gain, i) => sum + gain / Math.log2(i + 2), 0);
+    const ideal = Math.min(k, new Set(expected.map(normalizeTitle)).size);
+    let idcg = 0;
+    for (let i = 0; i < ideal; i++) idcg += 1 / Math.log2(i + 2);
+    return idcg ? dcg / idcg : 0;
+}
+
+/**
+ * Arithmetic mean (0 for an empty list).
+ * @param {number[]} values
+ * @returns {number}
+ */
+export function mean(values) {
+    return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
@@ -0,0 +1,35 @@
+/**
+ * Console progress rendering for batch jobs (seeding).
+ */
+
+/**
+ * Human duration: 45s, 3m 20s, 1h 05m.
+ * @param {number | null} ms
+ * @returns {string} '?' when unknown
+ */
+export function formatDuration(ms) {
+    if (ms === null || ms === undefined || !Number.isFinite(ms)) return '?';
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * One-line progress bar: `[#####-----] 16/32 (50%) batch 1/2, elapsed 40s, ETA 40s`.
+ * @param {{ done: number, total: number, batch?: number, batches?: number, elapsedMs?: number, etaMs?: number | null }} progress
+ * @param {number} [width] - bar width in characters (default 30)
+ * @returns {string}
+ */
+export function formatProgress(progress, width = 30) {
+    const ratio = progress.total ? Math.min(1, progress.done / progress.total) : 1;
+    const filled = Math.round(ratio * width);
+    const bar = `[${'#'.repeat(filled)}${'-'.repeat(width - filled)}]`;
+    const parts = [];
+    if (progress.batches) parts.push(`batch ${progress.batch ?? 0}/${progress.batches}`);
+    if (progress.elapsedMs !== undefined) parts.push(`elapsed ${formatDuration(progress.elapsedMs)}`);
+    if (progress.done < progress.total) parts.push(`ETA ${formatDuration(progress.etaMs)}`);
+    const head = `${bar} ${progress.done}/${progress.total} (${Math.round(ratio * 100)}%)`;
+    return parts.length ? `${head} ${parts.join(', ')}` : head;
+}
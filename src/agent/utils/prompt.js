@@ -0,0 +1,79 @@
+/**
+ * Prompt templates of RAG answers: the built-in default template, template rendering and `name@version` references.
+ * Templates are stored as files or documents and selected through PromptService.
+ *
+ * Placeholders: `{{name}}` inserts a variable; `{{#name}}...{{/name}}` keeps the block only when the variable is set and
+ * `{{^name}}...{{/name}}` only when it is not. Every template gets `question`, `context` (numbered sources) and `history`
+ * (prior turns, '' for a first question); the others (e.g. persona, language) are declared with defaults in `variables`
+ * and can be set per request.
+ */
+
+/**
+ * Few-shot example: a question, optionally its context, and the expected answer. Sent as a user / assistant exchange
+ * before the real question.
+ * @typedef {{ question: string, context?: string, answer: string }} PromptExample
+ */
+
+/**
+ * Prompt template: one version of a named prompt.
+ * @typedef {{ name: string, version: number, description?: string, system: string, user: string, examples?: PromptExample[], variables?: Record<string, string> }} PromptTemplate
+ */
+
+/**
+ * Template selected for an answer, with the request's variable values (merged over the template's defaults when rendered).
+ * @typedef {{ template: PromptTemplate, variables?: Record<string, string> }} PromptSelection
+ */
+
+/** Variables filled by the LLM service; they cannot be declared or set per request. */
+export const PROMPT_BUILTIN_VARIABLES = Object.freeze(['question', 'context', 'history']);
+
+/** Template of the answer prompts when none is selected (name 'default', version 1). */
+export const DEFAULT_PROMPT = Object.freeze({
+    name: 'default',
+    version: 1,
+    description: 'Grounded answer with [n] citations, in the language of the question',
+    system: `
+You are {{persona}}. Answer strictly based on the provided CONTEXT.
+If the answer is not in the context, say "I do not know based on the provided context."
+Each CONTEXT source is numbered like [1]. Cite the sources that support each statement with their markers, e.g. "Gladiator [2]".
+Only cite numbers that appear in the CONTEXT.
+{{#language}}Respond in {{language}}.{{/language}}{{^language}}Respond in the same language as the user question.{{/language}}
+`.trim(),
+    user: `
+{{#history}}CONVERSATION HISTORY:
+{{history}}
+
+{{/history}}QUESTION:
+{{question}}
+
+CONTEXT:
+{{context}}
+`.trim(),
+    examples: [],
+    variables: Object.freeze({ persona: 'a helpful assistant', language: '' }),
+});
+
+/**
+ * Render a template with variables (see the module comment). Unknown variables render as ''.
+ * @param {string} template
+ * @param {Record<string, string | undefined>} variables
+ * @returns {string}
+ */
+export function renderTemplate(template, variables = {}) {
+    const value = (name) => variables[name] ?? '';
+    return String(template ?? '')
+        .replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (_match, kind, name, block) => ((kind === '#') === (value(name) !== '') ? block : ''))
+        .replace(/\{\{(\w+)\}\}/g, (_match, name) => value(name));
+}
+
+/**
+ * Parse a template reference: `name` (latest version) or `name@version`.
+ * @param {string} ref
+ * @returns {{ name: string, version?: number }}
+ * @throws {Error} when the reference is malformed
+ */
+export function parsePromptRef(ref) {
+    const match = String(ref ?? '').trim().match(/^([\w-]+)(?:@(\d+))?$/);
+    if (!match) throw new Error(`Invalid prompt "${ref}": use <name> or <name>@<version>`);
+    return match[2] ? { name: match[1], version: parseInt(match[2], 10) } : { name: match[1] };
+}
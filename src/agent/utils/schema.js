@@ -0,0 +1,163 @@
+/**
+ * JSON Schemas of structured answers: the built-in output schemas, request parsing (parseOutputSchema) and a validator
+ * for the subset of JSON Schema they use (validateSchema). Models get the schema in the prompt, or as the provider's
+ * structured-output format when it has one; the parsed reply is validated before it is returned.
+ *
+ * Supported keywords: type, properties, required, additionalProperties (boolean), items, enum, minItems, maxItems,
+ * minLength, maxLength, minimum, maximum, plus the annotations title and description.
+ */
+
+/**
+ * Output schema of a structured answer: built-in name (or 'custom') and the JSON Schema itself.
+ * @typedef {{ name: string, schema: object }} OutputSchema
+ */
+
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+const KEYWORDS = ['type', 'properties', 'required', 'additionalProperties', 'items', 'enum', 'minItems', 'maxItems', 'minLength', 'maxLength', 'minimum', 'maximum', 'title', 'description'];
+
+/** Built-in output schemas, selected by name (`"schema": "recommendations"`). */
+export const OUTPUT_SCHEMAS = Object.freeze({
+    recommendations: {
+        type: 'object',
+        properties: {
+            recommendations: {
+                type: 'array',
+                description: 'Recommended films from the context, best first',
+                items: {
+                    type: 'object',
+                    properties: {
+                        filmId: { type: 'string', description: 'Film id as shown in the context' },
+                        title: { type: 'string' },
+                        reason: { type: 'string', description: 'Why the film fits the request, in one sentence' },
+                    },
+                    required: ['filmId', 'title', 'reason'],
+                    additionalProperties: false,
+                },
+            },
+        },
+        required: ['recommendations'],
+        additionalProperties: false,
+    },
+    answer: {
+        type: 'object',
+        properties: {
+            answer: { type: 'string', description: 'Answer to the question' },
+            filmIds: { type: 'array', items: { type: 'string' }, description: 'Ids of the context films the answer is based on' },
+        },
+        required: ['answer', 'filmIds'],
+        additionalProperties: false,
+    },
+});
+
+/**
+ * Check that a caller-supplied schema only uses the supported keywords, so every constraint it states is validated.
+ * @param {any} schema
+ * @param {string} path - location in the schema, for error messages
+ * @throws {Error} on the first unsupported or malformed keyword
+ */
+function checkSchema(schema, path) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) throw new Error(`Invalid "schema" at ${path}: must be an object`);
+    for (const keyword of Object.keys(schema)) {
+        if (!KEYWORDS.includes(keyword)) throw new Error(`Invalid "schema" at ${path}: unsupported keyword "${keyword}"`);
+    }
+    const types = [].concat(schema.type ?? []);
+    if (types.some((type) => !TYPES.includes(type))) throw new Error(`Invalid "schema" at ${path}.type: use ${TYPES.join(', ')}`);
+    if (schema.enum !== undefined && (!Array.isArray(schema.enum) || !schema.enum.length)) {
+        throw new Error(`Invalid "schema" at ${path}.enum: must be a non-empty array`);
+    }
+    if (schema.required !== undefined && (!Array.isArray(schema.required) || schema.required.some((name) => typeof name !== 'string'))) {
+        throw new Error(`Invalid "schema" at ${path}.required: must be an array of property names`);
+    }
+    if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+        throw new Error(`Invalid "schema" at ${path}.additionalProperties: must be a boolean`);
+    }
+    for (const keyword of ['minItems', 'maxItems', 'minLength', 'maxLength', 'minimum', 'maximum']) {
+        if (schema[keyword] !== undefined && !Number.isFinite(schema[keyword])) throw new Error(`Invalid "schema" at ${path}.${keyword}: must be a number`);
+    }
+    if (schema.properties !== undefined) {
+        if (!schema.properties || typeof schema.properties !== 'object' || Array.isArray(schema.properties)) {
+            throw new Error(`Invalid "schema" at ${path}.properties: must be an object`);
+        }
+        for (const [name, property] of Object.entries(schema.properties)) checkSchema(property, `${path}.properties.${name}`);
+    }
+    if (schema.items !== undefined) checkSchema(schema.items, `${path}.items`);
+}
+
+/**
+ * Normalize the `schema` field of an ask request: a built-in name, a JSON Schema object, or either as a JSON string
+ * (form-data). The root must be an object schema.
+ * @param {any} value
+ * @returns {OutputSchema | null} null when no schema is given
+ * @throws {Error} when the name is unknown or the schema is invalid
+ */
+export function parseOutputSchema(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'string') {
+        const name = value.trim();
+        if (Object.hasOwn(OUTPUT_SCHEMAS, name)) return { name, schema: OUTPUT_SCHEMAS[name] };
+        if (!name.startsWith('{')) throw new Error(`Unknown "schema" "${name}". Available: ${Object.keys(OUTPUT_SCHEMAS).join(', ')}, or a JSON Schema object`);
+        try {
+            value = JSON.parse(name);
+        } catch {
+            throw new Error('Invalid "schema": not valid JSON');
+        }
+    }
+    checkSchema(value, '$');
+    if (value.type !== 'object') throw new Error('Invalid "schema": the root must have "type": "object"');
+    return { name: 'custom', schema: value };
+}
+
+/**
+ * JSON type of a value, as named by the schema keyword `type` (integers are also numbers).
+ * @param {any} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a schema (supported keywords only).
+ * @param {any} value
+ * @param {object} schema
+ * @param {string} [path] - location of the value, prefix of the error messages (default '$')
+ * @returns {string[]} one message per violation, e.g. '$.recommendations[0]: missing "reason"'; empty when valid
+ */
+export function validateSchema(value, schema, path = '$') {
+    const errors = [];
+    const type = typeOf(value);
+    const types = [].concat(schema.type ?? []);
+    if (types.length && !types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+        return [`${path}: expected ${types.join(' or ')}, got ${type}`];
+    }
+    if (schema.enum && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${path}: must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+    }
+    if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength} characters`);
+    }
+    if (type === 'number' || type === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: less than ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: greater than ${schema.maximum}`);
+    }
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+        if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+    if (type === 'object') {
+        const properties = schema.properties ?? {};
+        for (const name of schema.required ?? []) {
+            if (value[name] === undefined) errors.push(`${path}: missing "${name}"`);
+        }
+        for (const [name, item] of Object.entries(value)) {
+            if (properties[name]) errors.push(...validateSchema(item, properties[name], `${path}.${name}`));
+            else if (schema.additionalProperties === false) errors.push(`${path}: unexpected property "${name}"`);
+        }
+    }
+    return errors;
+}
@@ -0,0 +1,108 @@
+import { logger } from './logger.js';
+
+/**
+ * Minimal Server-Sent Events writer over an Express response.
+ */
+
+const COMPONENT_SSE = 'util:sse';
+
+/**
+ * True when the client asked for a stream: `Accept: text/event-stream` header or `?stream=true`.
+ * @param {express.Request} req
+ * @returns {boolean}
+ */
+export function wantsEventStream(req) {
+    if (req.query?.stream !== undefined) return req.query.stream === 'true';
+    return (req.get('accept') ?? '').includes('text/event-stream');
+}
+
+/**
+ * Send SSE headers and return a writer. Each event is written as `event: <name>` + `data: <json>`.
+ * The writer's signal is aborted when the client disconnects before close() is called.
+ * @param {express.Response} res
+ * @returns {{ send: (event: string, data: any) => void, close: () => void, signal: AbortSignal, readonly closed: boolean }}
+ */
+export function openEventStream(res) {
+    const controller = new AbortController();
+    let closed = false;
+
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.on('close', () => {
+        if (!closed) controller.abort();
+        closed = true;
+    });
+
+    return {
+        send(event, data) {
+            if (closed) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        close() {
+            if (closed) return;
+            closed = true;
+            res.end();
+        },
+        signal: controller.signal,
+        get closed() {
+            return closed;
+        },
+    };
+}
+
+/**
+ * Run an ask call as Server-Sent Events: `context` (retrieved chunks), `token` (answer fragments), then `done`
+ * (answer, remaining result fields and timings) or `error`. Generation is aborted if the client disconnects.
+ * @param {express.Response} res
+ * @param {(stream: import('../services/RagService.js').RagStreamHooks) => Promise<{ answer: string, contextChunks: object[] }>} run
+ * @param {{ component?: string, label?: string }} [options] - log component and label, e.g. 'Ask text'
+ */
+export async function streamAnswer(res, run, options = {}) {
+    const component = options.component ?? COMPONENT_SSE;
+    const label = options.label ?? 'Ask';
+    const sse = openEventStream(res);
+    const startedAt = Date.now();
+    let retrievedAt = null;
+    try {
+        const result = await run({
+            signal: sse.signal,
+            onContext: (contextChunks) => {
+                retrievedAt = Date.now();
+                sse.send('context', { contextChunks });
+            },
+            onToken: (token) => sse.send('token', { token }),
+        });
+        const { contextChunks, ...rest } = result;
+        const endedAt = Date.now();
+        if (retrievedAt === null) {
+            // The answer did not go through the LLM stream (e.g. no image embedding): send the context now.
+            retrievedAt = endedAt;
+            sse.send('context', { contextChunks: contextChunks ?? [] });
+        }
+        const timings = {
+            retrievalMs: retrievedAt - startedAt,
+            generationMs: endedAt - retrievedAt,
+            totalMs: endedAt - startedAt,
+        };
+        sse.send('done', { ...rest, timings });
+        logger.info(component, `${label} stream done`, { contextChunks: contextChunks?.length ?? 0, totalMs: timings.totalMs });
+    } catch (err) {
+        if (sse.signal.aborted) {
+            logger.warn(component, `${label} stream aborted`, { reason: 'Client disconnected' });
+        } else {
+            logger.error(component, `${label} stream failed`, { error: err.message });
+            sse.send('error', {
+                error: 'Internal server error',
+                details: process.env.NODE_ENV === 'development' ? err.message : undefined,
+            });
+        }
+    } finally {
+        sse.close();
+    }
+}
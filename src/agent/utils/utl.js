@@ -103,3 +103,38 @@ export function mimeFromUrl(url) {
     if (lower.endsWith('.gif')) return 'image/gif';
     return 'image/jpeg';
 }
+
+/**
+ * Split a list into consecutive chunks of at most size items.
+ * @template T
+ * @param {T[]} items
+ * @param {number} size
+ * @returns {T[][]}
+ */
+export function chunk(items, size) {
+    const step = Math.max(1, Math.floor(size) || 1);
+    const chunks = [];
+    for (let i = 0; i < items.length; i += step) chunks.push(items.slice(i, i + step));
+    return chunks;
+}
+
+/**
+ * Map items with at most `concurrency` calls in flight. Results keep the input order; the first rejection rejects.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(items.length, Math.max(1, concurrency)) }, worker));
+    return results;
+}
@@ -1,10 +1,10 @@
 /**
- * Minimal vector search demo. Uses VoyageAIService to embed the query, then Atlas Vector Search $vectorSearch.
- * Config: .env → MONGODB_URI, MONGODB_DB, MONGODB_COLLECTION, VECTOR_INDEX_NAME, VECTOR_INDEX_PATH, VOYAGE_API_URL, VOYAGE_API_KEY, VOYAGE_MODEL, SEARCH_QUERY
+ * Minimal vector search demo. Uses the configured embedding provider (EMBEDDING_PROVIDER, default Voyage) to embed the query, then Atlas Vector Search $vectorSearch.
+ * Config: .env → MONGODB_URI, MONGODB_DB, MONGODB_COLLECTION, VECTOR_INDEX_NAME, VECTOR_INDEX_PATH, EMBEDDING_PROVIDER, VOYAGE_API_URL, VOYAGE_API_KEY, VOYAGE_MODEL, SEARCH_QUERY
  */
 import 'dotenv/config';
 import { MongoClient } from 'mongodb';
-import { VoyageAIService } from '../agent/services/VoyageAIService.js';
+import { createEmbeddingServiceFromEnv } from '../agent/services/EmbeddingRegistry.js';
 
 // Config and constants. Adjust these as needed for your environment and use case.
 const {
@@ -13,21 +13,17 @@ const {
     MONGODB_COLLECTION = 'films',
     VECTOR_INDEX_NAME = 'rag_vector_text_index',
     VECTOR_INDEX_PATH = 'embedding.text',
-    VOYAGE_API_URL,
-    VOYAGE_API_KEY,
-    VOYAGE_MODEL,
     SEARCH_QUERY = 'a hero fighting in ancient Rome',
 } = process.env;
 
 // Basic config validation. In a real app, you'd want more robust validation and error handling.
 if (!MONGODB_URI) throw new Error('Missing MONGODB_URI');
-if (!VOYAGE_API_URL || !VOYAGE_API_KEY || !VOYAGE_MODEL) throw new Error('Missing VoyageAI config (VOYAGE_API_URL, VOYAGE_API_KEY, VOYAGE_MODEL)');
 
-// Get the query embedding from VoyageAIService
-const voyage = new VoyageAIService({ apiUrl: VOYAGE_API_URL, apiKey: VOYAGE_API_KEY, model: VOYAGE_MODEL });
+// Get the query embedding from the configured provider (throws if its configuration is missing)
+const embedder = createEmbeddingServiceFromEnv(process.env);
 
 // In a real app, you'd want to cache the query embedding for repeated queries, and handle errors/retries.
-const queryVector = await voyage.getEmbedding(SEARCH_QUERY);
+const queryVector = await embedder.getEmbedding(SEARCH_QUERY);
 
 // Run the $vectorSearch aggregation pipeline in MongoDB Atlas
 const client = new MongoClient(MONGODB_URI);